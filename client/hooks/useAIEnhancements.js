@@ -1,6 +1,6 @@
 import { useState, useCallback } from 'react';
-import { resumeAPI } from '../utils/api';
-import { TOAST_MESSAGES, ENHANCEMENT_STATES } from '../utils/constants';
+import { resumeAPI } from '../src/utils/api';
+import { TOAST_MESSAGES, ENHANCEMENT_STATES } from '../src/utils/constants';
 import { toast } from 'react-toastify';
 
 /**
@@ -45,9 +45,9 @@ export const useAIEnhancement = () => {
       // Call enhancement API
       const response = await resumeAPI.enhance(currentResumeId, section);
       
-      if (response.data?.data) {
+      if (response.data?.data?.resume) {
         // Update the resume data with enhanced content
-        updateCallback(response.data.data);
+        updateCallback(response.data.data.resume);
         
         // Track enhancement in history
         setEnhancementHistory(prev => ({
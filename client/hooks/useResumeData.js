@@ -1,7 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
-import { resumeAPI, apiUtils } from '../utils/api';
-import { RESUME_SCHEMA, STORAGE_KEYS, TOAST_MESSAGES } from '../utils/constants';
-import { validateCompleteResume, getResumeCompleteness } from '../utils/validation';
+import { resumeAPI } from '../src/utils/api';
+import { RESUME_SCHEMA, STORAGE_KEYS, TOAST_MESSAGES } from '../src/utils/constants';
+import { validateCompleteResume, getResumeCompleteness } from '../src/utils/validation';
+import { mergeResumeVersions, resolveConflicts } from '../src/utils/resumeMerge';
 import { toast } from 'react-toastify';
 
 /**
@@ -17,11 +18,8 @@ export const useResumeData = () => {
   const [validationErrors, setValidationErrors] = useState({});
   const [completenessPercentage, setCompletenessPercentage] = useState(0);
   const [isDirty, setIsDirty] = useState(false); // Track unsaved changes
-
-  // Load saved resume on hook initialization
-  useEffect(() => {
-    loadSavedResume();
-  }, []);
+  const [baseData, setBaseData] = useState(null); // Last server copy, used to merge save conflicts
+  const [saveConflict, setSaveConflict] = useState(null); // Pending 409 merge awaiting user choices
 
   // Update completeness percentage when resume data changes
   useEffect(() => {
@@ -52,8 +50,9 @@ export const useResumeData = () => {
       if (resumeId) {
         // Try to load from server
         const response = await resumeAPI.get(resumeId);
-        if (response.data) {
-          setResumeData(response.data);
+        if (response.data?.data?.resume) {
+          setResumeData(response.data.data.resume);
+          setBaseData(response.data.data.resume);
           setLastSaved(new Date());
           setIsDirty(false);
           console.log('Resume loaded from server:', resumeId);
@@ -95,8 +94,47 @@ export const useResumeData = () => {
     }
   }, []);
 
+  // Load saved resume on hook initialization
+  useEffect(() => {
+    loadSavedResume();
+  }, [loadSavedResume]);
+
+  /**
+   * Send resume data to the server and record the saved version
+   * Throws on failure; a 409 response carries the current server copy
+   */
+  const persistResume = useCallback(async (data, showToast) => {
+    const response = await resumeAPI.save(data);
+
+    if (response.data?.success && response.data.data?.resume) {
+      const savedData = response.data.data.resume;
+      const resumeId = savedData._id;
+
+      // Update state
+      setResumeData(prev => ({ ...prev, _id: resumeId, version: savedData.version }));
+      setBaseData(savedData);
+      setLastSaved(new Date());
+      setIsDirty(false);
+
+      // Store in localStorage
+      localStorage.setItem(STORAGE_KEYS.RESUME_ID, resumeId);
+      localStorage.setItem(STORAGE_KEYS.LAST_SAVE, new Date().toISOString());
+
+      if (showToast) {
+        toast.success(TOAST_MESSAGES.SAVE_SUCCESS);
+      }
+
+      return resumeId;
+    }
+
+    throw new Error('Invalid response from server');
+  }, []);
+
   /**
    * Save resume to server
+   * If the server copy changed since it was loaded (409), sections edited on only
+   * one side are merged and saved; sections edited on both sides are exposed as
+   * saveConflict for the user to resolve with resolveSaveConflict
    */
   const saveResume = useCallback(async (showToast = true) => {
     try {
@@ -113,30 +151,28 @@ export const useResumeData = () => {
 
       console.log('Saving resume data:', resumeData);
 
-      const response = await resumeAPI.save(resumeData);
-      
-      if (response.status === 200 && response.data?.data) {
-        const savedData = response.data.data;
-        const resumeId = savedData._id;
-        
-        // Update state
-        setResumeData(prev => ({ ...prev, _id: resumeId }));
-        setLastSaved(new Date());
-        setIsDirty(false);
-        
-        // Store in localStorage
-        localStorage.setItem(STORAGE_KEYS.RESUME_ID, resumeId);
-        localStorage.setItem(STORAGE_KEYS.LAST_SAVE, new Date().toISOString());
-        
-        if (showToast) {
-          toast.success(TOAST_MESSAGES.SAVE_SUCCESS);
+      try {
+        return await persistResume(resumeData, showToast);
+      } catch (error) {
+        const remote = error.response?.status === 409 ? error.response.data?.details?.resume : null;
+        if (!remote) {
+          throw error;
         }
-        
-        return resumeId;
+
+        const mergeResult = mergeResumeVersions(baseData, resumeData, remote);
+
+        if (mergeResult.conflicts.length === 0) {
+          // Changes do not overlap: save the merged copy on top of the server version
+          setResumeData(mergeResult.merged);
+          setBaseData(remote);
+          return await persistResume(mergeResult.merged, showToast);
+        }
+
+        setSaveConflict({ ...mergeResult, local: resumeData, remote });
+        toast.warning(TOAST_MESSAGES.SAVE_CONFLICT(mergeResult.conflicts));
+        return null;
       }
       
-      throw new Error('Invalid response from server');
-      
     } catch (error) {
       console.error('Save error:', error);
       if (showToast) {
@@ -146,7 +182,45 @@ export const useResumeData = () => {
     } finally {
       setIsSaving(false);
     }
-  }, [resumeData]);
+  }, [resumeData, baseData, persistResume]);
+
+  /**
+   * Resolve a pending save conflict and save the result
+   * @param {Object} resolutions - Map of conflicting section to 'local' or 'server'
+   */
+  const resolveSaveConflict = useCallback(async (resolutions = {}) => {
+    if (!saveConflict) return null;
+
+    const { local, remote } = saveConflict;
+    const resolved = resolveConflicts(saveConflict, local, remote, resolutions);
+
+    setSaveConflict(null);
+    setResumeData(resolved);
+    setBaseData(remote);
+
+    try {
+      setIsSaving(true);
+      return await persistResume(resolved, true);
+    } catch (error) {
+      console.error('Save error:', error);
+      toast.error(TOAST_MESSAGES.SAVE_ERROR);
+      throw error;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [saveConflict, persistResume]);
+
+  /**
+   * Drop a pending save conflict and load the server copy instead
+   */
+  const discardLocalChanges = useCallback(() => {
+    if (!saveConflict) return;
+
+    setResumeData(saveConflict.remote);
+    setBaseData(saveConflict.remote);
+    setSaveConflict(null);
+    setIsDirty(false);
+  }, [saveConflict]);
 
   /**
    * Update a single field in resume data
@@ -175,6 +249,8 @@ export const useResumeData = () => {
    */
   const resetResume = useCallback(() => {
     setResumeData(RESUME_SCHEMA);
+    setBaseData(null);
+    setSaveConflict(null);
     setValidationErrors({});
     setLastSaved(null);
     setIsDirty(false);
@@ -263,11 +339,14 @@ export const useResumeData = () => {
     validationErrors,
     completenessPercentage,
     isDirty,
+    saveConflict,
     
     // Actions
     updateField,
     updateSection,
     saveResume,
+    resolveSaveConflict,
+    discardLocalChanges,
     resetResume,
     loadFromUpload,
     autoSave,
@@ -1,7 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { toast, ToastContainer } from 'react-toastify';
-import axios from 'axios';
 import 'react-toastify/dist/ReactToastify.css';
+import { resumeAPI } from '../../utils/api';
+import useAIEnhancement from '../../hooks/useAIEnhancement';
+import useBackgroundJob from '../../hooks/useBackgroundJob';
+import { mergeResumeVersions } from '../../utils/resumeMerge';
+import { applyProposal, formatProposalValue, isStaleProposal } from '../../utils/proposals';
+import { EXPORT_FORMATS, FALLBACK_REASONS } from '../../utils/constants';
 
 // Component imports
 import AIAssistant from './components/AIAssistant';
@@ -15,6 +20,16 @@ import AchievementsSection from './components/AchievementsSection';
 import SkillsSection from './components/SkillsSection';
 import ProjectsSection from './components/ProjectsSection';
 import CoursesSection from './components/CoursesSection';
+import ATSScorePanel from './components/ATSScorePanel';
+import ProposalReview from './components/ProposalReview';
+import EnhancementHistory from './components/EnhancementHistory';
+import AIUsageMeter from './components/AIUsageMeter';
+
+// Wait for typing to pause before linting
+const LINT_DELAY_MS = 1500;
+
+// Sections enhanced through the streaming field endpoint (the rest go through /api/enhance/full)
+const STREAMED_SECTIONS = ['summary'];
 
 // Initial resume schema as per requirements
 const initialResumeData = {
@@ -22,7 +37,7 @@ const initialResumeData = {
   email: "john.doe@email.com",
   phone: "+1 (555) 123-4567",
   linkedin: "linkedin.com/in/johndoe",
-  address: "New York, NY",
+  location: "New York, NY",
   summary: "Experienced professional with expertise in full-stack development...",
   experience: [
     {
@@ -76,21 +91,44 @@ const ResumeEditor = () => {
   const [isDownloading, setIsDownloading] = useState(false);
   const [showUpload, setShowUpload] = useState(false);
   const [enhancingSection, setEnhancingSection] = useState(null);
+  const [lintFindings, setLintFindings] = useState([]);
+  const [proposals, setProposals] = useState([]); // Pending AI suggestions; upload ones are marked local
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [usageRefresh, setUsageRefresh] = useState(0); // Bumped after AI work so the usage meter reloads
+  const { streamingText, isStreaming, enhanceField, cancel: cancelEnhancement } = useAIEnhancement();
+  const { progress: jobProgress, isRunning: isJobRunning, waitForJob, cancel: cancelJob } = useBackgroundJob();
   const resumeRef = useRef(null);
+  const baseRef = useRef(null); // Last server copy, used to merge save conflicts
 
   // Load saved resume on component mount
   useEffect(() => {
     loadSavedResume();
   }, []);
 
+  // Re-lint the resume shortly after each edit; findings are shown inline in each section
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const response = await resumeAPI.validate(resumeData);
+        setLintFindings(response.data?.data?.findings || []);
+      } catch (error) {
+        console.error('Lint error:', error);
+      }
+    }, LINT_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [resumeData]);
+
   const loadSavedResume = async () => {
     const resumeId = localStorage.getItem('resumeId');
     if (resumeId) {
       try {
         setIsLoading(true);
-        const response = await axios.get(`http://localhost:5000/api/myTemp/get/${resumeId}`);
-        if (response.data) {
-          setResumeData(response.data);
+        const response = await resumeAPI.get(resumeId);
+        if (response.data?.data?.resume) {
+          setResumeData(response.data.data.resume);
+          setProposals(response.data.data.resume.proposals || []);
+          baseRef.current = response.data.data.resume;
           console.log('Loaded saved resume:', resumeId);
         }
       } catch (error) {
@@ -108,11 +146,12 @@ const ResumeEditor = () => {
       setIsSaving(true);
       console.log('Saving resume data:', resumeData);
 
-      const response = await axios.post('http://localhost:5000/api/myTemp/save', resumeData);
+      const response = await resumeAPI.save(resumeData);
       
-      if (response.status === 200) {
-        const savedData = response.data.data;
-        setResumeData(prev => ({ ...prev, _id: savedData._id }));
+      if (response.data?.success) {
+        const savedData = response.data.data.resume;
+        setResumeData(prev => ({ ...prev, _id: savedData._id, version: savedData.version }));
+        baseRef.current = savedData;
         localStorage.setItem('resumeId', savedData._id);
         
         if (showToast) {
@@ -121,7 +160,10 @@ const ResumeEditor = () => {
         return savedData._id;
       }
     } catch (error) {
-      if (showToast) {
+      const serverResume = error.response?.status === 409 ? error.response.data?.details?.resume : null;
+      if (serverResume) {
+        handleSaveConflict(serverResume);
+      } else if (showToast) {
         toast.error('Failed to save resume');
       }
       console.error('Save error:', error);
@@ -131,41 +173,181 @@ const ResumeEditor = () => {
     }
   };
 
+  // The resume changed on the server since it was loaded: merge per section and
+  // keep local edits where both sides changed, so the next save overwrites them
+  const handleSaveConflict = (serverResume) => {
+    const { merged, conflicts } = mergeResumeVersions(baseRef.current, resumeData, serverResume);
+    baseRef.current = serverResume;
+    setResumeData(merged);
+
+    if (conflicts.length > 0) {
+      toast.warning(`Resume was changed elsewhere. Your version of ${conflicts.join(', ')} was kept — save again to overwrite.`);
+    } else {
+      toast.info('Resume was changed elsewhere. Changes were merged — save again to keep them.');
+    }
+  };
+
+  // New proposals replace pending ones for the same field, as they do on the server
+  const addProposals = (proposed) => {
+    const paths = new Set(proposed.map(proposal => proposal.path));
+    setProposals(prev => [...prev.filter(proposal => !paths.has(proposal.path)), ...proposed]);
+  };
+
   const handleEnhanceSection = async (section) => {
     try {
       setEnhancingSection(section);
       
       // Auto-save before enhancement (critical requirement)
-      if (!resumeData._id) {
-        await handleSaveResume(false);
-      }
+      const resumeId = await handleSaveResume(false);
 
-      if (!resumeData._id) {
+      if (!resumeId) {
         toast.error('Please save your resume first');
         return;
       }
 
-      const response = await axios.post(
-        `http://localhost:5000/api/myTemp/enhance/${resumeData._id}`,
-        { field: section }
-      );
+      // Plain-text sections stream the AI's text as it is written
+      if (STREAMED_SECTIONS.includes(section)) {
+        const result = await enhanceField({
+          resumeId,
+          section,
+          content: resumeData[section],
+          enhancementType: 'professional'
+        });
+
+        if (!result) {
+          toast.info(`${section} enhancement cancelled`);
+          return;
+        }
 
-      if (response.data && response.data.data) {
+        if (!result.proposal) {
+          toast.info(`No changes suggested for ${section}`);
+          return;
+        }
+
+        addProposals([result.proposal]);
+        if (result.fallbackReason) {
+          // The AI's text was not used; the suggestion is the basic rule-based one
+          toast.warning(`Basic ${section} suggestion ready for review: ${FALLBACK_REASONS[result.fallbackReason] || 'AI output was not used'}`);
+        } else {
+          toast.success(`${section} suggestion ready for review`);
+        }
+        return;
+      }
+
+      // Other sections are enhanced item by item in a background job
+      const response = await resumeAPI.enhance(resumeId, section);
+      const job = await waitForJob(response.data.data.job._id);
+
+      if (!job || job.status === 'cancelled') {
+        toast.info(`${section} enhancement cancelled`);
+        return;
+      }
+      if (job.status !== 'completed') {
+        throw new Error(job.error || 'Enhancement job failed');
+      }
+
+      const proposed = job.result.proposals;
+      addProposals(proposed);
+      if (proposed.length > 0) {
+        toast.success(`${proposed.length} ${section} suggestions ready for review`);
+      } else {
+        toast.info(`No changes suggested for ${section}`);
+      }
+    } catch (error) {
+      // 429: the monthly AI quota is used up; the server says until when
+      toast.error(error.response?.status === 429 ? error.response.data?.message : `Failed to enhance ${section}`);
+      console.error('Enhancement error:', error);
+    } finally {
+      setEnhancingSection(null);
+      setUsageRefresh(count => count + 1);
+    }
+  };
+
+  // Accepted proposals are written to their field. Saved ones go through the server so they are
+  // checked against the saved text and logged in the enhancement history; upload ones are applied here
+  const handleReviewProposals = async (accept, reject) => {
+    const isLocal = (id) => proposals.some(proposal => proposal._id === id && proposal.local);
+    const serverAccept = accept.filter(id => !isLocal(id));
+    const serverReject = reject.filter(id => !isLocal(id));
+    const localAccept = proposals.filter(proposal => proposal.local && accept.includes(proposal._id));
+    const localReviewed = [...accept, ...reject].filter(isLocal);
+
+    try {
+      setIsReviewing(true);
+      let pending = proposals.filter(proposal => !localReviewed.includes(proposal._id));
+      let staleCount = localAccept.filter(proposal => isStaleProposal(resumeData, proposal)).length;
+
+      if (serverAccept.length > 0 || serverReject.length > 0) {
+        // Save edits first so stale proposals are detected against the latest text
+        const resumeId = await handleSaveResume(false);
+        const response = await resumeAPI.reviewProposals(resumeId, serverAccept, serverReject);
+        const { resume, applied, stale } = response.data.data;
+
+        const changedSections = [...new Set(
+          proposals.filter(proposal => applied.includes(proposal._id)).map(proposal => proposal.section)
+        )];
         setResumeData(prev => ({
           ...prev,
-          ...response.data.data
+          version: resume.version,
+          ...Object.fromEntries(changedSections.map(section => [section, resume[section]]))
         }));
-        toast.success(`${section} enhanced successfully!`);
+        baseRef.current = resume;
+        pending = [...pending.filter(proposal => proposal.local), ...(resume.proposals || [])];
+        staleCount += stale.length;
+      }
+
+      if (localAccept.length > 0) {
+        setResumeData(prev => localAccept.reduce(
+          (data, proposal) => (isStaleProposal(data, proposal) ? data : applyProposal(data, proposal)),
+          prev
+        ));
+      }
+
+      setProposals(pending);
+      if (staleCount > 0) {
+        toast.warning(`${staleCount} suggestions skipped: the text was edited since they were made`);
       }
     } catch (error) {
-      toast.error(`Failed to enhance ${section}`);
-      console.error('Enhancement error:', error);
+      toast.error('Failed to apply suggestions');
+      console.error('Proposal review error:', error);
     } finally {
-      setEnhancingSection(null);
+      setIsReviewing(false);
+    }
+  };
+
+  // Save first so the server compares the field with the text on screen; if it was edited since the
+  // enhancement, ask before overwriting it with the original
+  const handleRevertEnhancement = async (entry) => {
+    try {
+      const resumeId = await handleSaveResume(false);
+
+      let response;
+      try {
+        response = await resumeAPI.revertEnhancement(resumeId, entry._id);
+      } catch (error) {
+        const conflict = error.response?.status === 409 ? error.response.data?.details : null;
+        if (!conflict) throw error;
+
+        const overwrite = window.confirm(
+          `This field was edited after the AI enhancement. Replace it with the original text anyway?\n\n${formatProposalValue(conflict.originalContent)}`
+        );
+        if (!overwrite) return false;
+        response = await resumeAPI.revertEnhancement(resumeId, entry._id, true);
+      }
+
+      const { resume } = response.data.data;
+      setResumeData(prev => ({ ...prev, version: resume.version, [entry.section]: resume[entry.section] }));
+      baseRef.current = resume;
+      toast.success('Enhancement reverted');
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revert enhancement');
+      console.error('Revert error:', error);
+      return false;
     }
   };
 
-  const handleDownloadPDF = async () => {
+  const handleDownload = async (format = 'pdf') => {
     if (!resumeData._id) {
       toast.error('Please save your resume first');
       return;
@@ -177,22 +359,20 @@ const ResumeEditor = () => {
       // Auto-save before download
       await handleSaveResume(false);
 
-      const loadingToastId = toast.loading('Preparing your resume PDF...');
+      const { label, mimeType, extension } = EXPORT_FORMATS[format];
+      const loadingToastId = toast.loading(`Preparing your resume ${label}...`);
 
-      const response = await axios.get(
-        `http://localhost:5000/api/myTemp/download/${resumeData._id}`,
-        { responseType: 'blob' }
-      );
+      const response = await resumeAPI.download(resumeData._id, resumeData.template || 'modern', format);
 
       const contentType = response.headers['content-type'];
-      if (!contentType || !contentType.includes('application/pdf')) {
-        throw new Error(`Expected PDF, got ${contentType}`);
+      if (!contentType || !contentType.includes(mimeType)) {
+        throw new Error(`Expected ${label}, got ${contentType}`);
       }
 
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', 'UptoSkills_Resume.pdf');
+      link.setAttribute('download', `UptoSkills_Resume.${extension}`);
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -238,10 +418,35 @@ const ResumeEditor = () => {
     }
   };
 
-  const handleResumeUploaded = (uploadedData) => {
+  // With AI editing, the upload response carries a job that prepares suggestions for the new data
+  const handleResumeUploaded = async (uploadedData, job = null) => {
     setResumeData(uploadedData);
+    setProposals([]);
+    baseRef.current = uploadedData;
     setShowUpload(false);
     toast.success('Resume uploaded successfully!');
+
+    if (!job) return;
+
+    try {
+      setEnhancingSection('resume');
+      const finished = await waitForJob(job._id);
+
+      if (finished?.status === 'completed') {
+        // Upload suggestions are not stored on the server, so they are applied here when accepted
+        const proposed = finished.result.proposals.map(proposal => ({ ...proposal, local: true }));
+        addProposals(proposed);
+        toast.success(`${proposed.length} AI suggestions ready for review`);
+      } else if (finished?.status === 'failed') {
+        throw new Error(finished.error);
+      }
+    } catch (error) {
+      toast.error('Failed to prepare AI suggestions');
+      console.error('Upload enhancement error:', error);
+    } finally {
+      setEnhancingSection(null);
+      setUsageRefresh(count => count + 1);
+    }
   };
 
   const updateResumeField = (field, value) => {
@@ -270,12 +475,15 @@ const ResumeEditor = () => {
             {resumeData._id && (
               <span className="text-sm text-green-600">✓ Saved</span>
             )}
+            <AIUsageMeter refreshKey={usageRefresh} />
           </div>
           
           <div className="flex items-center gap-3">
             <ActionButtons
               onSave={() => handleSaveResume(true)}
-              onDownload={handleDownloadPDF}
+              onDownload={() => handleDownload('pdf')}
+              onDownloadWord={() => handleDownload('docx')}
+              onDownloadText={() => handleDownload('txt')}
               onShare={handleShare}
               onUpload={() => setShowUpload(true)}
               isLoading={isSaving}
@@ -284,6 +492,9 @@ const ResumeEditor = () => {
             <AIAssistant 
               onEnhance={handleEnhanceSection}
               enhancingSection={enhancingSection}
+              streamingText={streamingText}
+              progress={jobProgress}
+              onCancel={isStreaming ? cancelEnhancement : isJobRunning ? cancelJob : null}
             />
           </div>
         </div>
@@ -299,16 +510,33 @@ const ResumeEditor = () => {
 
       {/* Resume Content */}
       <div className="max-w-4xl mx-auto px-4 pb-8">
+        <ProposalReview
+          proposals={proposals}
+          resumeData={resumeData}
+          onReview={handleReviewProposals}
+          isReviewing={isReviewing}
+        />
+
+        <EnhancementHistory
+          resumeId={resumeData._id}
+          version={resumeData.version}
+          onRevert={handleRevertEnhancement}
+        />
+
+        <ATSScorePanel resumeData={resumeData} />
+
         <div ref={resumeRef} className="bg-white shadow-lg rounded-lg overflow-hidden">
           <div className="p-8 space-y-6">
             <HeaderSection 
               data={resumeData} 
               onChange={updateResumeField}
+              findings={lintFindings}
             />
             
             <SummarySection 
               data={resumeData.summary} 
               onChange={(value) => updateResumeField('summary', value)}
+              findings={lintFindings}
               onEnhance={() => handleEnhanceSection('summary')}
               isEnhancing={enhancingSection === 'summary'}
             />
@@ -316,6 +544,7 @@ const ResumeEditor = () => {
             <ExperienceSection 
               data={resumeData.experience} 
               onChange={(data) => updateResumeSection('experience', data)}
+              findings={lintFindings}
               onEnhance={() => handleEnhanceSection('experience')}
               isEnhancing={enhancingSection === 'experience'}
             />
@@ -323,11 +552,13 @@ const ResumeEditor = () => {
             <EducationSection 
               data={resumeData.education} 
               onChange={(data) => updateResumeSection('education', data)}
+              findings={lintFindings}
             />
             
             <AchievementsSection 
               data={resumeData.achievements} 
               onChange={(data) => updateResumeSection('achievements', data)}
+              findings={lintFindings}
               onEnhance={() => handleEnhanceSection('achievements')}
               isEnhancing={enhancingSection === 'achievements'}
             />
@@ -335,6 +566,7 @@ const ResumeEditor = () => {
             <SkillsSection 
               data={resumeData.skills} 
               onChange={(data) => updateResumeSection('skills', data)}
+              findings={lintFindings}
               onEnhance={() => handleEnhanceSection('skills')}
               isEnhancing={enhancingSection === 'skills'}
             />
@@ -342,6 +574,7 @@ const ResumeEditor = () => {
             <ProjectsSection 
               data={resumeData.projects} 
               onChange={(data) => updateResumeSection('projects', data)}
+              findings={lintFindings}
               onEnhance={() => handleEnhanceSection('projects')}
               isEnhancing={enhancingSection === 'projects'}
             />
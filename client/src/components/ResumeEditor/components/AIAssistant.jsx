@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 
-const AIAssistant = ({ onEnhance, enhancingSection }) => {
+const AIAssistant = ({ onEnhance, enhancingSection, streamingText, progress, onCancel }) => {
   const [showDropdown, setShowDropdown] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -150,24 +150,53 @@ const AIAssistant = ({ onEnhance, enhancingSection }) => {
 
       {/* Enhancement Progress Indicator */}
       {enhancingSection && (
-        <div className="absolute top-full right-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg z-50 p-4">
+        <div className={`absolute top-full right-0 mt-2 ${streamingText ? 'w-96' : 'w-64'} bg-white border border-gray-200 rounded-lg shadow-lg z-50 p-4`}>
           <div className="flex items-center gap-3">
             <div className="animate-spin rounded-full h-6 w-6 border-2 border-blue-500 border-t-transparent"></div>
-            <div>
+            <div className="flex-1">
               <div className="font-medium text-gray-800">
                 Enhancing {enhancingSection}...
               </div>
               <div className="text-sm text-gray-600">
-                Please wait while AI improves your content
+                {streamingText ? 'AI is writing your new content' : 'Please wait while AI improves your content'}
               </div>
             </div>
+            {onCancel && (
+              <button
+                onClick={onCancel}
+                className="text-sm text-gray-500 hover:text-red-600"
+              >
+                Cancel
+              </button>
+            )}
           </div>
           
-          <div className="mt-3">
-            <div className="w-full bg-gray-200 rounded-full h-2">
-              <div className="bg-gradient-to-r from-blue-500 to-purple-600 h-2 rounded-full animate-pulse" style={{ width: '70%' }}></div>
+          {streamingText ? (
+            <div className="mt-3 max-h-48 overflow-y-auto p-3 bg-gray-50 border border-gray-100 rounded text-sm text-gray-800 whitespace-pre-wrap">
+              {streamingText}
+              <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-purple-500 animate-pulse"></span>
             </div>
-          </div>
+          ) : progress?.total > 0 ? (
+            <div className="mt-3">
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 h-2 rounded-full transition-all duration-500"
+                  style={{ width: `${Math.round(progress.completed / progress.total * 100)}%` }}
+                ></div>
+              </div>
+              {progress.message && (
+                <div className="mt-1 text-xs text-gray-500">
+                  {progress.message} ({progress.completed + 1}/{progress.total})
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="mt-3">
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className="bg-gradient-to-r from-blue-500 to-purple-600 h-2 rounded-full animate-pulse" style={{ width: '70%' }}></div>
+              </div>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../../utils/api';
+
+/**
+ * Compact meter of this month's AI calls against the plan's quota
+ * @param {number} refreshKey - Reloads the usage whenever it changes (e.g. after each enhancement)
+ */
+const AIUsageMeter = ({ refreshKey }) => {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const response = await authAPI.getAIUsage();
+        setUsage(response.data?.data?.usage || null);
+      } catch (error) {
+        console.error('AI usage load error:', error);
+      }
+    };
+
+    loadUsage();
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const { calls, tokens, exceeded } = usage;
+  const resetsOn = new Date(usage.resetsAt).toLocaleDateString();
+
+  if (calls.limit === -1 && tokens.limit === -1) {
+    return <span className="text-xs text-gray-500">✨ Unlimited AI</span>;
+  }
+
+  // Whichever quota is closer to running out
+  const percent = Math.max(
+    calls.limit > 0 ? calls.used / calls.limit : 0,
+    tokens.limit > 0 ? tokens.used / tokens.limit : 0
+  ) * 100;
+  const barColor = exceeded ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-purple-500';
+
+  return (
+    <div
+      className="flex items-center gap-2"
+      title={`${usage.plan} plan: ${calls.used}/${calls.limit} AI calls, ${tokens.used}/${tokens.limit} tokens. Resets ${resetsOn}.`}
+    >
+      <div className="w-20 bg-gray-200 rounded-full h-1.5">
+        <div className={`${barColor} h-1.5 rounded-full`} style={{ width: `${Math.min(percent, 100)}%` }}></div>
+      </div>
+      <span className={`text-xs ${exceeded ? 'text-red-600' : 'text-gray-500'}`}>
+        {exceeded ? `AI quota used up until ${resetsOn}` : `AI ${calls.used}/${calls.limit} this month`}
+      </span>
+    </div>
+  );
+};
+
+export default AIUsageMeter;
\ No newline at end of file
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { resumeAPI } from '../../../utils/api';
+
+const SECTION_LABELS = {
+  skills: 'Skills',
+  summary: 'Summary',
+  experience: 'Experience',
+  projects: 'Projects'
+};
+
+const MIN_JOB_DESCRIPTION_LENGTH = 50;
+
+const scoreColor = (score) => {
+  if (score >= 75) return 'text-green-600';
+  if (score >= 50) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const barColor = (score) => {
+  if (score >= 75) return 'bg-green-500';
+  if (score >= 50) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const ATSScorePanel = ({ resumeData }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [jobDescription, setJobDescription] = useState('');
+  const [useAI, setUseAI] = useState(false);
+  const [isScoring, setIsScoring] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const canScore = jobDescription.trim().length >= MIN_JOB_DESCRIPTION_LENGTH && !isScoring;
+
+  const handleScore = async () => {
+    try {
+      setIsScoring(true);
+      const response = await resumeAPI.atsScore(resumeData, jobDescription.trim(), useAI);
+      if (response.data?.data) {
+        setResult(response.data.data);
+      }
+    } catch (error) {
+      toast.error('Failed to calculate ATS score');
+      console.error('ATS score error:', error);
+    } finally {
+      setIsScoring(false);
+    }
+  };
+
+  return (
+    <div className="ats-score-panel bg-white shadow-lg rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-green-100 rounded-full flex items-center justify-center">
+            <span className="text-green-600 text-lg">🎯</span>
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">ATS Keyword Match</h2>
+            <p className="text-sm text-gray-600">
+              Paste a job description to see which of its keywords your resume covers
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          {result && (
+            <span className={`text-xl font-bold ${scoreColor(result.score)}`}>{result.score}%</span>
+          )}
+          <svg
+            className={`w-4 h-4 text-gray-500 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </div>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-4">
+          <textarea
+            value={jobDescription}
+            onChange={(e) => setJobDescription(e.target.value)}
+            placeholder="Paste the job description here..."
+            rows={6}
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors resize-y"
+            disabled={isScoring}
+          />
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={useAI}
+                onChange={(e) => setUseAI(e.target.checked)}
+                disabled={isScoring}
+              />
+              Also use AI to find keywords
+            </label>
+            <button
+              onClick={handleScore}
+              disabled={!canScore}
+              className={`
+                flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm text-white transition-all duration-200
+                ${canScore ? 'bg-green-600 hover:bg-green-700 shadow-md active:scale-95' : 'bg-gray-300 cursor-not-allowed'}
+              `}
+            >
+              {isScoring ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
+                  <span>Scoring...</span>
+                </>
+              ) : (
+                <span>Check Match</span>
+              )}
+            </button>
+          </div>
+
+          {jobDescription.trim().length > 0 && jobDescription.trim().length < MIN_JOB_DESCRIPTION_LENGTH && (
+            <p className="text-xs text-gray-500">
+              Job description must be at least {MIN_JOB_DESCRIPTION_LENGTH} characters
+            </p>
+          )}
+
+          {result && (
+            <div className="space-y-4 border-t border-gray-100 pt-4">
+              <div className="flex items-baseline gap-3">
+                <span className={`text-3xl font-bold ${scoreColor(result.score)}`}>{result.score}%</span>
+                <span className="text-sm text-gray-600">
+                  of the job's keywords found
+                  {result.aiAssisted && ' (including AI suggestions)'}
+                </span>
+              </div>
+
+              <div className="space-y-2">
+                {Object.entries(result.sections).map(([section, { score }]) => (
+                  <div key={section} className="flex items-center gap-3 text-sm">
+                    <span className="w-24 text-gray-700">{SECTION_LABELS[section] || section}</span>
+                    <div className="flex-1 bg-gray-200 rounded-full h-2">
+                      <div className={`${barColor(score)} h-2 rounded-full`} style={{ width: `${score}%` }}></div>
+                    </div>
+                    <span className="w-10 text-right text-gray-600">{score}%</span>
+                  </div>
+                ))}
+              </div>
+
+              {result.experience?.requiredYears !== null && result.experience?.requiredYears !== undefined && (
+                <p className={`text-sm ${result.experience.meetsRequirement ? 'text-green-700' : 'text-red-700'}`}>
+                  Experience: {result.experience.years} years on your resume, {result.experience.requiredYears}+ asked for
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <h3 className="font-medium text-gray-800 mb-2">✅ Matched ({result.keywords.matched.length})</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {result.keywords.matched.map(({ keyword, sections }) => (
+                      <span
+                        key={keyword}
+                        title={`Found in: ${sections.map(section => SECTION_LABELS[section] || section).join(', ')}`}
+                        className="px-2 py-1 bg-green-50 text-green-800 border border-green-200 rounded text-xs"
+                      >
+                        {keyword}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <h3 className="font-medium text-gray-800 mb-2">❌ Missing ({result.keywords.missing.length})</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {result.keywords.missing.map(({ keyword }) => (
+                      <span
+                        key={keyword}
+                        className="px-2 py-1 bg-red-50 text-red-800 border border-red-200 rounded text-xs"
+                      >
+                        {keyword}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ATSScorePanel;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
+import LintFindings from './LintFindings';
 
-const AchievementsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
+const AchievementsSection = ({ data, onChange, findings, onEnhance, isEnhancing }) => {
   const [expandedItems, setExpandedItems] = useState({});
 
   // Initialize with empty achievement if no data
@@ -171,6 +172,7 @@ const AchievementsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
                   disabled={isEnhancing}
                 />
+                <LintFindings findings={findings} path={`achievements[${index}].describe`} />
               </div>
 
               {/* Character count for description */}
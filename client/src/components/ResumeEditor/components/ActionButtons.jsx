@@ -3,6 +3,8 @@ import React from 'react';
 const ActionButtons = ({ 
   onSave, 
   onDownload, 
+  onDownloadWord,
+  onDownloadText,
   onShare, 
   onUpload, 
   isLoading, 
@@ -68,6 +70,50 @@ const ActionButtons = ({
         )}
       </button>
 
+      {/* Download Word Button */}
+      {onDownloadWord && (
+        <button
+          onClick={onDownloadWord}
+          disabled={isDownloading}
+          className={`
+            flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all duration-200
+            ${isDownloading 
+              ? 'bg-gray-400 cursor-not-allowed' 
+              : 'bg-indigo-500 hover:bg-indigo-600 shadow-md hover:shadow-lg active:scale-95'
+            } 
+            text-white
+          `}
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+              d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+          </svg>
+          <span>Download Word</span>
+        </button>
+      )}
+
+      {/* Download Plain Text Button (for pasting into ATS portals) */}
+      {onDownloadText && (
+        <button
+          onClick={onDownloadText}
+          disabled={isDownloading}
+          className={`
+            flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all duration-200
+            ${isDownloading 
+              ? 'bg-gray-400 cursor-not-allowed' 
+              : 'bg-slate-500 hover:bg-slate-600 shadow-md hover:shadow-lg active:scale-95'
+            } 
+            text-white
+          `}
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+              d="M4 6h16M4 12h16M4 18h10" />
+          </svg>
+          <span>Download Text</span>
+        </button>
+      )}
+
       {/* Share Button */}
       <button
         onClick={onShare}
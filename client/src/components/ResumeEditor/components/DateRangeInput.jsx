@@ -0,0 +1,104 @@
+import React from 'react';
+import { MONTH_OPTIONS, hasDate } from '../../../utils/dates';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Month/year inputs for one end of a date range
+ */
+const DatePointInput = ({ label, value, onChange, disabled }) => {
+  const point = value || {};
+
+  const handleMonthChange = (e) => {
+    onChange({ ...point, month: e.target.value ? parseInt(e.target.value) : null });
+  };
+
+  const handleYearChange = (e) => {
+    onChange({ ...point, year: e.target.value ? parseInt(e.target.value) : null });
+  };
+
+  return (
+    <div>
+      <span className="block text-xs text-gray-500 mb-1">{label}</span>
+      <div className="flex gap-2">
+        <select
+          value={point.month || ''}
+          onChange={handleMonthChange}
+          className={`${inputClass} flex-1`}
+          disabled={disabled}
+          aria-label={`${label} month`}
+        >
+          <option value="">Month</option>
+          {MONTH_OPTIONS.map(month => (
+            <option key={month.value} value={month.value}>{month.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1900"
+          max="2100"
+          value={point.year || ''}
+          onChange={handleYearChange}
+          placeholder="Year"
+          className={`${inputClass} w-24`}
+          disabled={disabled}
+          aria-label={`${label} year`}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Start/end date picker with a "current" checkbox
+ * @param {Object} value - Entry with startDate, endDate and isCurrent
+ * @param {string} legacyText - Free-text date shown when no structured dates are set yet
+ * @param {Function} onChange - Called with { startDate, endDate, isCurrent }
+ */
+const DateRangeInput = ({ label, value, legacyText, currentLabel = 'Ongoing', onChange, disabled }) => {
+  const dates = {
+    startDate: value?.startDate || null,
+    endDate: value?.endDate || null,
+    isCurrent: !!value?.isCurrent
+  };
+
+  const update = (changes) => onChange({ ...dates, ...changes });
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <DatePointInput
+          label="Start"
+          value={dates.startDate}
+          onChange={(startDate) => update({ startDate })}
+          disabled={disabled}
+        />
+        <DatePointInput
+          label="End"
+          value={dates.endDate}
+          onChange={(endDate) => update({ endDate })}
+          disabled={disabled || dates.isCurrent}
+        />
+      </div>
+      <label className="inline-flex items-center gap-2 mt-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={dates.isCurrent}
+          onChange={(e) => update({ isCurrent: e.target.checked })}
+          disabled={disabled}
+        />
+        {currentLabel}
+      </label>
+      {!hasDate(dates.startDate) && legacyText && (
+        <p className="text-xs text-amber-600 mt-1">
+          Previously entered as "{legacyText}" - pick a start date to replace it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DateRangeInput;
\ No newline at end of file
@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
+import DateRangeInput from './DateRangeInput';
+import LintFindings from './LintFindings';
+import { buildDateFields } from '../../../utils/dates';
 
-const EducationSection = ({ data, onChange }) => {
+const EducationSection = ({ data, onChange, findings }) => {
   const [expandedItems, setExpandedItems] = useState({});
 
   // Initialize with empty education if no data
@@ -9,6 +12,9 @@ const EducationSection = ({ data, onChange }) => {
       degree: '',
       institution: '',
       duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       location: ''
     }
   ];
@@ -22,11 +28,23 @@ const EducationSection = ({ data, onChange }) => {
     onChange(updatedEducation);
   };
 
+  const handleDatesChange = (index, dates) => {
+    const updatedEducation = [...educationData];
+    updatedEducation[index] = {
+      ...updatedEducation[index],
+      ...buildDateFields(dates, 'duration')
+    };
+    onChange(updatedEducation);
+  };
+
   const addEducation = () => {
     const newEducation = {
       degree: '',
       institution: '',
       duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       location: ''
     };
     onChange([...educationData, newEducation]);
@@ -74,6 +92,8 @@ const EducationSection = ({ data, onChange }) => {
         </button>
       </div>
 
+      <LintFindings findings={findings} path="education" />
+
       {/* Education Items */}
       <div className="space-y-6">
         {educationData.map((education, index) => (
@@ -137,18 +157,13 @@ const EducationSection = ({ data, onChange }) => {
                 </div>
 
                 {/* Duration */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Duration/Year *
-                  </label>
-                  <input
-                    type="text"
-                    value={education.duration || ''}
-                    onChange={(e) => handleEducationChange(index, 'duration', e.target.value)}
-                    placeholder="e.g., 2018 - 2022 or 2022"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  />
-                </div>
+                <DateRangeInput
+                  label="Duration *"
+                  value={education}
+                  legacyText={education.duration}
+                  currentLabel="Currently studying here"
+                  onChange={(dates) => handleDatesChange(index, dates)}
+                />
 
                 {/* Location */}
                 <div>
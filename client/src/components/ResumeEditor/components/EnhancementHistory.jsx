@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { resumeAPI } from '../../../utils/api';
+import { formatProposalValue, proposalLabel } from '../../../utils/proposals';
+
+const HISTORY_LIMIT = 20;
+
+/**
+ * Accepted AI enhancements, newest first, each with a one-click revert
+ * @param {string} resumeId - Saved resume ID
+ * @param {number} version - Resume version; the list reloads when it changes
+ * @param {Function} onRevert - Called with the history entry; resolves to true once reverted
+ */
+const EnhancementHistory = ({ resumeId, version, onRevert }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [revertingId, setRevertingId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !resumeId) return;
+
+    const loadHistory = async () => {
+      try {
+        setIsLoading(true);
+        const response = await resumeAPI.getEnhancementHistory(resumeId, HISTORY_LIMIT);
+        setHistory(response.data?.data?.history || []);
+      } catch (error) {
+        console.error('History load error:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [isOpen, resumeId, version]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry._id);
+    const reverted = await onRevert(entry);
+    if (reverted) {
+      setHistory(prev => prev.map(item => (item._id === entry._id ? { ...item, revertedAt: new Date().toISOString() } : item)));
+    }
+    setRevertingId(null);
+  };
+
+  if (!resumeId) return null;
+
+  return (
+    <div className="enhancement-history bg-white shadow-lg rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
+            <span className="text-purple-600 text-lg">🕘</span>
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">AI Enhancement History</h2>
+            <p className="text-sm text-gray-600">
+              Suggestions you accepted; revert any of them to get your original text back
+            </p>
+          </div>
+        </div>
+        <svg
+          className={`w-4 h-4 text-gray-500 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4">
+          {isLoading && history.length === 0 && (
+            <p className="text-sm text-gray-500">Loading history...</p>
+          )}
+          {!isLoading && history.length === 0 && (
+            <p className="text-sm text-gray-500">No AI enhancements accepted yet</p>
+          )}
+
+          <ul className="space-y-3 max-h-96 overflow-y-auto">
+            {history.map(entry => (
+              <li key={entry._id} className="border border-gray-200 rounded p-3 text-sm">
+                <div className="flex items-center justify-between gap-2 mb-2">
+                  <span className="font-medium text-gray-700">
+                    {proposalLabel(entry.path || entry.section)}
+                    <span className="ml-2 text-xs font-normal text-gray-500">
+                      {new Date(entry.enhancedAt).toLocaleString()}
+                    </span>
+                  </span>
+                  {entry.revertedAt ? (
+                    <span className="text-xs text-gray-500">↩️ Reverted</span>
+                  ) : (
+                    <button
+                      onClick={() => handleRevert(entry)}
+                      disabled={!!revertingId}
+                      className="px-3 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {revertingId === entry._id ? 'Reverting...' : 'Revert'}
+                    </button>
+                  )}
+                </div>
+                <div className="grid md:grid-cols-2 gap-2">
+                  <div className="bg-gray-50 border border-gray-100 rounded p-2 text-gray-600">
+                    {formatProposalValue(entry.originalContent)}
+                  </div>
+                  <div className="bg-green-50 border border-green-100 rounded p-2 text-gray-800">
+                    {formatProposalValue(entry.enhancedContent)}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnhancementHistory;
\ No newline at end of file
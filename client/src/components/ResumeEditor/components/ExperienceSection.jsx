@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
+import DateRangeInput from './DateRangeInput';
+import LintFindings from './LintFindings';
+import { buildDateFields } from '../../../utils/dates';
 
-const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
+const ExperienceSection = ({ data, onChange, findings, onEnhance, isEnhancing }) => {
   const [expandedItems, setExpandedItems] = useState({});
 
   // Initialize with empty experience if no data
@@ -9,6 +12,9 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
       title: '',
       companyName: '',
       date: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       companyLocation: '',
       accomplishment: ['']
     }
@@ -23,6 +29,15 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
     onChange(updatedExperience);
   };
 
+  const handleDatesChange = (index, dates) => {
+    const updatedExperience = [...experienceData];
+    updatedExperience[index] = {
+      ...updatedExperience[index],
+      ...buildDateFields(dates, 'date')
+    };
+    onChange(updatedExperience);
+  };
+
   const handleAccomplishmentChange = (expIndex, accIndex, value) => {
     const updatedExperience = [...experienceData];
     const updatedAccomplishments = [...(updatedExperience[expIndex].accomplishment || [''])];
@@ -58,6 +73,9 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
       title: '',
       companyName: '',
       date: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       companyLocation: '',
       accomplishment: ['']
     };
@@ -147,6 +165,8 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
         </div>
       </div>
 
+      <LintFindings findings={findings} path="experience" />
+
       {/* Experience Items */}
       <div className="space-y-6">
         {experienceData.map((experience, expIndex) => (
@@ -211,17 +231,15 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Employment Period *
-                  </label>
-                  <input
-                    type="text"
-                    value={experience.date || ''}
-                    onChange={(e) => handleExperienceChange(expIndex, 'date', e.target.value)}
-                    placeholder="e.g., Jan 2022 - Present"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  <DateRangeInput
+                    label="Employment Period *"
+                    value={experience}
+                    legacyText={experience.date}
+                    currentLabel="I currently work here"
+                    onChange={(dates) => handleDatesChange(expIndex, dates)}
                     disabled={isEnhancing}
                   />
+                  <LintFindings findings={findings} path={`experience[${expIndex}]`} />
                 </div>
 
                 <div>
@@ -267,6 +285,7 @@ const ExperienceSection = ({ data, onChange, onEnhance, isEnhancing }) => {
                           className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
                           disabled={isEnhancing}
                         />
+                        <LintFindings findings={findings} path={`experience[${expIndex}].accomplishment[${accIndex}]`} />
                       </div>
                       {experience.accomplishment && experience.accomplishment.length > 1 && (
                         <button
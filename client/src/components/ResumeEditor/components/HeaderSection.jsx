@@ -1,6 +1,7 @@
 import React from 'react';
+import LintFindings from './LintFindings';
 
-const HeaderSection = ({ data, onChange }) => {
+const HeaderSection = ({ data, onChange, findings }) => {
   const handleInputChange = (field, value) => {
     onChange(field, value);
   };
@@ -20,6 +21,7 @@ const HeaderSection = ({ data, onChange }) => {
             placeholder="Enter your full name"
             className="w-full px-4 py-3 text-xl font-bold border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
           />
+          <LintFindings findings={findings} path="name" />
         </div>
 
         {/* Email */}
@@ -34,6 +36,7 @@ const HeaderSection = ({ data, onChange }) => {
             placeholder="your.email@example.com"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
           />
+          <LintFindings findings={findings} path="email" />
         </div>
 
         {/* Phone */}
@@ -48,6 +51,7 @@ const HeaderSection = ({ data, onChange }) => {
             placeholder="+1 (555) 123-4567"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
           />
+          <LintFindings findings={findings} path="phone" />
         </div>
 
         {/* LinkedIn */}
@@ -64,34 +68,21 @@ const HeaderSection = ({ data, onChange }) => {
           />
         </div>
 
-        {/* Address */}
+        {/* Location */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Location
           </label>
           <input
             type="text"
-            value={data.address || ''}
-            onChange={(e) => handleInputChange('address', e.target.value)}
+            value={data.location || ''}
+            onChange={(e) => handleInputChange('location', e.target.value)}
             placeholder="City, State/Country"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
           />
         </div>
       </div>
 
-      {/* Validation Messages */}
-      <div className="mt-4 space-y-1">
-        {!data.name && (
-          <p className="text-sm text-red-600">⚠️ Name is required</p>
-        )}
-        {!data.email && (
-          <p className="text-sm text-red-600">⚠️ Email is required</p>
-        )}
-        {!data.phone && (
-          <p className="text-sm text-red-600">⚠️ Phone number is required</p>
-        )}
-      </div>
-
       {/* Preview */}
       <div className="mt-6 p-4 bg-white rounded-lg border border-gray-200">
         <div className="text-center">
@@ -104,7 +95,7 @@ const HeaderSection = ({ data, onChange }) => {
             {data.linkedin && (
               <p className="text-blue-600">{data.linkedin}</p>
             )}
-            {data.address && <p>{data.address}</p>}
+            {data.location && <p>{data.location}</p>}
           </div>
         </div>
       </div>
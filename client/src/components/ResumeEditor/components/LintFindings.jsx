@@ -0,0 +1,44 @@
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  error: { icon: '⛔', className: 'bg-red-50 border-red-200 text-red-800' },
+  warning: { icon: '⚠️', className: 'bg-amber-50 border-amber-200 text-amber-800' },
+  info: { icon: '💡', className: 'bg-blue-50 border-blue-200 text-blue-800' }
+};
+
+/**
+ * Linter findings for one field, shown under its input
+ * @param {Array} findings - Findings from the resume linter ({ rule, severity, path, message, hint })
+ * @param {string} path - Field path ("summary", "experience[0].accomplishment[1]")
+ * @param {boolean} nested - Also show findings for paths inside this one ("skills" covers "skills[2]")
+ */
+const LintFindings = ({ findings = [], path, nested = false }) => {
+  const matches = findings.filter(finding =>
+    finding.path === path ||
+    (nested && (finding.path.startsWith(`${path}[`) || finding.path.startsWith(`${path}.`)))
+  );
+
+  if (matches.length === 0) return null;
+
+  return (
+    <ul className="mt-2 space-y-1">
+      {matches.map((finding, index) => {
+        const style = SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.info;
+        return (
+          <li
+            key={`${finding.rule}-${finding.path}-${index}`}
+            className={`flex items-start gap-2 px-3 py-2 border rounded text-xs ${style.className}`}
+          >
+            <span>{style.icon}</span>
+            <span>
+              <span className="font-medium">{finding.message}</span>
+              {finding.hint && <span className="block opacity-80">{finding.hint}</span>}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default LintFindings;
\ No newline at end of file
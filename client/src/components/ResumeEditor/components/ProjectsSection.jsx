@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
+import DateRangeInput from './DateRangeInput';
+import LintFindings from './LintFindings';
+import { buildDateFields } from '../../../utils/dates';
 
-const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
+const ProjectsSection = ({ data, onChange, findings, onEnhance, isEnhancing }) => {
   const [expandedItems, setExpandedItems] = useState({});
 
   // Initialize with empty project if no data
@@ -8,7 +11,10 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
     {
       title: '',
       description: '',
-      duration: ''
+      duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false
     }
   ];
 
@@ -21,11 +27,23 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
     onChange(updatedProjects);
   };
 
+  const handleDatesChange = (index, dates) => {
+    const updatedProjects = [...projectsData];
+    updatedProjects[index] = {
+      ...updatedProjects[index],
+      ...buildDateFields(dates, 'duration')
+    };
+    onChange(updatedProjects);
+  };
+
   const addProject = () => {
     const newProject = {
       title: '',
       description: '',
-      duration: ''
+      duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false
     };
     onChange([...projectsData, newProject]);
   };
@@ -161,19 +179,13 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
               </div>
 
               {/* Project Duration */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Duration/Timeline
-                </label>
-                <input
-                  type="text"
-                  value={project.duration || ''}
-                  onChange={(e) => handleProjectChange(index, 'duration', e.target.value)}
-                  placeholder="e.g., 6 months, Jan 2023 - Jun 2023, or Ongoing"
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  disabled={isEnhancing}
-                />
-              </div>
+              <DateRangeInput
+                label="Timeline"
+                value={project}
+                legacyText={project.duration}
+                onChange={(dates) => handleDatesChange(index, dates)}
+                disabled={isEnhancing}
+              />
 
               {/* Project Description */}
               <div>
@@ -188,6 +200,7 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
                   disabled={isEnhancing}
                 />
+                <LintFindings findings={findings} path={`projects[${index}].description`} />
                 <div className="text-sm text-gray-500 mt-1">
                   {project.description?.length || 0}/500 characters
                 </div>
@@ -273,7 +286,7 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
           <h3 className="font-medium text-gray-700 mb-2">📋 Example Project:</h3>
           <div className="text-sm text-gray-600">
             <p className="font-medium">"Task Management Web Application"</p>
-            <p className="text-gray-500 mb-2">Duration: 4 months</p>
+            <p className="text-gray-500 mb-2">Timeline: Jan 2024 - Apr 2024</p>
             <p className="italic">
               "Developed a full-stack task management application using React.js, Node.js, and MongoDB. 
               Implemented user authentication, real-time updates with Socket.io, and responsive design. 
@@ -283,9 +296,12 @@ const ProjectsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
           </div>
           <button
             onClick={() => {
-              handleProjectChange(0, 'title', 'Task Management Web Application');
-              handleProjectChange(0, 'duration', '4 months');
-              handleProjectChange(0, 'description', 'Developed a full-stack task management application using React.js, Node.js, and MongoDB. Implemented user authentication, real-time updates with Socket.io, and responsive design. The application supports team collaboration features and has been used by 200+ users. Deployed on AWS with CI/CD pipeline integration.');
+              onChange([{
+                ...projectsData[0],
+                title: 'Task Management Web Application',
+                description: 'Developed a full-stack task management application using React.js, Node.js, and MongoDB. Implemented user authentication, real-time updates with Socket.io, and responsive design. The application supports team collaboration features and has been used by 200+ users. Deployed on AWS with CI/CD pipeline integration.',
+                ...buildDateFields({ startDate: { month: 1, year: 2024 }, endDate: { month: 4, year: 2024 } }, 'duration')
+              }]);
             }}
             className="mt-2 text-xs text-blue-600 hover:text-blue-800 underline"
           >
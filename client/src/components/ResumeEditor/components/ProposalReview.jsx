@@ -0,0 +1,97 @@
+import React from 'react';
+import { formatProposalValue, isStaleProposal, proposalLabel } from '../../../utils/proposals';
+import { FALLBACK_REASONS } from '../../../utils/constants';
+
+/**
+ * Pending AI enhancement proposals, each shown as current/suggested text to accept or reject
+ * @param {Array} proposals - Pending proposals ({ _id, section, path, original, proposed, fallbackReason })
+ * @param {Object} resumeData - Current resume data, used to flag proposals whose field was edited since
+ * @param {Function} onReview - Called with (acceptIds, rejectIds)
+ * @param {boolean} isReviewing - Disables the buttons while a review is being saved
+ */
+const ProposalReview = ({ proposals = [], resumeData, onReview, isReviewing = false }) => {
+  if (proposals.length === 0) return null;
+
+  const ids = proposals.map(proposal => proposal._id);
+
+  return (
+    <div className="proposal-review bg-white shadow-lg rounded-lg mb-6 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
+            <span className="text-purple-600 text-lg">🤖</span>
+          </div>
+          <div>
+            <h2 className="font-semibold text-gray-800">AI Suggestions</h2>
+            <p className="text-xs text-gray-500">
+              {proposals.length} pending — nothing changes until you accept it
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onReview(ids, [])}
+            disabled={isReviewing}
+            className="px-3 py-1.5 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+          >
+            Accept all
+          </button>
+          <button
+            onClick={() => onReview([], ids)}
+            disabled={isReviewing}
+            className="px-3 py-1.5 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Reject all
+          </button>
+        </div>
+      </div>
+
+      <ul className="space-y-3 max-h-96 overflow-y-auto">
+        {proposals.map(proposal => {
+          const isStale = isStaleProposal(resumeData, proposal);
+          return (
+            <li key={proposal._id} className="border border-gray-200 rounded p-3 text-sm">
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="font-medium text-gray-700">{proposalLabel(proposal.path)}</span>
+                {isStale && (
+                  <span className="text-xs text-amber-700">⚠️ Field edited since this suggestion</span>
+                )}
+                {!isStale && proposal.fallbackReason && (
+                  <span className="text-xs text-gray-500">
+                    Basic suggestion: {FALLBACK_REASONS[proposal.fallbackReason] || 'AI output was not used'}
+                  </span>
+                )}
+              </div>
+              <div className="grid md:grid-cols-2 gap-2">
+                <div className="bg-red-50 border border-red-100 rounded p-2 text-gray-600 line-through decoration-red-300">
+                  {formatProposalValue(proposal.original)}
+                </div>
+                <div className="bg-green-50 border border-green-100 rounded p-2 text-gray-800">
+                  {formatProposalValue(proposal.proposed)}
+                </div>
+              </div>
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  onClick={() => onReview([proposal._id], [])}
+                  disabled={isReviewing || isStale}
+                  className="px-3 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => onReview([], [proposal._id])}
+                  disabled={isReviewing}
+                  className="px-3 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ProposalReview;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
+import LintFindings from './LintFindings';
 
-const SkillsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
+const SkillsSection = ({ data, onChange, findings, onEnhance, isEnhancing }) => {
   const [newSkill, setNewSkill] = useState('');
   const [skillCategories, setSkillCategories] = useState({
     technical: [],
@@ -171,6 +172,7 @@ const SkillsSection = ({ data, onChange, onEnhance, isEnhancing }) => {
             </div>
           ))}
         </div>
+        <LintFindings findings={findings} path="skills" nested />
 
         {/* Skills Preview */}
         {skillsData.some(skill => skill?.trim()) && (
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
+import LintFindings from './LintFindings';
 
-const SummarySection = ({ data, onChange, onEnhance, isEnhancing }) => {
+const SummarySection = ({ data, onChange, findings, onEnhance, isEnhancing }) => {
   const [charCount, setCharCount] = useState(data?.length || 0);
   const maxChars = 500;
 
@@ -75,6 +76,7 @@ const SummarySection = ({ data, onChange, onEnhance, isEnhancing }) => {
           className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors resize-none"
           disabled={isEnhancing}
         />
+        <LintFindings findings={findings} path="summary" />
 
         {/* Character Count */}
         <div className="flex justify-between items-center text-sm">
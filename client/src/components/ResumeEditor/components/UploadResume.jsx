@@ -1,15 +1,28 @@
 import React, { useState, useRef } from 'react';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { applyProposal, getAtPath, proposalLabel } from '../../../utils/proposals';
+
+/**
+ * Source lines a parsed field was read from ("line 4", "lines 12-14")
+ * @param {Array|null} lines - [first, last] line numbers, or null for a placeholder
+ * @returns {string} Label
+ */
+const sourceLinesLabel = (lines) => {
+  if (!lines) return 'not found in the file';
+  return lines[0] === lines[1] ? `line ${lines[0]}` : `lines ${lines[0]}–${lines[1]}`;
+};
 
 const UploadResume = ({ onClose, onResumeUploaded }) => {
   const [file, setFile] = useState(null);
   const [editType, setEditType] = useState('manual');
   const [uploading, setUploading] = useState(false);
   const [dragActive, setDragActive] = useState(false);
+  // Parsed fields the parser was unsure of, shown for review before opening the editor
+  const [review, setReview] = useState(null);
   const fileInputRef = useRef(null);
 
-  const allowedTypes = ['.pdf', '.doc', '.docx', '.txt'];
+  const allowedTypes = ['.pdf', '.doc', '.docx', '.txt', '.json'];
   const maxFileSize = 10 * 1024 * 1024; // 10MB
 
   const handleFileChange = (e) => {
@@ -86,24 +99,43 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
       );
 
       if (response.data.success) {
-        const { parsedData, resume } = response.data.data;
+        const { resume, job, warnings = [], provenance = [] } = response.data.data;
+        // Saved uploads are edited as that resume, so later saves carry its id and version
+        const parsedData = resume
+          ? { ...response.data.data.parsedData, _id: resume.id, version: resume.version }
+          : response.data.data.parsedData;
         
         toast.update(loadingToastId, {
           render: editType === 'ai' 
-            ? 'Resume uploaded and enhanced successfully!' 
+            ? (job ? 'Resume uploaded - preparing AI suggestions...' : 'Resume uploaded without AI suggestions (AI quota used up or AI unavailable)')
             : 'Resume uploaded and parsed successfully!',
           type: 'success',
           isLoading: false,
           autoClose: 3000,
         });
 
-        // Pass the parsed data to parent component
-        onResumeUploaded(parsedData);
-        
+        // Fields that could not be mapped (JSON Resume) or saved
+        if (warnings.length > 0) {
+          console.warn('Upload warnings:', warnings);
+          toast.warning(`${warnings.length} field(s) could not be imported - please review your resume`);
+        }
+
         // Store resume ID if available
         if (resume && resume.id) {
           localStorage.setItem('resumeId', resume.id);
         }
+
+        // Low-confidence fields are checked first; otherwise pass the parsed data and the AI suggestion job to parent component
+        const unsure = provenance.filter(field => field.review);
+        if (unsure.length > 0) {
+          setReview({
+            parsedData,
+            job,
+            fields: unsure.map(field => ({ ...field, value: getAtPath(parsedData, field.path) ?? '' }))
+          });
+        } else {
+          onResumeUploaded(parsedData, job);
+        }
       } else {
         throw new Error(response.data.message || 'Upload failed');
       }
@@ -123,6 +155,21 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
     }
   };
 
+  const handleReviewChange = (path, value) => {
+    setReview(current => ({
+      ...current,
+      fields: current.fields.map(field => (field.path === path ? { ...field, value } : field))
+    }));
+  };
+
+  const handleReviewDone = () => {
+    const reviewed = review.fields.reduce(
+      (data, field) => applyProposal(data, { path: field.path, proposed: field.value }),
+      review.parsedData
+    );
+    onResumeUploaded(reviewed, review.job);
+  };
+
   const clearFile = () => {
     setFile(null);
     if (fileInputRef.current) {
@@ -138,6 +185,67 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  if (review) {
+    return (
+      <div className="upload-modal fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-xl max-w-lg w-full mx-4 shadow-2xl">
+          {/* Header */}
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <span className="text-2xl">🔎</span>
+              Check These Fields
+            </h2>
+            <p className="text-gray-600 mt-2">
+              We weren't sure we read {review.fields.length === 1 ? 'this field' : `these ${review.fields.length} fields`} correctly.
+              Compare them with your file and fix anything that looks wrong.
+            </p>
+          </div>
+
+          {/* Fields to review */}
+          <div className="p-6 space-y-4 max-h-96 overflow-y-auto">
+            {review.fields.map(field => (
+              <div key={field.path}>
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <label className="text-sm font-medium text-gray-700">
+                    {proposalLabel(field.path)}
+                  </label>
+                  <span className="text-xs text-gray-500">
+                    {sourceLinesLabel(field.lines)} · {Math.round(field.confidence * 100)}% sure
+                  </span>
+                </div>
+                {String(field.value).length > 80 ? (
+                  <textarea
+                    value={field.value}
+                    onChange={(e) => handleReviewChange(field.path, e.target.value)}
+                    rows={3}
+                    className="w-full p-2 border border-amber-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={field.value}
+                    onChange={(e) => handleReviewChange(field.path, e.target.value)}
+                    className="w-full p-2 border border-amber-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Footer */}
+          <div className="p-6 border-t border-gray-200">
+            <button
+              onClick={handleReviewDone}
+              className="w-full py-3 px-4 rounded-lg font-medium bg-blue-500 hover:bg-blue-600 text-white shadow-md hover:shadow-lg transition-all duration-200"
+            >
+              Continue to Editor
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="upload-modal fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl max-w-md w-full mx-4 shadow-2xl">
@@ -182,7 +290,7 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.doc,.docx,.txt,.json"
               onChange={handleFileChange}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
               disabled={uploading}
@@ -215,7 +323,7 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
                     Drop your resume here or click to browse
                   </p>
                   <p className="text-sm text-gray-600 mt-1">
-                    Supports: PDF, DOC, DOCX, TXT (Max 10MB)
+                    Supports: PDF, DOC, DOCX, TXT, JSON Resume (Max 10MB)
                   </p>
                 </div>
               </div>
@@ -264,7 +372,7 @@ const UploadResume = ({ onClose, onResumeUploaded }) => {
                     </span>
                   </div>
                   <div className="text-sm text-gray-600">
-                    Let AI automatically improve grammar and enhance content
+                    Let AI suggest grammar and content improvements for you to review
                   </div>
                 </div>
               </label>
@@ -0,0 +1,56 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { resumeAPI } from '../utils/api';
+
+/**
+ * Stream AI field enhancements, exposing the text as it is generated
+ * Starting a new enhancement cancels the previous one, and unmounting cancels any in flight
+ * @returns {Object} { streamingText, isStreaming, enhanceField, cancel }
+ */
+const useAIEnhancement = () => {
+  const [streamingText, setStreamingText] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  useEffect(() => cancel, [cancel]);
+
+  /**
+   * Enhance one text field
+   * @param {Object} request - { resumeId, section, content, enhancementType }
+   * @returns {Promise<Object|null>} { enhancedContent, usedFallback, ... }, or null if cancelled
+   */
+  const enhanceField = useCallback(async (request) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setStreamingText('');
+    setIsStreaming(true);
+
+    try {
+      return await resumeAPI.streamEnhanceField(request, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'token') {
+            setStreamingText(prev => prev + data.text);
+          }
+        }
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return null;
+      throw error;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, []);
+
+  return { streamingText, isStreaming, enhanceField, cancel };
+};
+
+export default useAIEnhancement;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { resumeAPI } from '../utils/api';
+
+/**
+ * Follow a background job (AI enhancement) until it finishes, exposing its progress
+ * Cancelling stops the job on the server; unmounting only stops following it
+ * @returns {Object} { progress, isRunning, waitForJob, cancel }
+ */
+const useBackgroundJob = () => {
+  const [progress, setProgress] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const activeRef = useRef(null); // { jobId, controller }
+
+  const cancel = useCallback(async () => {
+    const active = activeRef.current;
+    if (!active) return;
+
+    active.controller.abort();
+    try {
+      await resumeAPI.cancelJob(active.jobId);
+    } catch (error) {
+      console.error('Job cancel error:', error);
+    }
+  }, []);
+
+  useEffect(() => () => activeRef.current?.controller.abort(), []);
+
+  /**
+   * Wait for a job to finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} The finished job, or null if cancelled here
+   */
+  const waitForJob = useCallback(async (jobId) => {
+    const controller = new AbortController();
+    activeRef.current = { jobId, controller };
+
+    setProgress(null);
+    setIsRunning(true);
+
+    try {
+      return await resumeAPI.waitForJob(jobId, {
+        signal: controller.signal,
+        onProgress: (job) => setProgress(job.progress)
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return null;
+      throw error;
+    } finally {
+      if (activeRef.current?.controller === controller) {
+        activeRef.current = null;
+        setIsRunning(false);
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  return { progress, isRunning, waitForJob, cancel };
+};
+
+export default useBackgroundJob;
\ No newline at end of file
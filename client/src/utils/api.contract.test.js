@@ -0,0 +1,186 @@
+import { createRequire } from 'module';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import api, { resumeAPI } from './api';
+import { API_CONFIG } from './constants';
+
+// Run the client API calls against the real /api/resume routes, backed by an in-memory database
+const serverRequire = createRequire(new URL('../../../server/package.json', import.meta.url));
+const express = serverRequire('express');
+const resumeRoutes = serverRequire('./routes/resume');
+const Resume = serverRequire('./models/Resume');
+const ResumeRevision = serverRequire('./models/ResumeRevision');
+const { useMemoryDb } = serverRequire('./tests/helpers/memoryDb');
+
+const resumeData = {
+  name: 'Jane Doe',
+  role: 'Software Engineer',
+  phone: '+1 (555) 123-4567',
+  email: 'jane@example.com',
+  location: 'Berlin, Germany',
+  summary: 'Software engineer with six years of experience building web applications in React and Node.js.',
+  experience: [{
+    title: 'Senior Developer',
+    companyName: 'Acme',
+    date: 'Jan 2020 - Present',
+    companyLocation: 'Berlin',
+    accomplishment: ['Led the migration to React, cutting page load time by 40%']
+  }],
+  skills: ['React', 'Node.js', 'MongoDB']
+};
+
+describe('resumeAPI contract with /api/resume', () => {
+  let db;
+  let server;
+
+  beforeAll(async () => {
+    // The API and controllers log every request and error; keep the test output readable
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    db = useMemoryDb(Resume, ResumeRevision);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/resume', resumeRoutes);
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+
+    const baseURL = `http://127.0.0.1:${server.address().port}`;
+    api.defaults.baseURL = baseURL;
+    API_CONFIG.BASE_URL = baseURL;
+  });
+
+  afterAll(async () => {
+    vi.restoreAllMocks();
+    db.restore();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => db.reset());
+
+  it('creates a resume on the first save and keeps the values the client sent', async () => {
+    const response = await resumeAPI.save({ email: 'new@example.com', name: 'New Person' });
+
+    expect(response.status).toBe(201);
+    expect(response.data.success).toBe(true);
+    const { resume } = response.data.data;
+    expect(resume._id).toBeTruthy();
+    expect(resume.version).toBe(1);
+    expect(resume.name).toBe('New Person');
+    expect(resume.email).toBe('new@example.com');
+    expect(resume.role).toBe('Your Professional Role');
+    expect(resume.skills).toEqual([]);
+  });
+
+  it('updates a saved resume by _id and bumps its version', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const response = await resumeAPI.save({ ...created, summary: `${resumeData.summary} Now leading a team of five.`, version: created.version });
+
+    expect(response.status).toBe(200);
+    expect(response.data.data.resume._id).toBe(created._id);
+    expect(response.data.data.resume.version).toBe(created.version + 1);
+    expect(response.data.data.resume.summary).toMatch(/team of five/);
+    expect(db.docs(ResumeRevision).map(revision => revision.source)).toEqual(['create', 'save']);
+  });
+
+  it('rejects a stale save with 409 and the server copy', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+    await resumeAPI.save({ ...created, role: 'Staff Engineer', version: created.version });
+
+    const error = await resumeAPI.save({ ...created, role: 'Lead Engineer', version: created.version })
+      .catch(saveError => saveError);
+
+    expect(error.response.status).toBe(409);
+    expect(error.response.data.details.resume.role).toBe('Staff Engineer');
+    expect(error.response.data.details.resume.version).toBe(created.version + 1);
+  });
+
+  it('requires the version to update a saved resume', async () => {
+    const { version, ...created } = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const error = await resumeAPI.save({ ...created, role: 'Lead Engineer' }).catch(saveError => saveError);
+
+    expect(error.response.status).toBe(400);
+    expect(error.response.data.errors.map(detail => detail.path)).toContain('version');
+    expect(db.docs(Resume)[0]).toMatchObject({ role: resumeData.role, version });
+  });
+
+  it('does not overwrite a saved resume found by email alone', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const error = await resumeAPI.save({ ...resumeData, role: 'Lead Engineer' }).catch(saveError => saveError);
+
+    expect(error.response.status).toBe(409);
+    expect(error.response.data.details).toMatchObject({ error: 'VERSION_CONFLICT', expectedVersion: null });
+    expect(error.response.data.details.resume._id).toBe(created._id);
+    expect(db.docs(Resume)[0].role).toBe(resumeData.role);
+  });
+
+  it('loads a saved resume by id', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const response = await resumeAPI.get(created._id);
+
+    expect(response.data.data.resume).toMatchObject({
+      _id: created._id,
+      name: 'Jane Doe',
+      phone: '+15551234567',
+      skills: ['React', 'Node.js', 'MongoDB']
+    });
+    expect(typeof response.data.data.completeness).toBe('number');
+  });
+
+  it('returns 404 for a resume that does not exist', async () => {
+    const error = await resumeAPI.get('0123456789abcdef01234567').catch(loadError => loadError);
+
+    expect(error.response.status).toBe(404);
+    expect(error.response.data.success).toBe(false);
+  });
+
+  it('exports a saved resume as a JSON Resume document', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const response = await resumeAPI.exportJSONResume(created._id);
+
+    expect(response.data.data.resume.basics).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com' });
+    expect(response.data.data.resume.work[0]).toMatchObject({ name: 'Acme', position: 'Senior Developer' });
+    expect(Array.isArray(response.data.data.warnings)).toBe(true);
+  });
+
+  it('downloads a saved resume as plain text', async () => {
+    const created = (await resumeAPI.save(resumeData)).data.data.resume;
+
+    const response = await resumeAPI.download(created._id, 'modern', 'txt');
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    // Node has no Blob reader in axios, so the file arrives as text here
+    const text = String(response.data);
+    expect(text).toContain('Jane Doe');
+    expect(text).toContain('Acme');
+  });
+
+  it('scores unsaved resume data against a job description', async () => {
+    const response = await resumeAPI.atsScore(
+      { _id: 'unsaved', ...resumeData },
+      'We are hiring a React developer with Node.js and Kubernetes experience.'
+    );
+
+    const { score, keywords } = response.data.data;
+    expect(score).toBeGreaterThan(0);
+    expect(score).toBeLessThanOrEqual(100);
+    expect(keywords.matched.map(match => match.keyword)).toContain('React');
+  });
+
+  it('lints unsaved resume data and returns findings', async () => {
+    const response = await resumeAPI.validate({
+      ...resumeData,
+      experience: [{ ...resumeData.experience[0], accomplishment: ['Responsible for the build'] }]
+    });
+
+    const { findings } = response.data.data;
+    expect(Array.isArray(findings)).toBe(true);
+    expect(findings.some(finding => finding.path.startsWith('experience[0]'))).toBe(true);
+  });
+});
\ No newline at end of file
@@ -1,13 +1,11 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
-
-// API Configuration
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+import { API_CONFIG, EXPORT_FORMATS } from './constants';
 
 // Create axios instance with default config
 const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 60000, // 60 seconds timeout
+  baseURL: API_CONFIG.BASE_URL,
+  timeout: API_CONFIG.TIMEOUT,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -49,16 +47,86 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Open a Server-Sent Events endpoint and pass each event to onEvent as it arrives
+ * axios buffers the whole response in the browser, so streams go through fetch
+ * @param {string} endpoint - Endpoint path from API_CONFIG.ENDPOINTS
+ * @param {Object|null} body - JSON request body to POST, or null to GET
+ * @param {Object} options - { signal, onEvent(event, data) }
+ * @returns {Promise<Object>} Data of the final 'done' event; rejects on an 'error' event or when aborted
+ */
+const streamEvents = async (endpoint, body, { signal, onEvent = () => {} } = {}) => {
+  const method = body === null ? 'GET' : 'POST';
+  console.log(`🚀 API Stream: ${method} ${endpoint}`);
+
+  const response = await fetch(`${API_CONFIG.BASE_URL}${endpoint}`, {
+    method,
+    headers: {
+      ...(body === null ? {} : { 'Content-Type': 'application/json' }),
+      'Accept': 'text/event-stream'
+    },
+    body: body === null ? undefined : JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Stream request failed with status ${response.status}`);
+    error.response = { status: response.status, data: await response.json().catch(() => null) };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line: "event: <name>\ndata: <json>\n\n"
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = message.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = JSON.parse(message.match(/^data: (.*)$/m)?.[1] || 'null');
+
+      if (event === 'error') {
+        throw new Error(data?.message || 'Stream failed');
+      }
+      if (event === 'done') {
+        result = data;
+      }
+      onEvent(event, data);
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended before it finished');
+  }
+  console.log(`✅ API Stream finished: ${endpoint}`);
+  return result;
+};
+
 // Resume API endpoints
+// Every call maps onto a documented server route (see server/README.md,
+// "Client API Contract"); responses use the server's { success, message, data } envelope.
 export const resumeAPI = {
   /**
    * Save resume data to backend
-   * @param {Object} resumeData - Complete resume data object
-   * @returns {Promise} API response with saved resume data including _id
+   * @param {Object} resumeData - Complete resume data object (with _id once saved)
+   * @returns {Promise} API response; saved resume is at data.data.resume
    */
   save: async (resumeData) => {
     try {
-      const response = await api.post('/api/myTemp/save', resumeData);
+      const { _id, ...payload } = resumeData;
+      const response = await api.put(API_CONFIG.ENDPOINTS.SAVE_RESUME, {
+        ...payload,
+        ...(_id ? { resumeId: _id } : {})
+      });
       return response;
     } catch (error) {
       console.error('Failed to save resume:', error);
@@ -69,11 +137,11 @@ export const resumeAPI = {
   /**
    * Get resume data by ID
    * @param {string} resumeId - Resume ID from localStorage
-   * @returns {Promise} API response with resume data
+   * @returns {Promise} API response; resume is at data.data.resume
    */
   get: async (resumeId) => {
     try {
-      const response = await api.get(`/api/myTemp/get/${resumeId}`);
+      const response = await api.get(`${API_CONFIG.ENDPOINTS.GET_RESUME}/${resumeId}`);
       return response;
     } catch (error) {
       console.error('Failed to get resume:', error);
@@ -84,13 +152,14 @@ export const resumeAPI = {
   /**
    * Enhance resume section using AI
    * @param {string} resumeId - Resume ID
-   * @param {string} field - Section to enhance (summary, experience, achievements, etc.)
-   * @returns {Promise} API response with enhanced data
+   * @param {string} field - Section to enhance (summary, experience, achievements, projects, skills)
+   * @returns {Promise} API response (202); the queued job is at data.data.job, see waitForJob
    */
   enhance: async (resumeId, field) => {
     try {
-      const response = await api.post(`/api/myTemp/enhance/${resumeId}`, { 
-        field 
+      const response = await api.post(API_CONFIG.ENDPOINTS.ENHANCE_RESUME, {
+        resumeId,
+        sections: [field]
       });
       return response;
     } catch (error) {
@@ -100,21 +169,201 @@ export const resumeAPI = {
   },
 
   /**
-   * Download resume as PDF
+   * Enhance one text field with AI, streaming the generated text
+   * @param {Object} request - { resumeId, section, content, enhancementType }
+   * @param {Object} options - { signal, onEvent(event, data) }; 'token' events carry { text }
+   * @returns {Promise} Final result: { section, originalContent, enhancedContent, enhancementType, usedFallback, fallbackReason, repairs, cached, promptVersion, proposal }
+   */
+  streamEnhanceField: async (request, options = {}) => {
+    try {
+      return await streamEvents(API_CONFIG.ENDPOINTS.ENHANCE_FIELD_STREAM, request, options);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`Failed to stream ${request.section} enhancement:`, error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Wait for a background job (AI enhancement), streaming its progress
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { signal, onProgress(job) }
+   * @returns {Promise<Object>} The finished job: status completed (result), failed (error) or cancelled
+   */
+  waitForJob: async (jobId, { signal, onProgress = () => {} } = {}) => {
+    try {
+      const { job } = await streamEvents(`${API_CONFIG.ENDPOINTS.JOBS}/${jobId}/stream`, null, {
+        signal,
+        onEvent: (event, data) => {
+          if (event === 'progress') {
+            onProgress(data.job);
+          }
+        }
+      });
+      return job;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`Failed to follow job ${jobId}:`, error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel a queued or running background job
+   * @param {string} jobId - Job ID
+   * @returns {Promise} API response; the job is at data.data.job
+   */
+  cancelJob: async (jobId) => {
+    try {
+      const response = await api.post(`${API_CONFIG.ENDPOINTS.JOBS}/${jobId}/cancel`);
+      return response;
+    } catch (error) {
+      console.error(`Failed to cancel job ${jobId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Accept and reject pending AI enhancement proposals
    * @param {string} resumeId - Resume ID
-   * @returns {Promise} Blob response for PDF download
+   * @param {Array} accept - Proposal ids to apply
+   * @param {Array} reject - Proposal ids to discard
+   * @returns {Promise} API response; updated resume is at data.data.resume, outcome ids at data.data.applied/rejected/stale
    */
-  download: async (resumeId) => {
+  reviewProposals: async (resumeId, accept = [], reject = []) => {
     try {
-      const response = await api.get(`/api/myTemp/download/${resumeId}`, {
+      const response = await api.post(`${API_CONFIG.ENDPOINTS.ENHANCE_PROPOSALS}/${resumeId}/review`, {
+        accept,
+        reject
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to review proposals:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get accepted AI enhancements, newest first
+   * @param {string} resumeId - Resume ID
+   * @param {number} limit - Entries per page (default: 10, max 50)
+   * @param {number} page - Page number (default: 1)
+   * @returns {Promise} API response; entries are at data.data.history
+   */
+  getEnhancementHistory: async (resumeId, limit = 10, page = 1) => {
+    try {
+      const response = await api.get(`${API_CONFIG.ENDPOINTS.ENHANCE_HISTORY}/${resumeId}`, {
+        params: { limit, page }
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to get enhancement history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revert an accepted AI enhancement, restoring the text it replaced
+   * @param {string} resumeId - Resume ID
+   * @param {string} entryId - Enhancement history entry ID
+   * @param {boolean} force - Revert even if the field was edited since (otherwise 409 FIELD_CHANGED)
+   * @returns {Promise} API response; updated resume is at data.data.resume
+   */
+  revertEnhancement: async (resumeId, entryId, force = false) => {
+    try {
+      const response = await api.post(`${API_CONFIG.ENDPOINTS.ENHANCE_HISTORY}/${resumeId}/${entryId}/revert`, {
+        force
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to revert enhancement:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download resume as a file
+   * @param {string} resumeId - Resume ID
+   * @param {string} template - Template ID (default: 'modern')
+   * @param {string} format - Export format from EXPORT_FORMATS (default: 'pdf')
+   * @param {Object} options - Text export options (lineWidth, bulletStyle) for txt/md
+   * @returns {Promise} Blob response for the download
+   */
+  download: async (resumeId, template = 'modern', format = 'pdf', options = {}) => {
+    try {
+      const response = await api.post(API_CONFIG.ENDPOINTS.DOWNLOAD_RESUME, {
+        resumeId,
+        template,
+        format,
+        ...options
+      }, {
         responseType: 'blob',
         headers: {
-          'Accept': 'application/pdf'
+          'Accept': EXPORT_FORMATS[format].mimeType
         }
       });
       return response;
     } catch (error) {
-      console.error('Failed to download PDF:', error);
+      console.error(`Failed to download ${format}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Export resume as a JSON Resume (jsonresume.org) document
+   * @param {string} resumeId - Resume ID
+   * @returns {Promise} API response; document is at data.data.resume, mapping loss at data.data.warnings
+   */
+  exportJSONResume: async (resumeId) => {
+    try {
+      const response = await api.get(`${API_CONFIG.ENDPOINTS.RESUME_BASE}/${resumeId}/export`, {
+        params: { format: 'jsonresume' }
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to export JSON Resume:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Score the resume's keyword coverage against a job description
+   * @param {Object} resumeData - Resume data as currently edited (saved or not)
+   * @param {string} jobDescription - Pasted job description
+   * @param {boolean} useAI - Also look for keywords suggested by the AI provider
+   * @returns {Promise} API response; score, keywords and section breakdown are at data.data
+   */
+  atsScore: async (resumeData, jobDescription, useAI = false) => {
+    try {
+      const { _id, ...resume } = resumeData;
+      const response = await api.post(API_CONFIG.ENDPOINTS.ATS_SCORE, {
+        resume,
+        jobDescription,
+        useAI
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to calculate ATS score:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lint resume data for quality issues (weak verbs, missing metrics, tense, gaps...)
+   * @param {Object} resumeData - Resume data as currently edited (saved or not)
+   * @returns {Promise} API response; findings ({ rule, severity, path, message, hint }) are at data.data.findings
+   */
+  validate: async (resumeData) => {
+    try {
+      const { _id, ...resume } = resumeData;
+      const response = await api.post(API_CONFIG.ENDPOINTS.VALIDATE_RESUME, {
+        resumeData: resume
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to validate resume:', error);
       throw error;
     }
   }
@@ -129,7 +378,7 @@ export const uploadAPI = {
    */
   uploadResume: async (formData) => {
     try {
-      const response = await api.post('/api/upload/resume', formData, {
+      const response = await api.post(API_CONFIG.ENDPOINTS.UPLOAD_RESUME, formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         },
@@ -149,7 +398,7 @@ export const uploadAPI = {
    */
   parseText: async (textData) => {
     try {
-      const response = await api.post('/api/upload/parse-text', textData);
+      const response = await api.post(API_CONFIG.ENDPOINTS.PARSE_TEXT, textData);
       return response;
     } catch (error) {
       console.error('Failed to parse text:', error);
@@ -157,13 +406,32 @@ export const uploadAPI = {
     }
   },
 
+  /**
+   * Import a JSON Resume (jsonresume.org) document
+   * @param {Object} jsonResume - JSON Resume document
+   * @param {string} editType - 'manual' or 'ai'
+   * @returns {Promise} API response with parsedData and mapping warnings
+   */
+  importJSONResume: async (jsonResume, editType = 'manual') => {
+    try {
+      const response = await api.post(API_CONFIG.ENDPOINTS.IMPORT_JSON_RESUME, {
+        resume: jsonResume,
+        editType
+      });
+      return response;
+    } catch (error) {
+      console.error('Failed to import JSON Resume:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get upload status and configuration
    * @returns {Promise} Upload configuration and limits
    */
   getUploadStatus: async () => {
     try {
-      const response = await api.get('/api/upload/status');
+      const response = await api.get(API_CONFIG.ENDPOINTS.UPLOAD_STATUS);
       return response;
     } catch (error) {
       console.error('Failed to get upload status:', error);
@@ -172,6 +440,23 @@ export const uploadAPI = {
   }
 };
 
+// Auth API endpoints
+export const authAPI = {
+  /**
+   * Get this month's AI usage against the plan's quota
+   * @returns {Promise} API response; { plan, period, resetsAt, calls, tokens, exceeded } is at data.data.usage
+   */
+  getAIUsage: async () => {
+    try {
+      const response = await api.get(API_CONFIG.ENDPOINTS.AI_USAGE);
+      return response;
+    } catch (error) {
+      console.error('Failed to get AI usage:', error);
+      throw error;
+    }
+  }
+};
+
 // Utility functions
 export const apiUtils = {
   /**
@@ -199,7 +484,7 @@ export const apiUtils = {
   autoSave: async (resumeData, showToast = false) => {
     try {
       const response = await resumeAPI.save(resumeData);
-      const resumeId = response.data?.data?._id;
+      const resumeId = response.data?.data?.resume?._id;
       
       if (resumeId) {
         localStorage.setItem('resumeId', resumeId);
@@ -223,7 +508,7 @@ export const apiUtils = {
    * Enhanced section handler with auto-save
    * @param {string} resumeId - Current resume ID
    * @param {string} section - Section to enhance
-   * @param {Function} updateCallback - Function to update state with enhanced data
+   * @param {Function} updateCallback - Function to receive the new proposals for review
    * @returns {Promise<boolean>} Success status
    */
   enhanceWithAutoSave: async (resumeId, section, updateCallback) => {
@@ -232,17 +517,18 @@ export const apiUtils = {
         throw new Error('Resume ID is required for enhancement');
       }
 
-      // Call enhancement API
+      // Call enhancement API and wait for the background job
       const response = await resumeAPI.enhance(resumeId, section);
-      
-      if (response.data?.data) {
-        // Update the state with enhanced data
-        updateCallback(response.data.data);
-        toast.success(`${section} enhanced successfully!`);
+      const job = await resumeAPI.waitForJob(response.data.data.job._id);
+
+      if (job.status === 'completed') {
+        // Proposals are applied only once the user accepts them
+        updateCallback(job.result.proposals);
+        toast.success(`${section} suggestions ready for review`);
         return true;
       }
       
-      throw new Error('No enhanced data received');
+      throw new Error(job.error || `Enhancement ${job.status}`);
     } catch (error) {
       toast.error(`Failed to enhance ${section}`);
       console.error(`Enhancement failed for ${section}:`, error);
@@ -253,24 +539,27 @@ export const apiUtils = {
   /**
    * Download resume with proper error handling
    * @param {string} resumeId - Resume ID
-   * @param {string} filename - Download filename
+   * @param {string} format - Export format from EXPORT_FORMATS (default: 'pdf')
+   * @param {string} template - Template ID (default: 'modern')
    * @returns {Promise<boolean>} Success status
    */
-  downloadResume: async (resumeId, filename = 'UptoSkills_Resume.pdf') => {
+  downloadResume: async (resumeId, format = 'pdf', template = 'modern') => {
     try {
       if (!resumeId) {
         toast.error('Please save your resume first');
         return false;
       }
 
-      const loadingToastId = toast.loading('Preparing your resume PDF...');
+      const { label, mimeType, extension } = EXPORT_FORMATS[format];
+      const filename = `UptoSkills_Resume.${extension}`;
+      const loadingToastId = toast.loading(`Preparing your resume ${label}...`);
       
-      const response = await resumeAPI.download(resumeId);
+      const response = await resumeAPI.download(resumeId, template, format);
       
-      // Verify it's a PDF
+      // Verify the file type
       const contentType = response.headers['content-type'];
-      if (!contentType?.includes('application/pdf')) {
-        throw new Error(`Expected PDF, got ${contentType}`);
+      if (!contentType?.includes(mimeType)) {
+        throw new Error(`Expected ${label}, got ${contentType}`);
       }
 
       // Create download link
@@ -302,7 +591,7 @@ export const apiUtils = {
 // Health check function
 export const healthCheck = async () => {
   try {
-    const response = await api.get('/health');
+    const response = await api.get(API_CONFIG.ENDPOINTS.HEALTH_CHECK);
     console.log('✅ Backend is healthy:', response.data);
     return true;
   } catch (error) {
@@ -4,29 +4,63 @@
 
 // API Configuration
 export const API_CONFIG = {
-  BASE_URL: process.env.REACT_APP_API_URL || 'http://localhost:5000',
+  BASE_URL: import.meta.env.VITE_API_URL || 'http://localhost:5000',
   TIMEOUT: 60000, // 60 seconds
   ENDPOINTS: {
-    SAVE_RESUME: '/api/myTemp/save',
-    GET_RESUME: '/api/myTemp/get',
-    ENHANCE_RESUME: '/api/myTemp/enhance',
-    DOWNLOAD_RESUME: '/api/myTemp/download',
+    SAVE_RESUME: '/api/resume/save',
+    GET_RESUME: '/api/resume/load',
+    RESUME_BASE: '/api/resume',
+    ENHANCE_RESUME: '/api/enhance/full',
+    ENHANCE_FIELD_STREAM: '/api/enhance/field/stream',
+    ENHANCE_PROPOSALS: '/api/enhance/proposals',
+    ENHANCE_HISTORY: '/api/enhance/history',
+    DOWNLOAD_RESUME: '/api/resume/download',
+    ATS_SCORE: '/api/resume/ats-score',
+    VALIDATE_RESUME: '/api/resume/validate',
     UPLOAD_RESUME: '/api/upload/resume',
     PARSE_TEXT: '/api/upload/parse-text',
+    IMPORT_JSON_RESUME: '/api/upload/json-resume',
+    JOBS: '/api/jobs',
+    AI_USAGE: '/api/auth/usage',
     UPLOAD_STATUS: '/api/upload/status',
     HEALTH_CHECK: '/health'
   }
 };
 
+// Download formats offered by the download endpoint
+export const EXPORT_FORMATS = {
+  pdf: {
+    label: 'PDF',
+    mimeType: 'application/pdf',
+    extension: 'pdf'
+  },
+  docx: {
+    label: 'Word',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  txt: {
+    label: 'Text',
+    mimeType: 'text/plain',
+    extension: 'txt'
+  },
+  md: {
+    label: 'Markdown',
+    mimeType: 'text/markdown',
+    extension: 'md'
+  }
+};
+
 // File Upload Configuration
 export const FILE_CONFIG = {
   MAX_SIZE: 10 * 1024 * 1024, // 10MB
-  ALLOWED_TYPES: ['.pdf', '.doc', '.docx', '.txt'],
+  ALLOWED_TYPES: ['.pdf', '.doc', '.docx', '.txt', '.json'],
   ALLOWED_MIME_TYPES: [
     'application/pdf',
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/json'
   ]
 };
 
@@ -36,13 +70,16 @@ export const RESUME_SCHEMA = {
   email: '',
   phone: '',
   linkedin: '',
-  address: '',
+  location: '',
   summary: '',
   experience: [
     {
       title: '',
       companyName: '',
       date: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       companyLocation: '',
       accomplishment: ['']
     }
@@ -52,6 +89,9 @@ export const RESUME_SCHEMA = {
       degree: '',
       institution: '',
       duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false,
       location: ''
     }
   ],
@@ -67,7 +107,10 @@ export const RESUME_SCHEMA = {
     {
       title: '',
       description: '',
-      duration: ''
+      duration: '',
+      startDate: null,
+      endDate: null,
+      isCurrent: false
     }
   ],
   courses: [
@@ -199,6 +242,7 @@ export const VALIDATION_RULES = {
 export const TOAST_MESSAGES = {
   SAVE_SUCCESS: 'Resume saved successfully!',
   SAVE_ERROR: 'Failed to save resume',
+  SAVE_CONFLICT: (sections) => `Resume was changed elsewhere. Conflicting sections: ${sections.join(', ')}`,
   ENHANCE_SUCCESS: (section) => `${section} enhanced successfully!`,
   ENHANCE_ERROR: (section) => `Failed to enhance ${section}`,
   DOWNLOAD_SUCCESS: 'Resume downloaded successfully!',
@@ -213,6 +257,17 @@ export const TOAST_MESSAGES = {
   GENERIC_ERROR: 'Something went wrong. Please try again.'
 };
 
+// Why an AI suggestion is the basic rule-based one (fallbackReason from the server)
+export const FALLBACK_REASONS = {
+  AI_UNAVAILABLE: 'AI is not available right now',
+  AI_ERROR: 'the AI request failed',
+  AI_QUOTA_EXCEEDED: 'the monthly AI quota ran out during this request',
+  EMPTY_RESPONSE: 'the AI returned no usable text',
+  INVENTED_EMPLOYER: 'the AI named an employer you did not mention',
+  INVENTED_DATE: 'the AI added a date you did not mention',
+  INVENTED_METRIC: 'the AI added a number you did not mention'
+};
+
 // Local Storage Keys
 export const STORAGE_KEYS = {
   RESUME_ID: 'resumeId',
@@ -279,25 +334,12 @@ export const SKILL_CATEGORIES = {
   }
 };
 
-// Date Format Patterns
-export const DATE_PATTERNS = [
-  { pattern: /^\d{1,2}\/\d{4}$/, example: 'MM/YYYY' },
-  { pattern: /^[A-Za-z]{3,9}\s\d{4}$/, example: 'Month YYYY' },
-  { pattern: /^\d{4}$/, example: 'YYYY' },
-  { pattern: /^\d{4}\s?-\s?\d{4}$/, example: 'YYYY-YYYY' },
-  { pattern: /^[A-Za-z]{3,9}\s\d{4}\s?-\s?[A-Za-z]{3,9}\s\d{4}$/, example: 'Month YYYY - Month YYYY' },
-  { pattern: /^[A-Za-z]{3,9}\s\d{4}\s?-\s?Present$/i, example: 'Month YYYY - Present' },
-  { pattern: /^\d{1,2}\/\d{4}\s?-\s?\d{1,2}\/\d{4}$/, example: 'MM/YYYY - MM/YYYY' },
-  { pattern: /^\d{1,2}\/\d{4}\s?-\s?Present$/i, example: 'MM/YYYY - Present' }
-];
-
 // Character Limits
 export const CHARACTER_LIMITS = {
   NAME: 100,
   EMAIL: 100,
   PHONE: 20,
   LINKEDIN: 200,
-  ADDRESS: 150,
   SUMMARY: 500,
   JOB_TITLE: 100,
   COMPANY_NAME: 100,
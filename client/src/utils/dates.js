@@ -0,0 +1,65 @@
+/**
+ * Structured date helpers for experience, education and project entries
+ * Mirrors server/services/dateService.js: entries hold { startDate: { month, year },
+ * endDate: { month, year }, isCurrent } and a display string the server keeps in sync
+ */
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Month choices for date pickers (1-12)
+export const MONTH_OPTIONS = Array.from({ length: 12 }, (_, index) => ({
+  value: index + 1,
+  label: new Intl.DateTimeFormat(DEFAULT_LOCALE, { month: 'short', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2000, index, 1)))
+}));
+
+/**
+ * Check whether a date point has a year
+ * @param {Object} point - { month, year }
+ * @returns {boolean} True if the point is set
+ */
+export const hasDate = (point) => !!(point && point.year);
+
+/**
+ * Format one date ("Jan 2020", or "2020" without a month)
+ * @param {Object} point - { month, year }
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {string} Formatted date
+ */
+export const formatDatePoint = (point, locale = DEFAULT_LOCALE) => {
+  if (!hasDate(point)) return '';
+  if (!point.month) return String(point.year);
+
+  return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(point.year, point.month - 1, 1)));
+};
+
+/**
+ * Format an entry's structured dates ("Jan 2020 - Present")
+ * @param {Object} entry - Entry with startDate, endDate and isCurrent
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {string} Date range, or '' without a start date
+ */
+export const formatDateRange = (entry, locale = DEFAULT_LOCALE) => {
+  if (!entry || !hasDate(entry.startDate)) return '';
+
+  const start = formatDatePoint(entry.startDate, locale);
+  if (entry.isCurrent) return `${start} - Present`;
+
+  const end = formatDatePoint(entry.endDate, locale);
+  return end && end !== start ? `${start} - ${end}` : start;
+};
+
+/**
+ * Build the fields to store on an entry when its dates change
+ * The display string is only replaced once a start date is picked
+ * @param {Object} dates - { startDate, endDate, isCurrent }
+ * @param {string} textField - Display field to keep in sync ('date' or 'duration')
+ * @returns {Object} Structured dates plus the display string
+ */
+export const buildDateFields = (dates, textField) => ({
+  startDate: dates.startDate,
+  endDate: dates.isCurrent ? null : dates.endDate,
+  isCurrent: !!dates.isCurrent,
+  ...(hasDate(dates.startDate) ? { [textField]: formatDateRange(dates) } : {})
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * AI enhancement proposal helpers
+ * Mirrors server/services/proposalService.js: a proposal holds { _id, section, path, original, proposed }
+ * where path names the field it would change ("summary", "experience[0].accomplishment[2]")
+ */
+
+// Readable names for the item fields a path can point at
+const FIELD_LABELS = {
+  accomplishment: 'bullet',
+  describe: 'description',
+  description: 'description'
+};
+
+/**
+ * Split a path into property names and array indexes
+ * @param {string} path - Field path ("experience[0].accomplishment[2]")
+ * @returns {Array} Keys (['experience', 0, 'accomplishment', 2])
+ */
+const parsePath = (path) => {
+  return (path.match(/[a-zA-Z]+|\d+/g) || []).map(key => (/^\d+$/.test(key) ? parseInt(key) : key));
+};
+
+/**
+ * Read the value at a path
+ * @param {Object} data - Resume data
+ * @param {string} path - Field path
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export const getAtPath = (data, path) => {
+  return parsePath(path).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+};
+
+/**
+ * Check whether the field a proposal targets still holds the value it was made from
+ * @param {Object} data - Resume data
+ * @param {Object} proposal - Proposal
+ * @returns {boolean} True if the field was edited since
+ */
+export const isStaleProposal = (data, proposal) => {
+  return JSON.stringify(getAtPath(data, proposal.path) ?? null) !== JSON.stringify(proposal.original ?? null);
+};
+
+/**
+ * Apply a proposal, copying only the objects along its path
+ * @param {Object} data - Resume data
+ * @param {Object} proposal - Proposal
+ * @returns {Object} Updated resume data
+ */
+export const applyProposal = (data, proposal) => {
+  const write = (target, keys) => {
+    const [key, ...rest] = keys;
+    const copy = Array.isArray(target) ? [...target] : { ...target };
+    copy[key] = rest.length === 0 ? proposal.proposed : write(target?.[key] ?? {}, rest);
+    return copy;
+  };
+  return write(data, parsePath(proposal.path));
+};
+
+/**
+ * Text to show for a proposal or history value (skills are a list)
+ * @param {*} value - String or string array
+ * @returns {string} Text
+ */
+export const formatProposalValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+
+/**
+ * Describe the field a proposal targets ("Experience 1 · bullet 3")
+ * @param {string} path - Field path
+ * @returns {string} Label
+ */
+export const proposalLabel = (path) => {
+  const keys = parsePath(path);
+  const parts = [];
+
+  keys.forEach((key, index) => {
+    if (typeof key === 'number') {
+      parts[parts.length - 1] += ` ${key + 1}`;
+    } else if (index === 0) {
+      parts.push(key.charAt(0).toUpperCase() + key.slice(1));
+    } else {
+      parts.push(FIELD_LABELS[key] || key);
+    }
+  });
+  return parts.join(' · ');
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Three-way merge helpers for resolving save conflicts (HTTP 409)
+ */
+
+// Resume sections that can be merged independently
+export const MERGEABLE_SECTIONS = [
+  'name', 'role', 'email', 'phone', 'linkedin', 'location', 'summary',
+  'experience', 'education', 'achievements', 'skills', 'languages',
+  'projects', 'courses', 'certifications', 'hobbies', 'template'
+];
+
+/**
+ * Serialize a section for comparison, ignoring server-generated ids
+ * @param {*} value - Section value
+ * @returns {string} Comparable representation
+ */
+const normalize = (value) => {
+  return JSON.stringify(value ?? null, (key, val) => (key === '_id' || key === 'id' ? undefined : val));
+};
+
+/**
+ * Merge local edits with a newer server copy of the resume
+ * @param {Object|null} base - Server copy the local edits started from
+ * @param {Object} local - Current editor state
+ * @param {Object} remote - Latest server copy (from the 409 response)
+ * @returns {Object} { merged, conflicts, localChanges, remoteChanges }
+ */
+export const mergeResumeVersions = (base, local, remote) => {
+  const merged = { ...remote };
+  const conflicts = [];
+  const localChanges = [];
+  const remoteChanges = [];
+
+  MERGEABLE_SECTIONS.forEach((section) => {
+    const baseValue = base ? normalize(base[section]) : null;
+    const localValue = normalize(local[section]);
+    const remoteValue = normalize(remote[section]);
+
+    if (localValue === remoteValue) {
+      merged[section] = remote[section];
+      return;
+    }
+
+    const localChanged = !base || localValue !== baseValue;
+    const remoteChanged = !base || remoteValue !== baseValue;
+
+    if (localChanged && !remoteChanged) {
+      merged[section] = local[section];
+      localChanges.push(section);
+    } else if (remoteChanged && !localChanged) {
+      merged[section] = remote[section];
+      remoteChanges.push(section);
+    } else {
+      // Both sides edited this section: keep the local edit until the user decides
+      merged[section] = local[section];
+      conflicts.push(section);
+    }
+  });
+
+  return { merged, conflicts, localChanges, remoteChanges };
+};
+
+/**
+ * Apply per-section choices to a merge result
+ * @param {Object} mergeResult - Result of mergeResumeVersions
+ * @param {Object} local - Current editor state
+ * @param {Object} remote - Latest server copy
+ * @param {Object} resolutions - Map of section to 'local' or 'server' (default 'local')
+ * @returns {Object} Resume data ready to be saved on top of the server version
+ */
+export const resolveConflicts = (mergeResult, local, remote, resolutions = {}) => {
+  const resolved = { ...mergeResult.merged };
+
+  mergeResult.conflicts.forEach((section) => {
+    resolved[section] = resolutions[section] === 'server' ? remote[section] : local[section];
+  });
+
+  return resolved;
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { mergeResumeVersions, resolveConflicts } from './resumeMerge';
+
+const base = {
+  name: 'Jane Doe',
+  role: 'Software Engineer',
+  summary: 'Builds web applications.',
+  skills: ['React', 'Node.js'],
+  experience: [{ _id: 'a1', title: 'Developer', companyName: 'Acme' }]
+};
+
+describe('mergeResumeVersions', () => {
+  it('keeps edits made on only one side', () => {
+    const local = { ...base, summary: 'Builds fast web applications.' };
+    const remote = { ...base, role: 'Staff Engineer', version: 4 };
+
+    const { merged, conflicts, localChanges, remoteChanges } = mergeResumeVersions(base, local, remote);
+
+    expect(merged.summary).toBe('Builds fast web applications.');
+    expect(merged.role).toBe('Staff Engineer');
+    expect(merged.version).toBe(4);
+    expect(conflicts).toEqual([]);
+    expect(localChanges).toEqual(['summary']);
+    expect(remoteChanges).toEqual(['role']);
+  });
+
+  it('reports sections edited on both sides and keeps the local edit', () => {
+    const local = { ...base, skills: ['React', 'Node.js', 'Go'] };
+    const remote = { ...base, skills: ['React', 'TypeScript'] };
+
+    const { merged, conflicts } = mergeResumeVersions(base, local, remote);
+
+    expect(conflicts).toEqual(['skills']);
+    expect(merged.skills).toEqual(['React', 'Node.js', 'Go']);
+  });
+
+  it('does not count the same edit on both sides as a conflict', () => {
+    const local = { ...base, role: 'Staff Engineer' };
+    const remote = { ...base, role: 'Staff Engineer' };
+
+    const { conflicts, localChanges, remoteChanges } = mergeResumeVersions(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(localChanges).toEqual([]);
+    expect(remoteChanges).toEqual([]);
+  });
+
+  it('ignores server-generated ids when comparing sections', () => {
+    const local = { ...base, experience: [{ title: 'Developer', companyName: 'Acme' }] };
+    const remote = { ...base, experience: [{ _id: 'b2', title: 'Developer', companyName: 'Acme' }] };
+
+    const { merged, conflicts, localChanges } = mergeResumeVersions(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(localChanges).toEqual([]);
+    expect(merged.experience[0]._id).toBe('b2');
+  });
+
+  it('treats every differing section as a conflict when there is no base copy', () => {
+    const local = { ...base, summary: 'Local summary.' };
+    const remote = { ...base, summary: 'Server summary.' };
+
+    const { merged, conflicts } = mergeResumeVersions(null, local, remote);
+
+    expect(conflicts).toEqual(['summary']);
+    expect(merged.summary).toBe('Local summary.');
+  });
+});
+
+describe('resolveConflicts', () => {
+  const local = { ...base, role: 'Lead Engineer', skills: ['React', 'Go'], summary: 'Local summary.' };
+  const remote = { ...base, role: 'Staff Engineer', skills: ['React', 'TypeScript'], version: 4 };
+
+  it('takes each conflicting section from the side the user chose, local by default', () => {
+    const mergeResult = mergeResumeVersions(base, local, remote);
+
+    const resolved = resolveConflicts(mergeResult, local, remote, { skills: 'server' });
+
+    expect(mergeResult.conflicts).toEqual(['role', 'skills']);
+    expect(resolved.role).toBe('Lead Engineer');
+    expect(resolved.skills).toEqual(['React', 'TypeScript']);
+    expect(resolved.summary).toBe('Local summary.');
+    expect(resolved.version).toBe(4);
+  });
+});
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Ensures data integrity and provides user feedback
  */
 
+import { hasDate } from './dates';
+
 // Email validation regex
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
@@ -92,40 +94,31 @@ export const validateRequiredText = (text, fieldName, minLength = 1, maxLength =
 };
 
 /**
- * Validate date format (flexible)
- * @param {string} date - Date string to validate
- * @param {boolean} required - Whether the field is required
+ * Validate an entry's structured dates
+ * @param {Object} entry - Entry with startDate, endDate and isCurrent (and a legacy text date)
+ * @param {string} textField - Legacy free-text field ('date' or 'duration')
+ * @param {boolean} required - Whether a date is required
  * @returns {Object} Validation result with isValid and message
  */
-export const validateDate = (date, required = false) => {
-  if (!date || date.trim() === '') {
-    if (required) {
-      return { isValid: false, message: 'Date is required' };
+export const validateDateRange = (entry, textField, required = false) => {
+  const { startDate, endDate, isCurrent } = entry || {};
+
+  if (!hasDate(startDate)) {
+    // Entries saved before structured dates keep their text until edited
+    if (required && !entry?.[textField]?.trim()) {
+      return { isValid: false, message: 'Start date is required' };
     }
     return { isValid: true, message: '' };
   }
-  
-  // Allow flexible date formats (MM/YYYY, Jan 2022, 2022-2023, etc.)
-  const datePatterns = [
-    /^\d{1,2}\/\d{4}$/, // MM/YYYY
-    /^[A-Za-z]{3,9}\s\d{4}$/, // Month YYYY
-    /^\d{4}$/, // YYYY
-    /^\d{4}\s?-\s?\d{4}$/, // YYYY-YYYY
-    /^[A-Za-z]{3,9}\s\d{4}\s?-\s?[A-Za-z]{3,9}\s\d{4}$/, // Month YYYY - Month YYYY
-    /^[A-Za-z]{3,9}\s\d{4}\s?-\s?Present$/i, // Month YYYY - Present
-    /^\d{1,2}\/\d{4}\s?-\s?\d{1,2}\/\d{4}$/, // MM/YYYY - MM/YYYY
-    /^\d{1,2}\/\d{4}\s?-\s?Present$/i // MM/YYYY - Present
-  ];
-  
-  const isValidFormat = datePatterns.some(pattern => pattern.test(date.trim()));
-  
-  if (!isValidFormat) {
-    return { 
-      isValid: false, 
-      message: 'Please use a valid date format (e.g., "Jan 2022", "01/2022", "2022-2023", or "Jan 2022 - Present")' 
-    };
+
+  if (!isCurrent && hasDate(endDate)) {
+    const start = startDate.year * 12 + (startDate.month || 1);
+    const end = endDate.year * 12 + (endDate.month || 12);
+    if (end < start) {
+      return { isValid: false, message: 'End date cannot be before start date' };
+    }
   }
-  
+
   return { isValid: true, message: '' };
 };
 
@@ -175,8 +168,9 @@ export const validateExperience = (experience) => {
       expErrors.push('Company name is required');
     }
     
-    if (!exp.date || exp.date.trim() === '') {
-      expErrors.push('Employment dates are required');
+    const dateValidation = validateDateRange(exp, 'date', true);
+    if (!dateValidation.isValid) {
+      expErrors.push(dateValidation.message);
     }
     
     if (!exp.accomplishment || !Array.isArray(exp.accomplishment) || 
@@ -227,8 +221,9 @@ export const validateEducation = (education) => {
       eduErrors.push('Institution is required');
     }
     
-    if (!edu.duration || edu.duration.trim() === '') {
-      eduErrors.push('Duration/Year is required');
+    const dateValidation = validateDateRange(edu, 'duration', true);
+    if (!dateValidation.isValid) {
+      eduErrors.push(dateValidation.message);
     }
     
     if (eduErrors.length > 0) {
@@ -1,4 +1,5 @@
 const User = require("../models/User");
+const { getUsageSubject, getUsage } = require("../services/usageService");
 const { validationResult } = require("express-validator");
 const { successResponse, errorResponse } = require("../utils/responseHelpers");
 const bcrypt = require("bcryptjs");
@@ -436,6 +437,25 @@ const getAuthStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get this month's AI usage against the plan's quota (per IP address when not logged in)
+ * GET /api/auth/usage
+ */
+const getAIUsage = async (req, res) => {
+  try {
+    const usage = await getUsage(getUsageSubject(req));
+
+    return successResponse(res, "AI usage retrieved successfully", {
+      isAuthenticated: !!req.user,
+      usage
+    });
+
+  } catch (error) {
+    console.error("Get AI usage error:", error);
+    return errorResponse(res, "Failed to get AI usage", 500, error.message);
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -447,5 +467,6 @@ module.exports = {
   verifyToken,
   logout,
   deleteAccount,
-  getAuthStatus
+  getAuthStatus,
+  getAIUsage
 };
\ No newline at end of file
@@ -0,0 +1,338 @@
+const CoverLetter = require("../models/CoverLetter");
+const Resume = require("../models/Resume");
+const { validationResult } = require("express-validator");
+const { successResponse, errorResponse } = require("../utils/responseHelpers");
+const { generateCoverLetter } = require("../services/aiService");
+const { generateCoverLetterPDF } = require("../services/pdfService");
+const { generateCoverLetterDOCX } = require("../services/docxService");
+
+// Fields a client may set when creating or editing a letter
+const EDITABLE_FIELDS = [
+  "company", "role", "hiringManager", "jobDescription", "tone", "template", "greeting", "body", "closing"
+];
+
+const DOWNLOAD_FORMATS = {
+  pdf: {
+    generate: generateCoverLetterPDF,
+    contentType: "application/pdf",
+    extension: "pdf"
+  },
+  docx: {
+    generate: generateCoverLetterDOCX,
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx"
+  }
+};
+
+/**
+ * Pick the editable fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to set
+ */
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+/**
+ * Check that the requester may use a resume or letter owned by userId
+ * @param {Object} req - Express request
+ * @param {Object} doc - Resume or CoverLetter
+ * @returns {boolean} True if access is allowed
+ */
+const canAccess = (req, doc) => !(doc.userId && req.user && doc.userId.toString() !== req.user.id);
+
+/**
+ * Load the letter in req.params.id, sending a 404/403 response when it cannot be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Cover letter, or null if a response was sent
+ */
+const findAccessibleLetter = async (req, res) => {
+  const coverLetter = await CoverLetter.findById(req.params.id);
+
+  if (!coverLetter) {
+    errorResponse(res, "Cover letter not found", 404);
+    return null;
+  }
+
+  if (!canAccess(req, coverLetter)) {
+    errorResponse(res, "Access denied", 403);
+    return null;
+  }
+
+  return coverLetter;
+};
+
+/**
+ * Load the resume a letter is written from, sending a 404/403 response when it cannot be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} resumeId - Resume ID
+ * @returns {Promise<Object|null>} Resume, or null if a response was sent
+ */
+const findAccessibleResume = async (req, res, resumeId) => {
+  const resume = await Resume.findById(resumeId);
+
+  if (!resume) {
+    errorResponse(res, "Resume not found", 404);
+    return null;
+  }
+
+  if (!canAccess(req, resume)) {
+    errorResponse(res, "Access denied", 403);
+    return null;
+  }
+
+  return resume;
+};
+
+/**
+ * Create a cover letter for a resume
+ * POST /api/cover-letters
+ */
+const createCoverLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res, req.body.resumeId);
+    if (!resume) return;
+
+    const coverLetter = new CoverLetter({
+      ...pickEditable(req.body),
+      resumeId: resume._id,
+      userId: resume.userId || req.user?.id || null
+    });
+
+    await coverLetter.save();
+
+    return successResponse(res, "Cover letter created successfully", { coverLetter }, 201);
+
+  } catch (error) {
+    console.error("Error creating cover letter:", error);
+    return errorResponse(res, "Failed to create cover letter", 500, error.message);
+  }
+};
+
+/**
+ * List cover letters for a resume, or all of the user's letters
+ * GET /api/cover-letters?resumeId=
+ */
+const getCoverLetters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { resumeId } = req.query;
+    let query;
+
+    if (resumeId) {
+      const resume = await findAccessibleResume(req, res, resumeId);
+      if (!resume) return;
+      query = { resumeId };
+    } else if (req.user) {
+      query = { userId: req.user.id };
+    } else {
+      return errorResponse(res, "Authentication required", 401);
+    }
+
+    const coverLetters = await CoverLetter.find(query)
+      .sort({ updatedAt: -1 })
+      .select("-jobDescription");
+
+    return successResponse(res, "Cover letters retrieved successfully", { coverLetters });
+
+  } catch (error) {
+    console.error("Error listing cover letters:", error);
+    return errorResponse(res, "Failed to retrieve cover letters", 500, error.message);
+  }
+};
+
+/**
+ * Get a cover letter
+ * GET /api/cover-letters/:id
+ */
+const getCoverLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const coverLetter = await findAccessibleLetter(req, res);
+    if (!coverLetter) return;
+
+    return successResponse(res, "Cover letter retrieved successfully", { coverLetter });
+
+  } catch (error) {
+    console.error("Error getting cover letter:", error);
+    return errorResponse(res, "Failed to retrieve cover letter", 500, error.message);
+  }
+};
+
+/**
+ * Edit a cover letter
+ * PUT /api/cover-letters/:id
+ */
+const updateCoverLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const coverLetter = await findAccessibleLetter(req, res);
+    if (!coverLetter) return;
+
+    const updates = pickEditable(req.body);
+
+    // A body edited by hand is no longer the generated one
+    if (updates.body !== undefined && updates.body !== coverLetter.body) {
+      coverLetter.generation = { usedFallback: false, fallbackReason: null, repairs: [], promptVersion: null, generatedAt: null };
+    }
+
+    coverLetter.set(updates);
+    await coverLetter.save();
+
+    return successResponse(res, "Cover letter updated successfully", { coverLetter });
+
+  } catch (error) {
+    console.error("Error updating cover letter:", error);
+    return errorResponse(res, "Failed to update cover letter", 500, error.message);
+  }
+};
+
+/**
+ * Write the letter's body with AI from its resume, replacing the current body
+ * POST /api/cover-letters/:id/generate
+ */
+const generateCoverLetterBody = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const coverLetter = await findAccessibleLetter(req, res);
+    if (!coverLetter) return;
+
+    const resume = await findAccessibleResume(req, res, coverLetter.resumeId);
+    if (!resume) return;
+
+    if (req.body.tone) {
+      coverLetter.tone = req.body.tone;
+    }
+
+    const generated = await generateCoverLetter(resume.toObject(), {
+      company: coverLetter.company,
+      role: coverLetter.role,
+      jobDescription: coverLetter.jobDescription,
+      hiringManager: coverLetter.hiringManager,
+      tone: coverLetter.tone
+    }, { onUsage: req.aiUsage?.onUsage });
+
+    coverLetter.body = generated.body;
+    coverLetter.generation = {
+      usedFallback: generated.usedFallback,
+      fallbackReason: generated.fallbackReason,
+      repairs: generated.repairs,
+      promptVersion: generated.promptVersion,
+      generatedAt: new Date()
+    };
+    await coverLetter.save();
+
+    return successResponse(res, "Cover letter generated successfully", {
+      coverLetter,
+      usedFallback: generated.usedFallback,
+      fallbackReason: generated.fallbackReason,
+      repairs: generated.repairs,
+      promptVersion: generated.promptVersion
+    });
+
+  } catch (error) {
+    console.error("Error generating cover letter:", error);
+    return errorResponse(res, "Failed to generate cover letter", 500, error.message);
+  }
+};
+
+/**
+ * Download a cover letter as PDF or DOCX, in the same template as the resume
+ * POST /api/cover-letters/:id/download
+ */
+const downloadCoverLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const coverLetter = await findAccessibleLetter(req, res);
+    if (!coverLetter) return;
+
+    const resume = await findAccessibleResume(req, res, coverLetter.resumeId);
+    if (!resume) return;
+
+    const { format = "pdf", template = coverLetter.template, locale } = req.body;
+    const exporter = DOWNLOAD_FORMATS[format];
+
+    const fileBuffer = await exporter.generate(coverLetter, resume.toObject(), template, { locale });
+
+    res.set({
+      "Content-Type": exporter.contentType,
+      "Content-Disposition": `attachment; filename="${resume.name}_Cover_Letter.${exporter.extension}"`,
+      "Content-Length": fileBuffer.length,
+    });
+
+    res.end(fileBuffer);
+
+  } catch (error) {
+    console.error("Error generating cover letter file:", error);
+
+    // Browser pool is busy, timed out or shutting down
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode, error.error);
+    }
+    return errorResponse(res, "Failed to generate cover letter file", 500, error.message);
+  }
+};
+
+/**
+ * Delete a cover letter
+ * DELETE /api/cover-letters/:id
+ */
+const deleteCoverLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const coverLetter = await findAccessibleLetter(req, res);
+    if (!coverLetter) return;
+
+    await CoverLetter.findByIdAndDelete(coverLetter._id);
+
+    return successResponse(res, "Cover letter deleted successfully");
+
+  } catch (error) {
+    console.error("Error deleting cover letter:", error);
+    return errorResponse(res, "Failed to delete cover letter", 500, error.message);
+  }
+};
+
+module.exports = {
+  createCoverLetter,
+  getCoverLetters,
+  getCoverLetter,
+  updateCoverLetter,
+  generateCoverLetterBody,
+  downloadCoverLetter,
+  deleteCoverLetter
+};
\ No newline at end of file
@@ -1,8 +1,97 @@
 const Resume = require("../models/Resume");
-const { enhanceWithGemini } = require("../services/geminiService");
-const { successResponse, errorResponse } = require("../utils/responseHelpers");
+const {
+  enhanceContent,
+  streamEnhancement,
+  tailorResume: tailorResumeContent,
+  translateResume: translateResumeContent
+} = require("../services/aiService");
+const { saveWithRevision, applyClientUpdate } = require("../services/revisionService");
+const {
+  getAtPath,
+  createProposal,
+  addProposals,
+  reviewProposals,
+  revertHistoryEntry
+} = require("../services/proposalService");
+const {
+  TRANSLATION_SECTIONS,
+  collectSegments,
+  getStaleSections,
+  getSectionsToRefresh,
+  buildTranslatedFields,
+  buildTranslationInfo
+} = require("../services/translationService");
+const { getLanguage } = require("../services/localeService");
+const { queueFullEnhancement, queueBulkEnhancement } = require("../services/enhancementJobs");
+const { successResponse, errorResponse, eventStreamResponse, versionConflictResponse } = require("../utils/responseHelpers");
 const { validationResult } = require("express-validator");
 
+/**
+ * Find a resume by ID or email
+ * @param {string} resumeId - Resume ID (optional)
+ * @param {string} email - Email (optional)
+ * @returns {Promise<Object|null>} Resume document
+ */
+const findResume = async (resumeId, email) => {
+  if (resumeId) return Resume.findById(resumeId);
+  if (email) return Resume.findOne({ email });
+  return null;
+};
+
+/**
+ * Save the client's latest resume data before enhancing, as a new version like PUT /api/resume/save
+ * The data must carry the version it was based on; a stale version is returned as a conflict.
+ * Other failures are logged, not thrown.
+ * @param {string} resumeId - Resume ID (optional)
+ * @param {string} email - Email (optional)
+ * @param {Object} resumeData - Resume fields to save, with their version (optional)
+ * @param {string} userId - ID of the signed-in user (optional)
+ * @returns {Promise<Object|null>} { status, resume } from applyClientUpdate, or null if nothing was saved
+ */
+const autoSaveResumeData = async (resumeId, email, resumeData, userId) => {
+  if (!resumeData) return null;
+
+  try {
+    const resume = await findResume(resumeId, email);
+    if (!resume) return null;
+
+    const { version: expectedVersion, ...updateData } = resumeData;
+    return await applyClientUpdate(resume, updateData, { expectedVersion, userId });
+  } catch (saveError) {
+    console.warn("Auto-save failed:", saveError.message);
+    // Continue with enhancement even if auto-save fails
+    return null;
+  }
+};
+
+/**
+ * Queue an enhanced field as a pending proposal on the resume; failures are logged, not thrown
+ * Only text fields can be proposed: the path must hold a string on the saved resume
+ * @param {string} resumeId - Resume ID (optional)
+ * @param {string} email - Email (optional)
+ * @param {Object} enhancement - { section, path, content, enhancedContent, enhancementType, promptVersion, fallbackReason }
+ * @returns {Promise<Object|null>} The proposal, or null if none was queued
+ */
+const saveFieldProposal = async (resumeId, email, enhancement) => {
+  const { section, path, content, enhancedContent, enhancementType, promptVersion, fallbackReason } = enhancement;
+  try {
+    const resume = await findResume(resumeId, email);
+
+    if (!resume || typeof getAtPath(resume.toObject({ virtuals: false }), path) !== "string" || enhancedContent === content) {
+      return null;
+    }
+
+    const proposal = createProposal(section, path, content, enhancedContent, enhancementType, { promptVersion, fallbackReason });
+    addProposals(resume, [proposal]);
+    await resume.save();
+    return proposal;
+  } catch (proposalError) {
+    console.warn("Failed to save enhancement proposal:", proposalError.message);
+    // Continue to return enhanced content even if the proposal could not be queued
+    return null;
+  }
+};
+
 /**
  * Auto-save and enhance a specific field
  * POST /api/enhance/field
@@ -14,33 +103,13 @@ const enhanceField = async (req, res) => {
       return errorResponse(res, "Validation failed", 400, errors.array());
     }
 
-    const { resumeId, email, section, content, enhancementType = "improve" } = req.body;
+    const { resumeId, email, section, content, enhancementType = "improve", bypassCache = false } = req.body;
+    const path = req.body.path || section;
 
-    // Step 1: Auto-save current resume data first
-    if (req.body.resumeData) {
-      try {
-        let resume;
-        
-        if (resumeId) {
-          resume = await Resume.findById(resumeId);
-        } else if (email) {
-          resume = await Resume.findOne({ email });
-        }
-
-        if (resume) {
-          // Update resume with latest data
-          Object.keys(req.body.resumeData).forEach(key => {
-            if (req.body.resumeData[key] !== undefined) {
-              resume[key] = req.body.resumeData[key];
-            }
-          });
-          resume.lastModified = new Date();
-          await resume.save();
-        }
-      } catch (saveError) {
-        console.warn("Auto-save failed:", saveError.message);
-        // Continue with enhancement even if auto-save fails
-      }
+    // Step 1: Auto-save current resume data first; edits based on an old version are not enhanced
+    const saved = await autoSaveResumeData(resumeId, email, req.body.resumeData, req.user?.id);
+    if (saved?.status === "conflict") {
+      return versionConflictResponse(res, saved.resume, req.body.resumeData.version);
     }
 
     // Step 2: Validate enhancement request
@@ -49,50 +118,36 @@ const enhanceField = async (req, res) => {
     }
 
     // Step 3: Enhance the content using AI
-    const enhancedContent = await enhanceWithGemini(section, content, enhancementType);
+    const result = await enhanceContent(section, content, enhancementType, {
+      bypassCache,
+      onUsage: req.aiUsage?.onUsage
+    });
 
-    if (!enhancedContent) {
+    if (!result.content) {
       return errorResponse(res, "Failed to enhance content", 500);
     }
 
-    // Step 4: Save enhancement history if resume exists
-    if (resumeId || email) {
-      try {
-        let resume;
-        
-        if (resumeId) {
-          resume = await Resume.findById(resumeId);
-        } else if (email) {
-          resume = await Resume.findOne({ email });
-        }
-
-        if (resume) {
-          // Add to enhancement history
-          resume.enhancementHistory.push({
-            section,
-            originalContent: content,
-            enhancedContent,
-            enhancedAt: new Date()
-          });
-
-          // Update the actual field with enhanced content
-          if (resume[section] !== undefined) {
-            resume[section] = enhancedContent;
-          }
-
-          await resume.save();
-        }
-      } catch (historyError) {
-        console.warn("Failed to save enhancement history:", historyError.message);
-        // Continue to return enhanced content even if history save fails
-      }
-    }
+    // Step 4: Queue it for review if the resume exists (nothing is written until accepted)
+    const proposal = await saveFieldProposal(resumeId, email, {
+      section,
+      path,
+      content,
+      enhancedContent: result.content,
+      enhancementType,
+      promptVersion: result.promptVersion,
+      fallbackReason: result.fallbackReason
+    });
 
     return successResponse(res, "Content enhanced successfully", {
       section,
       originalContent: content,
-      enhancedContent,
-      enhancementType
+      enhancedContent: result.content,
+      enhancementType,
+      usedFallback: result.usedFallback,
+      fallbackReason: result.fallbackReason,
+      repairs: result.repairs,
+      promptVersion: result.promptVersion,
+      proposal
     });
 
   } catch (error) {
@@ -102,8 +157,71 @@ const enhanceField = async (req, res) => {
 };
 
 /**
- * Enhance entire resume with AI
+ * Auto-save and enhance a specific field, streaming the AI's text as Server-Sent Events
+ * POST /api/enhance/field/stream
+ * Events: token { text }, then done { section, originalContent, enhancedContent, enhancementType,
+ * usedFallback, fallbackReason, repairs, cached, promptVersion, proposal } or error { message }. Tokens are raw model output; keep done.enhancedContent.
+ */
+const streamEnhanceField = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, "Validation failed", 400, errors.array());
+  }
+
+  const { resumeId, email, section, content, enhancementType = "improve", bypassCache = false } = req.body;
+  const path = req.body.path || section;
+
+  const saved = await autoSaveResumeData(resumeId, email, req.body.resumeData, req.user?.id);
+  if (saved?.status === "conflict") {
+    return versionConflictResponse(res, saved.resume, req.body.resumeData.version);
+  }
+
+  const stream = eventStreamResponse(res);
+  try {
+    const result = await streamEnhancement(section, content, enhancementType, {
+      signal: stream.signal,
+      onToken: (text) => stream.send("token", { text }),
+      bypassCache,
+      onUsage: req.aiUsage?.onUsage
+    });
+
+    const proposal = await saveFieldProposal(resumeId, email, {
+      section,
+      path,
+      content,
+      enhancedContent: result.content,
+      enhancementType,
+      promptVersion: result.promptVersion,
+      fallbackReason: result.fallbackReason
+    });
+
+    stream.send("done", {
+      section,
+      originalContent: content,
+      enhancedContent: result.content,
+      enhancementType,
+      usedFallback: result.usedFallback,
+      fallbackReason: result.fallbackReason,
+      repairs: result.repairs,
+      cached: result.cached,
+      promptVersion: result.promptVersion,
+      proposal
+    });
+  } catch (error) {
+    // A cancelled request has nobody left to tell
+    if (!stream.signal.aborted) {
+      console.error("Error streaming field enhancement:", error);
+      stream.send("error", { message: "Failed to enhance content" });
+    }
+  } finally {
+    stream.end();
+  }
+};
+
+/**
+ * Queue AI enhancement of the entire resume (or the listed sections), as proposals to review
  * POST /api/enhance/full
+ * Responds 202 with the job; its result is { proposals, enhancementResults, enhancementType }
  */
 const enhanceFullResume = async (req, res) => {
   try {
@@ -112,7 +230,7 @@ const enhanceFullResume = async (req, res) => {
       return errorResponse(res, "Validation failed", 400, errors.array());
     }
 
-    const { resumeId, email, enhancementType = "professional" } = req.body;
+    const { resumeId, email, enhancementType = "professional", sections, bypassCache = false } = req.body;
     
     let resume;
     
@@ -133,139 +251,232 @@ const enhanceFullResume = async (req, res) => {
       return errorResponse(res, "Access denied", 403);
     }
 
-    const enhancementResults = {};
-    const sectionsToEnhance = [
-      'summary',
-      'experience',
-      'achievements',
-      'projects'
-    ];
+    // The AI works section by section, which can outlast the request; the worker queues the
+    // proposals on the resume when it is done
+    const job = await queueFullEnhancement(resume, sections, enhancementType, {
+      userId: req.user?.id,
+      bypassCache,
+      usageSubject: req.aiUsage?.subject
+    });
 
-    // Step 1: Auto-save current state
-    resume.lastModified = new Date();
-    await resume.save();
+    return successResponse(res, "Enhancement queued", { job }, 202);
 
-    // Step 2: Enhance each section
-    for (const section of sectionsToEnhance) {
-      try {
-        if (section === 'experience') {
-          // Handle experience array
-          if (resume.experience && resume.experience.length > 0) {
-            const enhancedExperience = [];
-            
-            for (const exp of resume.experience) {
-              const accomplishmentText = Array.isArray(exp.accomplishment) 
-                ? exp.accomplishment.join('. ') 
-                : exp.accomplishment || '';
-              
-              if (accomplishmentText) {
-                const enhanced = await enhanceWithGemini('experience', accomplishmentText, enhancementType);
-                const enhancedAccomplishments = enhanced.split('. ').filter(item => item.trim());
-                
-                enhancedExperience.push({
-                  ...exp.toObject(),
-                  accomplishment: enhancedAccomplishments
-                });
-              } else {
-                enhancedExperience.push(exp.toObject());
-              }
-            }
-            
-            resume.experience = enhancedExperience;
-            enhancementResults.experience = "Enhanced";
-          }
-        } else if (section === 'achievements') {
-          // Handle achievements array
-          if (resume.achievements && resume.achievements.length > 0) {
-            const enhancedAchievements = [];
-            
-            for (const achievement of resume.achievements) {
-              if (achievement.describe) {
-                const enhanced = await enhanceWithGemini('achievements', achievement.describe, enhancementType);
-                enhancedAchievements.push({
-                  ...achievement.toObject(),
-                  describe: enhanced
-                });
-              } else {
-                enhancedAchievements.push(achievement.toObject());
-              }
-            }
-            
-            resume.achievements = enhancedAchievements;
-            enhancementResults.achievements = "Enhanced";
-          }
-        } else if (section === 'projects') {
-          // Handle projects array
-          if (resume.projects && resume.projects.length > 0) {
-            const enhancedProjects = [];
-            
-            for (const project of resume.projects) {
-              if (project.description) {
-                const enhanced = await enhanceWithGemini('projects', project.description, enhancementType);
-                enhancedProjects.push({
-                  ...project.toObject(),
-                  description: enhanced
-                });
-              } else {
-                enhancedProjects.push(project.toObject());
-              }
-            }
-            
-            resume.projects = enhancedProjects;
-            enhancementResults.projects = "Enhanced";
-          }
-        } else {
-          // Handle simple text fields
-          if (resume[section] && typeof resume[section] === 'string') {
-            const enhanced = await enhanceWithGemini(section, resume[section], enhancementType);
-            resume[section] = enhanced;
-            enhancementResults[section] = "Enhanced";
-          }
-        }
-
-        // Add small delay to avoid API rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-      } catch (sectionError) {
-        console.error(`Error enhancing ${section}:`, sectionError.message);
-        enhancementResults[section] = `Error: ${sectionError.message}`;
-      }
+  } catch (error) {
+    console.error("Error enhancing full resume:", error);
+    return errorResponse(res, "Failed to enhance resume", 500, error.message);
+  }
+};
+
+// Fields that belong to one resume and are never copied into a variant of it
+const VARIANT_EXCLUDED_FIELDS = [
+  "_id", "createdAt", "updatedAt", "shareToken", "enhancementHistory", "proposals",
+  "tailoredFrom", "tailoring", "translatedFrom", "translation"
+];
+
+/**
+ * Copy a resume's data for a new tailored or translated variant
+ * The source's own variant links are left out, so a variant of a variant only describes itself
+ * @param {Object} resume - Resume document
+ * @returns {Object} Plain resume data
+ */
+const copyForVariant = (resume) => {
+  const data = resume.toObject({ virtuals: false });
+  VARIANT_EXCLUDED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+/**
+ * Tailor a resume to a job description, saved as a new variant
+ * POST /api/enhance/tailor
+ */
+const tailorResume = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
     }
 
-    // Step 3: Save enhanced resume
-    resume.version += 1;
-    resume.lastModified = new Date();
-    
-    // Add full enhancement to history
-    resume.enhancementHistory.push({
-      section: 'full_resume',
-      originalContent: 'Full resume enhancement',
-      enhancedContent: `Enhanced with ${enhancementType} style`,
-      enhancedAt: new Date()
-    });
+    const { resumeId, jobDescription } = req.body;
 
-    await resume.save();
+    const resume = await Resume.findById(resumeId);
 
-    return successResponse(res, "Resume enhanced successfully", {
-      resume,
-      enhancementResults,
-      enhancementType,
-      completeness: resume.getCompletenessPercentage()
+    if (!resume) {
+      return errorResponse(res, "Resume not found", 404);
+    }
+
+    // Check permissions
+    if (resume.userId && req.user && resume.userId.toString() !== req.user.id) {
+      return errorResponse(res, "Access denied", 403);
+    }
+
+    const tailoring = await tailorResumeContent(resume.toObject(), jobDescription, { onUsage: req.aiUsage?.onUsage });
+
+    // The original is left untouched; the tailored content goes into a copy
+    const variant = new Resume({
+      ...copyForVariant(resume),
+      summary: tailoring.summary,
+      skills: tailoring.skills,
+      userId: resume.userId || req.user?.id,
+      isPublic: false,
+      status: "draft",
+      version: 1,
+      lastModified: new Date(),
+      tailoredFrom: resume._id,
+      tailoring: {
+        jobDescription,
+        bulletSuggestions: tailoring.bulletSuggestions,
+        matchedRequirements: tailoring.matchedRequirements,
+        promptVersion: tailoring.promptVersion
+      }
     });
 
+    await saveWithRevision(variant, "tailor", { userId: req.user?.id });
+
+    return successResponse(res, "Tailored resume created successfully", {
+      resume: variant,
+      originalResumeId: resume._id,
+      tailoring: {
+        summary: tailoring.summary,
+        skills: tailoring.skills,
+        bulletSuggestions: tailoring.bulletSuggestions,
+        matchedRequirements: tailoring.matchedRequirements,
+        rejected: tailoring.rejected,
+        usedFallback: tailoring.usedFallback,
+        promptVersion: tailoring.promptVersion
+      },
+      completeness: variant.getCompletenessPercentage()
+    }, 201);
+
   } catch (error) {
-    console.error("Error enhancing full resume:", error);
-    return errorResponse(res, "Failed to enhance resume", 500, error.message);
+    console.error("Error tailoring resume:", error);
+    return errorResponse(res, "Failed to tailor resume", 500, error.message);
+  }
+};
+
+/**
+ * Translate a resume into another language, saved as a variant linked to it
+ * An existing variant in that language is updated instead: only its stale sections, and those with fields
+ * left untranslated last time, are translated again unless sections are listed
+ * POST /api/enhance/translate
+ */
+const translateResume = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { resumeId, locale } = req.body;
+
+    const resume = await Resume.findById(resumeId);
+
+    if (!resume) {
+      return errorResponse(res, "Resume not found", 404);
+    }
+
+    // Check permissions
+    if (resume.userId && req.user && resume.userId.toString() !== req.user.id) {
+      return errorResponse(res, "Access denied", 403);
+    }
+
+    if (resume.translatedFrom) {
+      return errorResponse(res, "This resume is a translation; translate the original resume instead", 400);
+    }
+
+    if (getLanguage(resume.locale) === getLanguage(locale)) {
+      return errorResponse(res, "The resume is already in this language", 400);
+    }
+
+    const existing = await Resume.findOne({ translatedFrom: resume._id, locale });
+    const sections = req.body.sections || (existing ? getSectionsToRefresh(existing, resume) : TRANSLATION_SECTIONS);
+
+    if (existing && sections.length === 0) {
+      return successResponse(res, "Translation is up to date", {
+        resume: existing,
+        sourceResumeId: resume._id,
+        translation: {
+          locale,
+          translatedSections: [],
+          untranslated: [],
+          usedFallback: false,
+          fallbackReason: null
+        },
+        staleSections: [],
+        completeness: existing.getCompletenessPercentage()
+      });
+    }
+
+    const translation = await translateResumeContent(collectSegments(resume.toObject(), sections), {
+      sourceLocale: resume.locale,
+      targetLocale: locale
+    }, { onUsage: req.aiUsage?.onUsage });
+
+    const translatedFields = buildTranslatedFields(resume, sections, translation.translations);
+    const untranslatedPaths = translation.untranslated.map(item => item.path);
+    let variant;
+
+    if (existing) {
+      existing.set(translatedFields);
+      existing.translation = buildTranslationInfo(existing, resume, sections, untranslatedPaths, translation.promptVersion);
+      existing.version += 1;
+      existing.lastModified = new Date();
+      variant = existing;
+    } else {
+      // The original is left untouched; the translated content goes into a copy
+      variant = new Resume({
+        ...copyForVariant(resume),
+        ...translatedFields,
+        locale,
+        userId: resume.userId || req.user?.id,
+        isPublic: false,
+        status: "draft",
+        version: 1,
+        lastModified: new Date(),
+        translatedFrom: resume._id,
+        translation: buildTranslationInfo(null, resume, sections, untranslatedPaths, translation.promptVersion)
+      });
+    }
+
+    await saveWithRevision(variant, "translate", { userId: req.user?.id });
+
+    return successResponse(res, existing ? "Translated resume updated successfully" : "Translated resume created successfully", {
+      resume: variant,
+      sourceResumeId: resume._id,
+      translation: {
+        locale,
+        translatedSections: sections,
+        untranslated: translation.untranslated,
+        usedFallback: translation.usedFallback,
+        fallbackReason: translation.fallbackReason,
+        promptVersion: translation.promptVersion
+      },
+      staleSections: getStaleSections(variant, resume),
+      completeness: variant.getCompletenessPercentage()
+    }, existing ? 200 : 201);
+
+  } catch (error) {
+    console.error("Error translating resume:", error);
+    return errorResponse(res, "Failed to translate resume", 500, error.message);
   }
 };
 
+// Styles offered as suggestions, in display order
+const SUGGESTION_TYPES = ["professional", "creative", "concise"];
+
+/**
+ * Display label for a suggestion style
+ * @param {string} type - Enhancement type
+ * @returns {string} Label ("Professional")
+ */
+const suggestionLabel = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
 /**
  * Get enhancement suggestions for a field
  * POST /api/enhance/suggestions
  */
 const getEnhancementSuggestions = async (req, res) => {
   try {
-    const { section, content } = req.body;
+    const { section, content, bypassCache = false } = req.body;
 
     if (!section || !content) {
       return errorResponse(res, "Section and content are required", 400);
@@ -273,15 +484,17 @@ const getEnhancementSuggestions = async (req, res) => {
 
     // Generate multiple enhancement variations
     const suggestions = [];
-    const enhancementTypes = ['professional', 'creative', 'concise'];
 
-    for (const type of enhancementTypes) {
+    for (const type of SUGGESTION_TYPES) {
       try {
-        const suggestion = await enhanceWithGemini(section, content, type);
+        const suggestion = await enhanceContent(section, content, type, { bypassCache, onUsage: req.aiUsage?.onUsage });
         suggestions.push({
           type,
-          content: suggestion,
-          label: type.charAt(0).toUpperCase() + type.slice(1)
+          content: suggestion.content,
+          usedFallback: suggestion.usedFallback,
+          fallbackReason: suggestion.fallbackReason,
+          promptVersion: suggestion.promptVersion,
+          label: suggestionLabel(type)
         });
       } catch (error) {
         console.warn(`Failed to generate ${type} suggestion:`, error.message);
@@ -304,6 +517,155 @@ const getEnhancementSuggestions = async (req, res) => {
   }
 };
 
+/**
+ * Generate every suggestion style in parallel, streaming the AI's text as Server-Sent Events
+ * POST /api/enhance/suggestions/stream
+ * Events: token { type, text } and suggestion { type, label, content, usedFallback, fallbackReason, cached } per style,
+ * then done { section, originalContent, suggestions } or error { message }
+ */
+const streamEnhancementSuggestions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, "Validation failed", 400, errors.array());
+  }
+
+  const { section, content, bypassCache = false } = req.body;
+
+  const stream = eventStreamResponse(res);
+  try {
+    const results = await Promise.allSettled(SUGGESTION_TYPES.map(async (type) => {
+      const result = await streamEnhancement(section, content, type, {
+        signal: stream.signal,
+        onToken: (text) => stream.send("token", { type, text }),
+        bypassCache,
+        onUsage: req.aiUsage?.onUsage
+      });
+
+      const suggestion = {
+        type,
+        label: suggestionLabel(type),
+        content: result.content,
+        usedFallback: result.usedFallback,
+        fallbackReason: result.fallbackReason,
+        cached: result.cached
+      };
+      stream.send("suggestion", suggestion);
+      return suggestion;
+    }));
+
+    if (stream.signal.aborted) return;
+
+    results
+      .filter(result => result.status === "rejected")
+      .forEach(result => console.warn("Failed to stream suggestion:", result.reason?.message));
+
+    const suggestions = results
+      .filter(result => result.status === "fulfilled")
+      .map(result => result.value);
+
+    if (suggestions.length === 0) {
+      stream.send("error", { message: "Failed to generate suggestions" });
+    } else {
+      stream.send("done", { section, originalContent: content, suggestions });
+    }
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      console.error("Error streaming suggestions:", error);
+      stream.send("error", { message: "Failed to generate suggestions" });
+    }
+  } finally {
+    stream.end();
+  }
+};
+
+/**
+ * Find a resume and check the caller may change it
+ * @param {Object} req - Express request with params.resumeId
+ * @param {Object} res - Express response object
+ * @param {string} fields - Fields to select (optional)
+ * @returns {Promise<Object|null>} Resume, or null once an error response has been sent
+ */
+const findOwnResume = async (req, res, fields) => {
+  const query = Resume.findById(req.params.resumeId);
+  const resume = await (fields ? query.select(fields) : query);
+
+  if (!resume) {
+    errorResponse(res, "Resume not found", 404);
+    return null;
+  }
+
+  // Check permissions
+  if (resume.userId && req.user && resume.userId.toString() !== req.user.id) {
+    errorResponse(res, "Access denied", 403);
+    return null;
+  }
+
+  return resume;
+};
+
+/**
+ * List pending enhancement proposals
+ * GET /api/enhance/proposals/:resumeId
+ */
+const getProposals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findOwnResume(req, res, "proposals userId");
+    if (!resume) return;
+
+    return successResponse(res, "Proposals retrieved successfully", {
+      proposals: resume.proposals
+    });
+
+  } catch (error) {
+    console.error("Error getting proposals:", error);
+    return errorResponse(res, "Failed to get proposals", 500, error.message);
+  }
+};
+
+/**
+ * Accept and/or reject pending enhancement proposals
+ * POST /api/enhance/proposals/:resumeId/review
+ */
+const reviewEnhancementProposals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { accept = [], reject = [] } = req.body;
+
+    const resume = await findOwnResume(req, res);
+    if (!resume) return;
+
+    const outcome = reviewProposals(resume, { accept, reject });
+
+    if (outcome.applied.length > 0) {
+      resume.version += 1;
+      resume.lastModified = new Date();
+      await saveWithRevision(resume, "enhance", { userId: req.user?.id });
+    } else {
+      await resume.save();
+    }
+
+    return successResponse(res, `${outcome.applied.length} proposals applied`, {
+      resume,
+      ...outcome,
+      proposals: resume.proposals,
+      completeness: resume.getCompletenessPercentage()
+    });
+
+  } catch (error) {
+    console.error("Error reviewing proposals:", error);
+    return errorResponse(res, "Failed to review proposals", 500, error.message);
+  }
+};
+
 /**
  * Get enhancement history for a resume
  * GET /api/enhance/history/:resumeId
@@ -313,7 +675,7 @@ const getEnhancementHistory = async (req, res) => {
     const { resumeId } = req.params;
     const { limit = 10, page = 1 } = req.query;
 
-    const resume = await Resume.findById(resumeId).select('enhancementHistory');
+    const resume = await Resume.findById(resumeId).select('enhancementHistory userId');
 
     if (!resume) {
       return errorResponse(res, "Resume not found", 404);
@@ -347,6 +709,63 @@ const getEnhancementHistory = async (req, res) => {
   }
 };
 
+/**
+ * Revert an enhancement from the history, restoring the content it replaced
+ * POST /api/enhance/history/:resumeId/:entryId/revert
+ */
+const revertEnhancement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { force = false } = req.body;
+
+    const resume = await findOwnResume(req, res);
+    if (!resume) return;
+
+    const entry = resume.enhancementHistory.id(req.params.entryId);
+    if (!entry) {
+      return errorResponse(res, "Enhancement not found", 404);
+    }
+    if (entry.revertedAt) {
+      return errorResponse(res, "Enhancement was already reverted", 400);
+    }
+
+    const result = revertHistoryEntry(resume, entry, { force });
+
+    if (result.status === "unsupported") {
+      return errorResponse(res, "This enhancement cannot be reverted", 400);
+    }
+
+    // The field was edited after the enhancement; the client decides whether to overwrite it
+    if (result.status === "changed") {
+      return errorResponse(res, "Field was changed since it was enhanced", 409, {
+        error: "FIELD_CHANGED",
+        path: result.path,
+        currentContent: result.currentContent,
+        originalContent: entry.originalContent,
+        enhancedContent: entry.enhancedContent
+      });
+    }
+
+    resume.version += 1;
+    resume.lastModified = new Date();
+    await saveWithRevision(resume, "revert", { userId: req.user?.id });
+
+    return successResponse(res, "Enhancement reverted successfully", {
+      resume,
+      entry,
+      completeness: resume.getCompletenessPercentage()
+    });
+
+  } catch (error) {
+    console.error("Error reverting enhancement:", error);
+    return errorResponse(res, "Failed to revert enhancement", 500, error.message);
+  }
+};
+
 /**
  * Clear enhancement history for a resume
  * DELETE /api/enhance/history/:resumeId
@@ -377,10 +796,46 @@ const clearEnhancementHistory = async (req, res) => {
   }
 };
 
+/**
+ * Queue AI enhancement of free-text sections sent by the client
+ * POST /api/enhance/bulk
+ * Responds 202 with the job; its result is { enhancedSections, errors }
+ */
+const enhanceBulk = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { sections, enhancementType = "professional", bypassCache = false } = req.body;
+
+    const job = await queueBulkEnhancement(sections, enhancementType, {
+      userId: req.user?.id,
+      bypassCache,
+      usageSubject: req.aiUsage?.subject
+    });
+
+    return successResponse(res, "Batch enhancement queued", { job }, 202);
+
+  } catch (error) {
+    console.error("Bulk enhancement error:", error);
+    return errorResponse(res, "Failed to enhance sections", 500, error.message);
+  }
+};
+
 module.exports = {
   enhanceField,
+  streamEnhanceField,
   enhanceFullResume,
+  enhanceBulk,
+  tailorResume,
+  translateResume,
   getEnhancementSuggestions,
+  streamEnhancementSuggestions,
+  getProposals,
+  reviewEnhancementProposals,
   getEnhancementHistory,
+  revertEnhancement,
   clearEnhancementHistory
 };
\ No newline at end of file
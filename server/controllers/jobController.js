@@ -0,0 +1,137 @@
+const Job = require("../models/Job");
+const { cancelJob, isFinished } = require("../services/jobQueue");
+const { successResponse, errorResponse, eventStreamResponse } = require("../utils/responseHelpers");
+const { validationResult } = require("express-validator");
+
+// How often a job stream checks the job for changes
+const STREAM_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Find a job the current user may see; sends the error response and returns null otherwise
+ * @param {Object} req - Express request (params.jobId)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Job document
+ */
+const findOwnJob = async (req, res) => {
+  const job = await Job.findById(req.params.jobId);
+
+  if (!job) {
+    errorResponse(res, "Job not found", 404);
+    return null;
+  }
+
+  // Check permissions
+  if (job.userId && req.user && job.userId.toString() !== req.user.id) {
+    errorResponse(res, "Access denied", 403);
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Get a job's status, progress and (once finished) result
+ * GET /api/jobs/:jobId
+ */
+const getJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    return successResponse(res, "Job retrieved successfully", { job });
+
+  } catch (error) {
+    console.error("Error getting job:", error);
+    return errorResponse(res, "Failed to get job", 500, error.message);
+  }
+};
+
+/**
+ * Stream a job's progress as Server-Sent Events until it finishes
+ * GET /api/jobs/:jobId/stream
+ * Events: progress { job } whenever the job changes, then done { job } or error { message }
+ */
+const streamJob = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, "Validation failed", 400, errors.array());
+  }
+
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    const stream = eventStreamResponse(res);
+    let current = job;
+    let lastUpdate = null;
+
+    try {
+      while (!stream.signal.aborted) {
+        if (isFinished(current)) {
+          stream.send("done", { job: current });
+          break;
+        }
+
+        if (current.updatedAt.getTime() !== lastUpdate) {
+          lastUpdate = current.updatedAt.getTime();
+          stream.send("progress", { job: current });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, STREAM_POLL_INTERVAL_MS));
+        current = await Job.findById(job._id);
+        if (!current) {
+          stream.send("error", { message: "Job was removed" });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error("Error streaming job:", error);
+      stream.send("error", { message: "Failed to read job status" });
+    } finally {
+      stream.end();
+    }
+
+  } catch (error) {
+    console.error("Error streaming job:", error);
+    return errorResponse(res, "Failed to stream job", 500, error.message);
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * POST /api/jobs/:jobId/cancel
+ */
+const cancelJobRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    if (isFinished(job)) {
+      return errorResponse(res, `Job already ${job.status}`, 400);
+    }
+
+    const cancelled = await cancelJob(job._id);
+
+    return successResponse(res, "Job cancellation requested", { job: cancelled });
+
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    return errorResponse(res, "Failed to cancel job", 500, error.message);
+  }
+};
+
+module.exports = {
+  getJob,
+  streamJob,
+  cancelJob: cancelJobRequest
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+const Prompt = require("../models/Prompt");
+const {
+  checkPlaceholders,
+  listPrompts,
+  createPromptVersion,
+  activatePrompt,
+  deactivatePrompt,
+  getPromptStats
+} = require("../services/promptService");
+const { successResponse, errorResponse } = require("../utils/responseHelpers");
+const { validationResult } = require("express-validator");
+
+/**
+ * List prompt versions, built-in ones included
+ * GET /api/prompts
+ */
+const getPrompts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const prompts = await listPrompts({ section: req.query.section, style: req.query.style });
+
+    return successResponse(res, "Prompts retrieved successfully", { prompts });
+
+  } catch (error) {
+    console.error("Error listing prompts:", error);
+    return errorResponse(res, "Failed to list prompts", 500, error.message);
+  }
+};
+
+/**
+ * Accepted and reverted enhancements per prompt version
+ * GET /api/prompts/stats
+ */
+const getPromptStatistics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const stats = await getPromptStats({ section: req.query.section, style: req.query.style });
+
+    return successResponse(res, "Prompt statistics retrieved successfully", { stats });
+
+  } catch (error) {
+    console.error("Error getting prompt statistics:", error);
+    return errorResponse(res, "Failed to get prompt statistics", 500, error.message);
+  }
+};
+
+/**
+ * Get one stored prompt version
+ * GET /api/prompts/:id
+ */
+const getPrompt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const prompt = await Prompt.findById(req.params.id);
+
+    if (!prompt) {
+      return errorResponse(res, "Prompt not found", 404);
+    }
+
+    return successResponse(res, "Prompt retrieved successfully", { prompt });
+
+  } catch (error) {
+    console.error("Error getting prompt:", error);
+    return errorResponse(res, "Failed to get prompt", 500, error.message);
+  }
+};
+
+/**
+ * Store a new version of a section's prompt (active by default)
+ * POST /api/prompts
+ */
+const createPrompt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { section, style, template, notes, activate = true } = req.body;
+
+    const { missing, unknown } = checkPlaceholders(section, template);
+    if (missing.length > 0 || unknown.length > 0) {
+      return errorResponse(res, "Invalid prompt placeholders", 400, {
+        missing: missing.map(name => `{${name}}`),
+        unknown: unknown.map(name => `{${name}}`)
+      });
+    }
+
+    const prompt = await createPromptVersion({
+      section,
+      style,
+      template,
+      notes,
+      activate,
+      createdBy: req.user.id
+    });
+
+    return successResponse(res, "Prompt version created successfully", { prompt }, 201);
+
+  } catch (error) {
+    console.error("Error creating prompt:", error);
+
+    // Two versions created at once for the same section and style
+    if (error.code === 11000) {
+      return errorResponse(res, "A newer version of this prompt was just created, please try again", 409);
+    }
+    return errorResponse(res, "Failed to create prompt", 500, error.message);
+  }
+};
+
+/**
+ * Update a prompt version's notes, or make it (in)active
+ * The template itself never changes: create a new version instead
+ * PUT /api/prompts/:id
+ */
+const updatePrompt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    let prompt = await Prompt.findById(req.params.id);
+
+    if (!prompt) {
+      return errorResponse(res, "Prompt not found", 404);
+    }
+
+    const { notes, isActive } = req.body;
+
+    if (notes !== undefined) {
+      prompt.notes = notes;
+      await prompt.save();
+    }
+
+    if (isActive === true && !prompt.isActive) {
+      prompt = await activatePrompt(prompt);
+    } else if (isActive === false && prompt.isActive) {
+      prompt = await deactivatePrompt(prompt);
+    }
+
+    return successResponse(res, "Prompt updated successfully", { prompt });
+
+  } catch (error) {
+    console.error("Error updating prompt:", error);
+    return errorResponse(res, "Failed to update prompt", 500, error.message);
+  }
+};
+
+/**
+ * Delete a prompt version that is not in use
+ * DELETE /api/prompts/:id
+ */
+const deletePrompt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const prompt = await Prompt.findById(req.params.id);
+
+    if (!prompt) {
+      return errorResponse(res, "Prompt not found", 404);
+    }
+
+    if (prompt.isActive) {
+      return errorResponse(res, "Cannot delete the active prompt version, activate another version first", 409);
+    }
+
+    await Prompt.findByIdAndDelete(req.params.id);
+
+    return successResponse(res, "Prompt deleted successfully");
+
+  } catch (error) {
+    console.error("Error deleting prompt:", error);
+    return errorResponse(res, "Failed to delete prompt", 500, error.message);
+  }
+};
+
+module.exports = {
+  getPrompts,
+  getPromptStatistics,
+  getPrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt
+};
\ No newline at end of file
@@ -1,7 +1,83 @@
 const Resume = require("../models/Resume");
+const ResumeRevision = require("../models/ResumeRevision");
+const CoverLetter = require("../models/CoverLetter");
 const { validationResult } = require("express-validator");
-const { successResponse, errorResponse } = require("../utils/responseHelpers");
+const { successResponse, errorResponse, versionConflictResponse } = require("../utils/responseHelpers");
 const { generatePDF } = require("../services/pdfService");
+const { generateDOCX } = require("../services/docxService");
+const { generateText, generateMarkdown } = require("../services/textExportService");
+const { toJSONResume } = require("../services/jsonResumeService");
+const { scoreResume } = require("../services/atsService");
+const { extractJobKeywords } = require("../services/aiService");
+const {
+  RESUME_CONTENT_FIELDS,
+  READ_ONLY_FIELDS,
+  saveWithRevision,
+  applyClientUpdate,
+  isVersionConflict,
+  diffSnapshots,
+  deleteRevisions
+} = require("../services/revisionService");
+const { getTranslationStatus } = require("../services/translationService");
+
+// Placeholder values for the fields the Resume model requires
+const RESUME_PLACEHOLDERS = {
+  name: "Your Name",
+  role: "Your Professional Role",
+  phone: "1234567890",
+  email: "your.email@example.com",
+  location: "Your City, Country",
+  summary: "Write a compelling professional summary of your experience here..."
+};
+
+const RESUME_LIST_FIELDS = [
+  "experience", "education", "achievements", "skills", "languages",
+  "projects", "courses", "certifications", "hobbies"
+];
+
+/**
+ * Fill in placeholder values for the fields the Resume model requires. Values the client sent win,
+ * including empty strings; only fields that are missing (undefined or null) are filled.
+ * @param {Object} resumeData - Incoming resume data
+ * @returns {Object} Resume data with defaults applied
+ */
+const withDefaults = (resumeData) => {
+  const defaultData = { ...RESUME_PLACEHOLDERS };
+  RESUME_LIST_FIELDS.forEach(field => { defaultData[field] = []; });
+
+  const filled = { ...defaultData, ...resumeData };
+  Object.keys(defaultData).forEach(field => {
+    if (filled[field] === undefined || filled[field] === null) {
+      filled[field] = defaultData[field];
+    }
+  });
+
+  return filled;
+};
+
+// File formats offered by the download route
+const DOWNLOAD_FORMATS = {
+  pdf: {
+    generate: generatePDF,
+    contentType: "application/pdf",
+    extension: "pdf"
+  },
+  docx: {
+    generate: generateDOCX,
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx"
+  },
+  txt: {
+    generate: generateText,
+    contentType: "text/plain; charset=utf-8",
+    extension: "txt"
+  },
+  md: {
+    generate: generateMarkdown,
+    contentType: "text/markdown; charset=utf-8",
+    extension: "md"
+  }
+};
 
 /**
  * Create a new resume
@@ -22,27 +98,8 @@ const createResume = async (req, res) => {
       resumeData.userId = req.user.id;
     }
 
-    // Set default values for required fields if not provided
-    const defaultData = {
-      name: resumeData.name || "Your Name",
-      role: resumeData.role || "Your Professional Role",
-      phone: resumeData.phone || "123-456-7890",
-      email: resumeData.email || "your.email@example.com",
-      location: resumeData.location || "Your City, Country",
-      summary: resumeData.summary || "Write a compelling professional summary here...",
-      experience: resumeData.experience || [],
-      education: resumeData.education || [],
-      achievements: resumeData.achievements || [],
-      skills: resumeData.skills || [],
-      languages: resumeData.languages || [],
-      projects: resumeData.projects || [],
-      courses: resumeData.courses || [],
-      certifications: resumeData.certifications || [],
-      hobbies: resumeData.hobbies || []
-    };
-
-    const newResume = new Resume({ ...defaultData, ...resumeData });
-    const savedResume = await newResume.save();
+    const newResume = new Resume(withDefaults(resumeData));
+    const savedResume = await saveWithRevision(newResume, "create");
 
     return successResponse(res, "Resume created successfully", {
       resume: savedResume,
@@ -66,7 +123,8 @@ const saveResume = async (req, res) => {
       return errorResponse(res, "Validation failed", 400, errors.array());
     }
 
-    const { resumeId, email, ...updateData } = req.body;
+    const { resumeId, email, version: expectedVersion, ...updateData } = req.body;
+    READ_ONLY_FIELDS.forEach(field => delete updateData[field]);
     
     let resume;
     
@@ -81,11 +139,11 @@ const saveResume = async (req, res) => {
 
     if (!resume) {
       // Create new resume if not found
-      const newResume = new Resume(updateData);
+      const newResume = new Resume(withDefaults({ email, ...updateData }));
       if (req.user) {
         newResume.userId = req.user.id;
       }
-      await newResume.save();
+      await saveWithRevision(newResume, "create");
       
       return successResponse(res, "Resume created successfully", {
         resume: newResume,
@@ -93,18 +151,20 @@ const saveResume = async (req, res) => {
       }, 201);
     }
 
-    // Update existing resume
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] !== undefined) {
-        resume[key] = updateData[key];
-      }
-    });
+    // A save by email that finds a saved resume was not based on it: send the server copy to merge with
+    if (expectedVersion === undefined) {
+      return versionConflictResponse(res, resume, null);
+    }
 
-    // Update version and last modified
-    resume.version += 1;
-    resume.lastModified = new Date();
+    const result = await applyClientUpdate(resume, updateData, { expectedVersion, userId: req.user?.id });
 
-    const updatedResume = await resume.save();
+    if (result.status === "missing") {
+      return errorResponse(res, "Resume not found", 404);
+    }
+    if (result.status === "conflict") {
+      return versionConflictResponse(res, result.resume, expectedVersion);
+    }
+    const updatedResume = result.resume;
 
     return successResponse(res, "Resume saved successfully", {
       resume: updatedResume,
@@ -136,9 +196,15 @@ const loadResume = async (req, res) => {
       return errorResponse(res, "Access denied", 403);
     }
 
+    // A translated variant reports which sections its source has changed since
+    const translationStatus = resume.translatedFrom
+      ? getTranslationStatus(resume, await Resume.findById(resume.translatedFrom))
+      : undefined;
+
     return successResponse(res, "Resume loaded successfully", {
       resume,
-      completeness: resume.getCompletenessPercentage()
+      completeness: resume.getCompletenessPercentage(),
+      translationStatus
     });
 
   } catch (error) {
@@ -169,7 +235,7 @@ const getAllResumes = async (req, res) => {
       .sort({ lastModified: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select("-enhancementHistory");
+      .select("-enhancementHistory -proposals");
 
     const total = await Resume.countDocuments(query);
 
@@ -214,6 +280,8 @@ const deleteResume = async (req, res) => {
     }
 
     await Resume.findByIdAndDelete(id);
+    await deleteRevisions(id);
+    await CoverLetter.deleteMany({ resumeId: id });
 
     return successResponse(res, "Resume deleted successfully");
 
@@ -224,12 +292,19 @@ const deleteResume = async (req, res) => {
 };
 
 /**
- * Generate and download PDF
+ * Generate and download the resume as PDF or DOCX
+ * POST /api/resume/download
  * POST /api/resume/download-pdf
  */
-const downloadPDF = async (req, res) => {
+const downloadResume = async (req, res) => {
   try {
-    const { resumeId, template = "modern" } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { resumeId, template = "modern", format = "pdf", lineWidth, bulletStyle, locale } = req.body;
+    const exporter = DOWNLOAD_FORMATS[format];
     
     const resume = await Resume.findById(resumeId);
     
@@ -242,21 +317,27 @@ const downloadPDF = async (req, res) => {
       return errorResponse(res, "Access denied", 403);
     }
 
-    // Generate PDF
-    const pdfBuffer = await generatePDF(resume, template);
+    // Generate the file (text exporters return a string)
+    const output = await exporter.generate(resume, template, { lineWidth, bulletStyle, locale });
+    const fileBuffer = Buffer.isBuffer(output) ? output : Buffer.from(output, "utf8");
     
-    // Set response headers for PDF download
+    // Set response headers for file download
     res.set({
-      "Content-Type": "application/pdf",
-      "Content-Disposition": `attachment; filename="${resume.name}_Resume.pdf"`,
-      "Content-Length": pdfBuffer.length,
+      "Content-Type": exporter.contentType,
+      "Content-Disposition": `attachment; filename="${resume.name}_Resume.${exporter.extension}"`,
+      "Content-Length": fileBuffer.length,
     });
 
-    res.end(pdfBuffer);
+    res.end(fileBuffer);
 
   } catch (error) {
-    console.error("Error generating PDF:", error);
-    return errorResponse(res, "Failed to generate PDF", 500, error.message);
+    console.error("Error generating resume file:", error);
+
+    // Browser pool is busy, timed out or shutting down
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode, error.error);
+    }
+    return errorResponse(res, "Failed to generate resume file", 500, error.message);
   }
 };
 
@@ -315,7 +396,7 @@ const getSharedResume = async (req, res) => {
     const resume = await Resume.findOne({ 
       shareToken: token, 
       isPublic: true 
-    }).select("-enhancementHistory");
+    }).select("-enhancementHistory -proposals");
     
     if (!resume) {
       return errorResponse(res, "Shared resume not found or no longer public", 404);
@@ -360,6 +441,11 @@ const duplicateResume = async (req, res) => {
     delete duplicateData.updatedAt;
     delete duplicateData.shareToken;
     delete duplicateData.enhancementHistory;
+    delete duplicateData.proposals;
+    delete duplicateData.tailoredFrom;
+    delete duplicateData.tailoring;
+    delete duplicateData.translatedFrom;
+    delete duplicateData.translation;
     
     duplicateData.name = `${duplicateData.name} (Copy)`;
     duplicateData.isPublic = false;
@@ -367,7 +453,7 @@ const duplicateResume = async (req, res) => {
     duplicateData.version = 1;
 
     const duplicatedResume = new Resume(duplicateData);
-    await duplicatedResume.save();
+    await saveWithRevision(duplicatedResume, "duplicate");
 
     return successResponse(res, "Resume duplicated successfully", {
       resume: duplicatedResume,
@@ -380,14 +466,326 @@ const duplicateResume = async (req, res) => {
   }
 };
 
+/**
+ * Find a resume and check the caller may access it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Resume, or null once an error response was sent
+ */
+const findAccessibleResume = async (req, res) => {
+  const resume = await Resume.findById(req.params.id);
+
+  if (!resume) {
+    errorResponse(res, "Resume not found", 404);
+    return null;
+  }
+
+  if (resume.userId && req.user && resume.userId.toString() !== req.user.id) {
+    errorResponse(res, "Access denied", 403);
+    return null;
+  }
+
+  return resume;
+};
+
+/**
+ * List the translated variants of a resume with how up to date each one is
+ * GET /api/resume/:id/translations
+ */
+const getTranslations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const variants = await Resume.find({ translatedFrom: resume._id })
+      .sort({ locale: 1 })
+      .select("-enhancementHistory -proposals");
+
+    const translations = variants.map(variant => ({
+      _id: variant._id,
+      name: variant.name,
+      locale: variant.locale,
+      version: variant.version,
+      lastModified: variant.lastModified,
+      ...getTranslationStatus(variant, resume)
+    }));
+
+    return successResponse(res, "Translations retrieved successfully", {
+      sourceLocale: resume.locale,
+      translations
+    });
+
+  } catch (error) {
+    console.error("Error getting translations:", error);
+    return errorResponse(res, "Failed to retrieve translations", 500, error.message);
+  }
+};
+
+/**
+ * Export a resume in an exchange format (currently JSON Resume)
+ * GET /api/resume/:id/export?format=jsonresume
+ */
+const exportResume = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const { format = "jsonresume" } = req.query;
+    const { jsonResume, warnings } = toJSONResume(resume);
+
+    return successResponse(res, "Resume exported successfully", {
+      format,
+      resume: jsonResume,
+      warnings
+    });
+
+  } catch (error) {
+    console.error("Error exporting resume:", error);
+    return errorResponse(res, "Failed to export resume", 500, error.message);
+  }
+};
+
+/**
+ * Score a resume's keyword coverage against a job description
+ * POST /api/resume/ats-score
+ */
+const getATSScore = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { resumeId, resume: resumeData, jobDescription, useAI = false } = req.body;
+    let data = resumeData;
+
+    // A saved resume is scored as stored; otherwise the editor's unsaved content is scored
+    if (resumeId) {
+      const resume = await Resume.findById(resumeId);
+
+      if (!resume) {
+        return errorResponse(res, "Resume not found", 404);
+      }
+
+      if (resume.userId && req.user && resume.userId.toString() !== req.user.id) {
+        return errorResponse(res, "Access denied", 403);
+      }
+
+      data = resume.toObject();
+    }
+
+    const aiKeywords = useAI ? await extractJobKeywords(jobDescription, { onUsage: req.aiUsage?.onUsage }) : [];
+    const result = scoreResume(data, jobDescription, { extraKeywords: aiKeywords });
+
+    return successResponse(res, "ATS score calculated successfully", {
+      ...result,
+      aiAssisted: aiKeywords.length > 0
+    });
+
+  } catch (error) {
+    console.error("Error calculating ATS score:", error);
+    return errorResponse(res, "Failed to calculate ATS score", 500, error.message);
+  }
+};
+
+/**
+ * List revisions of a resume
+ * GET /api/resume/:id/revisions
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const revisions = await ResumeRevision.find({ resumeId: resume._id })
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("-snapshot");
+
+    const total = await ResumeRevision.countDocuments({ resumeId: resume._id });
+
+    return successResponse(res, "Revisions retrieved successfully", {
+      currentVersion: resume.version,
+      revisions,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: revisions.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error("Error getting revisions:", error);
+    return errorResponse(res, "Failed to retrieve revisions", 500, error.message);
+  }
+};
+
+/**
+ * Get a single revision of a resume
+ * GET /api/resume/:id/revisions/:version
+ */
+const getRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const revision = await ResumeRevision.findOne({
+      resumeId: resume._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return errorResponse(res, "Revision not found", 404);
+    }
+
+    return successResponse(res, "Revision retrieved successfully", { revision });
+
+  } catch (error) {
+    console.error("Error getting revision:", error);
+    return errorResponse(res, "Failed to retrieve revision", 500, error.message);
+  }
+};
+
+/**
+ * Section-level diff between two revisions
+ * GET /api/resume/:id/revisions/diff?from=1&to=2
+ */
+const diffRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : resume.version;
+
+    const revisions = await ResumeRevision.find({
+      resumeId: resume._id,
+      version: { $in: [from, to] }
+    });
+
+    const fromRevision = revisions.find(revision => revision.version === from);
+    const toRevision = revisions.find(revision => revision.version === to);
+
+    if (!fromRevision || !toRevision) {
+      return errorResponse(res, "Revision not found", 404);
+    }
+
+    return successResponse(res, "Revision diff generated successfully", {
+      from,
+      to,
+      ...diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+
+  } catch (error) {
+    console.error("Error diffing revisions:", error);
+    return errorResponse(res, "Failed to diff revisions", 500, error.message);
+  }
+};
+
+/**
+ * Restore a revision as a new version
+ * POST /api/resume/:id/revisions/:version/restore
+ */
+const restoreRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const resume = await findAccessibleResume(req, res);
+    if (!resume) return;
+
+    const version = parseInt(req.params.version);
+    const revision = await ResumeRevision.findOne({ resumeId: resume._id, version });
+
+    if (!revision) {
+      return errorResponse(res, "Revision not found", 404);
+    }
+
+    // Fields missing from the snapshot did not exist at that version
+    RESUME_CONTENT_FIELDS.forEach(field => {
+      resume[field] = revision.snapshot[field];
+    });
+
+    // Like a save, the restore only writes if nobody saved in between
+    const currentVersion = resume.version;
+    resume.$where = { version: currentVersion };
+    resume.version += 1;
+    resume.lastModified = new Date();
+
+    let restoredResume;
+    try {
+      restoredResume = await saveWithRevision(resume, "restore", {
+        userId: req.user?.id,
+        restoredFrom: version
+      });
+    } catch (error) {
+      if (!isVersionConflict(error)) throw error;
+
+      const latest = await Resume.findById(resume._id);
+      return latest
+        ? versionConflictResponse(res, latest, currentVersion)
+        : errorResponse(res, "Resume not found", 404);
+    }
+
+    return successResponse(res, `Revision ${version} restored as version ${restoredResume.version}`, {
+      resume: restoredResume,
+      restoredFrom: version,
+      completeness: restoredResume.getCompletenessPercentage()
+    });
+
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    return errorResponse(res, "Failed to restore revision", 500, error.message);
+  }
+};
+
 module.exports = {
   createResume,
   saveResume,
   loadResume,
   getAllResumes,
   deleteResume,
-  downloadPDF,
+  downloadResume,
   shareResume,
   getSharedResume,
-  duplicateResume
+  duplicateResume,
+  getTranslations,
+  exportResume,
+  getATSScore,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
 };
\ No newline at end of file
@@ -3,7 +3,10 @@ const path = require("path");
 const fs = require("fs").promises;
 const Resume = require("../models/Resume");
 const { parseResumeContent } = require("../services/parseService");
-const { enhanceWithGemini } = require("../services/geminiService");
+const { queueUploadEnhancement } = require("../services/enhancementJobs");
+const { getUsageSubject, getUsage } = require("../services/usageService");
+const { saveWithRevision } = require("../services/revisionService");
+const { fromJSONResume, isJSONResumeFile } = require("../services/jsonResumeService");
 const { successResponse, errorResponse } = require("../utils/responseHelpers");
 const { validationResult } = require("express-validator");
 
@@ -31,13 +34,14 @@ const fileFilter = (req, file, cb) => {
     'application/pdf',
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/json'
   ];
 
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'), false);
+    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, TXT and JSON Resume files are allowed.'), false);
   }
 };
 
@@ -81,35 +85,31 @@ const uploadResume = async (req, res) => {
       let filePath = req.file.path;
 
       try {
-        // Parse the uploaded resume
+        // Parse the uploaded resume (JSON Resume files are mapped instead of parsed)
         console.log(`📄 Parsing uploaded file: ${req.file.originalname}`);
-        const parsedData = await parseResumeContent(filePath, req.file.mimetype);
+        let parsedData;
+        let warnings = [];
+        // Where each parsed field came from and how sure the parser is; JSON Resume fields are mapped, not guessed
+        let provenance = [];
+
+        if (isJSONResumeFile(req.file)) {
+          const jsonResume = JSON.parse(await fs.readFile(filePath, "utf8"));
+          ({ resumeData: parsedData, warnings } = fromJSONResume(jsonResume));
+        } else {
+          ({ resumeData: parsedData, provenance } = await parseResumeContent(filePath, req.file.mimetype));
+        }
 
         if (!parsedData || Object.keys(parsedData).length === 0) {
           throw new Error("Failed to extract data from the uploaded file");
         }
 
-        // Process edit type (manual or AI)
         const { editType = "manual" } = req.body;
-        let processedData = parsedData;
-
-        if (editType === "ai") {
-          console.log("🤖 Applying AI enhancement to parsed resume...");
-          processedData = await enhanceFullResumeData(parsedData);
-        }
 
         // Create resume record if user is authenticated
-        let savedResume = null;
-        if (req.user) {
-          const resumeData = {
-            ...processedData,
-            userId: req.user.id,
-            status: "draft"
-          };
-
-          savedResume = new Resume(resumeData);
-          await savedResume.save();
-        }
+        const savedResume = await saveImportedResume(req, parsedData, warnings);
+
+        // Process edit type (manual or AI)
+        const job = editType === "ai" ? await queueImportEnhancement(req, parsedData, savedResume) : null;
 
         // Clean up uploaded file
         try {
@@ -120,10 +120,14 @@ const uploadResume = async (req, res) => {
 
         return successResponse(res, "Resume uploaded and parsed successfully", {
           originalFileName: req.file.originalname,
-          parsedData: processedData,
+          parsedData,
+          provenance,
           editType,
+          job,
+          warnings,
           resume: savedResume ? {
             id: savedResume._id,
+            version: savedResume.version,
             completeness: savedResume.getCompletenessPercentage()
           } : null
         });
@@ -170,37 +174,36 @@ const parseTextResume = async (req, res) => {
     }
 
     // Parse the text content
-    const parsedData = await parseResumeContent(content, "text/plain");
+    const { resumeData: parsedData, provenance } = await parseResumeContent(content, "text/plain");
 
     if (!parsedData || Object.keys(parsedData).length === 0) {
       return errorResponse(res, "Failed to extract meaningful data from the provided text", 400);
     }
 
-    // Apply AI enhancement if requested
-    let processedData = parsedData;
-    if (editType === "ai") {
-      console.log("🤖 Applying AI enhancement to text resume...");
-      processedData = await enhanceFullResumeData(parsedData);
-    }
-
     // Create resume record if user is authenticated
     let savedResume = null;
     if (req.user) {
       const resumeData = {
-        ...processedData,
+        ...parsedData,
         userId: req.user.id,
         status: "draft"
       };
 
       savedResume = new Resume(resumeData);
-      await savedResume.save();
+      await saveWithRevision(savedResume, "upload");
     }
 
+    // Queue AI proposals if requested
+    const job = editType === "ai" ? await queueImportEnhancement(req, parsedData, savedResume) : null;
+
     return successResponse(res, "Text resume parsed successfully", {
-      parsedData: processedData,
+      parsedData,
+      provenance,
       editType,
+      job,
       resume: savedResume ? {
         id: savedResume._id,
+        version: savedResume.version,
         completeness: savedResume.getCompletenessPercentage()
       } : null
     });
@@ -211,6 +214,46 @@ const parseTextResume = async (req, res) => {
   }
 };
 
+/**
+ * Import a JSON Resume (jsonresume.org) document
+ * POST /api/upload/json-resume
+ */
+const importJSONResume = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, "Validation failed", 400, errors.array());
+    }
+
+    const { resume, editType = "manual" } = req.body;
+    const { resumeData, warnings } = fromJSONResume(resume);
+
+    const savedResume = await saveImportedResume(req, resumeData, warnings);
+
+    // Queue AI proposals if requested
+    const job = editType === "ai" ? await queueImportEnhancement(req, resumeData, savedResume) : null;
+
+    return successResponse(res, "JSON Resume imported successfully", {
+      parsedData: resumeData,
+      editType,
+      job,
+      warnings,
+      resume: savedResume ? {
+        id: savedResume._id,
+        version: savedResume.version,
+        completeness: savedResume.getCompletenessPercentage()
+      } : null
+    });
+
+  } catch (error) {
+    if (error.name === "JSONResumeError") {
+      return errorResponse(res, "Invalid JSON Resume", 400, { field: error.field, message: error.message });
+    }
+    console.error("Import JSON Resume error:", error);
+    return errorResponse(res, "Failed to import JSON Resume", 500, error.message);
+  }
+};
+
 /**
  * Get upload status and file information
  * GET /api/upload/status
@@ -238,7 +281,8 @@ const getUploadStatus = async (req, res) => {
       allowedTypes: [
         "PDF (.pdf)",
         "Microsoft Word (.doc, .docx)",
-        "Plain Text (.txt)"
+        "Plain Text (.txt)",
+        "JSON Resume (.json)"
       ],
       features: [
         "Automatic content extraction",
@@ -302,90 +346,64 @@ const cleanupUploads = async (req, res) => {
 };
 
 /**
- * Enhanced full resume data with AI
- * @param {Object} parsedData - Parsed resume data
- * @returns {Promise<Object>} Enhanced resume data
+ * Save an uploaded or imported resume for the signed-in user
+ * Data that fails schema validation (e.g. a missing required field) is not saved;
+ * the problems are added to the warnings so the user can fix them in the editor
+ * @param {Object} req - Express request object
+ * @param {Object} resumeData - Parsed or imported resume data
+ * @param {Array} warnings - Warnings list to append to
+ * @returns {Promise<Object|null>} Saved resume, or null
  */
-const enhanceFullResumeData = async (parsedData) => {
+const saveImportedResume = async (req, resumeData, warnings) => {
+  if (!req.user) return null;
+
+  const resume = new Resume({
+    ...resumeData,
+    userId: req.user.id,
+    status: "draft"
+  });
+
   try {
-    const enhancedData = { ...parsedData };
-    const sectionsToEnhance = ['summary', 'experience', 'achievements', 'projects'];
+    await resume.validate();
+  } catch (validationError) {
+    if (validationError.name !== "ValidationError") throw validationError;
 
-    for (const section of sectionsToEnhance) {
-      try {
-        if (section === 'experience' && enhancedData.experience?.length > 0) {
-          // Enhance experience accomplishments
-          const enhancedExperience = [];
-          
-          for (const exp of enhancedData.experience) {
-            if (exp.accomplishment && exp.accomplishment.length > 0) {
-              const accomplishmentText = exp.accomplishment.join('. ');
-              const enhanced = await enhanceWithGemini('experience', accomplishmentText, 'professional');
-              const enhancedAccomplishments = enhanced.split('. ').filter(item => item.trim());
-              
-              enhancedExperience.push({
-                ...exp,
-                accomplishment: enhancedAccomplishments
-              });
-            } else {
-              enhancedExperience.push(exp);
-            }
-          }
-          
-          enhancedData.experience = enhancedExperience;
-        } else if (section === 'achievements' && enhancedData.achievements?.length > 0) {
-          // Enhance achievements
-          const enhancedAchievements = [];
-          
-          for (const achievement of enhancedData.achievements) {
-            if (achievement.describe) {
-              const enhanced = await enhanceWithGemini('achievements', achievement.describe, 'professional');
-              enhancedAchievements.push({
-                ...achievement,
-                describe: enhanced
-              });
-            } else {
-              enhancedAchievements.push(achievement);
-            }
-          }
-          
-          enhancedData.achievements = enhancedAchievements;
-        } else if (section === 'projects' && enhancedData.projects?.length > 0) {
-          // Enhance projects
-          const enhancedProjects = [];
-          
-          for (const project of enhancedData.projects) {
-            if (project.description) {
-              const enhanced = await enhanceWithGemini('projects', project.description, 'professional');
-              enhancedProjects.push({
-                ...project,
-                description: enhanced
-              });
-            } else {
-              enhancedProjects.push(project);
-            }
-          }
-          
-          enhancedData.projects = enhancedProjects;
-        } else if (enhancedData[section] && typeof enhancedData[section] === 'string') {
-          // Enhance simple text fields
-          enhancedData[section] = await enhanceWithGemini(section, enhancedData[section], 'professional');
-        }
+    Object.values(validationError.errors).forEach(error => {
+      warnings.push({ field: error.path, message: `${error.message}; resume not saved` });
+    });
+    return null;
+  }
 
-        // Add delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
+  await saveWithRevision(resume, "upload");
+  return resume;
+};
 
-      } catch (sectionError) {
-        console.warn(`Failed to enhance ${section}:`, sectionError.message);
-        // Keep original content if enhancement fails
-      }
+/**
+ * Queue AI enhancement proposals for imported resume data
+ * The data itself is returned unchanged; the job's result holds the proposals for the editor to review
+ * @param {Object} req - Express request
+ * @param {Object} resumeData - Parsed resume data
+ * @param {Object|null} savedResume - Resume created for the import, if any
+ * @returns {Promise<Object|null>} Job, or null if it could not be queued or the AI quota is used up
+ */
+const queueImportEnhancement = async (req, resumeData, savedResume) => {
+  try {
+    // The import itself still succeeds without AI suggestions
+    const usageSubject = getUsageSubject(req);
+    if ((await getUsage(usageSubject)).exceeded) {
+      console.warn(`⚠️ AI quota used up for ${usageSubject.key}, skipping enhancement of imported resume`);
+      return null;
     }
 
-    return enhancedData;
-
+    console.log("🤖 Queueing AI enhancement proposals for imported resume...");
+    return await queueUploadEnhancement(resumeData, {
+      resumeId: savedResume?._id,
+      userId: req.user?.id,
+      usageSubject
+    });
   } catch (error) {
-    console.error("Error enhancing full resume data:", error);
-    return parsedData; // Return original data if enhancement fails
+    console.error("Error queueing enhancement for imported resume:", error);
+    return null;
   }
 };
 
@@ -414,7 +432,8 @@ const validateUploadedFile = (file) => {
     'application/pdf',
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/json'
   ];
 
   if (!allowedTypes.includes(file.mimetype)) {
@@ -436,6 +455,7 @@ const validateUploadedFile = (file) => {
 module.exports = {
   uploadResume,
   parseTextResume,
+  importJSONResume,
   getUploadStatus,
   cleanupUploads,
   upload, // Export multer instance for use in routes
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { getUsageSubject, getUsage, createUsageRecorder } = require("../services/usageService");
 
 /**
  * Authentication middleware - Protects routes requiring login
@@ -252,6 +253,40 @@ const requireFeature = (feature) => {
   };
 };
 
+/**
+ * Monthly AI quota check for routes that call the AI provider
+ * Use after auth or optionalAuth. Rejects with 429 once the plan's calls or tokens are used up;
+ * otherwise sets req.aiUsage = { subject, onUsage } for the AI service to report each call to.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAIQuota = async (req, res, next) => {
+  try {
+    const subject = getUsageSubject(req);
+    const usage = await getUsage(subject);
+
+    if (usage.exceeded) {
+      return res.status(429).json({
+        success: false,
+        message: `Monthly AI quota for the ${usage.plan} plan used up. It resets on ${usage.resetsAt.toISOString().slice(0, 10)}.`,
+        error: "AI_QUOTA_EXCEEDED",
+        usage
+      });
+    }
+
+    req.aiUsage = { subject, onUsage: createUsageRecorder(subject, usage) };
+    next();
+  } catch (error) {
+    console.error("AI quota middleware error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during AI quota check",
+      error: error.message
+    });
+  }
+};
+
 /**
  * Validate API key for external integrations
  * @param {Object} req - Express request object
@@ -297,5 +332,6 @@ module.exports = {
   requireAdmin,
   userRateLimit,
   requireFeature,
+  requireAIQuota,
   validateApiKey
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// AI calls and tokens used by one user (or anonymous client) in one calendar month (UTC)
+const aiUsageSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: [true, "Usage subject is required"] // "user:<id>", or "ip:<address>" for anonymous use
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  period: {
+    type: String,
+    required: [true, "Usage period is required"],
+    match: [/^\d{4}-\d{2}$/, "Usage period must be YYYY-MM"]
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+aiUsageSchema.index({ subject: 1, period: 1 }, { unique: true });
+aiUsageSchema.index({ userId: 1, period: -1 });
+
+aiUsageSchema.virtual("totalTokens").get(function() {
+  return this.inputTokens + this.outputTokens;
+});
+
+module.exports = mongoose.model("AIUsage", aiUsageSchema);
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// A cover letter written for one job, drawing on a resume's summary, experience and skills
+const coverLetterSchema = new mongoose.Schema({
+  resumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resume",
+    required: [true, "Resume is required"]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  company: {
+    type: String,
+    required: [true, "Company is required"],
+    trim: true,
+    maxlength: [100, "Company cannot exceed 100 characters"]
+  },
+  role: {
+    type: String,
+    required: [true, "Role is required"],
+    trim: true,
+    maxlength: [100, "Role cannot exceed 100 characters"]
+  },
+  hiringManager: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Hiring manager cannot exceed 100 characters"],
+    default: ""
+  },
+  jobDescription: {
+    type: String,
+    trim: true,
+    maxlength: [20000, "Job description cannot exceed 20000 characters"],
+    default: ""
+  },
+  tone: {
+    type: String,
+    enum: ["professional", "creative", "concise"],
+    default: "professional"
+  },
+  template: {
+    type: String,
+    default: "modern"
+  },
+  // Empty greeting and closing are filled in when rendering, in the resume's language
+  greeting: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Greeting cannot exceed 200 characters"],
+    default: ""
+  },
+  // Paragraphs separated by a blank line
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, "Letter cannot exceed 5000 characters"],
+    default: ""
+  },
+  closing: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Closing cannot exceed 100 characters"],
+    default: ""
+  },
+  // How the body was last generated; cleared when the body is edited by hand
+  generation: {
+    usedFallback: { type: Boolean, default: false },
+    fallbackReason: { type: String, default: null },
+    repairs: { type: [String], default: [] },
+    promptVersion: { type: Number, default: null }, // Cover letter prompt that wrote it; null for the fallback
+    generatedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+coverLetterSchema.index({ resumeId: 1, updatedAt: -1 });
+coverLetterSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("CoverLetter", coverLetterSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// Keep finished jobs this long so clients can still read their result
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Background job, claimed and run by the worker in services/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["enhance-full", "enhance-bulk", "upload-enhance"],
+    required: [true, "Job type is required"]
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed", "cancelled"],
+    default: "queued"
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  progress: {
+    completed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: { type: String, default: "" }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, "Max attempts must be at least 1"]
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  resumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resume",
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // The payload can hold a whole resume; clients only need status and result
+      delete ret.payload;
+      delete ret.lockedBy;
+      delete ret.lockedAt;
+      return ret;
+    }
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS });
+
+module.exports = mongoose.model("Job", jobSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A stored version of a prompt; built-in prompts (services/promptService.js) are version 1
+const promptSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    enum: [
+      "summary", "experience", "education", "skills", "achievements",
+      "projects", "courses", "certifications", "experienceBullets",
+      "tailoring", "coverLetter", "translation", "keywords"
+    ],
+    required: [true, "Section is required"],
+    immutable: true
+  },
+  style: {
+    type: String,
+    enum: ["professional", "creative", "concise"],
+    required: [true, "Style is required"],
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: [true, "Version is required"],
+    min: [2, "Stored prompt versions start at 2"],
+    immutable: true
+  },
+  // Text with {placeholders}; a changed prompt is a new version, so this never changes
+  template: {
+    type: String,
+    required: [true, "Template is required"],
+    maxlength: [10000, "Template cannot exceed 10000 characters"],
+    immutable: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot exceed 500 characters"],
+    default: ""
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: true
+});
+
+promptSchema.index({ section: 1, style: 1, version: -1 }, { unique: true });
+promptSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model("Prompt", promptSchema);
\ No newline at end of file
@@ -1,4 +1,27 @@
 const mongoose = require("mongoose");
+const { hasTemplate } = require("../services/templateService");
+const {
+  DATED_SECTIONS,
+  syncDateFields,
+  getDateRange,
+  calculateExperienceMonths
+} = require("../services/dateService");
+
+// A month/year date; month is optional for year-only dates
+const datePoint = {
+  month: { type: Number, min: [1, "Month must be 1-12"], max: [12, "Month must be 1-12"] },
+  year: { type: Number, min: [1900, "Year is out of range"], max: [2100, "Year is out of range"] }
+};
+
+// Structured dates shared by experience, education and projects
+const dateRangeFields = {
+  startDate: datePoint,
+  endDate: datePoint,
+  isCurrent: {
+    type: Boolean,
+    default: false
+  }
+};
 
 // Standard Resume Schema following the project requirements
 const resumeSchema = new mongoose.Schema({
@@ -68,12 +91,14 @@ const resumeSchema = new mongoose.Schema({
       trim: true,
       maxlength: [100, "Company name cannot exceed 100 characters"]
     },
+    // Display text, kept in sync with the structured dates below
     date: {
       type: String,
       required: [true, "Date is required"],
       trim: true,
       maxlength: [50, "Date cannot exceed 50 characters"]
     },
+    ...dateRangeFields,
     companyLocation: {
       type: String,
       required: [true, "Company location is required"],
@@ -101,12 +126,14 @@ const resumeSchema = new mongoose.Schema({
       trim: true,
       maxlength: [100, "Institution cannot exceed 100 characters"]
     },
+    // Display text, kept in sync with the structured dates below
     duration: {
       type: String,
       required: [true, "Duration is required"],
       trim: true,
       maxlength: [50, "Duration cannot exceed 50 characters"]
     },
+    ...dateRangeFields,
     location: {
       type: String,
       required: [true, "Location is required"],
@@ -159,11 +186,13 @@ const resumeSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, "Project description cannot exceed 500 characters"]
     },
+    // Display text, kept in sync with the structured dates below
     duration: {
       type: String,
       trim: true,
       maxlength: [50, "Project duration cannot exceed 50 characters"]
-    }
+    },
+    ...dateRangeFields
   }],
 
   // Courses
@@ -208,11 +237,24 @@ const resumeSchema = new mongoose.Schema({
     maxlength: [50, "Hobby cannot exceed 50 characters"]
   }],
 
+  // Language the resume is written in (BCP 47); exports use it for headings, dates and text direction
+  locale: {
+    type: String,
+    trim: true,
+    maxlength: [35, "Locale cannot exceed 35 characters"],
+    default: "en-US"
+  },
+
   // Template Selection
   template: {
     type: String,
     default: "modern",
-    enum: ["modern", "classic", "creative", "professional", "minimal"]
+    validate: {
+      validator: function(v) {
+        return hasTemplate(v);
+      },
+      message: "Invalid template selection"
+    }
   },
 
   // User Association
@@ -235,17 +277,91 @@ const resumeSchema = new mongoose.Schema({
     default: "draft"
   },
 
-  // Enhancement History
+  // Enhancement History (accepted AI proposals)
   enhancementHistory: [{
     section: String,
-    originalContent: String,
-    enhancedContent: String,
+    path: String, // Field the enhancement was written to, e.g. "experience[0].accomplishment[1]"
+    originalContent: mongoose.Schema.Types.Mixed, // Stored as proposed: string, or string array for skills
+    enhancedContent: mongoose.Schema.Types.Mixed,
+    enhancementType: String,
+    promptSection: String, // Prompt library entry that produced it (see services/promptService.js)
+    promptVersion: Number, // null when the rule-based fallback was used
     enhancedAt: {
       type: Date,
       default: Date.now
+    },
+    revertedAt: Date // Set once the original content has been restored
+  }],
+
+  // AI proposals waiting to be accepted or rejected; nothing is written to the resume until accepted
+  proposals: [{
+    section: String,
+    path: {
+      type: String,
+      required: true
+    },
+    original: mongoose.Schema.Types.Mixed, // Value at path when proposed (string, or string array for skills)
+    proposed: mongoose.Schema.Types.Mixed,
+    enhancementType: String,
+    promptSection: String,
+    promptVersion: Number,
+    fallbackReason: String, // Set when the AI result was rejected or unavailable (see services/aiGuardrails.js)
+    createdAt: {
+      type: Date,
+      default: Date.now
     }
   }],
 
+  // Tailored Variant (copy of another resume aimed at one job description)
+  tailoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resume",
+    default: null
+  },
+  tailoring: {
+    type: new mongoose.Schema({
+      jobDescription: String,
+      bulletSuggestions: [{
+        experienceIndex: Number,
+        bulletIndex: Number,
+        original: String,
+        suggested: String,
+        reason: String
+      }],
+      matchedRequirements: [String],
+      promptVersion: Number, // Tailoring prompt that produced it; null when the rule-based fallback was used
+      tailoredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // Translated Variant (copy of another resume in another language)
+  translatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resume",
+    default: null
+  },
+  translation: {
+    type: new mongoose.Schema({
+      sourceLocale: String,
+      sourceVersion: Number, // Version of the source last translated from
+      sectionHashes: {
+        type: Map,
+        of: String // Hash of each section's source content when it was translated (see services/translationService.js)
+      },
+      untranslatedPaths: [String], // Fields left in the source language because the AI result was not usable
+      promptVersion: Number, // Translation prompt used last; null when no field was translated
+      translatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+
   // Metadata
   isPublic: {
     type: Boolean,
@@ -266,11 +382,32 @@ const resumeSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Locale variants of a resume
+resumeSchema.index({ translatedFrom: 1, locale: 1 });
+
 // Virtual for full name display
 resumeSchema.virtual("displayName").get(function() {
   return this.name || "Anonymous User";
 });
 
+// Sync structured dates with their display text and check that ranges run forwards
+resumeSchema.pre("validate", function(next) {
+  Object.entries(DATED_SECTIONS).forEach(([section, textField]) => {
+    (this[section] || []).forEach((entry, index) => {
+      syncDateFields(entry, textField);
+
+      const range = getDateRange(entry, textField);
+      const end = range && !range.isCurrent && range.endDate;
+      if (end && (end.year < range.startDate.year ||
+          (end.year === range.startDate.year && (end.month || 12) < (range.startDate.month || 1)))) {
+        this.invalidate(`${section}.${index}.endDate`, "End date cannot be before start date");
+      }
+    });
+  });
+
+  next();
+});
+
 // Pre-save middleware
 resumeSchema.pre("save", function(next) {
   this.lastModified = new Date();
@@ -315,6 +452,11 @@ resumeSchema.methods.getCompletenessPercentage = function() {
   return Math.round((score / totalFields) * 100);
 };
 
+// Method to get total months of work experience (overlapping jobs counted once)
+resumeSchema.methods.getTotalExperienceMonths = function() {
+  return calculateExperienceMonths(this.experience);
+};
+
 // Static method to find by email or ID
 resumeSchema.statics.findByIdentifier = function(identifier) {
   const isEmail = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(identifier);
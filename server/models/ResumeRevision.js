@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Immutable snapshot of a resume's content at a given version
+const resumeRevisionSchema = new mongoose.Schema({
+  resumeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resume",
+    required: [true, "Resume ID is required"],
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: [true, "Version is required"],
+    min: [1, "Version must be at least 1"],
+    immutable: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, "Snapshot is required"],
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: ["create", "save", "enhance", "restore", "upload", "duplicate", "tailor", "revert", "translate"],
+    default: "save",
+    immutable: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: false,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+resumeRevisionSchema.index({ resumeId: 1, version: -1 }, { unique: true });
+
+// Revisions are append-only; reject any attempt to modify a stored one
+const rejectUpdate = function(next) {
+  next(new Error("Resume revisions are immutable"));
+};
+
+resumeRevisionSchema.pre("updateOne", rejectUpdate);
+resumeRevisionSchema.pre("updateMany", rejectUpdate);
+resumeRevisionSchema.pre("findOneAndUpdate", rejectUpdate);
+resumeRevisionSchema.pre("replaceOne", rejectUpdate);
+
+resumeRevisionSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return next(new Error("Resume revisions are immutable"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("ResumeRevision", resumeRevisionSchema);
\ No newline at end of file
@@ -14,7 +14,8 @@ const {
   verifyToken,
   logout,
   deleteAccount,
-  getAuthStatus
+  getAuthStatus,
+  getAIUsage
 } = require("../controllers/authController");
 
 const { auth, optionalAuth } = require("../middleware/auth");
@@ -214,4 +215,11 @@ router.delete(
  */
 router.get("/status", optionalAuth, getAuthStatus);
 
+/**
+ * @route   GET /api/auth/usage
+ * @desc    Get this month's AI calls and tokens against the plan's quota
+ * @access  Public/Private
+ */
+router.get("/usage", optionalAuth, getAIUsage);
+
 module.exports = router;
\ No newline at end of file
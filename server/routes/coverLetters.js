@@ -0,0 +1,186 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  createCoverLetter,
+  getCoverLetters,
+  getCoverLetter,
+  updateCoverLetter,
+  generateCoverLetterBody,
+  downloadCoverLetter,
+  deleteCoverLetter
+} = require("../controllers/coverLetterController");
+
+const { optionalAuth, requireAIQuota } = require("../middleware/auth");
+const { hasTemplate } = require("../services/templateService");
+
+const TONES = ["professional", "creative", "concise"];
+
+const letterIdValidator = param("id")
+  .isMongoId()
+  .withMessage("Invalid cover letter ID format");
+
+const toneValidator = body("tone")
+  .optional()
+  .isIn(TONES)
+  .withMessage(`Tone must be one of: ${TONES.join(", ")}`);
+
+const templateValidator = body("template")
+  .optional()
+  .custom(hasTemplate)
+  .withMessage("Invalid template selection");
+
+// Letter fields shared by create and edit; company and role are required on create
+const letterValidators = [
+  body("hiringManager")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Hiring manager cannot exceed 100 characters"),
+  body("jobDescription")
+    .optional()
+    .isString()
+    .isLength({ max: 20000 })
+    .withMessage("Job description cannot exceed 20000 characters"),
+  toneValidator,
+  templateValidator,
+  body("greeting")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Greeting cannot exceed 200 characters"),
+  body("body")
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage("Letter cannot exceed 5000 characters"),
+  body("closing")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Closing cannot exceed 100 characters")
+];
+
+/**
+ * Company or role validator
+ * @param {string} field - company or role
+ * @param {string} label - Name used in messages
+ * @param {boolean} required - Whether the field must be present
+ */
+const nameValidator = (field, label, required) => {
+  const chain = required ? body(field) : body(field).optional();
+  return chain
+    .isString()
+    .withMessage(`${label} is required`)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage(`${label} must be between 1 and 100 characters`);
+};
+
+/**
+ * @route   POST /api/cover-letters
+ * @desc    Create a cover letter for a resume and a job (company, role, job description)
+ * @access  Public/Private
+ */
+router.post(
+  "/",
+  [
+    optionalAuth,
+    body("resumeId")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    nameValidator("company", "Company", true),
+    nameValidator("role", "Role", true),
+    ...letterValidators
+  ],
+  createCoverLetter
+);
+
+/**
+ * @route   GET /api/cover-letters
+ * @desc    List a resume's cover letters (?resumeId=), or all of the user's letters
+ * @access  Public/Private (listing without resumeId requires login)
+ */
+router.get(
+  "/",
+  [
+    optionalAuth,
+    query("resumeId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid resume ID format")
+  ],
+  getCoverLetters
+);
+
+/**
+ * @route   GET /api/cover-letters/:id
+ * @desc    Get a cover letter
+ * @access  Public/Private
+ */
+router.get("/:id", [optionalAuth, letterIdValidator], getCoverLetter);
+
+/**
+ * @route   PUT /api/cover-letters/:id
+ * @desc    Edit a cover letter
+ * @access  Public/Private
+ */
+router.put(
+  "/:id",
+  [
+    optionalAuth,
+    letterIdValidator,
+    nameValidator("company", "Company", false),
+    nameValidator("role", "Role", false),
+    ...letterValidators
+  ],
+  updateCoverLetter
+);
+
+/**
+ * @route   POST /api/cover-letters/:id/generate
+ * @desc    Write the letter's body with AI from its resume's summary, experience and skills
+ * @access  Public/Private
+ */
+router.post(
+  "/:id/generate",
+  [optionalAuth, requireAIQuota, letterIdValidator, toneValidator],
+  generateCoverLetterBody
+);
+
+/**
+ * @route   POST /api/cover-letters/:id/download
+ * @desc    Download the letter as PDF or DOCX (default pdf), in the letter's template unless one is given
+ * @access  Public/Private
+ */
+router.post(
+  "/:id/download",
+  [
+    optionalAuth,
+    letterIdValidator,
+    templateValidator,
+    body("format")
+      .optional()
+      .isIn(["pdf", "docx"])
+      .withMessage("Format must be pdf or docx"),
+    body("locale")
+      .optional()
+      .isLocale()
+      .withMessage("Locale must be a BCP 47 tag such as en-US")
+  ],
+  downloadCoverLetter
+);
+
+/**
+ * @route   DELETE /api/cover-letters/:id
+ * @desc    Delete a cover letter
+ * @access  Public/Private
+ */
+router.delete("/:id", [optionalAuth, letterIdValidator], deleteCoverLetter);
+
+module.exports = router;
\ No newline at end of file
@@ -5,23 +5,114 @@ const router = express.Router();
 // Import controllers and middleware
 const {
   enhanceField,
+  streamEnhanceField,
   enhanceFullResume,
+  enhanceBulk,
+  tailorResume,
+  translateResume,
   getEnhancementSuggestions,
+  streamEnhancementSuggestions,
+  getProposals,
+  reviewEnhancementProposals,
   getEnhancementHistory,
+  revertEnhancement,
   clearEnhancementHistory
 } = require("../controllers/enhanceController");
 
-const { auth, optionalAuth } = require("../middleware/auth");
+const { auth, optionalAuth, requireAIQuota } = require("../middleware/auth");
+const { isValidPath } = require("../services/proposalService");
+const { TRANSLATION_SECTIONS } = require("../services/translationService");
+
+// Lets callers ask the AI again instead of reusing a cached response to the same request
+const bypassCacheValidator = body("bypassCache")
+  .optional()
+  .isBoolean({ strict: true })
+  .withMessage("bypassCache must be a boolean");
+
+// Validators shared by the field enhancement routes
+const fieldValidators = [
+  optionalAuth,
+  requireAIQuota,
+  body("resumeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid resume ID format"),
+  body("email")
+    .optional()
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+  // Validate that either resumeId or email is provided
+  body().custom((value, { req }) => {
+    if (!req.body.resumeId && !req.body.email) {
+      throw new Error("Either resumeId or email is required");
+    }
+    return true;
+  }),
+  body("section")
+    .exists()
+    .withMessage("Section is required")
+    .isIn([
+      "summary", "experience", "education", "skills", 
+      "achievements", "projects", "courses", "certifications"
+    ])
+    .withMessage("Invalid section. Must be one of: summary, experience, education, skills, achievements, projects, courses, certifications"),
+  body("content")
+    .exists()
+    .withMessage("Content is required")
+    .isLength({ min: 10, max: 5000 })
+    .withMessage("Content must be between 10 and 5000 characters")
+    .trim(),
+  body("enhancementType")
+    .optional()
+    .isIn(["professional", "creative", "concise", "improve"])
+    .withMessage("Enhancement type must be professional, creative, concise, or improve"),
+  body("path")
+    .optional()
+    .custom((path, { req }) => isValidPath(path) && path.split(/[[.]/)[0] === req.body.section)
+    .withMessage("Path must point at a field of the section, e.g. experience[0].accomplishment[1]"),
+  body("resumeData")
+    .optional()
+    .isObject()
+    .withMessage("Resume data must be an object"),
+  // Auto-saved data must say which version it was based on, so stale edits get a 409
+  body("resumeData.version")
+    .if(body("resumeData").exists())
+    .exists()
+    .withMessage("Resume data must include the version it was loaded at")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Version must be a positive integer")
+    .toInt(),
+  bypassCacheValidator
+];
 
 /**
  * @route   POST /api/enhance/field
- * @desc    Auto-save and enhance a specific field
+ * @desc    Auto-save and enhance a specific field; the result is queued as a proposal for the field at
+ *          `path` (default: the section) and only written once accepted
+ * @access  Public/Private
+ */
+router.post("/field", fieldValidators, enhanceField);
+
+/**
+ * @route   POST /api/enhance/field/stream
+ * @desc    Same as /field, but streams the AI's text as Server-Sent Events
+ *          (token, then done or error); generation stops if the client disconnects
+ * @access  Public/Private
+ */
+router.post("/field/stream", fieldValidators, streamEnhanceField);
+
+/**
+ * @route   POST /api/enhance/full
+ * @desc    Queue AI enhancement of the entire resume (or the listed sections) as per-item proposals; returns a job
  * @access  Public/Private
  */
 router.post(
-  "/field",
+  "/full",
   [
     optionalAuth,
+    requireAIQuota,
     body("resumeId")
       .optional()
       .isMongoId()
@@ -38,100 +129,178 @@ router.post(
       }
       return true;
     }),
-    body("section")
-      .exists()
-      .withMessage("Section is required")
-      .isIn([
-        "summary", "experience", "education", "skills", 
-        "achievements", "projects", "courses", "certifications"
-      ])
-      .withMessage("Invalid section. Must be one of: summary, experience, education, skills, achievements, projects, courses, certifications"),
-    body("content")
-      .exists()
-      .withMessage("Content is required")
-      .isLength({ min: 10, max: 5000 })
-      .withMessage("Content must be between 10 and 5000 characters")
-      .trim(),
     body("enhancementType")
       .optional()
-      .isIn(["professional", "creative", "concise", "improve"])
-      .withMessage("Enhancement type must be professional, creative, concise, or improve"),
-    body("resumeData")
+      .isIn(["professional", "creative", "concise", "ats-optimized"])
+      .withMessage("Enhancement type must be professional, creative, concise, or ats-optimized"),
+    body("sections")
       .optional()
-      .isObject()
-      .withMessage("Resume data must be an object")
+      .isArray({ min: 1 })
+      .withMessage("Sections must be a non-empty array"),
+    body("sections.*")
+      .isIn(["summary", "experience", "achievements", "projects", "skills"])
+      .withMessage("Invalid section. Must be one of: summary, experience, achievements, projects, skills"),
+    bypassCacheValidator
   ],
-  enhanceField
+  enhanceFullResume
 );
 
 /**
- * @route   POST /api/enhance/full
- * @desc    Enhance entire resume with AI
+ * @route   POST /api/enhance/tailor
+ * @desc    Tailor a resume to a job description as a new variant
  * @access  Public/Private
  */
 router.post(
-  "/full",
+  "/tailor",
   [
     optionalAuth,
+    requireAIQuota,
     body("resumeId")
-      .optional()
+      .exists()
+      .withMessage("Resume ID is required")
       .isMongoId()
       .withMessage("Invalid resume ID format"),
-    body("email")
-      .optional()
-      .isEmail()
-      .withMessage("Please provide a valid email")
-      .normalizeEmail(),
-    // Validate that either resumeId or email is provided
-    body().custom((value, { req }) => {
-      if (!req.body.resumeId && !req.body.email) {
-        throw new Error("Either resumeId or email is required");
-      }
-      return true;
-    }),
-    body("enhancementType")
+    body("jobDescription")
+      .exists()
+      .withMessage("Job description is required")
+      .isString()
+      .withMessage("Job description must be text")
+      .trim()
+      .isLength({ min: 50, max: 20000 })
+      .withMessage("Job description must be between 50 and 20000 characters")
+  ],
+  tailorResume
+);
+
+/**
+ * @route   POST /api/enhance/translate
+ * @desc    Translate a resume into another language as a linked variant, or refresh the existing variant's
+ *          stale sections
+ * @access  Public/Private
+ */
+router.post(
+  "/translate",
+  [
+    optionalAuth,
+    requireAIQuota,
+    body("resumeId")
+      .exists()
+      .withMessage("Resume ID is required")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    body("locale")
+      .exists()
+      .withMessage("Locale is required")
+      .isLocale()
+      .withMessage("Locale must be a BCP 47 tag such as fr-FR"),
+    body("sections")
       .optional()
-      .isIn(["professional", "creative", "concise", "ats-optimized"])
-      .withMessage("Enhancement type must be professional, creative, concise, or ats-optimized")
+      .isArray({ min: 1 })
+      .withMessage("Sections must be a non-empty array"),
+    body("sections.*")
+      .isIn(TRANSLATION_SECTIONS)
+      .withMessage(`Invalid section. Must be one of: ${TRANSLATION_SECTIONS.join(", ")}`)
   ],
-  enhanceFullResume
+  translateResume
 );
 
+// Validators shared by the suggestion routes
+const suggestionValidators = [
+  optionalAuth,
+  requireAIQuota,
+  body("section")
+    .exists()
+    .withMessage("Section is required")
+    .isIn([
+      "summary", "experience", "education", "skills", 
+      "achievements", "projects", "courses", "certifications"
+    ])
+    .withMessage("Invalid section"),
+  body("content")
+    .exists()
+    .withMessage("Content is required")
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("Content must be between 10 and 2000 characters")
+    .trim(),
+  bypassCacheValidator
+];
+
 /**
  * @route   POST /api/enhance/suggestions
  * @desc    Get enhancement suggestions for a field
- * @access  Public
+ * @access  Public/Private
+ */
+router.post("/suggestions", suggestionValidators, getEnhancementSuggestions);
+
+/**
+ * @route   POST /api/enhance/suggestions/stream
+ * @desc    Generate the professional, creative and concise suggestions in parallel, streamed as
+ *          Server-Sent Events (token and suggestion per style, then done or error)
+ * @access  Public/Private
+ */
+router.post("/suggestions/stream", suggestionValidators, streamEnhancementSuggestions);
+
+/**
+ * @route   GET /api/enhance/proposals/:resumeId
+ * @desc    List pending enhancement proposals
+ * @access  Public/Private
+ */
+router.get(
+  "/proposals/:resumeId",
+  [
+    optionalAuth,
+    param("resumeId")
+      .isMongoId()
+      .withMessage("Invalid resume ID format")
+  ],
+  getProposals
+);
+
+/**
+ * @route   POST /api/enhance/proposals/:resumeId/review
+ * @desc    Accept and/or reject pending proposals; accepted ones are written and logged in the history
+ * @access  Public/Private
  */
 router.post(
-  "/suggestions",
+  "/proposals/:resumeId/review",
   [
-    body("section")
-      .exists()
-      .withMessage("Section is required")
-      .isIn([
-        "summary", "experience", "education", "skills", 
-        "achievements", "projects", "courses", "certifications"
-      ])
-      .withMessage("Invalid section"),
-    body("content")
-      .exists()
-      .withMessage("Content is required")
-      .isLength({ min: 10, max: 2000 })
-      .withMessage("Content must be between 10 and 2000 characters")
-      .trim()
+    optionalAuth,
+    param("resumeId")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    body("accept")
+      .optional()
+      .isArray()
+      .withMessage("Accept must be an array of proposal IDs"),
+    body("accept.*")
+      .isMongoId()
+      .withMessage("Invalid proposal ID format"),
+    body("reject")
+      .optional()
+      .isArray()
+      .withMessage("Reject must be an array of proposal IDs"),
+    body("reject.*")
+      .isMongoId()
+      .withMessage("Invalid proposal ID format"),
+    body().custom((value, { req }) => {
+      if (!req.body.accept?.length && !req.body.reject?.length) {
+        throw new Error("At least one proposal to accept or reject is required");
+      }
+      return true;
+    })
   ],
-  getEnhancementSuggestions
+  reviewEnhancementProposals
 );
 
 /**
  * @route   GET /api/enhance/history/:resumeId
  * @desc    Get enhancement history for a resume
- * @access  Private
+ * @access  Public/Private
  */
 router.get(
   "/history/:resumeId",
   [
-    auth,
+    optionalAuth,
     param("resumeId")
       .isMongoId()
       .withMessage("Invalid resume ID format"),
@@ -147,6 +316,29 @@ router.get(
   getEnhancementHistory
 );
 
+/**
+ * @route   POST /api/enhance/history/:resumeId/:entryId/revert
+ * @desc    Restore the content an enhancement replaced; 409 if the field was changed since, unless force is set
+ * @access  Public/Private
+ */
+router.post(
+  "/history/:resumeId/:entryId/revert",
+  [
+    optionalAuth,
+    param("resumeId")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    param("entryId")
+      .isMongoId()
+      .withMessage("Invalid history entry ID format"),
+    body("force")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("force must be a boolean")
+  ],
+  revertEnhancement
+);
+
 /**
  * @route   DELETE /api/enhance/history/:resumeId
  * @desc    Clear enhancement history for a resume
@@ -165,13 +357,14 @@ router.delete(
 
 /**
  * @route   POST /api/enhance/bulk
- * @desc    Enhance multiple sections in batch
+ * @desc    Queue enhancement of multiple sections in batch; poll or stream the job at /api/jobs/:jobId
  * @access  Public/Private
  */
 router.post(
   "/bulk",
   [
     optionalAuth,
+    requireAIQuota,
     body("sections")
       .exists()
       .withMessage("Sections object is required")
@@ -207,24 +400,10 @@ router.post(
     body("enhancementType")
       .optional()
       .isIn(["professional", "creative", "concise"])
-      .withMessage("Enhancement type must be professional, creative, or concise")
+      .withMessage("Enhancement type must be professional, creative, or concise"),
+    bypassCacheValidator
   ],
-  async (req, res) => {
-    try {
-      const { enhanceBatch } = require("../services/geminiService");
-      const { successResponse, errorResponse } = require("../utils/responseHelpers");
-      
-      const { sections, enhancementType = "professional" } = req.body;
-      
-      const result = await enhanceBatch(sections, enhancementType);
-      
-      return successResponse(res, "Batch enhancement completed", result);
-      
-    } catch (error) {
-      console.error("Bulk enhancement error:", error);
-      return errorResponse(res, "Failed to enhance sections", 500, error.message);
-    }
-  }
+  enhanceBulk
 );
 
 /**
@@ -234,7 +413,7 @@ router.post(
  */
 router.get("/status", (req, res) => {
   try {
-    const { getServiceStatus, isGeminiAvailable } = require("../services/geminiService");
+    const { getServiceStatus } = require("../services/aiService");
     
     const status = getServiceStatus();
     
@@ -260,11 +439,13 @@ router.get("/status", (req, res) => {
 /**
  * @route   POST /api/enhance/test
  * @desc    Test AI enhancement functionality
- * @access  Public
+ * @access  Public/Private
  */
 router.post(
   "/test",
   [
+    optionalAuth,
+    requireAIQuota,
     body("content")
       .optional()
       .default("I am a software developer with experience in web development.")
@@ -274,17 +455,24 @@ router.post(
   ],
   async (req, res) => {
     try {
-      const { enhanceWithGemini } = require("../services/geminiService");
+      const { enhanceContent, getServiceStatus } = require("../services/aiService");
       const { successResponse, errorResponse } = require("../utils/responseHelpers");
       
       const { content } = req.body;
       
-      const testResult = await enhanceWithGemini("summary", content, "professional");
+      // Always ask the AI: a cached response would not show whether it is working
+      const testResult = await enhanceContent("summary", content, "professional", {
+        bypassCache: true,
+        onUsage: req.aiUsage.onUsage
+      });
       
       return successResponse(res, "AI enhancement test completed", {
         original: content,
-        enhanced: testResult,
-        service: "Google Gemini AI",
+        enhanced: testResult.content,
+        usedFallback: testResult.usedFallback,
+        fallbackReason: testResult.fallbackReason,
+        promptVersion: testResult.promptVersion,
+        service: getServiceStatus().service,
         timestamp: new Date().toISOString()
       });
       
@@ -0,0 +1,42 @@
+const express = require("express");
+const { param } = require("express-validator");
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getJob,
+  streamJob,
+  cancelJob
+} = require("../controllers/jobController");
+
+const { optionalAuth } = require("../middleware/auth");
+
+const jobIdValidators = [
+  optionalAuth,
+  param("jobId")
+    .isMongoId()
+    .withMessage("Invalid job ID format")
+];
+
+/**
+ * @route   GET /api/jobs/:jobId
+ * @desc    Get job status, progress and result
+ * @access  Public/Private
+ */
+router.get("/:jobId", jobIdValidators, getJob);
+
+/**
+ * @route   GET /api/jobs/:jobId/stream
+ * @desc    Stream job progress as Server-Sent Events until it finishes
+ * @access  Public/Private
+ */
+router.get("/:jobId/stream", jobIdValidators, streamJob);
+
+/**
+ * @route   POST /api/jobs/:jobId/cancel
+ * @desc    Cancel a queued or running job
+ * @access  Public/Private
+ */
+router.post("/:jobId/cancel", jobIdValidators, cancelJob);
+
+module.exports = router;
\ No newline at end of file
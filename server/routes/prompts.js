@@ -0,0 +1,124 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getPrompts,
+  getPromptStatistics,
+  getPrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt
+} = require("../controllers/promptController");
+
+const { auth, requireAdmin } = require("../middleware/auth");
+const { PROMPT_SECTIONS, PROMPT_STYLES, getStyles } = require("../services/promptService");
+
+// Every prompt route is for admins only
+const adminOnly = [auth, requireAdmin];
+
+const filterValidators = [
+  query("section")
+    .optional()
+    .isIn(PROMPT_SECTIONS)
+    .withMessage(`Section must be one of: ${PROMPT_SECTIONS.join(", ")}`),
+  query("style")
+    .optional()
+    .isIn(PROMPT_STYLES)
+    .withMessage(`Style must be one of: ${PROMPT_STYLES.join(", ")}`)
+];
+
+const promptIdValidator = param("id")
+  .isMongoId()
+  .withMessage("Invalid prompt ID format");
+
+const notesValidator = body("notes")
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("Notes cannot exceed 500 characters");
+
+/**
+ * @route   GET /api/prompts
+ * @desc    List prompt versions (built-in ones included), optionally for one section and style
+ * @access  Private (Admin)
+ */
+router.get("/", adminOnly, filterValidators, getPrompts);
+
+/**
+ * @route   GET /api/prompts/stats
+ * @desc    Accepted and reverted enhancements per prompt version
+ * @access  Private (Admin)
+ */
+router.get("/stats", adminOnly, filterValidators, getPromptStatistics);
+
+/**
+ * @route   GET /api/prompts/:id
+ * @desc    Get a stored prompt version
+ * @access  Private (Admin)
+ */
+router.get("/:id", adminOnly, promptIdValidator, getPrompt);
+
+/**
+ * @route   POST /api/prompts
+ * @desc    Create a new version of a section's prompt
+ * @access  Private (Admin)
+ */
+router.post(
+  "/",
+  adminOnly,
+  [
+    body("section")
+      .isIn(PROMPT_SECTIONS)
+      .withMessage(`Section must be one of: ${PROMPT_SECTIONS.join(", ")}`),
+    body("style")
+      .isIn(PROMPT_STYLES)
+      .withMessage(`Style must be one of: ${PROMPT_STYLES.join(", ")}`)
+      .bail()
+      .custom((style, { req }) => getStyles(req.body.section).includes(style))
+      .withMessage((style, { req }) => `Style must be one of: ${getStyles(req.body.section).join(", ")}`),
+    body("template")
+      .isString()
+      .trim()
+      .isLength({ min: 20, max: 10000 })
+      .withMessage("Template must be between 20 and 10000 characters"),
+    notesValidator,
+    body("activate")
+      .optional()
+      .isBoolean()
+      .withMessage("activate must be a boolean")
+      .toBoolean()
+  ],
+  createPrompt
+);
+
+/**
+ * @route   PUT /api/prompts/:id
+ * @desc    Update a prompt version's notes, or activate/deactivate it
+ * @access  Private (Admin)
+ */
+router.put(
+  "/:id",
+  adminOnly,
+  [
+    promptIdValidator,
+    notesValidator,
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean")
+      .toBoolean()
+  ],
+  updatePrompt
+);
+
+/**
+ * @route   DELETE /api/prompts/:id
+ * @desc    Delete an inactive prompt version
+ * @access  Private (Admin)
+ */
+router.delete("/:id", adminOnly, promptIdValidator, deletePrompt);
+
+module.exports = router;
\ No newline at end of file
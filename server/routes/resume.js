@@ -9,13 +9,38 @@ const {
   loadResume,
   getAllResumes,
   deleteResume,
-  downloadPDF,
+  downloadResume,
   shareResume,
   getSharedResume,
-  duplicateResume
+  duplicateResume,
+  getTranslations,
+  exportResume,
+  getATSScore,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
 } = require("../controllers/resumeController");
 
-const { auth, optionalAuth } = require("../middleware/auth");
+const { auth, optionalAuth, requireAIQuota } = require("../middleware/auth");
+const { hasTemplate } = require("../services/templateService");
+const { BULLET_STYLES } = require("../services/textExportService");
+
+/**
+ * Strip the separators people type into phone numbers ("+1 (555) 123-4567")
+ * so the value matches the digits-only format stored on the Resume model
+ * @param {string} value - Raw phone number
+ * @returns {string} Normalized phone number
+ */
+const normalizePhone = (value) => {
+  return typeof value === "string" ? value.replace(/[\s\-().]/g, "") : value;
+};
+
+// Language a resume is written in
+const localeValidator = body("locale")
+  .optional()
+  .isLocale()
+  .withMessage("Locale must be a BCP 47 tag such as en-US");
 
 /**
  * @route   POST /api/resume/create
@@ -38,6 +63,7 @@ router.post(
       .normalizeEmail(),
     body("phone")
       .optional()
+      .customSanitizer(normalizePhone)
       .matches(/^[\+]?[1-9][\d]{0,15}$/)
       .withMessage("Please provide a valid phone number"),
     body("role")
@@ -69,15 +95,17 @@ router.post(
       .withMessage("Skills must be an array"),
     body("template")
       .optional()
-      .isIn(["modern", "classic", "creative", "professional", "minimal"])
-      .withMessage("Invalid template selection")
+      .custom(hasTemplate)
+      .withMessage("Invalid template selection"),
+    localeValidator
   ],
   createResume
 );
 
 /**
  * @route   PUT /api/resume/save
- * @desc    Save/Update resume (Auto-save functionality)
+ * @desc    Save/Update resume (Auto-save functionality). Updates by `resumeId` must send the loaded
+ *          `version`, and get a 409 with the server copy if it is stale.
  * @access  Public/Private
  */
 router.put(
@@ -93,6 +121,15 @@ router.put(
       .isEmail()
       .withMessage("Please provide a valid email")
       .normalizeEmail(),
+    // Updates must say which version they were based on, so stale edits get a 409
+    body("version")
+      .if((version, { req }) => version !== undefined || req.body.resumeId !== undefined)
+      .exists()
+      .withMessage("Saves of a saved resume must include the version it was loaded at")
+      .bail()
+      .isInt({ min: 1 })
+      .withMessage("Version must be a positive integer")
+      .toInt(),
     // Validate that either resumeId or email is provided
     body().custom((value, { req }) => {
       if (!req.body.resumeId && !req.body.email) {
@@ -107,6 +144,7 @@ router.put(
       .trim(),
     body("phone")
       .optional()
+      .customSanitizer(normalizePhone)
       .matches(/^[\+]?[1-9][\d]{0,15}$/)
       .withMessage("Please provide a valid phone number"),
     body("role")
@@ -118,7 +156,8 @@ router.put(
       .optional()
       .isLength({ max: 1000 })
       .withMessage("Summary cannot exceed 1000 characters")
-      .trim()
+      .trim(),
+    localeValidator
   ],
   saveResume
 );
@@ -191,25 +230,48 @@ router.delete(
   deleteResume
 );
 
+// Validators shared by the download routes
+const downloadValidators = [
+  optionalAuth,
+  body("resumeId")
+    .isMongoId()
+    .withMessage("Invalid resume ID format"),
+  body("template")
+    .optional()
+    .custom(hasTemplate)
+    .withMessage("Invalid template selection"),
+  body("format")
+    .optional()
+    .isIn(["pdf", "docx", "txt", "md"])
+    .withMessage("Format must be pdf, docx, txt or md"),
+  body("lineWidth")
+    .optional()
+    .isInt({ min: 0, max: 200 })
+    .withMessage("Line width must be between 0 and 200"),
+  body("bulletStyle")
+    .optional()
+    .isIn(BULLET_STYLES)
+    .withMessage(`Bullet style must be one of ${BULLET_STYLES.join(" ")}`),
+  body("locale")
+    .optional()
+    .isLocale()
+    .withMessage("Locale must be a BCP 47 tag such as en-US")
+];
+
+/**
+ * @route   POST /api/resume/download
+ * @desc    Generate and download the resume (format: pdf, docx, txt or md, default pdf;
+ *          txt/md also take lineWidth and bulletStyle)
+ * @access  Public/Private
+ */
+router.post("/download", downloadValidators, downloadResume);
+
 /**
  * @route   POST /api/resume/download-pdf
- * @desc    Generate and download PDF
+ * @desc    Generate and download PDF (same as /download; kept for existing clients)
  * @access  Public/Private
  */
-router.post(
-  "/download-pdf",
-  [
-    optionalAuth,
-    body("resumeId")
-      .isMongoId()
-      .withMessage("Invalid resume ID format"),
-    body("template")
-      .optional()
-      .isIn(["modern", "classic", "creative", "professional", "minimal"])
-      .withMessage("Invalid template selection")
-  ],
-  downloadPDF
-);
+router.post("/download-pdf", downloadValidators, downloadResume);
 
 /**
  * @route   POST /api/resume/share/:id
@@ -264,6 +326,169 @@ router.post(
   duplicateResume
 );
 
+/**
+ * @route   POST /api/resume/ats-score
+ * @desc    Score keyword coverage of a saved resume (resumeId) or unsaved resume data against a job description
+ * @access  Public/Private
+ */
+router.post(
+  "/ats-score",
+  [
+    optionalAuth,
+    body("resumeId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    body("resume")
+      .optional()
+      .isObject()
+      .withMessage("Resume data must be an object"),
+    body().custom((value, { req }) => {
+      if (!req.body.resumeId && !req.body.resume) {
+        throw new Error("Either resumeId or resume is required");
+      }
+      return true;
+    }),
+    body("jobDescription")
+      .exists()
+      .withMessage("Job description is required")
+      .isString()
+      .withMessage("Job description must be text")
+      .trim()
+      .isLength({ min: 50, max: 20000 })
+      .withMessage("Job description must be between 50 and 20000 characters"),
+    body("useAI")
+      .optional()
+      .isBoolean()
+      .withMessage("useAI must be a boolean")
+      .toBoolean(),
+    // Only AI-assisted scoring counts against the AI quota
+    (req, res, next) => (req.body.useAI ? requireAIQuota(req, res, next) : next())
+  ],
+  getATSScore
+);
+
+/**
+ * @route   GET /api/resume/:id/translations
+ * @desc    List translated variants of a resume with their stale sections (translate at POST /api/enhance/translate)
+ * @access  Public/Private
+ */
+router.get(
+  "/:id/translations",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format")
+  ],
+  getTranslations
+);
+
+/**
+ * @route   GET /api/resume/:id/export
+ * @desc    Export a resume as JSON Resume (?format=jsonresume); mapping loss is returned as warnings
+ * @access  Public/Private
+ */
+router.get(
+  "/:id/export",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    query("format")
+      .optional()
+      .isIn(["jsonresume"])
+      .withMessage("Format must be jsonresume")
+  ],
+  exportResume
+);
+
+/**
+ * @route   GET /api/resume/:id/revisions
+ * @desc    List saved revisions of a resume (newest first)
+ * @access  Public/Private
+ */
+router.get(
+  "/:id/revisions",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50")
+  ],
+  getRevisions
+);
+
+/**
+ * @route   GET /api/resume/:id/revisions/diff
+ * @desc    Section-level diff between two revisions (?from=N&to=M, to defaults to current)
+ * @access  Public/Private
+ */
+router.get(
+  "/:id/revisions/diff",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    query("from")
+      .isInt({ min: 1 })
+      .withMessage("From must be a positive revision number"),
+    query("to")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("To must be a positive revision number")
+  ],
+  diffRevisions
+);
+
+/**
+ * @route   GET /api/resume/:id/revisions/:version
+ * @desc    Get a single revision of a resume
+ * @access  Public/Private
+ */
+router.get(
+  "/:id/revisions/:version",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    param("version")
+      .isInt({ min: 1 })
+      .withMessage("Version must be a positive integer")
+  ],
+  getRevision
+);
+
+/**
+ * @route   POST /api/resume/:id/revisions/:version/restore
+ * @desc    Restore a revision as a new version of the resume
+ * @access  Public/Private
+ */
+router.post(
+  "/:id/revisions/:version/restore",
+  [
+    optionalAuth,
+    param("id")
+      .isMongoId()
+      .withMessage("Invalid resume ID format"),
+    param("version")
+      .isInt({ min: 1 })
+      .withMessage("Version must be a positive integer")
+  ],
+  restoreRevision
+);
+
 /**
  * @route   GET /api/resume/templates
  * @desc    Get available resume templates
@@ -282,7 +507,7 @@ router.get("/templates", (req, res) => {
 
 /**
  * @route   POST /api/resume/validate
- * @desc    Validate resume data
+ * @desc    Validate resume data and lint it (weak verbs, pronouns, metrics, tense, duplicates, date gaps)
  * @access  Public
  */
 router.post(
@@ -322,7 +547,7 @@ router.post(
 router.get("/status", (req, res) => {
   try {
     const { getPDFServiceStatus } = require("../services/pdfService");
-    const { getServiceStatus } = require("../services/geminiService");
+    const { getServiceStatus } = require("../services/aiService");
     
     const pdfStatus = getPDFServiceStatus();
     const aiStatus = getServiceStatus();
@@ -6,6 +6,7 @@ const router = express.Router();
 const {
   uploadResume,
   parseTextResume,
+  importJSONResume,
   getUploadStatus,
   cleanupUploads
 } = require("../controllers/uploadController");
@@ -52,6 +53,30 @@ router.post(
   parseTextResume
 );
 
+/**
+ * @route   POST /api/upload/json-resume
+ * @desc    Import a JSON Resume (jsonresume.org) document; mapping loss is returned as warnings
+ * @access  Public/Private
+ */
+router.post(
+  "/json-resume",
+  [
+    optionalAuth,
+    body("resume")
+      .isObject()
+      .withMessage("Resume must be a JSON Resume object"),
+    body("resume.basics")
+      .optional()
+      .isObject()
+      .withMessage("basics must be an object"),
+    body("editType")
+      .optional()
+      .isIn(["manual", "ai"])
+      .withMessage("Edit type must be either 'manual' or 'ai'")
+  ],
+  importJSONResume
+);
+
 /**
  * @route   GET /api/upload/status
  * @desc    Get upload status and file information
@@ -154,6 +179,14 @@ router.get("/supported-formats", (req, res) => {
       maxSize: "10MB",
       parseQuality: "Basic",
       features: ["Raw text parsing", "No formatting"]
+    },
+    {
+      extension: ".json",
+      mimeType: "application/json",
+      description: "JSON Resume (jsonresume.org)",
+      maxSize: "10MB",
+      parseQuality: "Exact",
+      features: ["Field-by-field mapping", "Warnings for unsupported fields"]
     }
   ];
 
@@ -274,12 +307,13 @@ Certified ScrumMaster (CSM)
       };
       
       const sampleContent = sampleResumes[sampleType] || sampleResumes.developer;
-      const parsedData = await parseTextToStructuredData(sampleContent);
+      const { resumeData: parsedData, provenance } = await parseTextToStructuredData(sampleContent);
       
       return successResponse(res, "Sample resume parsed successfully", {
         sampleType,
         originalContent: sampleContent,
-        parsedData
+        parsedData,
+        provenance
       });
       
     } catch (error) {
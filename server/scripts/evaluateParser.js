@@ -0,0 +1,166 @@
+/**
+ * Measure the resume text parser against the fixture corpus in fixtures/resumes: each <name>.txt or
+ * <name>.md resume is parsed and compared with <name>.expected.json, field by field
+ *
+ * Usage: npm run eval:parser [-- --verbose] [-- --min-accuracy=0.9]
+ * Only the fields listed in an expected file are checked, list items by position and text with
+ * whitespace collapsed. Parsed list items beyond the expected ones are counted as extra. Expected fields
+ * the parser left empty are counted as missing; the report shows how many of the other wrong fields
+ * were flagged for review by their confidence score. tests/parserEvaluation.test.js runs the same
+ * evaluation with minimum scores.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseTextToStructuredData } = require("../services/parseService");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "resumes");
+const RESUME_EXTENSIONS = [".txt", ".md"];
+
+const normalize = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+
+/**
+ * Flatten expected values into [path, value] pairs ("experience[0].accomplishment[1]")
+ * @param {*} value - Expected value
+ * @param {string} prefix - Path of the value
+ * @param {Array} pairs - Pairs collected so far
+ * @returns {Array} [path, value] pairs for every leaf
+ */
+const flatten = (value, prefix = "", pairs = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, pairs));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, pairs));
+  } else {
+    pairs.push([prefix, value]);
+  }
+  return pairs;
+};
+
+const getAtPath = (data, fieldPath) => {
+  return fieldPath.match(/[a-zA-Z]+|\d+/g).reduce((value, key) => value?.[key], data);
+};
+
+/**
+ * Parse one fixture and compare it with its expected output
+ * @param {string} name - Fixture file name
+ * @returns {Promise<Object>} { name, total, matched, missing, extra, mismatches, wrongFlagged, correctFlagged } -
+ * wrongFlagged counts the wrong fields flagged for review, leaving out missing ones (nothing to flag)
+ */
+const evaluateFixture = async (name) => {
+  const base = name.slice(0, -path.extname(name).length);
+  const text = fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8");
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${base}.expected.json`), "utf8"));
+
+  const { resumeData, provenance } = await parseTextToStructuredData(text);
+  const flagged = new Set(provenance.filter(field => field.review).map(field => field.path));
+
+  const result = { name: base, total: 0, matched: 0, missing: 0, extra: 0, mismatches: [], wrongFlagged: 0, correctFlagged: 0 };
+
+  flatten(expected).forEach(([fieldPath, value]) => {
+    const actual = getAtPath(resumeData, fieldPath);
+    const isMatch = normalize(actual) === normalize(value);
+
+    result.total++;
+    if (isMatch) {
+      result.matched++;
+      if (flagged.has(fieldPath)) result.correctFlagged++;
+    } else if (!normalize(actual)) {
+      result.missing++;
+      result.mismatches.push({ path: fieldPath, expected: value, actual, missing: true, flagged: false });
+    } else {
+      result.mismatches.push({ path: fieldPath, expected: value, actual, missing: false, flagged: flagged.has(fieldPath) });
+      if (flagged.has(fieldPath)) result.wrongFlagged++;
+    }
+  });
+
+  Object.entries(expected).forEach(([section, value]) => {
+    if (Array.isArray(value) && Array.isArray(resumeData[section])) {
+      result.extra += Math.max(0, resumeData[section].length - value.length);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Evaluate every fixture
+ * @returns {Promise<Object>} { results, totals } - results per fixture (see evaluateFixture); totals add them up,
+ * with wrong as the wrong fields that were not missing
+ */
+const evaluateFixtures = async () => {
+  const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(name => RESUME_EXTENSIONS.includes(path.extname(name)))
+    .sort();
+
+  const results = [];
+  const totals = { total: 0, matched: 0, missing: 0, extra: 0, wrong: 0, wrongFlagged: 0, correctFlagged: 0 };
+
+  for (const name of fixtures) {
+    const result = await evaluateFixture(name);
+    results.push(result);
+
+    totals.total += result.total;
+    totals.matched += result.matched;
+    totals.missing += result.missing;
+    totals.extra += result.extra;
+    totals.wrong += result.total - result.matched - result.missing;
+    totals.wrongFlagged += result.wrongFlagged;
+    totals.correctFlagged += result.correctFlagged;
+  }
+
+  return { results, totals };
+};
+
+const percent = (part, total) => (total ? `${Math.round((part / total) * 100)}%` : "n/a");
+
+const report = async () => {
+  const verbose = process.argv.includes("--verbose");
+  const minAccuracyArg = process.argv.find(arg => arg.startsWith("--min-accuracy="));
+  const minAccuracy = minAccuracyArg ? parseFloat(minAccuracyArg.split("=")[1]) : null;
+
+  const { results, totals } = await evaluateFixtures();
+
+  results.forEach(result => {
+    const wrong = result.total - result.matched - result.missing;
+
+    console.log(
+      `${wrong === 0 && result.missing === 0 && result.extra === 0 ? "✅" : "⚠️"} ${result.name.padEnd(16)} ` +
+      `${result.matched}/${result.total} fields (${percent(result.matched, result.total)}), ` +
+      `${result.missing} missing, ${result.extra} extra items, ${result.wrongFlagged}/${wrong} wrong fields flagged, ` +
+      `${result.correctFlagged} correct fields flagged`
+    );
+
+    if (verbose) {
+      result.mismatches.forEach(mismatch => {
+        const marker = mismatch.missing ? "∅" : mismatch.flagged ? "🔎" : "  ";
+        console.log(`   ${marker} ${mismatch.path}: expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual ?? null)}`);
+      });
+    }
+  });
+
+  const accuracy = totals.total ? totals.matched / totals.total : 0;
+
+  console.log(
+    `\n📊 ${results.length} fixtures: ${totals.matched}/${totals.total} fields (${percent(totals.matched, totals.total)}), ` +
+    `${totals.missing} missing, ${totals.extra} extra items\n` +
+    `🔎 Review flags: ${totals.wrongFlagged}/${totals.wrong} wrong fields flagged (${percent(totals.wrongFlagged, totals.wrong)}), ` +
+    `${totals.correctFlagged}/${totals.matched} correct fields flagged`
+  );
+
+  if (minAccuracy !== null && accuracy < minAccuracy) {
+    console.error(`❌ Accuracy ${percent(totals.matched, totals.total)} is below the minimum of ${percent(minAccuracy, 1)}`);
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  report().catch(error => {
+    console.error("❌ Parser evaluation failed:", error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  evaluateFixture,
+  evaluateFixtures
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Run the AI job worker on its own, without the HTTP server
+ *
+ * Usage: npm run worker
+ * Start the API with JOB_WORKER_ENABLED=false to leave all queued jobs to separate workers.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectToDatabase = require("../config/database");
+const { startWorker, stopWorker } = require("../services/jobQueue");
+require("../services/enhancementJobs"); // Registers the job handlers
+
+const shutdown = async (signal) => {
+  console.log(`👋 Received ${signal}, stopping worker`);
+  await stopWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+connectToDatabase()
+  .then(startWorker)
+  .catch(error => {
+    console.error("❌ Job worker failed to start:", error.message);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Fill structured start/end dates on existing resumes from their free-text
+ * experience[].date, education[].duration and projects[].duration fields
+ *
+ * Usage: npm run migrate:dates [-- --dry-run]
+ * Entries whose text cannot be read are listed and left unchanged.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectToDatabase = require("../config/database");
+const Resume = require("../models/Resume");
+const { DATED_SECTIONS, parseDateRange } = require("../services/dateService");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+  await connectToDatabase();
+
+  const stats = { resumes: 0, updatedResumes: 0, updatedEntries: 0, unreadable: 0 };
+  const cursor = Resume.find({}).lean().cursor();
+
+  for await (const resume of cursor) {
+    stats.resumes++;
+    const updates = {};
+
+    Object.entries(DATED_SECTIONS).forEach(([section, textField]) => {
+      let changed = false;
+
+      const entries = (resume[section] || []).map((entry, index) => {
+        if (entry.startDate && entry.startDate.year) return entry;
+
+        const text = entry[textField];
+        if (!text) return entry;
+
+        const range = parseDateRange(text);
+        if (!range) {
+          stats.unreadable++;
+          console.warn(`⚠️ ${resume._id} ${section}[${index}]: could not read "${text}"`);
+          return entry;
+        }
+
+        changed = true;
+        stats.updatedEntries++;
+        return { ...entry, ...range };
+      });
+
+      if (changed) {
+        updates[section] = entries;
+      }
+    });
+
+    if (Object.keys(updates).length > 0) {
+      stats.updatedResumes++;
+      if (!dryRun) {
+        // Direct update: a data migration is not a user edit, so no version bump or revision
+        await Resume.updateOne({ _id: resume._id }, { $set: updates });
+      }
+    }
+  }
+
+  console.log(`${dryRun ? "🔍 Dry run" : "✅ Migration complete"}:`, stats);
+};
+
+migrate()
+  .catch(error => {
+    console.error("❌ Date migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
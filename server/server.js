@@ -9,15 +9,22 @@ require("dotenv").config();
 // Import configurations and middleware
 const connectToDatabase = require("./config/database");
 const { errorHandler, notFound } = require("./middleware/errorHandler");
+const { loadTemplatePacks } = require("./services/templateService");
+const { warmBrowserPool, shutdownBrowserPool } = require("./services/browserPool");
+const { startWorker, stopWorker } = require("./services/jobQueue");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const resumeRoutes = require("./routes/resume");
 const enhanceRoutes = require("./routes/enhance");
 const uploadRoutes = require("./routes/upload");
+const jobRoutes = require("./routes/jobs");
+const promptRoutes = require("./routes/prompts");
+const coverLetterRoutes = require("./routes/coverLetters");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+let httpServer = null;
 
 // Security middleware
 app.use(helmet({
@@ -71,6 +78,9 @@ app.use("/api/auth", authRoutes);
 app.use("/api/resume", resumeRoutes);
 app.use("/api/enhance", enhanceRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/prompts", promptRoutes);
+app.use("/api/cover-letters", coverLetterRoutes);
 
 // Health check route
 app.get("/health", (req, res) => {
@@ -92,6 +102,9 @@ app.get("/api", (req, res) => {
       resume: "/api/resume", 
       enhance: "/api/enhance",
       upload: "/api/upload",
+      jobs: "/api/jobs",
+      prompts: "/api/prompts",
+      coverLetters: "/api/cover-letters",
       health: "/health"
     }
   });
@@ -108,14 +121,27 @@ async function startServer() {
   try {
     // Connect to MongoDB
     await connectToDatabase();
+
+    // Discover resume template packs
+    loadTemplatePacks();
     
     // Start the server
-    app.listen(PORT, () => {
+    httpServer = app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
       console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL}`);
       console.log(`📁 Upload directory: ${process.env.UPLOAD_DIR || './uploads'}`);
     });
+
+    // Run queued AI jobs in this process unless a separate worker (npm run worker) handles them
+    if (process.env.JOB_WORKER_ENABLED !== "false") {
+      await startWorker();
+    }
+
+    // Launch PDF browsers in the background; downloads launch them on demand if this fails
+    warmBrowserPool().catch(error => {
+      console.warn("⚠️ Could not warm PDF browser pool:", error.message);
+    });
   } catch (error) {
     console.error("❌ Failed to start server:", error);
     process.exit(1);
@@ -133,16 +159,25 @@ process.on("unhandledRejection", (error) => {
   process.exit(1);
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("👋 Received SIGTERM, shutting down gracefully");
-  process.exit(0);
-});
+// Graceful shutdown: stop accepting requests, let PDF and AI jobs finish, then close browsers
+async function shutdown(signal) {
+  console.log(`👋 Received ${signal}, shutting down gracefully`);
+
+  try {
+    if (httpServer) {
+      httpServer.close();
+    }
+    await stopWorker();
+    await shutdownBrowserPool();
+  } catch (error) {
+    console.error("❌ Error during shutdown:", error);
+  }
 
-process.on("SIGINT", () => {
-  console.log("👋 Received SIGINT, shutting down gracefully");
   process.exit(0);
-});
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 // Start the server
 startServer();
\ No newline at end of file
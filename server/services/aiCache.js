@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+
+// Cache configuration (overridable through environment variables)
+const CACHE_CONFIG = {
+  enabled: process.env.AI_CACHE_ENABLED !== "false",
+  ttl: parseInt(process.env.AI_CACHE_TTL_MS) || 24 * 60 * 60 * 1000, // how long a response is reused
+  maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 1000, // least recently used go first
+  maxSize: parseInt(process.env.AI_CACHE_MAX_BYTES) || 5 * 1024 * 1024 // total size of cached responses
+};
+
+const entries = new Map(); // key -> { value, size, expiresAt }, least recently used first
+const pending = new Map(); // key -> promise of a response being generated
+let totalSize = 0;
+
+const metrics = {
+  hits: 0,
+  misses: 0,
+  deduplicated: 0,
+  bypassed: 0,
+  evictions: 0,
+  expirations: 0
+};
+
+/**
+ * Hash text into a short, stable id
+ * @param {string} text - Text to hash
+ * @param {number} length - Hex characters to keep (default: all)
+ * @returns {string} SHA-256 hex digest
+ */
+const hashText = (text, length) => {
+  const digest = crypto.createHash("sha256").update(String(text)).digest("hex");
+  return length ? digest.slice(0, length) : digest;
+};
+
+/**
+ * Version of a prompt template: a hash of its text, so editing a prompt stops its old responses being reused
+ * @param {string} template - Prompt template
+ * @returns {string} Version id
+ */
+const promptVersion = (template) => hashText(template, 12);
+
+/**
+ * Normalize content so trivially different copies of the same text share a cache entry
+ * @param {string} content - Content sent to the AI
+ * @returns {string} Normalized content
+ */
+const normalizeContent = (content) => String(content ?? "").normalize("NFC").replace(/\s+/g, " ").trim();
+
+/**
+ * Build the cache key for an AI request
+ * @param {Object} request - { provider, model, promptVersion, section, style, content }
+ * @returns {string} Cache key
+ */
+const createCacheKey = ({ provider, model, promptVersion: version, section, style, content }) => {
+  return hashText(JSON.stringify([provider, model, version, section, style, normalizeContent(content)]));
+};
+
+/**
+ * Drop an entry from the cache
+ * @param {string} key - Cache key
+ */
+const removeEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  totalSize -= entry.size;
+};
+
+/**
+ * Look up a cached response, marking it as recently used
+ * @param {string} key - Cache key
+ * @returns {string|undefined} Cached response
+ */
+const getCachedResponse = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    removeEntry(key);
+    metrics.expirations++;
+    return undefined;
+  }
+
+  // Move to the end of the map (most recently used)
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Store a response, evicting the least recently used ones to stay within the limits
+ * Blank responses and responses larger than the whole cache are not stored.
+ * @param {string} key - Cache key
+ * @param {string} value - AI response
+ */
+const setCachedResponse = (key, value) => {
+  if (!CACHE_CONFIG.enabled || typeof value !== "string" || !value.trim()) return;
+
+  const size = Buffer.byteLength(value);
+  if (size > CACHE_CONFIG.maxSize) return;
+
+  removeEntry(key);
+  while (entries.size > 0 && (entries.size >= CACHE_CONFIG.maxEntries || totalSize + size > CACHE_CONFIG.maxSize)) {
+    removeEntry(entries.keys().next().value);
+    metrics.evictions++;
+  }
+
+  entries.set(key, { value, size, expiresAt: Date.now() + CACHE_CONFIG.ttl });
+  totalSize += size;
+};
+
+/**
+ * Return the cached response for a key, or generate and cache it
+ * Concurrent calls for the same key share one generation. Failed generations are not cached.
+ * @param {string} key - Cache key
+ * @param {Function} generate - Async function producing the response
+ * @param {Object} options - { bypass } - skip the lookup and refresh the entry with a new response
+ * @returns {Promise<string>} AI response
+ */
+const withCache = async (key, generate, { bypass = false } = {}) => {
+  if (!CACHE_CONFIG.enabled) return generate();
+
+  if (bypass) {
+    metrics.bypassed++;
+  } else {
+    const cached = getCachedResponse(key);
+    if (cached !== undefined) {
+      metrics.hits++;
+      return cached;
+    }
+
+    if (pending.has(key)) {
+      metrics.deduplicated++;
+      return pending.get(key);
+    }
+    metrics.misses++;
+  }
+
+  const generation = (async () => {
+    const value = await generate();
+    setCachedResponse(key, value);
+    return value;
+  })();
+
+  if (bypass) return generation;
+
+  pending.set(key, generation);
+  try {
+    return await generation;
+  } finally {
+    pending.delete(key);
+  }
+};
+
+/**
+ * Get cache statistics
+ * @returns {Object} Configuration, size and hit/miss counters
+ */
+const getCacheStats = () => {
+  const lookups = metrics.hits + metrics.misses + metrics.deduplicated;
+
+  return {
+    enabled: CACHE_CONFIG.enabled,
+    ttl: CACHE_CONFIG.ttl,
+    maxEntries: CACHE_CONFIG.maxEntries,
+    maxSize: CACHE_CONFIG.maxSize,
+    entries: entries.size,
+    size: totalSize,
+    inFlight: pending.size,
+    ...metrics,
+    hitRate: lookups > 0 ? Math.round(((metrics.hits + metrics.deduplicated) / lookups) * 100) / 100 : 0
+  };
+};
+
+module.exports = {
+  CACHE_CONFIG,
+  promptVersion,
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  withCache,
+  getCacheStats
+};
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * Checks on AI-enhanced text before it reaches a resume or cover letter: formatting the model should not have added is
+ * stripped, text longer than the schema allows is shortened, and text that states facts the original
+ * does not (employers, dates, numbers) is rejected so the rule-based fallback is used instead.
+ *
+ * Translations get a lighter check per field: numbers must carry over and the text must fit the field.
+ * Tailorings get the enhancement checks for their summary and each bullet suggestion.
+ *
+ * Fallback reasons reported to the client: EMPTY_RESPONSE, INVENTED_EMPLOYER, INVENTED_DATE, INVENTED_METRIC
+ * and TOO_SHORT from here; AI_UNAVAILABLE, AI_ERROR and AI_QUOTA_EXCEEDED from aiService.js.
+ */
+
+const Resume = require("../models/Resume");
+const CoverLetter = require("../models/CoverLetter");
+
+// Model and field each section's enhanced text is stored in; its schema maxlength applies
+const SECTION_FIELDS = {
+  summary: [Resume, "summary"],
+  experience: [Resume, "experience.accomplishment"],
+  achievements: [Resume, "achievements.describe"],
+  projects: [Resume, "projects.description"],
+  courses: [Resume, "courses.description"],
+  certifications: [Resume, "certifications.title"],
+  coverLetter: [CoverLetter, "body"]
+};
+
+// Sections whose text is a list of "• " bullets, one per line
+const BULLET_SECTIONS = ["experience"];
+
+// Sections whose text is paragraphs separated by a blank line, written as a letter
+const LETTER_SECTIONS = ["coverLetter"];
+
+// "Sure! Here is the enhanced summary:" before the answer, "Let me know if..." after it
+const PREAMBLE_PATTERN = /^(sure|certainly|of course|here(?:'s| is| are)|below is)\b.*[:!.]$/i;
+const SIGN_OFF_PATTERN = /^(note|let me know|i hope|feel free|this version)\b/i;
+
+// The salutation and sign-off around a letter body; the letter stores its own
+const GREETING_PATTERN = /^(?:dear|to whom it may concern|hello|hi)\b[^.!?]*[,:]?$/i;
+const CLOSING_PATTERN = /^(?:sincerely|regards|respectfully|thank you|(?:best|kind|warm|warmest)(?: regards| wishes)?|yours (?:sincerely|truly|faithfully))[,.!]?$/i;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, hundred: 100
+};
+
+// "May" is left out: it is far more often the verb
+const MONTH_PATTERN = /\b(January|February|March|April|June|July|August|September|October|November|December|(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\.?(?=\s+\d))\b/g;
+
+// Company names: "at Acme", "joined Acme Labs", or anything ending in a company suffix
+const EMPLOYER_PATTERNS = [
+  /\b(?:at|joined)\s+((?:[A-Z][\w&.-]*)(?:\s+[A-Z][\w&.-]*){0,3})/g,
+  /\b((?:[A-Z][\w&-]*\s+){1,3}(?:Inc|LLC|Ltd|Corp|Corporation|Technologies|Labs|Group|GmbH)\b)/g
+];
+
+/**
+ * Longest text the schema accepts for a section's enhanced field
+ * @param {string} section - Resume section, or coverLetter
+ * @returns {number|null} Maximum length, or null when the section has no single text field
+ */
+const getMaxLength = (section) => {
+  const [model, field] = SECTION_FIELDS[section] || [];
+  return model ? getFieldLimits(model, field).maxLength : null;
+};
+
+/**
+ * Length limits of a text field (or of each string in an array field)
+ * @param {Object} model - Mongoose model
+ * @param {string} field - Schema path ("summary", "experience.accomplishment")
+ * @returns {Object} { minLength, maxLength } - null where the schema sets no limit
+ */
+const getFieldLimits = (model, field) => {
+  const schemaType = model.schema.path(field);
+  const option = (name) => {
+    const value = schemaType?.options[name] || schemaType?.caster?.options[name];
+    return Array.isArray(value) ? value[0] : value || null;
+  };
+
+  return { minLength: option("minlength"), maxLength: option("maxlength") };
+};
+
+/**
+ * Remove labels, headings, links and emphasis from one line
+ * @param {string} line - Trimmed line
+ * @returns {string} Plain line
+ */
+const stripLine = (line) => line
+  .replace(/^#{1,6}\s+/, "")
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+  .replace(/(\*\*|__)(.+?)\1/g, "$2")
+  .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, "$1$2")
+  .replace(/`([^`]+)`/g, "$1")
+  // After the emphasis, so a bold "**Enhanced summary:**" label goes too
+  .replace(/^(?:Enhanced|Creative|Concise|Improved|Rewritten|Tailored)(?: [\w-]+){0,3}:\s*/i, "")
+  .trim();
+
+/**
+ * Join lines into one paragraph, dropping list markers
+ * @param {Array} lines - Non-empty lines
+ * @returns {string} Paragraph
+ */
+const joinParagraph = (lines) => lines.map(line => line.replace(/^(?:[•*-]|\d+[.)])\s+/, "")).join(" ");
+
+/**
+ * Remove the labels, preamble, sign-offs and markdown models add around their answer
+ * @param {string} text - AI response
+ * @param {string} section - Resume section (bullet sections keep one "• " bullet per line; letter
+ * sections keep their paragraphs and lose the greeting and sign-off)
+ * @returns {string} Plain text
+ */
+const stripFormatting = (text, section) => {
+  // Trimmed lines; an empty line separates paragraphs
+  let lines = String(text || "")
+    .replace(/```[a-z]*\n?/gi, "")
+    .split("\n")
+    .map(line => line.trim());
+
+  const first = () => lines.findIndex(Boolean);
+  const last = () => lines.findLastIndex(Boolean);
+  const count = () => lines.filter(Boolean).length;
+
+  if (count() > 1 && PREAMBLE_PATTERN.test(lines[first()])) {
+    lines.splice(first(), 1);
+  }
+  while (count() > 1 && SIGN_OFF_PATTERN.test(lines[last()])) {
+    lines.splice(last(), 1);
+  }
+
+  if (LETTER_SECTIONS.includes(section)) {
+    if (count() > 1 && GREETING_PATTERN.test(lines[first()])) {
+      lines.splice(first(), 1);
+    }
+    // The closing and the signature lines after it
+    const closing = lines.findLastIndex(line => CLOSING_PATTERN.test(line));
+    if (closing > first()) {
+      lines = lines.slice(0, closing);
+    }
+  }
+
+  // Lines left empty by stripping are dropped; paragraph breaks are kept
+  lines = lines
+    .map(line => line && (stripLine(line) || null))
+    .filter(line => line !== null);
+
+  if (BULLET_SECTIONS.includes(section)) {
+    return lines.filter(Boolean).map(line => line.replace(/^(?:[•*-]|\d+[.)])\s*/, "• ")).join("\n");
+  }
+
+  const paragraphs = LETTER_SECTIONS.includes(section)
+    ? lines.join("\n").split(/\n{2,}/).map(block => joinParagraph(block.split("\n").filter(Boolean)))
+    : [joinParagraph(lines.filter(Boolean))];
+
+  return paragraphs.filter(Boolean).join("\n\n").replace(/^(["“])([\s\S]*)["”]$/, "$2").trim();
+};
+
+/**
+ * Shorten text to a length, at the end of a sentence when one is close enough, otherwise at a word
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text no longer than maxLength
+ */
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "));
+  if (sentenceEnd >= maxLength / 2) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = cut.lastIndexOf(" ");
+  return (wordEnd > 0 ? cut.slice(0, wordEnd) : cut).replace(/[\s,;:-]+$/, "");
+};
+
+/**
+ * Keep text within the section's schema limit (per bullet for bullet sections)
+ * @param {string} section - Resume section, or coverLetter
+ * @param {string} text - Enhanced text
+ * @returns {string} Text that fits the schema
+ */
+const limitLength = (section, text) => {
+  const maxLength = getMaxLength(section);
+  if (!maxLength) return text;
+
+  return BULLET_SECTIONS.includes(section)
+    ? text.split("\n").map(line => truncateText(line, maxLength)).join("\n")
+    : truncateText(text, maxLength);
+};
+
+/**
+ * Numbers mentioned in text, including small numbers written as words
+ * @param {string} text - Text
+ * @returns {Set} Numbers as strings ("1500", "4.5")
+ */
+const findNumbers = (text) => {
+  const numbers = new Set((text.match(/\d+(?:[.,]\d+)*/g) || []).map(number => number.replace(/,/g, "")));
+
+  (text.toLowerCase().match(/\b[a-z]+\b/g) || []).forEach(word => {
+    if (NUMBER_WORDS[word]) numbers.add(String(NUMBER_WORDS[word]));
+  });
+  return numbers;
+};
+
+/**
+ * Find the first fact in enhanced text that the original does not support
+ * @param {string} original - Original content
+ * @param {string} enhanced - Enhanced content
+ * @returns {string|null} Fallback reason (INVENTED_EMPLOYER, INVENTED_DATE, INVENTED_METRIC), or null
+ */
+const findInventedFact = (original, enhanced) => {
+  const source = String(original || "");
+  const lowerSource = source.toLowerCase();
+
+  for (const pattern of EMPLOYER_PATTERNS) {
+    for (const [, name] of enhanced.matchAll(pattern)) {
+      // A name at the end of a sentence picks up its full stop and the next sentence's first word
+      const employer = name.split(/\.(?:\s|$)/)[0].trim();
+      if (!lowerSource.includes(employer.toLowerCase())) return "INVENTED_EMPLOYER";
+    }
+  }
+
+  for (const [month] of enhanced.matchAll(MONTH_PATTERN)) {
+    if (!lowerSource.includes(month.replace(".", "").toLowerCase())) return "INVENTED_DATE";
+  }
+
+  const knownNumbers = findNumbers(source);
+  for (const number of findNumbers(enhanced)) {
+    if (knownNumbers.has(number)) continue;
+    return /^(19|20)\d{2}$/.test(number) ? "INVENTED_DATE" : "INVENTED_METRIC";
+  }
+
+  return null;
+};
+
+/**
+ * Check and repair AI-enhanced text for a section
+ * @param {string} section - Resume section, or coverLetter
+ * @param {string} original - Content that was sent to the AI
+ * @param {string} output - AI response
+ * @returns {Object} { ok, content, reason, repairs } - reason is the fallback reason when not ok; repairs lists
+ * what was fixed (FORMATTING_STRIPPED, TRUNCATED)
+ */
+const guardEnhancement = (section, original, output) => {
+  const repairs = [];
+
+  const stripped = stripFormatting(output, section);
+  if (stripped !== String(output || "").trim()) repairs.push("FORMATTING_STRIPPED");
+
+  if (!stripped) {
+    return { ok: false, content: "", reason: "EMPTY_RESPONSE", repairs };
+  }
+
+  const reason = findInventedFact(original, stripped);
+  if (reason) {
+    return { ok: false, content: stripped, reason, repairs };
+  }
+
+  const content = limitLength(section, stripped);
+  if (content !== stripped) repairs.push("TRUNCATED");
+
+  return { ok: true, content, reason: null, repairs };
+};
+
+/**
+ * Check and repair one translated resume field
+ * @param {string} path - Field path ("summary", "experience[0].accomplishment[1]")
+ * @param {string} original - Text in the source language
+ * @param {string} output - Translated text
+ * @returns {Object} { ok, content, reason, repairs } - as guardEnhancement
+ */
+const guardTranslation = (path, original, output) => {
+  const repairs = [];
+  const text = typeof output === "string" ? output.replace(/\s+/g, " ").trim() : "";
+
+  if (!text) {
+    return { ok: false, content: "", reason: "EMPTY_RESPONSE", repairs };
+  }
+
+  // Digits carry over unchanged; decimal separators may switch between "." and ","
+  const digits = (value) => new Set((value.match(/\d+(?:[.,]\d+)*/g) || []).map(number => number.replace(/,/g, ".")));
+  const known = digits(String(original || ""));
+  for (const number of digits(text)) {
+    if (!known.has(number)) {
+      return { ok: false, content: text, reason: /^(19|20)\d{2}$/.test(number) ? "INVENTED_DATE" : "INVENTED_METRIC", repairs };
+    }
+  }
+
+  const { minLength, maxLength } = getFieldLimits(Resume, path.replace(/\[\d+\]/g, ""));
+  if (minLength && text.length < minLength) {
+    return { ok: false, content: text, reason: "TOO_SHORT", repairs };
+  }
+
+  const content = maxLength ? truncateText(text, maxLength) : text;
+  if (content !== text) repairs.push("TRUNCATED");
+
+  return { ok: true, content, reason: null, repairs };
+};
+
+/**
+ * Check the AI-written parts of a tailoring: a rejected summary is replaced by the original one and a rejected
+ * bullet suggestion is dropped
+ * @param {Object} resumeData - Plain resume data that was tailored
+ * @param {Object} tailoring - { summary, bulletSuggestions } - suggestions as { experienceIndex, bulletIndex,
+ * original, suggested, reason }
+ * @returns {Object} { summary, bulletSuggestions, rejected } - rejected lists { path, reason } for each suggestion
+ * that was not kept ("summary", "experience[0].accomplishment[1]")
+ */
+const guardTailoring = (resumeData, { summary, bulletSuggestions }) => {
+  const rejected = [];
+  const originalSummary = resumeData.summary || "";
+  let checkedSummary = originalSummary;
+
+  if (summary && summary !== originalSummary) {
+    // The summary may restate anything the tailoring prompt showed from the resume
+    const facts = [
+      resumeData.role,
+      originalSummary,
+      ...(resumeData.skills || []),
+      ...(resumeData.experience || []).flatMap(exp => [exp.title, exp.companyName, ...(exp.accomplishment || [])])
+    ].filter(Boolean).join("\n");
+
+    const result = guardEnhancement("summary", facts, summary);
+    const { minLength } = getFieldLimits(Resume, "summary");
+    const reason = result.reason || (minLength && result.content.length < minLength ? "TOO_SHORT" : null);
+
+    if (reason) {
+      rejected.push({ path: "summary", reason });
+    } else {
+      checkedSummary = result.content;
+    }
+  }
+
+  const checkedBullets = bulletSuggestions
+    .map(suggestion => {
+      const result = guardEnhancement("experience", suggestion.original, suggestion.suggested);
+      if (!result.ok) {
+        rejected.push({
+          path: `experience[${suggestion.experienceIndex}].accomplishment[${suggestion.bulletIndex}]`,
+          reason: result.reason
+        });
+        return null;
+      }
+
+      const suggested = result.content.replace(/^•\s*/, "");
+      return suggested === suggestion.original ? null : { ...suggestion, suggested };
+    })
+    .filter(Boolean);
+
+  return { summary: checkedSummary, bulletSuggestions: checkedBullets, rejected };
+};
+
+module.exports = {
+  getMaxLength,
+  limitLength,
+  guardEnhancement,
+  guardTranslation,
+  guardTailoring
+};
\ No newline at end of file
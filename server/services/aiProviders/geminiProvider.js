@@ -0,0 +1,91 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODEL = "gemini-1.5-flash";
+
+/**
+ * Create a Google Gemini provider
+ * @param {Object} config - { apiKey, model }
+ * @returns {Object} AI provider
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL } = {}) => {
+  let genAI = null;
+
+  try {
+    if (apiKey) {
+      genAI = new GoogleGenerativeAI(apiKey);
+    } else {
+      console.warn("⚠️ GEMINI_API_KEY not found in environment variables");
+    }
+  } catch (error) {
+    console.error("❌ Error initializing Gemini AI:", error.message);
+  }
+
+  const getModel = (temperature, maxOutputTokens) => {
+    if (!genAI) {
+      throw new Error("Gemini AI is not initialized. Please check your API key.");
+    }
+
+    return genAI.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.9,
+        maxOutputTokens,
+      },
+    });
+  };
+
+  const reportUsage = (response, onUsage) => {
+    const usage = response.usageMetadata;
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 });
+    }
+  };
+
+  return {
+    name: "gemini",
+    label: "Google Gemini AI",
+    model,
+    requestDelay: 1000,
+
+    isAvailable: () => !!genAI,
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Full prompt
+     * @param {Object} options - { temperature, maxOutputTokens, onUsage({ inputTokens, outputTokens }) }
+     * @returns {Promise<string>} Generated text
+     */
+    generateText: async (prompt, { temperature = 0.7, maxOutputTokens = 1000, onUsage } = {}) => {
+      const result = await getModel(temperature, maxOutputTokens).generateContent(prompt);
+      const response = await result.response;
+      reportUsage(response, onUsage);
+      return response.text();
+    },
+
+    /**
+     * Generate text for a prompt, passing each chunk to onToken as it arrives
+     * @param {string} prompt - Full prompt
+     * @param {Object} options - { temperature, maxOutputTokens, signal, onToken, onUsage({ inputTokens, outputTokens }) }
+     * @returns {Promise<string>} The full generated text
+     */
+    streamText: async (prompt, { temperature = 0.7, maxOutputTokens = 1000, signal, onToken = () => {}, onUsage } = {}) => {
+      const result = await getModel(temperature, maxOutputTokens).generateContentStream(prompt, { signal });
+
+      let text = "";
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+      // The aggregated response carries the token counts; the text is already complete without it
+      reportUsage(await result.response.catch(() => ({})), onUsage);
+      return text;
+    }
+  };
+};
+
+module.exports = { createGeminiProvider };
\ No newline at end of file
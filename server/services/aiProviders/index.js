@@ -0,0 +1,33 @@
+const { createGeminiProvider } = require("./geminiProvider");
+const { createOpenAIProvider } = require("./openaiProvider");
+const { createStubProvider } = require("./stubProvider");
+
+/**
+ * AI providers by name
+ * Every provider exposes { name, label, model, requestDelay, isAvailable(), generateText(prompt, options),
+ * streamText(prompt, options) }. Providers that know a call's token counts pass them to options.onUsage.
+ */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider
+};
+
+/**
+ * Create the AI provider with the given name
+ * @param {string} name - Provider name (gemini, openai or stub)
+ * @param {Object} config - Provider configuration ({ apiKey, baseURL, model })
+ * @returns {Object} AI provider
+ */
+const createProvider = (name, config = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}. Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+const OpenAI = require("openai");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+/**
+ * Create an OpenAI provider
+ * Works with any OpenAI-compatible chat completions API (Azure, OpenRouter, Ollama, vLLM...)
+ * through baseURL
+ * @param {Object} config - { apiKey, baseURL, model }
+ * @returns {Object} AI provider
+ */
+const createOpenAIProvider = ({ apiKey, baseURL, model = DEFAULT_MODEL } = {}) => {
+  let client = null;
+
+  try {
+    if (apiKey || baseURL) {
+      // Local OpenAI-compatible servers usually accept any key
+      client = new OpenAI({ apiKey: apiKey || "not-needed", ...(baseURL ? { baseURL } : {}) });
+    } else {
+      console.warn("⚠️ OPENAI_API_KEY not found in environment variables");
+    }
+  } catch (error) {
+    console.error("❌ Error initializing OpenAI client:", error.message);
+  }
+
+  // Some OpenAI-compatible servers leave usage out
+  const reportUsage = (usage, onUsage) => {
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    }
+  };
+
+  return {
+    name: "openai",
+    label: baseURL ? `OpenAI-compatible API (${baseURL})` : "OpenAI",
+    model,
+    requestDelay: 1000,
+
+    isAvailable: () => !!client,
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Full prompt
+     * @param {Object} options - { temperature, maxOutputTokens, onUsage({ inputTokens, outputTokens }) }
+     * @returns {Promise<string>} Generated text
+     */
+    generateText: async (prompt, { temperature = 0.7, maxOutputTokens = 1000, onUsage } = {}) => {
+      if (!client) {
+        throw new Error("OpenAI is not initialized. Please check your API key.");
+      }
+
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens
+      });
+
+      reportUsage(completion.usage, onUsage);
+      return completion.choices[0]?.message?.content || "";
+    },
+
+    /**
+     * Generate text for a prompt, passing each chunk to onToken as it arrives
+     * @param {string} prompt - Full prompt
+     * @param {Object} options - { temperature, maxOutputTokens, signal, onToken, onUsage({ inputTokens, outputTokens }) }
+     * @returns {Promise<string>} The full generated text
+     */
+    streamText: async (prompt, { temperature = 0.7, maxOutputTokens = 1000, signal, onToken = () => {}, onUsage } = {}) => {
+      if (!client) {
+        throw new Error("OpenAI is not initialized. Please check your API key.");
+      }
+
+      const stream = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream: true,
+        // The token counts come in a last chunk with no choices
+        stream_options: { include_usage: true }
+      }, { signal });
+
+      let text = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content || "";
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      reportUsage(usage, onUsage);
+      return text;
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
\ No newline at end of file
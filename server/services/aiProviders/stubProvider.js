@@ -0,0 +1,45 @@
+/**
+ * Create a deterministic offline provider
+ * Echoes the content being enhanced (or the prompt when there is none) without any
+ * network access, so CI and offline development can exercise every AI endpoint
+ * @returns {Object} AI provider
+ */
+const createStubProvider = () => ({
+  name: "stub",
+  label: "Local stub (echo)",
+  model: "echo",
+  requestDelay: 0,
+
+  isAvailable: () => true,
+
+  /**
+   * Echo the input back
+   * @param {string} prompt - Full prompt
+   * @param {Object} options - { input } - the raw content the prompt was built from
+   * @returns {Promise<string>} The input, trimmed
+   */
+  generateText: async (prompt, { input } = {}) => String(input ?? prompt).trim(),
+
+  /**
+   * Echo the input back one word at a time
+   * @param {string} prompt - Full prompt
+   * @param {Object} options - { input, signal, onToken }
+   * @returns {Promise<string>} The input, trimmed
+   */
+  streamText: async (prompt, { input, signal, onToken = () => {} } = {}) => {
+    const text = String(input ?? prompt).trim();
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        const error = new Error("Request aborted");
+        error.name = "AbortError";
+        throw error;
+      }
+      onToken(token);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return text;
+  }
+});
+
+module.exports = { createStubProvider };
\ No newline at end of file
@@ -0,0 +1,893 @@
+const { PROVIDERS, createProvider } = require("./aiProviders");
+const { resolvePrompt, renderPrompt } = require("./promptService");
+const { guardEnhancement, guardTranslation, guardTailoring, limitLength } = require("./aiGuardrails");
+const { promptVersion: templateVersion, createCacheKey, getCachedResponse, setCachedResponse, withCache, getCacheStats } = require("./aiCache");
+
+// Provider configuration (overridable through environment variables)
+const AI_CONFIG = {
+  provider: (process.env.AI_PROVIDER || "gemini").toLowerCase(), // gemini, openai or stub
+  model: process.env.AI_MODEL // defaults to the provider's own model
+};
+
+const PROVIDER_CONFIG = {
+  gemini: { apiKey: process.env.GEMINI_API_KEY },
+  openai: { apiKey: process.env.OPENAI_API_KEY, baseURL: process.env.OPENAI_BASE_URL },
+  stub: {}
+};
+
+/**
+ * Create the configured AI provider
+ * @returns {Object} AI provider
+ */
+const initializeProvider = () => {
+  let name = AI_CONFIG.provider;
+  if (!PROVIDERS[name]) {
+    console.warn(`⚠️ Unknown AI_PROVIDER "${name}", using gemini`);
+    name = "gemini";
+  }
+
+  const provider = createProvider(name, {
+    ...PROVIDER_CONFIG[name],
+    ...(AI_CONFIG.model ? { model: AI_CONFIG.model } : {})
+  });
+  console.log(`🤖 AI provider: ${provider.label} (${provider.model})`);
+  return provider;
+};
+
+const provider = initializeProvider();
+
+/**
+ * Build the enhancement prompt for a section and style from the prompt library
+ * Unknown sections fall back to "summary" and unknown styles to "professional"
+ * @param {string} section - The resume section being enhanced
+ * @param {string} content - The original content to enhance
+ * @param {string} enhancementType - Type of enhancement (professional, creative, concise)
+ * @returns {Promise<Object>} { section, enhancementType, prompt, promptVersion, templateVersion } - the library's
+ * version number, and a hash of the template text for the response cache
+ */
+const buildEnhancementPrompt = async (section, content, enhancementType) => {
+  const resolved = await resolvePrompt(section, enhancementType);
+
+  return {
+    section: resolved.section,
+    enhancementType: resolved.style,
+    prompt: renderPrompt(resolved.template, { content: content.trim() }),
+    promptVersion: resolved.version,
+    templateVersion: templateVersion(resolved.template)
+  };
+};
+
+/**
+ * Build the response cache key for a request to the configured provider
+ * @param {Object} request - { promptVersion, section, style, content }
+ * @returns {string} Cache key
+ */
+const cacheKeyFor = (request) => createCacheKey({ provider: provider.name, model: provider.model, ...request });
+
+/**
+ * Estimate tokens for providers that do not report usage (about four characters per token)
+ * @param {string} text - Prompt or response
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+/**
+ * Generate text with the provider, reporting the call's token usage to onUsage
+ * @param {string} prompt - Full prompt
+ * @param {Object} options - Provider options
+ * @param {Function} onUsage - Called with { inputTokens, outputTokens } once the call succeeds (optional)
+ * @returns {Promise<string>} Generated text
+ */
+const callProvider = async (prompt, options, onUsage) => {
+  checkQuota(onUsage);
+  let reported = null;
+  const text = await provider.generateText(prompt, { ...options, onUsage: (usage) => { reported = usage; } });
+  onUsage?.(reported || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) });
+  return text;
+};
+
+/**
+ * Stream text from the provider, reporting the call's token usage to onUsage
+ * @param {string} prompt - Full prompt
+ * @param {Object} options - Provider options ({ signal, onToken, ... })
+ * @param {Function} onUsage - Called with { inputTokens, outputTokens } once the stream completes (optional)
+ * @returns {Promise<string>} The full generated text
+ */
+const streamProvider = async (prompt, options, onUsage) => {
+  checkQuota(onUsage);
+  let reported = null;
+  const text = await provider.streamText(prompt, { ...options, onUsage: (usage) => { reported = usage; } });
+  onUsage?.(reported || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) });
+  return text;
+};
+
+/**
+ * Error that makes an enhancement fall back, tagged with the reason reported to the client
+ * @param {string} reason - Fallback reason (listed at the top of aiGuardrails.js)
+ * @param {string} message - Error message
+ * @returns {Error} Error with a reason
+ */
+const fallbackError = (reason, message) => Object.assign(new Error(message), { reason });
+
+/**
+ * Stop before a provider call once the request has used up the AI quota it started with
+ * @param {Function} onUsage - Usage callback (see usageService.createUsageRecorder), optional
+ */
+const checkQuota = (onUsage) => {
+  if (onUsage?.exceeded?.()) {
+    throw fallbackError("AI_QUOTA_EXCEEDED", "Monthly AI quota used up");
+  }
+};
+
+/**
+ * Result for an enhancement that fell back to the rule-based one
+ * @param {string} section - The resume section
+ * @param {string} content - Original content
+ * @param {string} enhancementType - Enhancement type
+ * @param {Error} error - Why the AI result was not used
+ * @returns {Object} { content, usedFallback, fallbackReason, repairs, promptVersion }
+ */
+const fallbackResult = (section, content, enhancementType, error) => ({
+  content: limitLength(section, getFallbackEnhancement(section, content, enhancementType)),
+  usedFallback: true,
+  fallbackReason: error.reason || "AI_ERROR",
+  repairs: [],
+  promptVersion: null
+});
+
+/**
+ * Check an AI response with the output guardrails, throwing when it has to be rejected
+ * @param {string} section - The resume section
+ * @param {string} content - Original content
+ * @param {string} response - AI response
+ * @returns {Object} { content, repairs } - repaired content and what was repaired
+ */
+const checkResponse = (section, content, response) => {
+  const result = guardEnhancement(section, content, response);
+  if (!result.ok) {
+    throw fallbackError(result.reason, `AI output rejected (${result.reason})`);
+  }
+  return { content: result.content, repairs: result.repairs };
+};
+
+/**
+ * Enhance content using the configured AI provider
+ * @param {string} section - The resume section being enhanced
+ * @param {string} content - The original content to enhance
+ * @param {string} enhancementType - Type of enhancement (professional, creative, concise)
+ * @param {Object} options - { bypassCache, onUsage } - ask the AI again instead of reusing a cached response,
+ * usage callback for each provider call
+ * @returns {Promise<Object>} { content, usedFallback, fallbackReason, repairs, promptVersion } - fallbackReason says
+ * why the AI result was not used, repairs what the guardrails fixed in it; promptVersion is null for the fallback
+ */
+const enhanceContent = async (section, content, enhancementType = "professional", { bypassCache = false, onUsage } = {}) => {
+  try {
+    if (!provider.isAvailable()) {
+      throw fallbackError("AI_UNAVAILABLE", `${provider.label} is not configured. Please check your API key.`);
+    }
+
+    if (!content || content.trim().length === 0) {
+      throw new Error("Content is required for enhancement");
+    }
+
+    let prompt, version, hash;
+    ({ section, enhancementType, prompt, promptVersion: version, templateVersion: hash } = await buildEnhancementPrompt(section, content, enhancementType));
+
+    // Generate enhanced content, reusing the response to an identical request. Checked inside the
+    // cached call, so a response the guardrails reject is never cached
+    const cacheKey = cacheKeyFor({ promptVersion: hash, section, style: enhancementType, content });
+    const response = await withCache(cacheKey, async () => {
+      const text = await callProvider(prompt, { input: content }, onUsage);
+      checkResponse(section, content, text);
+      return text;
+    }, { bypass: bypassCache });
+
+    const { content: enhancedContent, repairs } = checkResponse(section, content, response);
+
+    console.log(`✅ Enhanced ${section} content (${enhancementType} style, prompt v${version})`);
+    return { content: enhancedContent, usedFallback: false, fallbackReason: null, repairs, promptVersion: version };
+
+  } catch (error) {
+    console.error(`❌ Error enhancing content with ${provider.label}:`, error.message);
+    
+    // Fallback enhancement based on section
+    return fallbackResult(section, content, enhancementType, error);
+  }
+};
+
+/**
+ * Enhance content, passing the AI's text to onToken as it is generated
+ * The streamed text is raw model output; the returned content is cleaned and is what should be kept.
+ * If the provider fails or the guardrails reject its output, the fallback enhancement is returned (nothing
+ * more is streamed). A cached response is sent as a single token.
+ * @param {string} section - The resume section being enhanced
+ * @param {string} content - The original content to enhance
+ * @param {string} enhancementType - Type of enhancement (professional, creative, concise)
+ * @param {Object} options - { signal, onToken, bypassCache, onUsage } - abort signal to stop generation, token
+ * callback, ask the AI again instead of reusing a cached response, usage callback for the provider call
+ * @returns {Promise<Object>} { content, usedFallback, fallbackReason, repairs, cached, promptVersion }; rejects with
+ * an AbortError when aborted
+ */
+const streamEnhancement = async (section, content, enhancementType = "professional", { signal, onToken = () => {}, bypassCache = false, onUsage } = {}) => {
+  try {
+    if (!provider.isAvailable()) {
+      throw fallbackError("AI_UNAVAILABLE", `${provider.label} is not configured. Please check your API key.`);
+    }
+
+    if (!content || content.trim().length === 0) {
+      throw new Error("Content is required for enhancement");
+    }
+
+    let prompt, version, hash;
+    ({ section, enhancementType, prompt, promptVersion: version, templateVersion: hash } = await buildEnhancementPrompt(section, content, enhancementType));
+
+    const cacheKey = cacheKeyFor({ promptVersion: hash, section, style: enhancementType, content });
+    const cachedContent = bypassCache ? undefined : getCachedResponse(cacheKey);
+    if (cachedContent !== undefined) {
+      const { content: enhancedContent, repairs } = checkResponse(section, content, cachedContent);
+      onToken(cachedContent);
+      console.log(`✅ Streamed ${section} enhancement from cache (${enhancementType} style)`);
+      return { content: enhancedContent, usedFallback: false, fallbackReason: null, repairs, cached: true, promptVersion: version };
+    }
+
+    const response = await streamProvider(prompt, {
+      input: content,
+      signal,
+      onToken: (token) => {
+        // Stop reading the provider's stream as soon as the client is gone
+        signal?.throwIfAborted();
+        onToken(token);
+      }
+    }, onUsage);
+
+    const { content: enhancedContent, repairs } = checkResponse(section, content, response);
+
+    setCachedResponse(cacheKey, response);
+    console.log(`✅ Streamed ${section} enhancement (${enhancementType} style)`);
+    return { content: enhancedContent, usedFallback: false, fallbackReason: null, repairs, cached: false, promptVersion: version };
+
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log(`⏹️ ${section} enhancement cancelled`);
+      throw error;
+    }
+
+    console.error(`❌ Error streaming enhancement with ${provider.label}:`, error.message);
+    return { ...fallbackResult(section, content, enhancementType, error), cached: false };
+  }
+};
+
+/**
+ * Fallback enhancement when AI is not available
+ * @param {string} section - The resume section
+ * @param {string} content - Original content
+ * @param {string} enhancementType - Enhancement type
+ * @returns {string} Basic enhanced content
+ */
+const getFallbackEnhancement = (section, content, enhancementType) => {
+  console.log("🔄 Using fallback enhancement");
+  
+  const fallbackEnhancements = {
+    professional: {
+      summary: (text) => {
+        // Add professional keywords and structure
+        if (text.length < 100) {
+          return `${text} Demonstrated expertise in delivering high-quality results and driving organizational success through innovative solutions and collaborative leadership.`;
+        }
+        return text.replace(/\b(I|my|me)\b/gi, "").trim();
+      },
+      experience: (text) => {
+        // Add action verbs and quantification suggestions
+        return text
+          .replace(/^(.)/gm, "• $1")
+          .replace(/\b(worked|did|made)\b/gi, (match) => {
+            const replacements = { worked: "collaborated", did: "executed", made: "developed" };
+            return replacements[match.toLowerCase()] || match;
+          });
+      },
+      default: (text) => text
+    },
+    creative: {
+      summary: (text) => `${text} Passionate about innovation and excellence, bringing fresh perspectives to challenging projects.`,
+      experience: (text) => text.replace(/\./g, ", showcasing strong problem-solving abilities."),
+      default: (text) => text
+    },
+    concise: {
+      summary: (text) => text.split(".").slice(0, 2).join(".") + ".",
+      experience: (text) => text.split(".").map(s => s.trim()).filter(s => s.length > 10).slice(0, 3).join(". "),
+      default: (text) => text.length > 100 ? text.substring(0, 100) + "..." : text
+    }
+  };
+
+  const enhancementFunction = fallbackEnhancements[enhancementType]?.[section] || 
+                              fallbackEnhancements[enhancementType]?.default ||
+                              ((text) => text);
+
+  return enhancementFunction(content);
+};
+
+/**
+ * Parse a JSON array out of an AI response, tolerating markdown code fences
+ * @param {string} text - AI response
+ * @returns {Array} Parsed array
+ */
+const parseJSONArrayResponse = (text) => {
+  const cleaned = String(text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  const parsed = JSON.parse(cleaned.slice(cleaned.indexOf("["), cleaned.lastIndexOf("]") + 1));
+
+  if (!Array.isArray(parsed)) {
+    throw new Error("AI response was not a JSON array");
+  }
+  return parsed;
+};
+
+/**
+ * Rule-based rewrite of one experience bullet
+ * @param {string} bullet - Bullet text
+ * @param {string} enhancementType - Enhancement type
+ * @returns {string} Bullet without a bullet character, within the schema limit
+ */
+const fallbackBullet = (bullet, enhancementType) => {
+  return limitLength("experience", getFallbackEnhancement("experience", bullet, enhancementType).replace(/^•\s*/, ""));
+};
+
+/**
+ * Enhance experience bullets, one result per bullet
+ * Unlike enhanceContent, bullets never get merged or split: if the AI does not return exactly
+ * one rewrite per bullet, the rule-based fallback is used for every bullet. Each rewrite is checked by the
+ * output guardrails on its own, and only rejected ones fall back.
+ * @param {Array} bullets - Bullet texts
+ * @param {string} enhancementType - Type of enhancement (professional, creative, concise)
+ * @param {Object} options - { bypassCache, onUsage } - ask the AI again instead of reusing a cached response,
+ * usage callback for the provider call
+ * @returns {Promise<Object>} { bullets, fallbackReasons, usedFallback, promptVersion } - enhanced bullets in the
+ * same length and order as the input, with each bullet's fallback reason (null when the AI rewrite was kept);
+ * usedFallback and a null promptVersion mean no AI rewrite was used at all
+ */
+const enhanceBullets = async (bullets, enhancementType = "professional", { bypassCache = false, onUsage } = {}) => {
+  try {
+    if (!provider.isAvailable()) {
+      throw fallbackError("AI_UNAVAILABLE", `${provider.label} is not configured. Please check your API key.`);
+    }
+
+    const resolved = await resolvePrompt("experienceBullets", enhancementType);
+    const prompt = renderPrompt(resolved.template, {
+      count: bullets.length,
+      bullets: JSON.stringify(bullets, null, 2)
+    });
+
+    const cacheKey = cacheKeyFor({
+      promptVersion: templateVersion(resolved.template),
+      section: "experience.accomplishment",
+      style: resolved.style,
+      content: JSON.stringify(bullets)
+    });
+    // Checked inside the cached call, so a response that cannot be used is never cached
+    const response = await withCache(cacheKey, async () => {
+      const text = await callProvider(prompt, { input: JSON.stringify(bullets), maxOutputTokens: 1500 }, onUsage);
+      const count = parseJSONArrayResponse(text).length;
+      if (count !== bullets.length) {
+        throw new Error(`AI returned ${count} bullets for ${bullets.length}`);
+      }
+      return text;
+    }, { bypass: bypassCache });
+    const results = parseJSONArrayResponse(response).map((bullet, index) => {
+      if (typeof bullet !== "string" || !bullet.trim()) {
+        return { content: bullets[index], fallbackReason: null };
+      }
+      const result = guardEnhancement("experience", bullets[index], bullet);
+      return result.ok
+        ? { content: result.content.replace(/^•\s*/, ""), fallbackReason: null }
+        : { content: fallbackBullet(bullets[index], enhancementType), fallbackReason: result.reason };
+    });
+
+    const rejected = results.filter(result => result.fallbackReason).length;
+    console.log(`✅ Enhanced ${bullets.length} bullets (${resolved.style} style, prompt v${resolved.version}, ${rejected} rejected)`);
+    return {
+      bullets: results.map(result => result.content),
+      fallbackReasons: results.map(result => result.fallbackReason),
+      usedFallback: false,
+      promptVersion: resolved.version
+    };
+
+  } catch (error) {
+    console.error(`❌ Error enhancing bullets with ${provider.label}:`, error.message);
+    return {
+      bullets: bullets.map(bullet => fallbackBullet(bullet, enhancementType)),
+      fallbackReasons: bullets.map(() => error.reason || "AI_ERROR"),
+      usedFallback: true,
+      promptVersion: null
+    };
+  }
+};
+
+/**
+ * Check whether a skill is mentioned in a job description
+ * @param {string} skill - Skill name
+ * @param {string} jobDescription - Job description text
+ * @returns {boolean} True if the job description mentions the skill
+ */
+const mentionsSkill = (skill, jobDescription) => {
+  const escaped = skill.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return escaped.length > 0 && new RegExp(`(^|[^\\w])${escaped}($|[^\\w])`, "i").test(jobDescription);
+};
+
+/**
+ * Tailoring used when AI is not available: skills the job mentions move to the front,
+ * everything else is left as is
+ * @param {Object} resumeData - Plain resume data
+ * @param {string} jobDescription - Job description text
+ * @returns {Object} { summary, skills, bulletSuggestions, matchedRequirements, rejected }
+ */
+const getFallbackTailoring = (resumeData, jobDescription) => {
+  const skills = resumeData.skills || [];
+  const matched = skills.filter(skill => mentionsSkill(skill, jobDescription));
+
+  return {
+    summary: resumeData.summary || "",
+    skills: [...matched, ...skills.filter(skill => !matched.includes(skill))],
+    bulletSuggestions: [],
+    matchedRequirements: matched,
+    rejected: []
+  };
+};
+
+/**
+ * Parse a JSON object out of an AI response, tolerating markdown code fences
+ * @param {string} text - AI response
+ * @returns {Object} Parsed object
+ */
+const parseJSONResponse = (text) => {
+  const cleaned = String(text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+
+  if (start === -1 || end <= start) {
+    throw new Error("AI response did not contain a JSON object");
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+/**
+ * Keep only the parts of an AI tailoring that fit the resume: skills may be reordered
+ * but not added, bullet suggestions must point at an existing bullet, and the summary and
+ * suggestions must pass the output guardrails
+ * @param {Object} result - Parsed AI response
+ * @param {Object} resumeData - Plain resume data
+ * @returns {Object} { summary, skills, bulletSuggestions, matchedRequirements, rejected } - rejected lists
+ * { path, reason } for each suggestion the guardrails did not keep
+ */
+const normalizeTailoring = (result, resumeData) => {
+  const originalSkills = resumeData.skills || [];
+  const findSkill = (name) => originalSkills.find(skill => skill.toLowerCase() === String(name).trim().toLowerCase());
+
+  const reordered = [...new Set((Array.isArray(result.skills) ? result.skills : []).map(findSkill).filter(Boolean))];
+  const skills = [...reordered, ...originalSkills.filter(skill => !reordered.includes(skill))];
+
+  const bulletSuggestions = (Array.isArray(result.bulletSuggestions) ? result.bulletSuggestions : [])
+    .map(suggestion => {
+      const experienceIndex = parseInt(suggestion.experienceIndex);
+      const bulletIndex = parseInt(suggestion.bulletIndex);
+      const original = resumeData.experience?.[experienceIndex]?.accomplishment?.[bulletIndex];
+      const suggested = typeof suggestion.suggested === "string" ? suggestion.suggested.trim() : "";
+
+      if (!original || !suggested || suggested === original) return null;
+      return {
+        experienceIndex,
+        bulletIndex,
+        original,
+        suggested,
+        reason: typeof suggestion.reason === "string" ? suggestion.reason.trim() : ""
+      };
+    })
+    .filter(Boolean);
+
+  // Checked against the Resume summary field's bounds too, so the tailored variant always saves
+  const checked = guardTailoring(resumeData, {
+    summary: typeof result.summary === "string" ? result.summary.trim() : "",
+    bulletSuggestions
+  });
+
+  return {
+    summary: checked.summary,
+    skills,
+    bulletSuggestions: checked.bulletSuggestions,
+    rejected: checked.rejected,
+    matchedRequirements: (Array.isArray(result.matchedRequirements) ? result.matchedRequirements : [])
+      .filter(item => typeof item === "string" && item.trim())
+      .map(item => item.trim())
+  };
+};
+
+/**
+ * Tailor a resume to a job description
+ * @param {Object} resumeData - Plain resume data
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - { onUsage } - usage callback for the provider call
+ * @returns {Promise<Object>} { summary, skills, bulletSuggestions, matchedRequirements, rejected, usedFallback,
+ * promptVersion } - rejected lists { path, reason } for each AI suggestion that failed the guardrails; promptVersion
+ * is the tailoring prompt's version, null for the fallback
+ */
+const tailorResume = async (resumeData, jobDescription, { onUsage } = {}) => {
+  const fallback = getFallbackTailoring(resumeData, jobDescription);
+
+  try {
+    if (!provider.isAvailable()) {
+      throw new Error(`${provider.label} is not configured. Please check your API key.`);
+    }
+
+    const resume = {
+      role: resumeData.role || "",
+      summary: resumeData.summary || "",
+      skills: resumeData.skills || [],
+      experience: (resumeData.experience || []).map((exp, experienceIndex) => ({
+        experienceIndex,
+        title: exp.title,
+        companyName: exp.companyName,
+        bullets: (exp.accomplishment || []).map((text, bulletIndex) => ({ bulletIndex, text }))
+      }))
+    };
+
+    const resolved = await resolvePrompt("tailoring", "professional");
+    const prompt = renderPrompt(resolved.template, {
+      jobDescription: jobDescription.trim(),
+      resume: JSON.stringify(resume, null, 2)
+    });
+
+    // The stub provider echoes the input, which makes it return the rule-based tailoring
+    const response = await callProvider(prompt, {
+      input: JSON.stringify(fallback),
+      temperature: 0.4,
+      maxOutputTokens: 2000
+    }, onUsage);
+
+    const tailoring = normalizeTailoring(parseJSONResponse(response), resumeData);
+    console.log(`✅ Tailored resume (${tailoring.bulletSuggestions.length} bullet suggestions, ${tailoring.rejected.length} rejected)`);
+    return { ...tailoring, usedFallback: false, promptVersion: resolved.version };
+
+  } catch (error) {
+    console.error(`❌ Error tailoring resume with ${provider.label}:`, error.message);
+    console.log("🔄 Using fallback tailoring");
+    return { ...fallback, usedFallback: true, promptVersion: null };
+  }
+};
+
+/**
+ * Join items into a readable list ("a, b and c")
+ * @param {Array} items - Items
+ * @returns {string} List
+ */
+const joinList = (items) => {
+  return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items.join("");
+};
+
+/**
+ * Cover letter used when AI is not available: the resume's summary, latest role and the skills
+ * the job mentions, in fixed sentences
+ * @param {Object} resumeData - Plain resume data
+ * @param {Object} details - { company, role, jobDescription, tone }
+ * @returns {string} Letter body, paragraphs separated by a blank line
+ */
+const getFallbackCoverLetter = (resumeData, { company, role, jobDescription = "", tone = "professional" }) => {
+  const concise = tone === "concise";
+  const paragraphs = [];
+
+  const opening = tone === "creative"
+    ? `I was excited to see the ${role} opening at ${company}, and I would love to bring my experience to your team.`
+    : `I am writing to apply for the ${role} position at ${company}.`;
+  const summary = (resumeData.summary || "").match(/[^.!?]+[.!?]+/g) || [];
+  paragraphs.push([opening, ...summary.slice(0, concise ? 1 : 2).map(sentence => sentence.trim())].join(" "));
+
+  const latest = (resumeData.experience || []).find(exp => exp.title && exp.companyName);
+  if (latest) {
+    const highlights = (latest.accomplishment || [])
+      .filter(Boolean)
+      .slice(0, concise ? 1 : 2)
+      .map(text => text.trim().replace(/[.;]+$/, ""));
+    paragraphs.push(highlights.length > 0
+      ? `In my role as ${latest.title} at ${latest.companyName}, my work has included the following: ${highlights.join("; ")}.`
+      : `I currently bring this experience to my role as ${latest.title} at ${latest.companyName}.`);
+  }
+
+  const skills = resumeData.skills || [];
+  const matched = skills.filter(skill => mentionsSkill(skill, jobDescription));
+  if (matched.length > 0) {
+    paragraphs.push(`The role calls for ${joinList(matched.slice(0, concise ? 3 : 5))}, which are a core part of my skill set.`);
+  } else if (skills.length > 0) {
+    paragraphs.push(`My skills include ${joinList(skills.slice(0, concise ? 3 : 5))}.`);
+  }
+
+  paragraphs.push(concise
+    ? `Thank you for considering my application to ${company}.`
+    : `I would welcome the opportunity to discuss how I can contribute to ${company}. Thank you for your time and consideration.`);
+
+  return paragraphs.join("\n\n");
+};
+
+/**
+ * Write a cover letter body from a resume for a job
+ * @param {Object} resumeData - Plain resume data
+ * @param {Object} details - { company, role, jobDescription, hiringManager, tone }
+ * @param {Object} options - { onUsage } - usage callback for the provider call
+ * @returns {Promise<Object>} { body, usedFallback, fallbackReason, repairs, promptVersion } - promptVersion is the
+ * cover letter prompt's version, null for the fallback
+ */
+const generateCoverLetter = async (resumeData, details, { onUsage } = {}) => {
+  const { company, role, jobDescription = "", hiringManager = "", tone = "professional" } = details;
+  const fallback = getFallbackCoverLetter(resumeData, details);
+
+  // What the letter may draw facts from
+  const resume = {
+    name: resumeData.name || "",
+    role: resumeData.role || "",
+    summary: resumeData.summary || "",
+    skills: resumeData.skills || [],
+    experience: (resumeData.experience || []).map(exp => ({
+      title: exp.title,
+      companyName: exp.companyName,
+      date: exp.date,
+      bullets: exp.accomplishment || []
+    }))
+  };
+  const source = [JSON.stringify(resume), company, role, hiringManager, jobDescription].join("\n");
+
+  try {
+    if (!provider.isAvailable()) {
+      throw fallbackError("AI_UNAVAILABLE", `${provider.label} is not configured. Please check your API key.`);
+    }
+
+    // The tone is the prompt's style
+    const resolved = await resolvePrompt("coverLetter", tone);
+    const prompt = renderPrompt(resolved.template, {
+      company,
+      role,
+      hiringManager: hiringManager || "the hiring manager",
+      language: getLanguageName(resumeData.locale || "en-US"),
+      jobDescription: jobDescription.trim() || "(not provided)",
+      resume: JSON.stringify(resume, null, 2)
+    });
+
+    // The stub provider echoes the input, which makes it return the rule-based letter
+    const response = await callProvider(prompt, {
+      input: fallback,
+      temperature: 0.7,
+      maxOutputTokens: 1200
+    }, onUsage);
+
+    const { content, repairs } = checkResponse("coverLetter", source, response);
+    console.log(`✅ Generated cover letter for ${role} at ${company} (${tone} tone)`);
+    return { body: content, usedFallback: false, fallbackReason: null, repairs, promptVersion: resolved.version };
+
+  } catch (error) {
+    console.error(`❌ Error generating cover letter with ${provider.label}:`, error.message);
+    console.log("🔄 Using fallback cover letter");
+    return {
+      body: limitLength("coverLetter", fallback),
+      usedFallback: true,
+      fallbackReason: error.reason || "AI_ERROR",
+      repairs: [],
+      promptVersion: null
+    };
+  }
+};
+
+// Characters of source text sent in one translation request
+const TRANSLATION_BATCH_SIZE = 6000;
+
+/**
+ * English name of a locale's language, for prompts
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Language name ("French"), or the locale itself if it is unknown
+ */
+const getLanguageName = (locale) => {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(locale) || locale;
+  } catch (error) {
+    return locale;
+  }
+};
+
+/**
+ * Split fields into batches of about TRANSLATION_BATCH_SIZE characters
+ * @param {Object} segments - Text keyed by field path
+ * @returns {Array} Batches, each an object of text keyed by field path
+ */
+const batchSegments = (segments) => {
+  const batches = [];
+  let batch = {};
+  let size = 0;
+
+  Object.entries(segments).forEach(([path, text]) => {
+    if (size > 0 && size + text.length > TRANSLATION_BATCH_SIZE) {
+      batches.push(batch);
+      batch = {};
+      size = 0;
+    }
+    batch[path] = text;
+    size += text.length;
+  });
+
+  if (size > 0) batches.push(batch);
+  return batches;
+};
+
+/**
+ * Translate resume fields to another language
+ * Fields whose translation fails the guardrails are left out of translations and listed in untranslated,
+ * so the caller can keep the source text for them
+ * @param {Object} segments - Text keyed by field path (see services/translationService.js)
+ * @param {Object} locales - { sourceLocale, targetLocale }
+ * @param {Object} options - { onUsage } - usage callback for each provider call
+ * @returns {Promise<Object>} { translations, untranslated, usedFallback, fallbackReason, promptVersion } - untranslated
+ * lists { path, reason } for each field left in the source language; fallbackReason is set when a whole request
+ * failed; promptVersion is the translation prompt's version, null when no field was translated
+ */
+const translateResume = async (segments, { sourceLocale, targetLocale }, { onUsage } = {}) => {
+  const translations = {};
+  const untranslated = [];
+  let fallbackReason = null;
+  let resolved = null;
+
+  for (const [index, batch] of batchSegments(segments).entries()) {
+    try {
+      if (!provider.isAvailable()) {
+        throw fallbackError("AI_UNAVAILABLE", `${provider.label} is not configured. Please check your API key.`);
+      }
+      if (index > 0) await waitForRateLimit();
+
+      resolved = resolved || await resolvePrompt("translation", "professional");
+      const prompt = renderPrompt(resolved.template, {
+        sourceLanguage: getLanguageName(sourceLocale),
+        targetLanguage: getLanguageName(targetLocale),
+        segments: JSON.stringify(batch, null, 2)
+      });
+
+      // The stub provider echoes the input, which returns every field unchanged
+      const response = await callProvider(prompt, {
+        input: JSON.stringify(batch),
+        temperature: 0.3,
+        maxOutputTokens: 4000
+      }, onUsage);
+
+      const result = parseJSONResponse(response);
+      Object.entries(batch).forEach(([path, text]) => {
+        const checked = guardTranslation(path, text, result[path]);
+        if (checked.ok) {
+          translations[path] = checked.content;
+        } else {
+          untranslated.push({ path, reason: checked.reason });
+        }
+      });
+
+    } catch (error) {
+      console.error(`❌ Error translating resume with ${provider.label}:`, error.message);
+      fallbackReason = fallbackReason || error.reason || "AI_ERROR";
+      Object.keys(batch).forEach(path => untranslated.push({ path, reason: error.reason || "AI_ERROR" }));
+    }
+  }
+
+  console.log(`✅ Translated ${Object.keys(translations).length} of ${Object.keys(segments).length} fields to ${targetLocale}`);
+  return {
+    translations,
+    untranslated,
+    usedFallback: untranslated.length > 0,
+    fallbackReason,
+    promptVersion: Object.keys(translations).length > 0 ? resolved.version : null
+  };
+};
+
+/**
+ * Extract ATS keywords from a job description with AI
+ * Optional extra on top of the rule-based keywords; returns [] when AI is not available
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - { onUsage } - usage callback for the provider call
+ * @returns {Promise<Array>} Keywords
+ */
+const extractJobKeywords = async (jobDescription, { onUsage } = {}) => {
+  try {
+    if (!provider.isAvailable()) {
+      throw new Error(`${provider.label} is not configured. Please check your API key.`);
+    }
+
+    const resolved = await resolvePrompt("keywords", "professional");
+    const prompt = renderPrompt(resolved.template, { jobDescription: jobDescription.trim() });
+    const response = await callProvider(prompt, { input: "[]", temperature: 0.2, maxOutputTokens: 500 }, onUsage);
+
+    return parseJSONArrayResponse(response)
+      .filter(keyword => typeof keyword === "string" && keyword.trim() && keyword.length <= 50)
+      .map(keyword => keyword.trim());
+
+  } catch (error) {
+    console.error(`❌ Error extracting keywords with ${provider.label}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Check if the configured AI provider is available
+ * @returns {boolean} True if the provider can take requests
+ */
+const isAIAvailable = () => {
+  return provider.isAvailable();
+};
+
+/**
+ * Wait between consecutive AI requests to respect the provider's rate limits
+ * @returns {Promise<void>}
+ */
+const waitForRateLimit = () => {
+  return new Promise(resolve => setTimeout(resolve, provider.requestDelay));
+};
+
+/**
+ * Get AI service status
+ * @returns {Object} Service status information
+ */
+const getServiceStatus = () => {
+  return {
+    isAvailable: isAIAvailable(),
+    service: provider.label,
+    provider: provider.name,
+    model: provider.model,
+    cache: getCacheStats(),
+    features: [
+      "Professional content enhancement",
+      "Creative writing assistance", 
+      "Concise content optimization",
+      "ATS-friendly formatting",
+      "Multi-section support"
+    ]
+  };
+};
+
+/**
+ * Enhance multiple sections in batch
+ * @param {Object} sections - Object with section names and content
+ * @param {string} enhancementType - Enhancement type
+ * @param {Object} options - { signal, onProgress(completed, total, section) } called before each section,
+ * bypassCache to ask the AI again instead of reusing cached responses, onUsage for each provider call
+ * @returns {Promise<Object>} { enhancedSections, errors, fallbacks } - fallbacks maps each section that fell back
+ * to its fallback reason
+ */
+const enhanceBatch = async (sections, enhancementType = "professional", options = {}) => {
+  const { signal, onProgress, bypassCache, onUsage } = options;
+  const entries = Object.entries(sections);
+  const enhancedSections = {};
+  const errors = {};
+  const fallbacks = {};
+
+  for (const [index, [sectionName, content]] of entries.entries()) {
+    if (onProgress) await onProgress(index, entries.length, sectionName);
+    signal?.throwIfAborted();
+
+    try {
+      const enhanced = await enhanceContent(sectionName, content, enhancementType, { bypassCache, onUsage });
+      enhancedSections[sectionName] = enhanced.content;
+      if (enhanced.usedFallback) fallbacks[sectionName] = enhanced.fallbackReason;
+      // Add delay to respect rate limits
+      await waitForRateLimit();
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Error enhancing ${sectionName}:`, error.message);
+      errors[sectionName] = error.message;
+      enhancedSections[sectionName] = content; // Keep original on error
+    }
+  }
+
+  return { enhancedSections, errors, fallbacks };
+};
+
+module.exports = {
+  enhanceContent,
+  streamEnhancement,
+  isAIAvailable,
+  waitForRateLimit,
+  getServiceStatus,
+  enhanceBatch,
+  enhanceBullets,
+  getFallbackEnhancement,
+  tailorResume,
+  generateCoverLetter,
+  translateResume,
+  extractJobKeywords
+};
\ No newline at end of file
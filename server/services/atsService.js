@@ -0,0 +1,266 @@
+/**
+ * ATS keyword matching: how well a resume covers the keywords of a job description
+ * Works on text rules only; keywords from an AI provider can be passed in as an extra
+ */
+
+const { calculateExperienceMonths } = require("./dateService");
+
+// Sections searched for keywords, and how to read their text
+const SCORED_SECTIONS = {
+  skills: (data) => data.skills || [],
+  summary: (data) => [data.summary || ""],
+  experience: (data) => (data.experience || []).flatMap(exp => exp.accomplishment || []),
+  projects: (data) => (data.projects || []).flatMap(project => [project.title || "", project.description || ""])
+};
+
+const MAX_KEYWORDS = 40;
+const MAX_KEYWORD_WEIGHT = 3;
+
+const STOP_WORDS = new Set([
+  "a", "about", "above", "across", "after", "all", "also", "am", "an", "and", "any", "are", "as", "at", "be",
+  "been", "being", "both", "but", "by", "can", "could", "did", "do", "does", "each", "eg", "etc", "for", "from",
+  "had", "has", "have", "he", "her", "his", "how", "ie", "if", "in", "into", "is", "it", "its", "may", "more",
+  "most", "must", "my", "no", "not", "of", "on", "or", "other", "our", "out", "over", "own", "per", "plus",
+  "she", "should", "so", "some", "such", "than", "that", "the", "their", "them", "then", "there", "these",
+  "they", "this", "those", "through", "to", "under", "up", "us", "very", "was", "we", "well", "were", "what",
+  "when", "where", "which", "while", "who", "whom", "why", "will", "with", "within", "would", "you", "your"
+]);
+
+// Words every job posting uses; they say nothing about the role
+const GENERIC_JOB_WORDS = new Set([
+  "ability", "able", "apply", "benefits", "best", "candidate", "candidates", "company", "degree", "environment",
+  "excellent", "experience", "experienced", "familiarity", "good", "great", "ideal", "including", "job", "join",
+  "knowledge", "looking", "need", "needs", "new", "opportunity", "plus", "position", "preferred", "proven", "related", "required",
+  "requirements", "responsibilities", "role", "salary", "seeking", "skills", "strong", "team", "understanding",
+  "using", "want", "work", "working", "year", "years"
+]);
+
+/**
+ * Split text into lowercase tokens, keeping technical names whole ("node.js", "c++", "c#", "ci/cd")
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens with their original spelling: [{ token, original }]
+ */
+const tokenize = (text) => {
+  const matches = String(text || "").match(/[A-Za-z0-9][A-Za-z0-9+#./-]*[A-Za-z0-9+#]|[A-Za-z0-9]/g) || [];
+  return matches.map(original => ({ token: original.toLowerCase(), original }));
+};
+
+/**
+ * Reduce a word to a rough stem so "managed", "manages" and "managing" match
+ * "React.js" and "React" are the same technology; other names with digits or symbols are left alone
+ * @param {string} token - Lowercase token
+ * @returns {string} Stem
+ */
+const stem = (token) => {
+  let word = /^[a-z]+\.js$/.test(token) ? token.slice(0, -3) : token;
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+
+  if (word.endsWith("ies") && word.length > 4) {
+    word = `${word.slice(0, -3)}y`;
+  } else if (/(ing|ed)$/.test(word) && word.length > 5) {
+    word = word.replace(/(ing|ed)$/, "");
+  } else if (word.endsWith("s") && !word.endsWith("ss")) {
+    word = word.slice(0, -1);
+  }
+  return word.replace(/e$/, "");
+};
+
+/**
+ * Check whether a token can be a keyword
+ * @param {string} token - Lowercase token
+ * @returns {boolean} True unless it is a stop word, a generic job word or a number ("5+", "30%")
+ */
+const isKeywordToken = (token) => {
+  return token.length > 1 &&
+    !STOP_WORDS.has(token) &&
+    !GENERIC_JOB_WORDS.has(token) &&
+    !/^\d[\d.,+%-]*$/.test(token);
+};
+
+/**
+ * Extract weighted keywords from a job description
+ * Single words are counted, and two-word phrases that appear at least twice ("machine learning")
+ * are kept as one keyword instead of two
+ * @param {string} jobDescription - Job description text
+ * @param {Array} extraKeywords - Additional keywords (e.g. from an AI provider), weight 1
+ * @returns {Array} Keywords, heaviest first: [{ keyword, stems, weight }]
+ */
+const extractKeywords = (jobDescription, extraKeywords = []) => {
+  const candidates = new Map();
+  const add = (stems, original, position, count = 1) => {
+    const key = stems.join(" ");
+    const existing = candidates.get(key);
+    if (existing) {
+      existing.count += count;
+    } else {
+      candidates.set(key, { keyword: original, stems, count, position });
+    }
+  };
+
+  // Keyword runs are split by stop words and punctuation, so phrases never cross a sentence
+  const runs = [];
+  String(jobDescription || "").split(/[.,;:!?()•]+(?:\s|$)|\n/).forEach(sentence => {
+    let run = [];
+    tokenize(sentence).forEach(({ token, original }) => {
+      if (isKeywordToken(token)) {
+        run.push({ stem: stem(token), original });
+      } else if (run.length > 0) {
+        runs.push(run);
+        run = [];
+      }
+    });
+    if (run.length > 0) runs.push(run);
+  });
+
+  let position = 0;
+  const phraseCounts = new Map();
+  runs.forEach(run => {
+    for (let i = 0; i < run.length - 1; i++) {
+      const key = `${run[i].stem} ${run[i + 1].stem}`;
+      const phrase = phraseCounts.get(key) || { count: 0, original: `${run[i].original} ${run[i + 1].original}`, position: position + i };
+      phrase.count++;
+      phraseCounts.set(key, phrase);
+    }
+    position += run.length;
+  });
+
+  // Words used up by a repeated phrase only count on their own for their other occurrences
+  const consumed = new Map();
+  phraseCounts.forEach((phrase, key) => {
+    if (phrase.count < 2) return;
+    add(key.split(" "), phrase.original, phrase.position, phrase.count);
+    key.split(" ").forEach(part => consumed.set(part, (consumed.get(part) || 0) + phrase.count));
+  });
+
+  position = 0;
+  runs.forEach(run => {
+    run.forEach(({ stem: word, original }, index) => {
+      if ((consumed.get(word) || 0) > 0) {
+        consumed.set(word, consumed.get(word) - 1);
+        return;
+      }
+      add([word], original, position + index);
+    });
+    position += run.length;
+  });
+
+  extraKeywords.forEach(keyword => {
+    const stems = tokenize(keyword).map(({ token }) => token).filter(isKeywordToken).map(stem);
+    if (stems.length > 0 && !candidates.has(stems.join(" "))) {
+      add(stems, String(keyword).trim(), Infinity);
+    }
+  });
+
+  return [...candidates.values()]
+    .sort((a, b) => (b.count - a.count) || (a.position - b.position))
+    .slice(0, MAX_KEYWORDS)
+    .map(({ keyword, stems, count }) => ({ keyword, stems, weight: Math.min(count, MAX_KEYWORD_WEIGHT) }));
+};
+
+/**
+ * Index a section's text for keyword lookups
+ * @param {Array} texts - Section text, one string per item
+ * @returns {Object} { words: Set of stems, phrases: Set of "stem stem" pairs }
+ */
+const indexSection = (texts) => {
+  const words = new Set();
+  const phrases = new Set();
+
+  texts.forEach(text => {
+    const stems = tokenize(text).map(({ token }) => stem(token));
+    stems.forEach((word, index) => {
+      words.add(word);
+      if (index > 0) phrases.add(`${stems[index - 1]} ${word}`);
+    });
+  });
+
+  return { words, phrases };
+};
+
+/**
+ * Check whether an indexed section contains a keyword
+ * @param {Object} index - Section index from indexSection
+ * @param {Object} keyword - Keyword from extractKeywords
+ * @returns {boolean} True if the section contains it
+ */
+const sectionHasKeyword = (index, keyword) => {
+  return keyword.stems.length === 1
+    ? index.words.has(keyword.stems[0])
+    : index.phrases.has(keyword.stems.join(" "));
+};
+
+/**
+ * Read a minimum years-of-experience requirement ("5+ years", "3-5 years of experience")
+ * @param {string} jobDescription - Job description text
+ * @returns {number|null} Required years, or null if none is stated
+ */
+const extractRequiredYears = (jobDescription) => {
+  const match = String(jobDescription || "").match(/(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?years?/i);
+  return match ? parseInt(match[1]) : null;
+};
+
+/**
+ * Percentage of the total keyword weight covered
+ * @param {Array} keywords - Covered keywords
+ * @param {number} totalWeight - Weight of all keywords
+ * @returns {number} Score from 0 to 100
+ */
+const coverage = (keywords, totalWeight) => {
+  if (totalWeight === 0) return 0;
+  return Math.round(keywords.reduce((sum, keyword) => sum + keyword.weight, 0) / totalWeight * 100);
+};
+
+/**
+ * Score a resume against a job description
+ * @param {Object} resumeData - Plain resume data
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - { extraKeywords } additional keywords to look for
+ * @returns {Object} { score, keywords: { matched, missing }, sections, experience }
+ */
+const scoreResume = (resumeData, jobDescription, options = {}) => {
+  const keywords = extractKeywords(jobDescription, options.extraKeywords || []);
+  const totalWeight = keywords.reduce((sum, keyword) => sum + keyword.weight, 0);
+
+  const indexes = Object.fromEntries(
+    Object.entries(SCORED_SECTIONS).map(([section, read]) => [section, indexSection(read(resumeData))])
+  );
+
+  const results = keywords.map(keyword => ({
+    keyword: keyword.keyword,
+    weight: keyword.weight,
+    sections: Object.keys(indexes).filter(section => sectionHasKeyword(indexes[section], keyword))
+  }));
+
+  const matched = results.filter(result => result.sections.length > 0);
+  const missing = results
+    .filter(result => result.sections.length === 0)
+    .map(({ keyword, weight }) => ({ keyword, weight }));
+
+  const sections = Object.fromEntries(Object.keys(indexes).map(section => {
+    const found = matched.filter(result => result.sections.includes(section));
+    return [section, {
+      score: coverage(found, totalWeight),
+      matched: found.map(result => result.keyword)
+    }];
+  }));
+
+  const requiredYears = extractRequiredYears(jobDescription);
+  const years = Math.round(calculateExperienceMonths(resumeData.experience) / 12 * 10) / 10;
+
+  return {
+    score: coverage(matched, totalWeight),
+    keywords: { matched, missing },
+    sections,
+    experience: {
+      years,
+      requiredYears,
+      meetsRequirement: requiredYears === null ? null : years >= requiredYears
+    }
+  };
+};
+
+module.exports = {
+  SCORED_SECTIONS,
+  extractKeywords,
+  scoreResume
+};
\ No newline at end of file
@@ -0,0 +1,459 @@
+const puppeteer = require("puppeteer");
+const path = require("path");
+const fs = require("fs").promises;
+const os = require("os");
+const { AppError } = require("../middleware/errorHandler");
+
+// Pool configuration (overridable through environment variables)
+const POOL_CONFIG = {
+  size: parseInt(process.env.PDF_POOL_SIZE) || 2, // warm browser instances
+  maxConcurrency: parseInt(process.env.PDF_MAX_CONCURRENCY) || 4, // jobs rendering at once
+  maxQueueLength: parseInt(process.env.PDF_MAX_QUEUE) || 50, // jobs allowed to wait
+  queueTimeout: parseInt(process.env.PDF_QUEUE_TIMEOUT_MS) || 30000, // max wait for a free slot
+  jobTimeout: parseInt(process.env.PDF_JOB_TIMEOUT_MS) || 60000, // max time for one render
+  maxPageUses: parseInt(process.env.PDF_MAX_PAGE_USES) || 50, // recycle a page after this many jobs
+  shutdownTimeout: parseInt(process.env.PDF_SHUTDOWN_TIMEOUT_MS) || 10000 // wait for running jobs on shutdown
+};
+
+const slots = [];
+const queue = [];
+let activeJobs = 0;
+let shuttingDown = false;
+let startedAt = null;
+
+const metrics = {
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  rejected: 0,
+  crashes: 0,
+  launches: 0,
+  pagesCreated: 0,
+  pagesReused: 0,
+  totalRenderMs: 0,
+  totalWaitMs: 0,
+  peakQueueLength: 0
+};
+
+/**
+ * Build Puppeteer launch options for a pooled browser
+ * @param {string} userDataDir - Profile directory for this browser
+ * @returns {Object} Launch options
+ */
+const getLaunchOptions = (userDataDir) => {
+  const options = {
+    headless: "new",
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-accelerated-2d-canvas",
+      "--no-first-run",
+      "--no-zygote",
+      "--disable-gpu",
+      `--user-data-dir=${userDataDir}`
+    ],
+    timeout: 60000
+  };
+
+  // Use custom executable path if provided
+  if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+    options.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+  }
+
+  return options;
+};
+
+/**
+ * Remove a browser profile directory
+ * @param {string} userDataDir - Directory to remove
+ */
+const removeUserDataDir = async (userDataDir) => {
+  try {
+    await fs.rm(userDataDir, { recursive: true, force: true });
+  } catch (cleanupError) {
+    console.warn("Warning: Failed to clean up browser profile:", cleanupError.message);
+  }
+};
+
+/**
+ * Launch (or relaunch) the browser for a pool slot
+ * A browser that disconnects unexpectedly is marked as crashed and relaunched on next use
+ * @param {Object} slot - Pool slot
+ * @returns {Promise<Object>} Connected browser
+ */
+const launchBrowser = (slot) => {
+  if (slot.launching) return slot.launching;
+
+  slot.launching = (async () => {
+    const userDataDir = path.join(
+      os.tmpdir(),
+      `resume_pdf_pool_${slot.id}_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`
+    );
+
+    const browser = await puppeteer.launch(getLaunchOptions(userDataDir));
+    metrics.launches++;
+
+    browser.on("disconnected", () => {
+      if (slot.browser !== browser) return;
+
+      slot.browser = null;
+      slot.idlePages = [];
+      removeUserDataDir(userDataDir);
+
+      if (!slot.closing && !shuttingDown) {
+        metrics.crashes++;
+        console.warn(`⚠️ PDF browser ${slot.id} disconnected unexpectedly; it will be relaunched`);
+      }
+    });
+
+    slot.browser = browser;
+    slot.userDataDir = userDataDir;
+    slot.idlePages = [];
+    slot.closing = false;
+    return browser;
+  })().finally(() => {
+    slot.launching = null;
+  });
+
+  return slot.launching;
+};
+
+/**
+ * Create the pool slots (browsers are launched lazily or by warmBrowserPool)
+ */
+const ensureSlots = () => {
+  while (slots.length < POOL_CONFIG.size) {
+    slots.push({
+      id: slots.length + 1,
+      browser: null,
+      launching: null,
+      closing: false,
+      userDataDir: null,
+      idlePages: [],
+      activePages: 0,
+      jobs: 0
+    });
+  }
+
+  if (!startedAt) {
+    startedAt = new Date();
+  }
+};
+
+/**
+ * Launch every browser in the pool ahead of the first request
+ * @returns {Promise<number>} Number of browsers ready
+ */
+const warmBrowserPool = async () => {
+  ensureSlots();
+
+  const results = await Promise.allSettled(
+    slots.map(slot => slot.browser ? slot.browser : launchBrowser(slot))
+  );
+
+  const ready = results.filter(result => result.status === "fulfilled").length;
+  const failed = results.find(result => result.status === "rejected");
+
+  if (ready === 0 && failed) {
+    throw failed.reason;
+  }
+
+  console.log(`🖨️ PDF browser pool ready (${ready}/${slots.length} browsers)`);
+  return ready;
+};
+
+/**
+ * Take a page from the least busy browser, reusing an idle page when possible
+ * @returns {Promise<Object>} { slot, page }
+ */
+const acquirePage = async () => {
+  ensureSlots();
+
+  const slot = slots.reduce((best, candidate) =>
+    candidate.activePages < best.activePages ? candidate : best
+  );
+
+  slot.activePages++;
+  slot.jobs++;
+
+  try {
+    const browser = slot.browser && slot.browser.connected !== false
+      ? slot.browser
+      : await launchBrowser(slot);
+
+    let page = slot.idlePages.pop();
+
+    if (page && !page.isClosed()) {
+      metrics.pagesReused++;
+    } else {
+      page = await browser.newPage();
+      page.useCount = 0;
+      metrics.pagesCreated++;
+    }
+
+    page.useCount++;
+    return { slot, page };
+  } catch (error) {
+    slot.activePages--;
+    throw error;
+  }
+};
+
+/**
+ * Return a page to its browser, or close it if it is worn out or the job failed
+ * @param {Object} slot - Pool slot the page belongs to
+ * @param {Object} page - Puppeteer page
+ * @param {boolean} healthy - Whether the job finished cleanly
+ */
+const releasePage = async (slot, page, healthy) => {
+  slot.activePages--;
+
+  const reusable = healthy &&
+    !shuttingDown &&
+    slot.browser &&
+    !page.isClosed() &&
+    page.useCount < POOL_CONFIG.maxPageUses;
+
+  if (reusable) {
+    try {
+      await page.goto("about:blank");
+      slot.idlePages.push(page);
+      return;
+    } catch (resetError) {
+      console.warn("Warning: Failed to reset PDF page:", resetError.message);
+    }
+  }
+
+  try {
+    if (!page.isClosed()) {
+      await page.close();
+    }
+  } catch (closeError) {
+    console.warn("Warning: Failed to close PDF page:", closeError.message);
+  }
+};
+
+/**
+ * Run a task with a time limit
+ * @param {Promise} promise - Task promise
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {Promise} Task result
+ */
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new AppError(`PDF generation timed out after ${timeout}ms`, 504, "PDF_TIMEOUT"));
+    }, timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check whether an error was caused by the browser going away mid-job
+ * @param {Error} error - Error thrown by the task
+ * @returns {boolean} True for crash/disconnect errors
+ */
+const isBrowserCrash = (error) => {
+  return /Target closed|Session closed|Protocol error|browser has disconnected|Connection closed/i
+    .test(error.message || "");
+};
+
+/**
+ * Run a job on a pooled page; a job interrupted by a browser crash is retried once
+ * @param {Object} job - Queued job
+ */
+const runJob = async (job) => {
+  activeJobs++;
+  metrics.totalWaitMs += Date.now() - job.enqueuedAt;
+
+  const startTime = Date.now();
+  let attempt = 0;
+
+  try {
+    while (true) {
+      attempt++;
+      let lease = null;
+      let healthy = false;
+
+      try {
+        lease = await acquirePage();
+        const result = await withTimeout(job.task(lease.page), job.timeout);
+        healthy = true;
+
+        metrics.completed++;
+        metrics.totalRenderMs += Date.now() - startTime;
+        job.resolve(result);
+        return;
+      } catch (error) {
+        if (error.error === "PDF_TIMEOUT") {
+          metrics.timedOut++;
+        }
+
+        if (attempt === 1 && !shuttingDown && isBrowserCrash(error)) {
+          console.warn("⚠️ PDF job interrupted by a browser crash, retrying");
+          continue;
+        }
+
+        metrics.failed++;
+        job.reject(error);
+        return;
+      } finally {
+        if (lease) {
+          await releasePage(lease.slot, lease.page, healthy);
+        }
+      }
+    }
+  } finally {
+    activeJobs--;
+    drainQueue();
+  }
+};
+
+/**
+ * Start queued jobs while there is spare concurrency
+ */
+const drainQueue = () => {
+  while (!shuttingDown && activeJobs < POOL_CONFIG.maxConcurrency && queue.length > 0) {
+    const job = queue.shift();
+    clearTimeout(job.queueTimer);
+    runJob(job);
+  }
+};
+
+/**
+ * Run a task with a page from the shared browser pool
+ * Jobs beyond the concurrency limit wait in a bounded queue
+ * @param {Function} task - async (page) => result
+ * @param {Object} options - Optional timeout override in milliseconds
+ * @returns {Promise<*>} Task result
+ */
+const withPage = (task, options = {}) => {
+  return new Promise((resolve, reject) => {
+    if (shuttingDown) {
+      metrics.rejected++;
+      return reject(new AppError("PDF service is shutting down", 503, "PDF_SHUTTING_DOWN"));
+    }
+
+    if (queue.length >= POOL_CONFIG.maxQueueLength) {
+      metrics.rejected++;
+      return reject(new AppError("PDF service is busy, please try again shortly", 503, "PDF_QUEUE_FULL"));
+    }
+
+    const job = {
+      task,
+      resolve,
+      reject,
+      timeout: options.timeout || POOL_CONFIG.jobTimeout,
+      enqueuedAt: Date.now(),
+      queueTimer: null
+    };
+
+    job.queueTimer = setTimeout(() => {
+      const index = queue.indexOf(job);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        metrics.timedOut++;
+        reject(new AppError("Timed out waiting for a free PDF worker", 503, "PDF_QUEUE_TIMEOUT"));
+      }
+    }, POOL_CONFIG.queueTimeout);
+
+    queue.push(job);
+    metrics.peakQueueLength = Math.max(metrics.peakQueueLength, queue.length);
+    drainQueue();
+  });
+};
+
+/**
+ * Close one pool browser
+ * @param {Object} slot - Pool slot
+ */
+const closeSlot = async (slot) => {
+  const browser = slot.browser;
+  if (!browser) return;
+
+  slot.closing = true;
+  try {
+    await browser.close();
+  } catch (closeError) {
+    console.warn(`Warning: Failed to close PDF browser ${slot.id}:`, closeError.message);
+  }
+
+  if (slot.userDataDir) {
+    await removeUserDataDir(slot.userDataDir);
+  }
+};
+
+/**
+ * Stop accepting jobs, let running jobs finish (up to shutdownTimeout) and close all browsers
+ * @returns {Promise<void>}
+ */
+const shutdownBrowserPool = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  // Reject jobs that have not started yet
+  while (queue.length > 0) {
+    const job = queue.shift();
+    clearTimeout(job.queueTimer);
+    metrics.rejected++;
+    job.reject(new AppError("PDF service is shutting down", 503, "PDF_SHUTTING_DOWN"));
+  }
+
+  const deadline = Date.now() + POOL_CONFIG.shutdownTimeout;
+  while (activeJobs > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (activeJobs > 0) {
+    console.warn(`⚠️ Closing PDF browsers with ${activeJobs} job(s) still running`);
+  }
+
+  await Promise.all(slots.map(closeSlot));
+  console.log("👋 PDF browser pool closed");
+};
+
+/**
+ * Get pool metrics
+ * @returns {Object} Pool configuration, browser state, queue and job counters
+ */
+const getBrowserPoolStats = () => {
+  const finished = metrics.completed + metrics.failed;
+
+  return {
+    config: { ...POOL_CONFIG },
+    startedAt,
+    shuttingDown,
+    browsers: slots.map(slot => ({
+      id: slot.id,
+      status: slot.browser ? "ready" : slot.launching ? "launching" : "idle",
+      activePages: slot.activePages,
+      idlePages: slot.idlePages.length,
+      jobs: slot.jobs
+    })),
+    activeJobs,
+    queueLength: queue.length,
+    peakQueueLength: metrics.peakQueueLength,
+    jobs: {
+      completed: metrics.completed,
+      failed: metrics.failed,
+      timedOut: metrics.timedOut,
+      rejected: metrics.rejected
+    },
+    crashes: metrics.crashes,
+    launches: metrics.launches,
+    pagesCreated: metrics.pagesCreated,
+    pagesReused: metrics.pagesReused,
+    averageRenderMs: metrics.completed > 0 ? Math.round(metrics.totalRenderMs / metrics.completed) : 0,
+    averageWaitMs: finished > 0 ? Math.round(metrics.totalWaitMs / finished) : 0
+  };
+};
+
+module.exports = {
+  withPage,
+  warmBrowserPool,
+  shutdownBrowserPool,
+  getBrowserPoolStats
+};
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * Structured resume dates: parsing free text, locale formatting, sorting and durations
+ * Entries store { startDate: { month, year }, endDate: { month, year }, isCurrent };
+ * the free-text field (date/duration) is kept in sync for display and parsing
+ */
+
+// Dated sections and the free-text field each one keeps in sync
+const DATED_SECTIONS = {
+  experience: "date",
+  education: "duration",
+  projects: "duration"
+};
+
+const DEFAULT_LOCALE = "en-US";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "Jan 2020 - Present", "2016 – 2020", "2016-2020", "03/2019 to 05/2021"
+const DATE_RANGE_SEPARATOR = /\s+(?:-|–|—|to)\s+|\s*[–—]\s*|(?<=\d{4})-(?=\d{4})/i;
+const CURRENT_DATE_PATTERN = /^(present|current|now|ongoing|today)$/i;
+
+// Word for an ongoing end date, by language
+const PRESENT_LABELS = {
+  en: "Present",
+  es: "Actualidad",
+  fr: "Présent",
+  de: "Heute",
+  pt: "Atual",
+  it: "Presente",
+  ar: "حتى الآن",
+  he: "היום"
+};
+
+/**
+ * Parse a single date ("Jan 2020", "January 2020", "01/2020", "2020-01", "2020")
+ * @param {string} text - Date text
+ * @returns {Object|null} { month, year } (month is null for year-only dates), or null if unreadable
+ */
+const parseDatePoint = (text) => {
+  const value = String(text || "").trim();
+  let match;
+
+  if ((match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-\d{1,2})?$/))) {
+    return { month: match[2] ? parseInt(match[2]) : null, year: parseInt(match[1]) };
+  }
+  if ((match = value.match(/^(\d{1,2})\/(\d{4})$/))) {
+    return { month: parseInt(match[1]), year: parseInt(match[2]) };
+  }
+  if ((match = value.match(/^([a-z]+)\.?,?\s+(\d{4})$/i))) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+    return month === -1 ? null : { month: month + 1, year: parseInt(match[2]) };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a free-text date range
+ * A single date ("2020") is read as both start and end
+ * @param {string} text - Date range text ("Jan 2020 - Present")
+ * @returns {Object|null} { startDate, endDate, isCurrent }, or null if unreadable
+ */
+const parseDateRange = (text) => {
+  const value = String(text || "").trim();
+  if (!value) return null;
+
+  const [start, end, ...rest] = value.split(DATE_RANGE_SEPARATOR).map(part => part.trim());
+  const startDate = parseDatePoint(start);
+  if (!startDate || rest.length > 0) return null;
+
+  if (end === undefined) {
+    return { startDate, endDate: { ...startDate }, isCurrent: false };
+  }
+  if (CURRENT_DATE_PATTERN.test(end)) {
+    return { startDate, endDate: null, isCurrent: true };
+  }
+
+  const endDate = parseDatePoint(end);
+  return endDate ? { startDate, endDate, isCurrent: false } : null;
+};
+
+/**
+ * Check whether a date point has a year
+ * @param {Object} point - { month, year }
+ * @returns {boolean} True if the point is set
+ */
+const hasDate = (point) => !!(point && point.year);
+
+/**
+ * Fall back to the default locale when Intl does not support the requested one
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Supported locale
+ */
+const resolveLocale = (locale) => {
+  try {
+    return locale && Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0 ? locale : DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+/**
+ * Format one date for a locale ("Jan 2020", "janv. 2020", "2020")
+ * @param {Object} point - { month, year }
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Formatted date
+ */
+const formatDatePoint = (point, locale = DEFAULT_LOCALE) => {
+  if (!hasDate(point)) return "";
+  if (!point.month) return String(point.year);
+
+  return new Intl.DateTimeFormat(resolveLocale(locale), { month: "short", year: "numeric", timeZone: "UTC" })
+    .format(new Date(Date.UTC(point.year, point.month - 1, 1)));
+};
+
+/**
+ * Format the date a letter is written on for a locale ("March 4, 2025", "4 mars 2025")
+ * @param {Date} date - Date (default: now)
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Formatted date
+ */
+const formatLetterDate = (date = new Date(), locale = DEFAULT_LOCALE) => {
+  return new Intl.DateTimeFormat(resolveLocale(locale), { day: "numeric", month: "long", year: "numeric" })
+    .format(date);
+};
+
+/**
+ * Format an entry's structured dates for a locale
+ * @param {Object} entry - Entry with startDate, endDate and isCurrent
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {string} Date range ("Jan 2020 - Present"), or "" if the entry has no start date
+ */
+const formatDateRange = (entry, locale = DEFAULT_LOCALE) => {
+  if (!entry || !hasDate(entry.startDate)) return "";
+
+  const start = formatDatePoint(entry.startDate, locale);
+  if (entry.isCurrent) {
+    const language = resolveLocale(locale).split("-")[0].toLowerCase();
+    return `${start} - ${PRESENT_LABELS[language] || PRESENT_LABELS.en}`;
+  }
+
+  const end = formatDatePoint(entry.endDate, locale);
+  return end && end !== start ? `${start} - ${end}` : start;
+};
+
+/**
+ * Convert a date point to an ISO 8601 date ("2020-01" or "2020")
+ * @param {Object} point - { month, year }
+ * @returns {string|null} ISO date, or null if the point is not set
+ */
+const toISODate = (point) => {
+  if (!hasDate(point)) return null;
+  return point.month ? `${point.year}-${String(point.month).padStart(2, "0")}` : String(point.year);
+};
+
+/**
+ * Get an entry's structured dates, parsing the free-text field if they are not set
+ * @param {Object} entry - Dated entry
+ * @param {string} textField - Free-text field ("date" or "duration")
+ * @returns {Object|null} { startDate, endDate, isCurrent }, or null if the entry has no readable dates
+ */
+const getDateRange = (entry, textField) => {
+  if (!entry) return null;
+  if (hasDate(entry.startDate)) {
+    return { startDate: entry.startDate, endDate: entry.endDate || null, isCurrent: !!entry.isCurrent };
+  }
+  return parseDateRange(entry[textField]);
+};
+
+/**
+ * Keep an entry's structured dates and free-text field in sync (mutates the entry)
+ * Structured dates win; otherwise they are parsed from the text, which is left as is.
+ * Edits that only changed the text are turned into structured dates first by applyTextDateEdits.
+ * @param {Object} entry - Dated entry (subdocument or plain object)
+ * @param {string} textField - Free-text field ("date" or "duration")
+ * @returns {Object} The entry
+ */
+const syncDateFields = (entry, textField) => {
+  if (hasDate(entry.startDate)) {
+    entry[textField] = formatDateRange(entry);
+    return entry;
+  }
+
+  const range = parseDateRange(entry[textField]);
+  if (range) {
+    entry.startDate = range.startDate;
+    entry.endDate = range.endDate;
+    entry.isCurrent = range.isCurrent;
+  }
+  return entry;
+};
+
+/**
+ * Compare the structured dates of two entries
+ * @param {Object} a - Dated entry
+ * @param {Object} b - Dated entry
+ * @returns {boolean} True if start, end and isCurrent match
+ */
+const sameStructuredDates = (a, b) => {
+  const point = (value) => (hasDate(value) ? `${value.year}-${value.month || 0}` : "");
+  return point(a.startDate) === point(b.startDate) &&
+    point(a.endDate) === point(b.endDate) &&
+    !!a.isCurrent === !!b.isCurrent;
+};
+
+/**
+ * Let edits to the free-text date win over unchanged structured dates (mutates the update)
+ * Clients send entries back with the structured dates they loaded; when only the text was changed,
+ * the structured dates are re-read from the new text (or cleared if it cannot be read) so that
+ * syncDateFields does not overwrite the edit. Entries are matched by _id, or by position without one.
+ * @param {Object} previousData - Stored resume data
+ * @param {Object} updateData - Resume fields sent by the client
+ * @returns {Object} The update data
+ */
+const applyTextDateEdits = (previousData, updateData) => {
+  Object.entries(DATED_SECTIONS).forEach(([section, textField]) => {
+    const previousEntries = previousData[section] || [];
+    if (!Array.isArray(updateData[section])) return;
+
+    updateData[section].forEach((entry, index) => {
+      if (!entry || typeof entry !== "object") return;
+
+      const previous = entry._id
+        ? previousEntries.find(item => item._id && String(item._id) === String(entry._id))
+        : previousEntries[index];
+      if (!previous || entry[textField] === previous[textField] || !sameStructuredDates(entry, previous)) return;
+
+      const range = parseDateRange(entry[textField]);
+      entry.startDate = range ? range.startDate : undefined;
+      entry.endDate = range ? range.endDate : undefined;
+      entry.isCurrent = range ? range.isCurrent : false;
+    });
+  });
+  return updateData;
+};
+
+/**
+ * Fill structured dates from the free-text fields of every dated section (mutates the data)
+ * @param {Object} resumeData - Plain resume data (e.g. parser output)
+ * @returns {Object} The resume data
+ */
+const applyDateStructure = (resumeData) => {
+  Object.entries(DATED_SECTIONS).forEach(([section, textField]) => {
+    (resumeData[section] || []).forEach(entry => syncDateFields(entry, textField));
+  });
+  return resumeData;
+};
+
+/**
+ * Month index used to order and measure ranges
+ * @param {Object} point - { month, year }
+ * @param {number} defaultMonth - Month to assume for year-only dates
+ * @returns {number} Months since year 0
+ */
+const monthIndex = (point, defaultMonth) => point.year * 12 + (point.month || defaultMonth) - 1;
+
+/**
+ * Sort dated entries most recent first (ongoing, then latest end, then latest start)
+ * Entries without readable dates keep their order after the dated ones
+ * @param {Array} entries - Dated entries
+ * @param {string} textField - Free-text field ("date" or "duration")
+ * @returns {Array} New sorted array
+ */
+const sortByDate = (entries, textField) => {
+  const keyed = (entries || []).map((entry, index) => {
+    const range = getDateRange(entry, textField);
+    if (!range) return { entry, index, end: -Infinity, start: -Infinity };
+
+    return {
+      entry,
+      index,
+      end: range.isCurrent ? Infinity : monthIndex(range.endDate || range.startDate, 12),
+      start: monthIndex(range.startDate, 1)
+    };
+  });
+
+  return keyed
+    .sort((a, b) => (b.end - a.end) || (b.start - a.start) || (a.index - b.index))
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Prepare resume data for rendering: dated sections sorted most recent first and
+ * their free-text fields formatted for the locale
+ * @param {Object} data - Plain resume data
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {Object} Copy of the data
+ */
+const localizeDates = (data, locale = DEFAULT_LOCALE) => {
+  const localized = { ...data };
+
+  Object.entries(DATED_SECTIONS).forEach(([section, textField]) => {
+    if (!Array.isArray(data[section])) return;
+
+    localized[section] = sortByDate(data[section], textField).map(entry => {
+      const range = getDateRange(entry, textField);
+      return range
+        ? { ...entry, ...range, [textField]: formatDateRange(range, locale) }
+        : entry;
+    });
+  });
+
+  return localized;
+};
+
+/**
+ * Total months of work experience, counting overlapping jobs once
+ * Year-only dates run from January to December; ongoing jobs run to the current month
+ * @param {Array} experience - Experience entries
+ * @param {Date} now - Reference date for ongoing jobs (default: today)
+ * @returns {number} Months of experience
+ */
+const calculateExperienceMonths = (experience, now = new Date()) => {
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+
+  const intervals = (experience || [])
+    .map(entry => getDateRange(entry, DATED_SECTIONS.experience))
+    .filter(Boolean)
+    .map(range => [
+      monthIndex(range.startDate, 1),
+      range.isCurrent ? currentMonth : monthIndex(range.endDate || range.startDate, 12)
+    ])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let coveredUntil = -Infinity;
+
+  intervals.forEach(([start, end]) => {
+    const from = Math.max(start, coveredUntil + 1);
+    if (end >= from) {
+      total += end - from + 1;
+      coveredUntil = end;
+    }
+  });
+
+  return total;
+};
+
+module.exports = {
+  DATED_SECTIONS,
+  DEFAULT_LOCALE,
+  parseDatePoint,
+  parseDateRange,
+  formatDatePoint,
+  formatDateRange,
+  formatLetterDate,
+  toISODate,
+  getDateRange,
+  monthIndex,
+  syncDateFields,
+  applyTextDateEdits,
+  applyDateStructure,
+  sortByDate,
+  localizeDates,
+  calculateExperienceMonths
+};
\ No newline at end of file
@@ -0,0 +1,351 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  AlignmentType,
+  BorderStyle
+} = require("docx");
+const { getTemplate, getCoverLetterTemplate, buildLetter } = require("./templateService");
+const { localizeDates } = require("./dateService");
+const { getTextDirection, getSectionLabel } = require("./localeService");
+
+// Section headings; worded so parseService recognises them when the file is re-imported (other languages use
+// the headings in localeService.js)
+const SECTION_HEADINGS = {
+  summary: "Professional Summary",
+  experience: "Professional Experience",
+  education: "Education",
+  skills: "Skills",
+  achievements: "Achievements",
+  projects: "Projects",
+  languages: "Languages",
+  certifications: "Certifications",
+  courses: "Courses",
+  hobbies: "Interests"
+};
+
+const BULLET_REFERENCE = "resume-bullets";
+
+// Separator between the fields of an entry line ("Company | Date | Location")
+const FIELD_SEPARATOR = " | ";
+
+/**
+ * Join the non-empty parts of an entry line
+ * Shared with the text and Markdown exports, so every format re-imports the same way
+ * @param {Array} fields - Entry fields in order
+ * @returns {string} Entry line
+ */
+const entryLine = (fields) => {
+  return fields.map(value => String(value || "").trim()).filter(Boolean).join(FIELD_SEPARATOR);
+};
+
+/**
+ * Build a hyperlink run
+ * @param {string} text - Link text
+ * @param {string} link - Target URL
+ * @param {Object} style - Template DOCX style
+ * @returns {ExternalHyperlink} Hyperlink
+ */
+const createLink = (text, link, style) => {
+  return new ExternalHyperlink({
+    link,
+    children: [new TextRun({ text, style: "Hyperlink", color: style.accentColor, underline: {} })]
+  });
+};
+
+/**
+ * Build the name, role and contact lines
+ * @param {Object} data - Resume data
+ * @param {Object} style - Template DOCX style
+ * @returns {Array} Paragraphs
+ */
+const buildHeader = (data, style) => {
+  const contact = [];
+
+  if (data.phone) {
+    contact.push(new TextRun(data.phone));
+  }
+  if (data.email) {
+    contact.push(createLink(data.email, `mailto:${data.email}`, style));
+  }
+  if (data.location) {
+    contact.push(new TextRun(data.location));
+  }
+  if (data.linkedin) {
+    const url = /^https?:\/\//i.test(data.linkedin) ? data.linkedin : `https://${data.linkedin}`;
+    contact.push(createLink(data.linkedin, url, style));
+  }
+
+  // Separate contact items with a pipe
+  const contactRuns = contact.flatMap((run, index) => index === 0 ? [run] : [new TextRun(" | "), run]);
+
+  return [
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: data.name || "Your Name", bold: true, size: 36, color: style.accentColor })]
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: data.role || "", italics: true, size: 24 })]
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 },
+      children: contactRuns
+    })
+  ];
+};
+
+/**
+ * Build a section heading
+ * @param {string} section - Section key
+ * @param {Object} style - Template DOCX style
+ * @returns {Paragraph} Heading paragraph
+ */
+const buildHeading = (section, style) => {
+  return new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    spacing: { before: 240, after: 80 },
+    border: {
+      bottom: { style: BorderStyle.SINGLE, size: 6, color: style.accentColor, space: 1 }
+    },
+    children: [new TextRun({
+      text: getSectionLabel(section, style.locale, SECTION_HEADINGS[section]),
+      bold: true,
+      color: style.accentColor
+    })]
+  });
+};
+
+/**
+ * Build a plain line, or nothing if the text is empty
+ * @param {string} text - Line text
+ * @param {Object} options - TextRun options (bold, italics, ...)
+ * @returns {Array} Zero or one paragraph
+ */
+const line = (text, options = {}) => {
+  if (!text) return [];
+  return [new Paragraph({ children: [new TextRun({ text, ...options })] })];
+};
+
+/**
+ * Build a bulleted line
+ * @param {Array|string} children - Runs or text
+ * @returns {Paragraph} Bullet paragraph
+ */
+const bullet = (children) => {
+  return new Paragraph({
+    numbering: { reference: BULLET_REFERENCE, level: 0 },
+    children: typeof children === "string" ? [new TextRun(children)] : children
+  });
+};
+
+/**
+ * Build the paragraphs for one section
+ * Entries use the same lines as the text export (title, then "Company | Date | Location") so the
+ * document re-imports cleanly
+ * @param {string} section - Section key
+ * @param {Object} data - Resume data
+ * @returns {Array} Paragraphs (empty if the section has no content)
+ */
+const buildSection = (section, data) => {
+  const items = data[section];
+
+  switch (section) {
+    case "summary":
+      return line(data.summary);
+
+    case "experience":
+      return (items || []).flatMap(exp => [
+        ...line(exp.title, { bold: true }),
+        ...line(entryLine([exp.companyName, exp.date, exp.companyLocation]), { italics: true }),
+        ...(exp.accomplishment || []).map(acc => bullet(acc))
+      ]);
+
+    case "education":
+      return (items || []).flatMap(edu => [
+        ...line(edu.degree, { bold: true }),
+        ...line(entryLine([edu.institution, edu.duration, edu.location]), { italics: true })
+      ]);
+
+    case "projects":
+      return (items || []).flatMap(project => [
+        ...line(entryLine([project.title, project.duration]), { bold: true }),
+        ...line(project.description)
+      ]);
+
+    case "achievements":
+      return (items || []).map(achievement => bullet([
+        new TextRun({ text: achievement.keyAchievements || "", bold: true }),
+        ...(achievement.describe ? [new TextRun(`: ${achievement.describe}`)] : [])
+      ]));
+
+    case "certifications":
+      return (items || []).map(cert => bullet(
+        cert.title ? entryLine([cert.title, cert.issuedBy, cert.year]) : cert
+      ));
+
+    case "courses":
+      return (items || []).map(course => bullet(
+        course.title ? [course.title, course.description].filter(Boolean).join(": ") : course
+      ));
+
+    case "skills":
+    case "languages":
+    case "hobbies":
+      return items && items.length > 0 ? line(items.join(", ")) : [];
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Build the style a template's Word documents use
+ * @param {Object} templatePack - Template pack
+ * @param {string} locale - Document locale (headings and text direction)
+ * @returns {Object} { font, accentColor, locale, rightToLeft }
+ */
+const getDocxStyle = (templatePack, locale) => ({
+  font: templatePack.docx.font || "Calibri",
+  accentColor: templatePack.docx.accentColor || "2C3E50",
+  locale,
+  rightToLeft: getTextDirection(locale) === "rtl"
+});
+
+/**
+ * Default run and paragraph formatting; right-to-left documents set it on every paragraph and run
+ * @param {Object} style - Template DOCX style
+ * @param {number} size - Font size in half-points
+ * @returns {Object} Document defaults
+ */
+const documentDefaults = (style, size) => {
+  const run = { font: style.font, size };
+
+  return style.rightToLeft
+    ? { run: { ...run, rightToLeft: true }, paragraph: { bidirectional: true } }
+    : { run };
+};
+
+/**
+ * Generate a Word document from resume data
+ * Sections follow the template's reading order; sections it does not support are left out
+ * @param {Object} resumeData - Resume document or plain object
+ * @param {string} template - Template pack ID (default: 'modern')
+ * @param {Object} options - locale for dates, headings and text direction (default: the resume's locale)
+ * @returns {Promise<Buffer>} DOCX buffer
+ */
+const generateDOCX = async (resumeData, template = "modern", options = {}) => {
+  try {
+    const templatePack = getTemplate(template);
+    const plain = typeof resumeData.toObject === "function" ? resumeData.toObject() : resumeData;
+    const locale = options.locale || plain.locale;
+    const data = localizeDates(plain, locale);
+    const style = getDocxStyle(templatePack, locale);
+
+    const body = templatePack.sections.flatMap(section => {
+      const content = buildSection(section, data);
+      return content.length > 0 ? [buildHeading(section, style), ...content] : [];
+    });
+
+    const document = new Document({
+      creator: data.name || "Resume Builder",
+      title: `${data.name || "Resume"} - Resume`,
+      styles: {
+        default: {
+          document: documentDefaults(style, 21)
+        }
+      },
+      numbering: {
+        config: [{
+          reference: BULLET_REFERENCE,
+          levels: [{
+            level: 0,
+            format: LevelFormat.BULLET,
+            text: "•",
+            alignment: AlignmentType.LEFT,
+            style: { paragraph: { indent: { left: 360, hanging: 260 } } }
+          }]
+        }]
+      },
+      sections: [{
+        properties: {},
+        children: [...buildHeader(data, style), ...body]
+      }]
+    });
+
+    const buffer = await Packer.toBuffer(document);
+
+    console.log(`✅ DOCX generated successfully for ${data.name || 'Unknown'}`);
+    return buffer;
+
+  } catch (error) {
+    console.error("❌ Error generating DOCX:", error.message);
+    throw new Error(`Failed to generate DOCX: ${error.message}`);
+  }
+};
+
+/**
+ * Generate a cover letter Word document under the same header as the resume
+ * @param {Object} coverLetter - CoverLetter document or plain object
+ * @param {Object} resumeData - Resume the letter was written from
+ * @param {string} template - Template pack ID (default: 'modern')
+ * @param {Object} options - locale for the date, wording and text direction (default: the resume's locale)
+ * @returns {Promise<Buffer>} DOCX buffer
+ */
+const generateCoverLetterDOCX = async (coverLetter, resumeData, template = "modern", options = {}) => {
+  try {
+    const locale = options.locale || resumeData.locale;
+    const style = getDocxStyle(getCoverLetterTemplate(template), locale);
+    const letter = buildLetter(coverLetter, { ...options, locale });
+    const paragraph = (text, spacing = 200) => new Paragraph({ spacing: { after: spacing }, children: [new TextRun(text)] });
+
+    const document = new Document({
+      creator: resumeData.name || "Resume Builder",
+      title: `${resumeData.name || "Cover Letter"} - Cover Letter`,
+      styles: {
+        default: {
+          document: documentDefaults(style, 22)
+        }
+      },
+      sections: [{
+        properties: {},
+        children: [
+          ...buildHeader(resumeData, style),
+          paragraph(letter.date),
+          ...line(letter.hiringManager),
+          ...line(letter.company),
+          new Paragraph({
+            spacing: { after: 200 },
+            children: [new TextRun({ text: `${letter.subject} ${letter.role}`, bold: true, color: style.accentColor })]
+          }),
+          paragraph(letter.greeting),
+          ...letter.paragraphs.map(text => paragraph(text)),
+          paragraph(letter.closing, 400),
+          ...line(resumeData.name, { bold: true })
+        ]
+      }]
+    });
+
+    const buffer = await Packer.toBuffer(document);
+
+    console.log(`✅ Cover letter DOCX generated successfully for ${resumeData.name || 'Unknown'}`);
+    return buffer;
+
+  } catch (error) {
+    console.error("❌ Error generating cover letter DOCX:", error.message);
+    throw new Error(`Failed to generate cover letter DOCX: ${error.message}`);
+  }
+};
+
+module.exports = {
+  SECTION_HEADINGS,
+  FIELD_SEPARATOR,
+  entryLine,
+  generateDOCX,
+  generateCoverLetterDOCX
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Background AI enhancement jobs: full-resume proposals, bulk section enhancement and
+ * proposals for uploaded resumes. Handlers are registered with the job queue on load.
+ */
+
+const Resume = require("../models/Resume");
+const { enhanceBatch } = require("./aiService");
+const { DEFAULT_PROPOSAL_SECTIONS, buildProposals, addProposals } = require("./proposalService");
+const { registerJobHandler, enqueueJob, nonRetryable } = require("./jobQueue");
+const { getUsage, createUsageRecorder } = require("./usageService");
+
+/**
+ * Usage callback for a job's AI calls, counted against whoever queued it and limited to the quota left
+ * when the job starts
+ * @param {Object} usageSubject - { key, userId, plan } from getUsageSubject (optional)
+ * @returns {Promise<Function|undefined>} onUsage
+ */
+const jobUsageRecorder = async (usageSubject) => (
+  usageSubject ? createUsageRecorder(usageSubject, await getUsage(usageSubject)) : undefined
+);
+
+/**
+ * Propose enhancements for a saved resume and queue them on it for review
+ * @param {Object} payload - { resumeId, sections, enhancementType, bypassCache, usageSubject }
+ * @param {Object} context - Job context ({ signal, progress })
+ * @returns {Promise<Object>} { proposals, enhancementResults, enhancementType }
+ */
+const runFullEnhancement = async ({ resumeId, sections, enhancementType = "professional", bypassCache, usageSubject }, { signal, progress }) => {
+  const resume = await Resume.findById(resumeId);
+  if (!resume) {
+    throw nonRetryable("Resume not found");
+  }
+
+  const sectionsToEnhance = sections && sections.length > 0 ? sections : DEFAULT_PROPOSAL_SECTIONS;
+  const { proposals, results } = await buildProposals(
+    resume.toObject({ virtuals: false }),
+    sectionsToEnhance,
+    enhancementType,
+    { signal, onProgress: progress, bypassCache, onUsage: await jobUsageRecorder(usageSubject) }
+  );
+
+  // Re-read before queueing: the resume may have been saved while the AI was working
+  const latest = await Resume.findById(resumeId);
+  if (!latest) {
+    throw nonRetryable("Resume was deleted during enhancement");
+  }
+  addProposals(latest, proposals);
+  await latest.save();
+
+  return { proposals, enhancementResults: results, enhancementType };
+};
+
+/**
+ * Enhance free-text sections sent by the client
+ * @param {Object} payload - { sections, enhancementType, bypassCache, usageSubject }
+ * @param {Object} context - Job context ({ signal, progress })
+ * @returns {Promise<Object>} { enhancedSections, errors, fallbacks }
+ */
+const runBulkEnhancement = async ({ sections, enhancementType = "professional", bypassCache, usageSubject }, { signal, progress }) => {
+  return enhanceBatch(sections, enhancementType, {
+    signal,
+    onProgress: progress,
+    bypassCache,
+    onUsage: await jobUsageRecorder(usageSubject)
+  });
+};
+
+/**
+ * Propose enhancements for an uploaded resume; the proposals are returned, not stored
+ * @param {Object} payload - { resumeData, usageSubject } parsed resume
+ * @param {Object} context - Job context ({ signal, progress })
+ * @returns {Promise<Object>} { proposals, enhancementResults }
+ */
+const runUploadEnhancement = async ({ resumeData, usageSubject }, { signal, progress }) => {
+  const { proposals, results } = await buildProposals(
+    resumeData,
+    DEFAULT_PROPOSAL_SECTIONS,
+    "professional",
+    { signal, onProgress: progress, onUsage: await jobUsageRecorder(usageSubject) }
+  );
+  return { proposals, enhancementResults: results };
+};
+
+registerJobHandler("enhance-full", runFullEnhancement);
+registerJobHandler("enhance-bulk", runBulkEnhancement);
+registerJobHandler("upload-enhance", runUploadEnhancement);
+
+/**
+ * Queue AI proposals for a saved resume
+ * @param {Object} resume - Resume document
+ * @param {Array} sections - Sections to enhance (default: summary, experience, achievements, projects)
+ * @param {string} enhancementType - Enhancement style
+ * @param {Object} options - { userId, bypassCache, usageSubject } - requesting user, skip cached AI responses,
+ * who the AI usage is counted against (all optional)
+ * @returns {Promise<Object>} Job document
+ */
+const queueFullEnhancement = (resume, sections, enhancementType, { userId, bypassCache = false, usageSubject } = {}) => {
+  return enqueueJob("enhance-full", { resumeId: resume._id, sections, enhancementType, bypassCache, usageSubject }, {
+    resumeId: resume._id,
+    userId: userId || resume.userId
+  });
+};
+
+/**
+ * Queue enhancement of free-text sections
+ * @param {Object} sections - Section names mapped to content
+ * @param {string} enhancementType - Enhancement style
+ * @param {Object} options - { userId, bypassCache, usageSubject } - requesting user, skip cached AI responses,
+ * who the AI usage is counted against (all optional)
+ * @returns {Promise<Object>} Job document
+ */
+const queueBulkEnhancement = (sections, enhancementType, { userId, bypassCache = false, usageSubject } = {}) => {
+  return enqueueJob("enhance-bulk", { sections, enhancementType, bypassCache, usageSubject }, { userId });
+};
+
+/**
+ * Queue AI proposals for an uploaded resume
+ * @param {Object} resumeData - Parsed resume data
+ * @param {Object} options - { resumeId, userId } of the saved import, if any, and usageSubject
+ * @returns {Promise<Object>} Job document
+ */
+const queueUploadEnhancement = (resumeData, { resumeId, userId, usageSubject } = {}) => {
+  return enqueueJob("upload-enhance", { resumeData, usageSubject }, { resumeId, userId });
+};
+
+module.exports = {
+  queueFullEnhancement,
+  queueBulkEnhancement,
+  queueUploadEnhancement
+};
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * MongoDB-backed job queue for slow AI work (full-resume, bulk and upload enhancement)
+ * Requests enqueue a job and return its id; the worker claims queued jobs, runs the handler
+ * registered for their type and stores progress and the result on the job document.
+ */
+
+const os = require("os");
+const Job = require("../models/Job");
+
+// Queue configuration (overridable through environment variables)
+const JOB_CONFIG = {
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000, // how often the worker looks for jobs
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1, // jobs run at once by this process
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3, // runs before a job is marked failed
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000, // first retry delay, doubled on each retry
+  lockTimeout: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // running job without progress for this long is requeued
+  shutdownTimeout: parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS) || 10000 // wait for running jobs on shutdown
+};
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+// Abort reasons, so a cancelled job is not retried and a job interrupted by shutdown is not counted as failed
+const CANCELLED = "cancelled";
+const SHUTDOWN = "shutdown";
+
+/**
+ * Build the error a job's signal is aborted with
+ * @param {string} code - CANCELLED or SHUTDOWN
+ * @returns {Error} AbortError carrying the code
+ */
+const abortError = (code) => Object.assign(new Error(`Job ${code}`), { name: "AbortError", code });
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+const running = new Map(); // job id -> AbortController
+let pollTimer = null;
+let polling = false;
+let started = false;
+let stopping = false;
+
+/**
+ * Build an error that fails a job at once instead of retrying it (e.g. its resume was deleted)
+ * @param {string} message - Error message
+ * @returns {Error} Error marked as not retryable
+ */
+const nonRetryable = (message) => Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Register the function that runs jobs of a type
+ * The handler gets the job payload and { job, signal, progress(completed, total, message) }.
+ * It should stop when the signal aborts; progress() throws once the job is cancelled.
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, context) => result
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (a handler must be registered for it)
+ * @param {Object} payload - Data for the handler
+ * @param {Object} options - { resumeId, userId, maxAttempts }
+ * @returns {Promise<Object>} Job document
+ */
+const enqueueJob = async (type, payload, options = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    payload,
+    resumeId: options.resumeId || null,
+    userId: options.userId || null,
+    maxAttempts: options.maxAttempts || JOB_CONFIG.maxAttempts
+  });
+
+  console.log(`📥 Queued ${type} job ${job._id}`);
+  setImmediate(poll); // Start it now if the worker is idle
+  return job;
+};
+
+/**
+ * Cancel a job: queued jobs stop at once, running ones at their next progress update
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+ */
+const cancelJob = async (jobId) => {
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    { $set: { status: "cancelled", cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: "running" },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  running.get(String(jobId))?.abort(abortError(CANCELLED));
+
+  return job || Job.findById(jobId);
+};
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempts) => JOB_CONFIG.retryDelay * 2 ** (attempts - 1);
+
+/**
+ * Claim the next due job this worker has a handler for
+ * @returns {Promise<Object|null>} Claimed job, or null if none is due
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: "queued", runAt: { $lte: now }, type: { $in: [...handlers.keys()] } },
+    { $set: { status: "running", lockedBy: workerId, lockedAt: now, startedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Requeue running jobs whose worker stopped reporting progress (crashed or killed)
+ * A stalled job that has used up its attempts is failed instead, so a job that takes its worker down every
+ * time is not retried forever
+ */
+const recoverStaleJobs = async () => {
+  const stale = { status: "running", lockedAt: { $lt: new Date(Date.now() - JOB_CONFIG.lockTimeout) } };
+  const jobs = await Job.find(stale).select("attempts maxAttempts").lean();
+  if (jobs.length === 0) return;
+
+  const exhausted = jobs.filter(job => job.attempts >= job.maxAttempts).map(job => job._id);
+  const retryable = jobs.filter(job => job.attempts < job.maxAttempts).map(job => job._id);
+
+  if (exhausted.length > 0) {
+    const { modifiedCount } = await Job.updateMany(
+      { ...stale, _id: { $in: exhausted } },
+      {
+        $set: {
+          status: "failed",
+          error: "Job stalled on its last attempt",
+          finishedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        }
+      }
+    );
+    console.error(`❌ Failed ${modifiedCount} stalled job(s) out of attempts`);
+  }
+
+  if (retryable.length > 0) {
+    const { modifiedCount } = await Job.updateMany(
+      { ...stale, _id: { $in: retryable } },
+      { $set: { status: "queued", runAt: new Date(), lockedBy: null, lockedAt: null } }
+    );
+    console.warn(`⚠️ Requeued ${modifiedCount} stalled job(s)`);
+  }
+};
+
+/**
+ * Put jobs interrupted by shutdown back in the queue without using up an attempt
+ * @param {Array} jobIds - IDs of jobs this worker was running
+ */
+const requeueInterrupted = async (jobIds) => {
+  await Job.updateMany(
+    { _id: { $in: jobIds }, status: "running", lockedBy: workerId },
+    { $set: { status: "queued", runAt: new Date(), lockedBy: null, lockedAt: null }, $inc: { attempts: -1 } }
+  );
+};
+
+/**
+ * Run a claimed job and store its outcome
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const id = job._id.toString();
+  const controller = new AbortController();
+  const owned = { _id: job._id, status: "running", lockedBy: workerId };
+  let total = job.progress.total;
+  running.set(id, controller);
+
+  // Save progress (which also renews the lock) and pick up cancellation requested from another process
+  const progress = async (completed, progressTotal, message = "") => {
+    controller.signal.throwIfAborted();
+    total = progressTotal;
+    const current = await Job.findOneAndUpdate(
+      owned,
+      { $set: { progress: { completed, total, message }, lockedAt: new Date() } },
+      { new: true }
+    );
+    if (!current || current.cancelRequested) {
+      controller.abort(abortError(CANCELLED));
+    }
+    controller.signal.throwIfAborted();
+  };
+
+  try {
+    // Claiming counts an attempt, so this is a job that was queued with none left
+    if (job.attempts > job.maxAttempts) {
+      throw nonRetryable(`Job has no attempts left (${job.maxAttempts} allowed)`);
+    }
+
+    console.log(`⚙️ Running ${job.type} job ${id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    const result = await handlers.get(job.type)(job.payload, { job, signal: controller.signal, progress });
+
+    await Job.updateOne(owned, {
+      $set: {
+        status: "completed",
+        result,
+        error: null,
+        progress: { completed: total, total, message: "Done" },
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null
+      }
+    });
+    console.log(`✅ Job ${id} completed`);
+  } catch (error) {
+    const reason = controller.signal.aborted ? controller.signal.reason?.code : null;
+    const update = { error: error.message, lockedBy: null, lockedAt: null };
+
+    if (reason === CANCELLED) {
+      Object.assign(update, { status: "cancelled", error: null, finishedAt: new Date() });
+      console.log(`⏹️ Job ${id} cancelled`);
+    } else if (reason === SHUTDOWN) {
+      await requeueInterrupted([job._id]);
+      return;
+    } else if (error.retryable !== false && job.attempts < job.maxAttempts) {
+      Object.assign(update, { status: "queued", runAt: new Date(Date.now() + retryDelay(job.attempts)) });
+      console.warn(`⚠️ Job ${id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying:`, error.message);
+    } else {
+      Object.assign(update, { status: "failed", finishedAt: new Date() });
+      console.error(`❌ Job ${id} failed:`, error.message);
+    }
+
+    await Job.updateOne(owned, { $set: update });
+  } finally {
+    running.delete(id);
+    setImmediate(poll);
+  }
+};
+
+/**
+ * Claim and start due jobs up to the concurrency limit
+ */
+const poll = async () => {
+  if (!started || stopping || polling) return;
+  polling = true;
+
+  try {
+    while (running.size < JOB_CONFIG.concurrency && !stopping) {
+      const job = await claimNextJob();
+      if (!job) break;
+      runJob(job).catch(error => console.error(`❌ Failed to record outcome of job ${job._id}:`, error.message));
+    }
+  } catch (error) {
+    console.error("Job poll error:", error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start the worker; call once the database is connected
+ */
+const startWorker = async () => {
+  if (started) return;
+  started = true;
+  stopping = false;
+
+  await recoverStaleJobs();
+
+  const tick = async () => {
+    await recoverStaleJobs().catch(error => console.error("Job recovery error:", error.message));
+    await poll();
+    if (!stopping) {
+      pollTimer = setTimeout(tick, JOB_CONFIG.pollInterval);
+    }
+  };
+  tick();
+
+  console.log(`🧵 Job worker started (${[...handlers.keys()].join(", ")})`);
+};
+
+/**
+ * Stop claiming jobs and give running ones time to finish; the rest go back to the queue
+ */
+const stopWorker = async () => {
+  if (!started || stopping) return;
+  stopping = true;
+  clearTimeout(pollTimer);
+
+  const deadline = Date.now() + JOB_CONFIG.shutdownTimeout;
+  while (running.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (running.size > 0) {
+    console.warn(`⚠️ Requeueing ${running.size} job(s) still running`);
+    const jobIds = [...running.keys()];
+    running.forEach(controller => controller.abort(abortError(SHUTDOWN)));
+    await requeueInterrupted(jobIds);
+  }
+
+  started = false;
+  console.log("👋 Job worker stopped");
+};
+
+/**
+ * Check whether a job has finished (completed, failed or cancelled)
+ * @param {Object} job - Job document
+ * @returns {boolean} True if the job will not change any more
+ */
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+module.exports = {
+  JOB_CONFIG,
+  registerJobHandler,
+  nonRetryable,
+  enqueueJob,
+  cancelJob,
+  startWorker,
+  stopWorker,
+  isFinished
+};
\ No newline at end of file
@@ -0,0 +1,382 @@
+/**
+ * Convert resumes to and from the JSON Resume schema (https://jsonresume.org/schema)
+ * Fields that do not survive the mapping are reported as warnings
+ */
+
+const {
+  parseDatePoint,
+  formatDateRange,
+  toISODate,
+  getDateRange
+} = require("./dateService");
+
+const JSON_RESUME_SCHEMA_URL = "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// JSON Resume sections with no equivalent in our schema
+const UNSUPPORTED_SECTIONS = ["volunteer", "publications", "references"];
+
+/**
+ * Error for a document that cannot be mapped at all, as opposed to fields that are only dropped
+ * @param {string} field - Path of the offending value ("work", "skills[0].keywords")
+ * @param {string} message - What is wrong with it
+ * @returns {Error} Error named JSONResumeError, with the field
+ */
+const mappingError = (field, message) => {
+  return Object.assign(new Error(`${field} ${message}`), { name: "JSONResumeError", field });
+};
+
+const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Read an optional object
+ * @param {*} value - Value from the document
+ * @param {string} field - Its path, for the error
+ * @returns {Object} The object, or {} when missing
+ */
+const objectAt = (value, field) => {
+  if (value === undefined || value === null) return {};
+  if (!isObject(value)) throw mappingError(field, "must be an object");
+  return value;
+};
+
+/**
+ * Read an optional list of objects (a section) or of strings (highlights, keywords, courses)
+ * @param {*} value - Value from the document
+ * @param {string} field - Its path, for the error
+ * @param {string} itemType - "object" or "string"
+ * @returns {Array} The list, or [] when missing
+ */
+const listAt = (value, field, itemType = "object") => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw mappingError(field, "must be an array");
+
+  value.forEach((item, index) => {
+    const valid = itemType === "object" ? isObject(item) : typeof item === "string";
+    if (!valid) throw mappingError(`${field}[${index}]`, `must be ${itemType === "object" ? "an object" : "a string"}`);
+  });
+  return value;
+};
+
+/**
+ * Create a warning collector
+ * @returns {Object} { warnings, warn(field, message) }
+ */
+const createWarnings = () => {
+  const warnings = [];
+  return {
+    warnings,
+    warn: (field, message) => warnings.push({ field, message })
+  };
+};
+
+/**
+ * Get an entry's dates as ISO 8601 start and end dates
+ * @param {Object} entry - Dated entry
+ * @param {string} textField - Free-text field ("date" or "duration")
+ * @param {string} field - Field path for warnings
+ * @param {Function} warn - Warning callback
+ * @returns {Object} { startDate, endDate } (omitted when empty, ongoing or unreadable)
+ */
+const toISODateRange = (entry, textField, field, warn) => {
+  const range = getDateRange(entry, textField);
+
+  if (!range) {
+    if (entry[textField]) {
+      warn(field, `Could not convert "${entry[textField]}" to ISO 8601 dates`);
+    }
+    return {};
+  }
+
+  const startDate = toISODate(range.startDate);
+  const endDate = range.isCurrent ? null : toISODate(range.endDate);
+
+  return {
+    ...(startDate ? { startDate } : {}),
+    ...(endDate ? { endDate } : {})
+  };
+};
+
+/**
+ * Build structured dates and their display text from ISO 8601 start and end dates
+ * @param {Object} item - JSON Resume item with startDate and endDate
+ * @param {string} textField - Free-text field to fill ("date" or "duration")
+ * @returns {Object} { [textField], startDate, endDate, isCurrent }
+ */
+const fromISODateRange = (item, textField) => {
+  const startDate = parseDatePoint(item.startDate);
+  const endDate = parseDatePoint(item.endDate);
+
+  if (!startDate) {
+    return { [textField]: endDate ? formatDateRange({ startDate: endDate }) : "" };
+  }
+
+  const range = { startDate, endDate, isCurrent: !endDate };
+  return { [textField]: formatDateRange(range), ...range };
+};
+
+/**
+ * Warn about properties of a JSON Resume item that have no place in our schema
+ * @param {Object} item - JSON Resume item
+ * @param {Array} keys - Property names to check
+ * @param {string} path - Item path for warnings
+ * @param {Function} warn - Warning callback
+ */
+const warnDropped = (item, keys, path, warn) => {
+  keys.forEach(key => {
+    const value = item[key];
+    if (value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && value.length === 0)) {
+      warn(`${path}.${key}`, "Not supported by the resume schema, dropped");
+    }
+  });
+};
+
+/**
+ * Convert a resume to a JSON Resume document
+ * @param {Object} resumeData - Resume document or plain object
+ * @returns {Object} { jsonResume, warnings }
+ */
+const toJSONResume = (resumeData) => {
+  const data = typeof resumeData.toObject === "function" ? resumeData.toObject() : resumeData;
+  const { warnings, warn } = createWarnings();
+
+  // "San Francisco, CA" → city + region
+  const [city, ...region] = (data.location || "").split(",").map(part => part.trim());
+
+  const basics = {
+    name: data.name || "",
+    label: data.role || "",
+    email: data.email || "",
+    phone: data.phone || "",
+    summary: data.summary || "",
+    location: city ? { city, ...(region.length > 0 ? { region: region.join(", ") } : {}) } : {},
+    profiles: data.linkedin ? [{
+      network: "LinkedIn",
+      username: (data.linkedin.match(/linkedin\.com\/in\/([\w\-_]+)/) || [])[1] || "",
+      url: /^https?:\/\//i.test(data.linkedin) ? data.linkedin : `https://${data.linkedin}`
+    }] : []
+  };
+
+  const work = (data.experience || []).map((exp, index) => ({
+    name: exp.companyName || "",
+    position: exp.title || "",
+    location: exp.companyLocation || "",
+    ...toISODateRange(exp, "date", `experience[${index}].date`, warn),
+    highlights: exp.accomplishment || []
+  }));
+
+  const education = (data.education || []).map((edu, index) => {
+    // "Bachelor of Science in Computer Science" → studyType + area
+    const [studyType, ...area] = (edu.degree || "").split(/\s+in\s+/);
+
+    if (edu.location) {
+      warn(`education[${index}].location`, "JSON Resume education has no location, dropped");
+    }
+
+    return {
+      institution: edu.institution || "",
+      studyType: studyType || "",
+      area: area.join(" in "),
+      ...toISODateRange(edu, "duration", `education[${index}].duration`, warn)
+    };
+  });
+
+  const projects = (data.projects || []).map((project, index) => ({
+    name: project.title || "",
+    description: project.description || "",
+    ...toISODateRange(project, "duration", `projects[${index}].duration`, warn)
+  }));
+
+  // "English (Native)" → language + fluency
+  const languages = (data.languages || []).map(language => {
+    const match = language.match(/^(.+?)\s*\((.+)\)$/);
+    return match ? { language: match[1], fluency: match[2] } : { language };
+  });
+
+  if ((data.courses || []).length > 0) {
+    warn("courses", "JSON Resume has no standalone courses section, dropped");
+  }
+
+  const jsonResume = {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics,
+    work,
+    education,
+    awards: (data.achievements || []).map(achievement => ({
+      title: achievement.keyAchievements || "",
+      summary: achievement.describe || ""
+    })),
+    certificates: (data.certifications || []).map((cert, index) => {
+      const date = toISODate(parseDatePoint(cert.year));
+      if (cert.year && !date) {
+        warn(`certifications[${index}].year`, `Could not convert "${cert.year}" to an ISO 8601 date`);
+      }
+      return {
+        name: cert.title || "",
+        ...(cert.issuedBy ? { issuer: cert.issuedBy } : {}),
+        ...(date ? { date } : {})
+      };
+    }),
+    skills: (data.skills || []).map(skill => ({ name: skill })),
+    languages,
+    interests: (data.hobbies || []).map(hobby => ({ name: hobby })),
+    projects,
+    meta: {
+      version: "v1.0.0",
+      ...(data.lastModified ? { lastModified: new Date(data.lastModified).toISOString() } : {})
+    }
+  };
+
+  return { jsonResume, warnings };
+};
+
+/**
+ * Convert a JSON Resume document to resume data
+ * @param {Object} jsonResume - JSON Resume document
+ * @returns {Object} { resumeData, warnings }
+ * @throws {Error} JSONResumeError (with the offending field) when the document or one of its sections has the
+ * wrong type
+ */
+const fromJSONResume = (jsonResume) => {
+  if (!isObject(jsonResume)) {
+    throw mappingError("resume", "must be an object");
+  }
+
+  const { warnings, warn } = createWarnings();
+  const basics = objectAt(jsonResume.basics, "basics");
+  const location = objectAt(basics.location, "basics.location");
+  const profiles = listAt(basics.profiles, "basics.profiles");
+
+  const linkedinProfile = profiles.find(profile => /linkedin/i.test(`${profile.network} ${profile.url}`));
+  profiles.forEach((profile, index) => {
+    if (profile !== linkedinProfile) {
+      warn(`basics.profiles[${index}]`, `Only LinkedIn profiles are supported, dropped ${profile.network || "profile"}`);
+    }
+  });
+  warnDropped(basics, ["image", "url"], "basics", warn);
+  warnDropped(location, ["postalCode"], "basics.location", warn);
+
+  const experience = listAt(jsonResume.work, "work").map((job, index) => {
+    warnDropped(job, ["url", "description"], `work[${index}]`, warn);
+    return {
+      title: job.position || "",
+      companyName: job.name || "",
+      ...fromISODateRange(job, "date"),
+      companyLocation: job.location || "",
+      accomplishment: [
+        ...(job.summary ? [job.summary] : []),
+        ...listAt(job.highlights, `work[${index}].highlights`, "string")
+      ]
+    };
+  });
+
+  const courses = [];
+  const education = listAt(jsonResume.education, "education").map((edu, index) => {
+    warnDropped(edu, ["url", "score"], `education[${index}]`, warn);
+    listAt(edu.courses, `education[${index}].courses`, "string").forEach(course => {
+      courses.push({ title: course, description: "" });
+    });
+
+    return {
+      degree: [edu.studyType, edu.area].filter(Boolean).join(" in "),
+      institution: edu.institution || "",
+      ...fromISODateRange(edu, "duration"),
+      location: ""
+    };
+  });
+
+  const achievements = listAt(jsonResume.awards, "awards").map((award, index) => {
+    const awardDate = parseDatePoint(award.date);
+    const details = [award.awarder, awardDate && formatDateRange({ startDate: awardDate })].filter(Boolean).join(", ");
+
+    // Awarder and date only have a home when there is no summary to describe the award
+    if (award.summary && details) {
+      warn(`awards[${index}]`, "Awarder and date are not supported when a summary is present, dropped");
+    }
+
+    return {
+      keyAchievements: award.title || "",
+      describe: award.summary || details
+    };
+  });
+
+  // Skill keywords become skills of their own; levels have nowhere to go
+  const skills = [];
+  listAt(jsonResume.skills, "skills").forEach((skill, index) => {
+    warnDropped(skill, ["level"], `skills[${index}]`, warn);
+    [skill.name, ...listAt(skill.keywords, `skills[${index}].keywords`, "string")].forEach(name => {
+      if (name && !skills.includes(name)) skills.push(name);
+    });
+  });
+
+  const projects = listAt(jsonResume.projects, "projects").map((project, index) => {
+    warnDropped(project, ["url", "keywords", "roles", "entity", "type"], `projects[${index}]`, warn);
+    const highlights = listAt(project.highlights, `projects[${index}].highlights`, "string");
+    return {
+      title: project.name || "",
+      description: [project.description, ...highlights].filter(Boolean).join(" "),
+      ...fromISODateRange(project, "duration")
+    };
+  });
+
+  const certifications = listAt(jsonResume.certificates, "certificates").map((cert, index) => {
+    warnDropped(cert, ["url"], `certificates[${index}]`, warn);
+    if (cert.date && cert.date.length > 4) {
+      warn(`certificates[${index}].date`, "Only the year is kept");
+    }
+    return {
+      title: cert.name || "",
+      issuedBy: cert.issuer || "",
+      year: cert.date ? String(cert.date).slice(0, 4) : ""
+    };
+  });
+
+  const hobbies = listAt(jsonResume.interests, "interests").map((interest, index) => {
+    warnDropped(interest, ["keywords"], `interests[${index}]`, warn);
+    return interest.name || "";
+  }).filter(Boolean);
+
+  UNSUPPORTED_SECTIONS.forEach(section => {
+    if (listAt(jsonResume[section], section).length > 0) {
+      warn(section, "Section is not supported by the resume schema, dropped");
+    }
+  });
+
+  const resumeData = {
+    name: basics.name || "",
+    role: basics.label || "",
+    email: basics.email || "",
+    phone: basics.phone || "",
+    linkedin: linkedinProfile ? linkedinProfile.url || "" : "",
+    location: [location.address, location.city, location.region, location.countryCode].filter(Boolean).join(", "),
+    summary: basics.summary || "",
+    experience,
+    education,
+    achievements,
+    skills,
+    languages: listAt(jsonResume.languages, "languages").map(language =>
+      language.fluency ? `${language.language} (${language.fluency})` : language.language || ""
+    ).filter(Boolean),
+    projects,
+    courses,
+    certifications,
+    hobbies
+  };
+
+  return { resumeData, warnings };
+};
+
+/**
+ * Check whether an uploaded file is a JSON Resume document
+ * @param {Object} file - Multer file object
+ * @returns {boolean} True for .json uploads
+ */
+const isJSONResumeFile = (file) => {
+  return file.mimetype === "application/json" || /\.json$/i.test(file.originalname || "");
+};
+
+module.exports = {
+  JSON_RESUME_SCHEMA_URL,
+  toJSONResume,
+  fromJSONResume,
+  isJSONResumeFile
+};
\ No newline at end of file
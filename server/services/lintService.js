@@ -0,0 +1,275 @@
+/**
+ * Resume quality linter: rule-based findings with a severity, the path of the offending
+ * field (e.g. "experience[2].accomplishment[1]") and a hint on how to fix it
+ */
+
+const { DATED_SECTIONS, getDateRange, monthIndex } = require("./dateService");
+
+const SEVERITIES = ["error", "warning", "info"];
+
+const MAX_BULLET_LENGTH = 200;
+const MAX_GAP_MONTHS = 6;
+
+// Openers that describe involvement instead of impact
+const WEAK_OPENERS = [
+  "responsible for", "was responsible for", "in charge of", "duties included", "tasked with",
+  "worked on", "participated in", "involved in", "was involved in",
+  "helped", "assisted", "handled", "did", "made", "tried", "worked"
+];
+
+// Action verbs in their base form, used to spot present tense ("Manage", "Manages", "Managing")
+const ACTION_VERBS = new Set([
+  "analyze", "analyse", "assist", "build", "collaborate", "conduct", "coordinate", "create", "deliver",
+  "deploy", "design", "develop", "drive", "ensure", "establish", "handle", "help", "implement", "improve",
+  "increase", "launch", "lead", "maintain", "manage", "mentor", "monitor", "optimize", "organize", "oversee",
+  "own", "plan", "prepare", "reduce", "research", "review", "run", "support", "test", "train", "work", "write"
+]);
+
+// "I", "I'm", "me", "my", "mine", "myself"
+const FIRST_PERSON_PATTERN = /\b(?:i|me|my|mine|myself)\b/i;
+
+// Irregular past tense verbs common on resumes
+const IRREGULAR_PAST_VERBS = new Set([
+  "began", "brought", "built", "cut", "drove", "gave", "grew", "led", "made", "oversaw", "ran", "rebuilt",
+  "sold", "spent", "taught", "took", "undertook", "won", "wrote"
+]);
+
+/**
+ * Build a finding
+ * @param {string} rule - Rule ID
+ * @param {string} severity - error, warning or info
+ * @param {string} path - Location of the field ("experience[2].accomplishment[1]")
+ * @param {string} message - What is wrong
+ * @param {string} hint - How to fix it
+ * @returns {Object} Finding
+ */
+const finding = (rule, severity, path, message, hint) => ({ rule, severity, path, message, hint });
+
+/**
+ * Items of a list field; the data comes straight from the client, so anything else has none
+ * @param {*} value - Field value
+ * @returns {Array} Items
+ */
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Text of a field; numbers are read as text and any other non-string as empty
+ * @param {*} value - Field value
+ * @returns {string} Text
+ */
+const textOf = (value) => (typeof value === "string" || typeof value === "number" ? String(value) : "");
+
+/**
+ * Every experience bullet with its path
+ * @param {Object} data - Resume data
+ * @returns {Array} [{ text, path, expIndex }]
+ */
+const experienceBullets = (data) => listOf(data.experience).flatMap((exp, expIndex) =>
+  listOf(exp?.accomplishment).map((text, accIndex) => ({
+    text: textOf(text).trim(),
+    path: `experience[${expIndex}].accomplishment[${accIndex}]`,
+    expIndex
+  }))
+).filter(bullet => bullet.text);
+
+/**
+ * Every free-text field a reader sees as prose, with its path
+ * @param {Object} data - Resume data
+ * @returns {Array} [{ text, path }]
+ */
+const proseFields = (data) => [
+  { text: textOf(data.summary), path: "summary" },
+  ...experienceBullets(data),
+  ...listOf(data.projects).map((project, index) => ({ text: textOf(project?.description), path: `projects[${index}].description` })),
+  ...listOf(data.achievements).map((achievement, index) => ({ text: textOf(achievement?.describe), path: `achievements[${index}].describe` }))
+].filter(field => field.text.trim());
+
+/**
+ * First word of a bullet, lowercased and without punctuation
+ * @param {string} text - Bullet text
+ * @returns {string} First word
+ */
+const firstWord = (text) => (text.match(/[A-Za-z]+/) || [""])[0].toLowerCase();
+
+/**
+ * Check whether a word is an action verb in the present tense
+ * @param {string} word - Lowercase word
+ * @returns {boolean} True for "manage", "manages", "managing"
+ */
+const isPresentTense = (word) => {
+  if (ACTION_VERBS.has(word)) return true;
+  if (word.endsWith("ing") && word.length > 5) return true;
+  return (word.endsWith("es") && ACTION_VERBS.has(word.slice(0, -2))) ||
+    (word.endsWith("s") && ACTION_VERBS.has(word.slice(0, -1)));
+};
+
+/**
+ * Check whether a word is a verb in the past tense
+ * @param {string} word - Lowercase word
+ * @returns {boolean} True for "managed", "led"
+ */
+const isPastTense = (word) => IRREGULAR_PAST_VERBS.has(word) || (word.endsWith("ed") && word.length > 3);
+
+// Rules run in this order; each returns a list of findings
+const RULES = {
+  "required-field": (data) => {
+    const findings = [];
+    const isBlank = (value) => !value || String(value).trim() === "";
+
+    if (isBlank(data.name)) {
+      findings.push(finding("required-field", "error", "name", "Name is required", "Add your full name"));
+    }
+    if (isBlank(data.email)) {
+      findings.push(finding("required-field", "error", "email", "Email is required", "Add an email address recruiters can reach you at"));
+    }
+    if (isBlank(data.phone)) {
+      findings.push(finding("required-field", "warning", "phone", "Phone number is recommended", "Add a phone number"));
+    }
+    if (isBlank(data.summary)) {
+      findings.push(finding("required-field", "warning", "summary", "Professional summary is recommended", "Add a 3-4 sentence summary of your experience and goals"));
+    }
+    if (listOf(data.experience).length === 0) {
+      findings.push(finding("required-field", "warning", "experience", "Work experience is recommended", "Add your work history, internships or freelance work"));
+    }
+    if (listOf(data.education).length === 0) {
+      findings.push(finding("required-field", "warning", "education", "Education information is recommended", "Add your highest degree or relevant training"));
+    }
+    return findings;
+  },
+
+  "weak-verb": (data) => experienceBullets(data)
+    .map(bullet => ({ ...bullet, opener: WEAK_OPENERS.find(opener => new RegExp(`^${opener}\\b`, "i").test(bullet.text)) }))
+    .filter(bullet => bullet.opener)
+    .map(bullet => finding(
+      "weak-verb", "warning", bullet.path,
+      `Starts with the weak phrase "${bullet.opener}"`,
+      "Start with a strong action verb that shows what you achieved (e.g. \"Led\", \"Built\", \"Reduced\")"
+    )),
+
+  "first-person": (data) => proseFields(data)
+    .filter(field => FIRST_PERSON_PATTERN.test(field.text.replace(/\b(?:i\.e\.|i\/o)/gi, "")))
+    .map(field => finding(
+      "first-person", "warning", field.path,
+      "Uses first-person pronouns",
+      "Drop the pronoun: resumes use implied first person (\"Led a team\", not \"I led a team\")"
+    )),
+
+  "no-metric": (data) => experienceBullets(data)
+    .filter(bullet => !/\d/.test(bullet.text))
+    .map(bullet => finding(
+      "no-metric", "info", bullet.path,
+      "No numbers in this bullet",
+      "Quantify the result where you can: %, $, time saved, users, team size"
+    )),
+
+  "long-bullet": (data) => experienceBullets(data)
+    .filter(bullet => bullet.text.length > MAX_BULLET_LENGTH)
+    .map(bullet => finding(
+      "long-bullet", "warning", bullet.path,
+      `Bullet is ${bullet.text.length} characters long`,
+      `Keep bullets under ${MAX_BULLET_LENGTH} characters (one or two lines); split it or cut detail`
+    )),
+
+  "tense": (data) => experienceBullets(data).flatMap(bullet => {
+    const exp = data.experience[bullet.expIndex];
+    const range = getDateRange(exp, DATED_SECTIONS.experience);
+    if (!range) return [];
+
+    const word = firstWord(bullet.text);
+    if (!range.isCurrent && isPresentTense(word)) {
+      return [finding(
+        "tense", "warning", bullet.path,
+        "Present tense in a past role",
+        "Describe past roles in the past tense (\"Managed\", not \"Manage\" or \"Managing\")"
+      )];
+    }
+    if (range.isCurrent && isPastTense(word)) {
+      return [finding(
+        "tense", "info", bullet.path,
+        "Past tense in your current role",
+        "Use the present tense for ongoing work in a current role; past tense is fine for finished achievements"
+      )];
+    }
+    return [];
+  }),
+
+  "duplicate-skill": (data) => {
+    const seen = new Map();
+    const findings = [];
+
+    listOf(data.skills).forEach((skill, index) => {
+      // "React", "react.js" and "React JS" are the same skill
+      const compact = textOf(skill).toLowerCase().replace(/[\s._-]/g, "");
+      const key = compact.length > 2 ? compact.replace(/js$/, "") : compact;
+      if (!key) return;
+
+      if (seen.has(key)) {
+        const first = seen.get(key);
+        findings.push(finding(
+          "duplicate-skill", "warning", `skills[${index}]`,
+          `"${skill}" duplicates "${data.skills[first]}"`,
+          "Remove the duplicate"
+        ));
+      } else {
+        seen.set(key, index);
+      }
+    });
+    return findings;
+  },
+
+  "date-gap": (data) => {
+    const jobs = listOf(data.experience)
+      .map((exp, index) => ({ index, range: getDateRange(exp, DATED_SECTIONS.experience) }))
+      .filter(job => job.range)
+      .map(job => ({
+        index: job.index,
+        start: monthIndex(job.range.startDate, 1),
+        end: job.range.isCurrent ? Infinity : monthIndex(job.range.endDate || job.range.startDate, 12)
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    const findings = [];
+    let coveredUntil = null;
+
+    jobs.forEach(job => {
+      if (coveredUntil !== null) {
+        const gap = job.start - coveredUntil - 1;
+        if (gap > MAX_GAP_MONTHS) {
+          findings.push(finding(
+            "date-gap", "info", `experience[${job.index}]`,
+            `${gap}-month gap before this role`,
+            "Account for longer gaps (study, freelance work, caregiving) or check the dates"
+          ));
+        }
+      }
+      coveredUntil = coveredUntil === null ? job.end : Math.max(coveredUntil, job.end);
+    });
+    return findings;
+  }
+};
+
+/**
+ * Run every rule against a resume
+ * @param {Object} resumeData - Resume document or plain object
+ * @returns {Array} Findings: [{ rule, severity, path, message, hint }]
+ */
+const lintResume = (resumeData) => {
+  const data = typeof resumeData.toObject === "function" ? resumeData.toObject() : resumeData;
+  return Object.values(RULES).flatMap(rule => rule(data));
+};
+
+/**
+ * Count findings by severity
+ * @param {Array} findings - Findings from lintResume
+ * @returns {Object} { error, warning, info }
+ */
+const countBySeverity = (findings) => Object.fromEntries(
+  SEVERITIES.map(severity => [severity, findings.filter(item => item.severity === severity).length])
+);
+
+module.exports = {
+  SEVERITIES,
+  RULES,
+  lintResume,
+  countBySeverity
+};
\ No newline at end of file
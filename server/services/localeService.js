@@ -0,0 +1,100 @@
+/**
+ * Language-dependent wording and text direction for rendered resumes and cover letters.
+ * English wording comes from each template itself; the tables below translate it for other languages,
+ * and anything they do not cover falls back to the template's English.
+ */
+
+const { DEFAULT_LOCALE } = require("./dateService");
+
+// Languages written right to left
+const RTL_LANGUAGES = ["ar", "he", "fa", "ur"];
+
+// Resume section headings
+const SECTION_LABELS = {
+  es: {
+    summary: "Resumen", experience: "Experiencia", education: "Educación", skills: "Habilidades",
+    achievements: "Logros", projects: "Proyectos", languages: "Idiomas", certifications: "Certificaciones",
+    courses: "Cursos", hobbies: "Intereses"
+  },
+  fr: {
+    summary: "Profil", experience: "Expérience", education: "Formation", skills: "Compétences",
+    achievements: "Réalisations", projects: "Projets", languages: "Langues", certifications: "Certifications",
+    courses: "Cours", hobbies: "Centres d'intérêt"
+  },
+  de: {
+    summary: "Profil", experience: "Berufserfahrung", education: "Ausbildung", skills: "Kenntnisse",
+    achievements: "Erfolge", projects: "Projekte", languages: "Sprachen", certifications: "Zertifizierungen",
+    courses: "Weiterbildung", hobbies: "Interessen"
+  },
+  pt: {
+    summary: "Resumo", experience: "Experiência", education: "Formação", skills: "Competências",
+    achievements: "Conquistas", projects: "Projetos", languages: "Idiomas", certifications: "Certificações",
+    courses: "Cursos", hobbies: "Interesses"
+  },
+  it: {
+    summary: "Profilo", experience: "Esperienza", education: "Formazione", skills: "Competenze",
+    achievements: "Risultati", projects: "Progetti", languages: "Lingue", certifications: "Certificazioni",
+    courses: "Corsi", hobbies: "Interessi"
+  },
+  ar: {
+    summary: "الملخص", experience: "الخبرة العملية", education: "التعليم", skills: "المهارات",
+    achievements: "الإنجازات", projects: "المشاريع", languages: "اللغات", certifications: "الشهادات",
+    courses: "الدورات", hobbies: "الاهتمامات"
+  },
+  he: {
+    summary: "תקציר", experience: "ניסיון תעסוקתי", education: "השכלה", skills: "כישורים",
+    achievements: "הישגים", projects: "פרויקטים", languages: "שפות", certifications: "הסמכות",
+    courses: "קורסים", hobbies: "תחומי עניין"
+  }
+};
+
+// Cover letter wording; {name} is the hiring manager
+const LETTER_LABELS = {
+  en: { greeting: "Dear {name},", anonymousGreeting: "Dear Hiring Manager,", closing: "Sincerely,", subject: "Re:" },
+  es: { greeting: "Estimado/a {name}:", anonymousGreeting: "Estimado equipo de selección:", closing: "Atentamente,", subject: "Ref.:" },
+  fr: { greeting: "À l'attention de {name},", anonymousGreeting: "Madame, Monsieur,", closing: "Cordialement,", subject: "Objet :" },
+  de: { greeting: "Guten Tag {name},", anonymousGreeting: "Sehr geehrte Damen und Herren,", closing: "Mit freundlichen Grüßen", subject: "Betreff:" },
+  pt: { greeting: "Prezado(a) {name},", anonymousGreeting: "Prezados,", closing: "Atenciosamente,", subject: "Assunto:" },
+  it: { greeting: "Gentile {name},", anonymousGreeting: "Gentile responsabile delle selezioni,", closing: "Cordiali saluti,", subject: "Oggetto:" },
+  ar: { greeting: "السيد/السيدة {name}،", anonymousGreeting: "السادة مسؤولو التوظيف،", closing: "مع خالص التحية،", subject: "الموضوع:" },
+  he: { greeting: "לכבוד {name},", anonymousGreeting: "לכבוד צוות הגיוס,", closing: "בברכה,", subject: "הנדון:" }
+};
+
+/**
+ * Language of a locale
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {string} Lowercase language code ("en", "ar")
+ */
+const getLanguage = (locale) => String(locale || DEFAULT_LOCALE).split("-")[0].toLowerCase();
+
+/**
+ * Writing direction of a locale
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} "rtl" or "ltr"
+ */
+const getTextDirection = (locale) => (RTL_LANGUAGES.includes(getLanguage(locale)) ? "rtl" : "ltr");
+
+/**
+ * Heading for a resume section in a locale's language
+ * @param {string} section - Resume section
+ * @param {string} locale - BCP 47 locale
+ * @param {string} english - The template's own English heading, used for English and untranslated languages
+ * @returns {string} Heading
+ */
+const getSectionLabel = (section, locale, english) => {
+  return SECTION_LABELS[getLanguage(locale)]?.[section] || english;
+};
+
+/**
+ * Cover letter wording in a locale's language (English when it is not translated)
+ * @param {string} locale - BCP 47 locale
+ * @returns {Object} { greeting, anonymousGreeting, closing, subject }
+ */
+const getLetterLabels = (locale) => LETTER_LABELS[getLanguage(locale)] || LETTER_LABELS.en;
+
+module.exports = {
+  getLanguage,
+  getTextDirection,
+  getSectionLabel,
+  getLetterLabels
+};
\ No newline at end of file
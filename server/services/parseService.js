@@ -2,12 +2,87 @@ const fs = require("fs").promises;
 const pdf = require("pdf-parse");
 const mammoth = require("mammoth");
 const path = require("path");
+const { applyDateStructure, parseDateRange } = require("./dateService");
+
+// Section headings and the keywords that identify them
+const SECTION_KEYWORDS = {
+  summary: ['summary', 'profile', 'objective', 'about'],
+  experience: ['experience', 'employment', 'work history', 'career', 'professional experience'],
+  education: ['education', 'academic', 'qualification', 'degree'],
+  skills: ['skills', 'technical skills', 'competencies', 'expertise'],
+  achievements: ['achievements', 'accomplishments', 'awards', 'recognition'],
+  projects: ['projects', 'portfolio', 'work samples'],
+  certifications: ['certifications', 'certificates', 'licenses'],
+  courses: ['courses', 'training', 'coursework'],
+  languages: ['languages'],
+  hobbies: ['interests', 'hobbies']
+};
+
+// List markers: "-", "*", "•" or "·" followed by a space
+const BULLET_PATTERN = /^[-*•·]\s+/;
+
+// Entry lines separate their fields with " | " ("Company | Date | Location")
+const ENTRY_LINE_PATTERN = /(^|\s)\|(\s|$)/;
+
+// Separators between items on a contact line
+const CONTACT_SEPARATOR = /\s+[|•·]\s+/;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
+const LINKEDIN_PATTERN = /(linkedin\.com\/in\/[\w-]+|linkedin\.com\/pub\/[\w-]+)/i;
+
+// Phone numbers in local and international formats; matches with fewer than 7 digits (ZIP codes, years) are skipped
+const PHONE_PATTERN = /(?:\+\d{1,3}[-.\s]?)?(?:\(\d{2,4}\)[-.\s]?)?\d{2,5}(?:[-.\s]?\d{2,5}){1,4}/g;
+
+// "Austin, TX", "Berlin, Germany", "Austin, TX 78701"
+const CITY_PATTERN = /^[\p{L} .'-]+,\s*[\p{L} .'-]+(\s+\d{4,6}(-\d{4})?)?$/u;
+
+// Two to four words of letters, as in "Jordan Lee" or "MARIA GONZALEZ"
+const NAME_PATTERN = /^\p{L}[\p{L}'.-]*(\s+\p{L}[\p{L}'.-]*){1,3}$/u;
+
+// A "Resume" or "Curriculum Vitae" title above the name
+const DOCUMENT_TITLE_PATTERN = /^(r[eé]sum[eé]|cv|curriculum vitae)$/i;
+
+// Endings of company names, so "Acme, Inc." is not read as a company in a city named "Inc."
+const COMPANY_SUFFIX_PATTERN = /^(inc|llc|ltd|corp|co|gmbh|plc|se|sa|ag)\.?$/i;
+
+// A length of time given instead of dates ("6 months")
+const DURATION_PATTERN = /^\d+\+?\s*(weeks?|months?|years?)$/i;
+
+// How much to trust a field, by how it was found (0-1)
+const CONFIDENCE = {
+  exact: 0.95,      // matched a strict pattern (email, LinkedIn URL)
+  structured: 0.9,  // a bullet, a column of an "a | b | c" line, or a line in its expected place
+  keyword: 0.8,     // a line with a telling keyword or format (degree, role, date range, phone)
+  likely: 0.65,     // a line where this field usually is, with nothing else to confirm it
+  guess: 0.4,       // a fallback that accepts almost any line
+  placeholder: 0    // not found; a placeholder was filled in
+};
+
+// Fields below this confidence are flagged for the user to review after an upload
+const REVIEW_THRESHOLD = 0.6;
+
+// Filled in for required fields the parser could not find
+const PLACEHOLDERS = {
+  name: "Your Name",
+  email: "your.email@example.com",
+  phone: "123-456-7890",
+  role: "Professional Role",
+  location: "Your City, Country"
+};
+
+// Field an item of a list section needs to be kept
+const REQUIRED_ITEM_FIELDS = {
+  experience: 'title',
+  education: 'degree',
+  achievements: 'keyAchievements',
+  projects: 'title'
+};
 
 /**
  * Parse resume content from various file formats
  * @param {string} filePathOrContent - File path or direct content
  * @param {string} mimeType - MIME type of the file
- * @returns {Promise<Object>} Parsed resume data
+ * @returns {Promise<Object>} { resumeData, provenance } - see parseTextToStructuredData
  */
 const parseResumeContent = async (filePathOrContent, mimeType) => {
   try {
@@ -36,10 +111,10 @@ const parseResumeContent = async (filePathOrContent, mimeType) => {
     }
 
     // Parse the extracted text into structured data
-    const parsedData = await parseTextToStructuredData(textContent);
+    const parsed = await parseTextToStructuredData(textContent);
 
     console.log("✅ Resume content parsed successfully");
-    return parsedData;
+    return parsed;
 
   } catch (error) {
     console.error("❌ Error parsing resume content:", error.message);
@@ -78,12 +153,24 @@ const extractFromWord = async (filePath) => {
 
 /**
  * Parse extracted text into structured resume data
+ * Every field found is listed in provenance with a confidence score and the text lines it was read from:
+ * { path: "experience[0].title", confidence: 0.8, lines: [12, 12], review: false }, in document order.
+ * Lines are 1-based and inclusive; placeholders filled in for missing fields have lines: null.
  * @param {string} text - Raw text content
- * @returns {Object} Structured resume data
+ * @returns {Object} { resumeData, provenance }
  */
 const parseTextToStructuredData = async (text) => {
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-  
+  // Keep the source line number of each non-empty line
+  const lines = [];
+  const lineNumbers = [];
+  text.split('\n').forEach((rawLine, index) => {
+    const line = normalizeLine(rawLine);
+    if (line.length > 0) {
+      lines.push(line);
+      lineNumbers.push(index + 1);
+    }
+  });
+
   const resumeData = {
     name: "",
     role: "",
@@ -99,70 +186,118 @@ const parseTextToStructuredData = async (text) => {
     languages: [],
     projects: [],
     courses: [],
-    certifications: []
+    certifications: [],
+    hobbies: []
+  };
+
+  const provenance = [];
+
+  // Note where a field came from, by the first and last of its lines
+  const record = (fieldPath, confidence, from, to = from) => {
+    provenance.push({
+      path: fieldPath,
+      confidence,
+      lines: [lineNumbers[from], lineNumbers[to]],
+      review: confidence < REVIEW_THRESHOLD
+    });
   };
 
   // Extract basic information
-  extractBasicInfo(lines, resumeData);
-  
+  extractBasicInfo(lines, resumeData, record);
+
   // Extract sections
-  extractSections(lines, resumeData);
-  
+  extractSections(lines, resumeData, record);
+
   // Clean and validate data
-  cleanResumeData(resumeData);
+  cleanResumeData(resumeData).forEach(field => {
+    provenance.push({ path: field, confidence: CONFIDENCE.placeholder, lines: null, review: true });
+  });
 
-  return resumeData;
+  // Read start/end dates out of the date and duration text
+  applyDateStructure(resumeData);
+
+  // Document order, placeholders last
+  const startLine = (field) => (field.lines ? field.lines[0] : Infinity);
+  provenance.sort((a, b) => startLine(a) - startLine(b));
+
+  return { resumeData, provenance };
 };
 
 /**
  * Extract basic personal information
  * @param {Array} lines - Array of text lines
  * @param {Object} resumeData - Resume data object to populate
+ * @param {Function} record - Records where a field came from
  */
-const extractBasicInfo = (lines, resumeData) => {
-  const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-  const phoneRegex = /(\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
-  const linkedinRegex = /(linkedin\.com\/in\/[\w-]+|linkedin\.com\/pub\/[\w-]+)/i;
-
-  // Find name (usually the first non-empty line or largest text)
-  if (lines.length > 0) {
-    resumeData.name = lines[0];
-  }
+const extractBasicInfo = (lines, resumeData, record) => {
+  if (lines.length === 0) return;
 
-  // Extract contact information from first few lines
-  for (let i = 0; i < Math.min(10, lines.length); i++) {
-    const line = lines[i];
-    
-    // Extract email
-    const emailMatch = line.match(emailRegex);
-    if (emailMatch && !resumeData.email) {
-      resumeData.email = emailMatch[0];
-    }
-    
-    // Extract phone
-    const phoneMatch = line.match(phoneRegex);
-    if (phoneMatch && !resumeData.phone) {
-      resumeData.phone = phoneMatch[0];
-    }
-    
-    // Extract LinkedIn
-    const linkedinMatch = line.match(linkedinRegex);
-    if (linkedinMatch && !resumeData.linkedin) {
-      resumeData.linkedin = `https://${linkedinMatch[0]}`;
-    }
-    
-    // Extract location (common patterns)
-    if (!resumeData.location && isLocationLine(line)) {
-      resumeData.location = line;
+  // Contact details live above the first section heading
+  const firstHeader = lines.findIndex(line => detectSectionHeader(line.toLowerCase(), SECTION_KEYWORDS));
+  const headerEnd = Math.min(10, firstHeader === -1 ? lines.length : firstHeader);
+
+  // Name: the first line near the top that reads like a name (contact details may come first),
+  // otherwise the first line that is not a "Resume" or "Curriculum Vitae" title
+  const firstLine = DOCUMENT_TITLE_PATTERN.test(lines[0]) && lines.length > 1 ? 1 : 0;
+  const nameIndex = lines.slice(0, Math.min(3, headerEnd)).findIndex(isNameLine);
+  const namedLine = nameIndex === -1 ? firstLine : nameIndex;
+
+  resumeData.name = lines[namedLine];
+  record('name', nameIndex === -1 ? CONFIDENCE.guess : nameIndex === firstLine ? CONFIDENCE.structured : CONFIDENCE.keyword, namedLine);
+
+  let weakLocation = null;
+
+  // Extract contact information from each part of the "a | b | c" lines above the first section
+  for (let i = 0; i < headerEnd; i++) {
+    if (i === namedLine) continue;
+
+    for (const part of lines[i].split(CONTACT_SEPARATOR).map(item => item.trim())) {
+      const emailMatch = part.match(EMAIL_PATTERN);
+      const phoneMatch = findPhone(part);
+      const linkedinMatch = part.match(LINKEDIN_PATTERN);
+
+      if (emailMatch && !resumeData.email) {
+        resumeData.email = emailMatch[0];
+        record('email', CONFIDENCE.exact, i);
+      }
+
+      if (phoneMatch && !resumeData.phone) {
+        resumeData.phone = phoneMatch;
+        record('phone', phoneMatch === part ? CONFIDENCE.structured : CONFIDENCE.keyword, i);
+      }
+
+      if (linkedinMatch && !resumeData.linkedin) {
+        resumeData.linkedin = `https://${linkedinMatch[0]}`;
+        record('linkedin', CONFIDENCE.exact, i);
+      }
+
+      if (emailMatch || phoneMatch || linkedinMatch || /https?:\/\//.test(part)) continue;
+
+      if (!resumeData.role && isRoleLine(part) && part.length <= 60) {
+        resumeData.role = part;
+        record('role', CONFIDENCE.keyword, i);
+      } else if (!resumeData.location && CITY_PATTERN.test(part)) {
+        resumeData.location = part;
+        record('location', CONFIDENCE.keyword, i);
+      } else if (!weakLocation && isLocationLine(part)) {
+        weakLocation = { part, line: i };
+      }
     }
   }
 
-  // Try to extract role/title from early lines
-  for (let i = 1; i < Math.min(5, lines.length); i++) {
-    if (isRoleLine(lines[i]) && !resumeData.role) {
-      resumeData.role = lines[i];
-      break;
-    }
+  // A part that only loosely looks like a place
+  if (!resumeData.location && weakLocation) {
+    resumeData.location = weakLocation.part;
+    record('location', CONFIDENCE.guess, weakLocation.line);
+  }
+
+  // Otherwise take the line under the name if it is not contact details
+  const nextLine = namedLine + 1 < headerEnd ? lines[namedLine + 1] : "";
+  if (!resumeData.role && nextLine && !isEntryLine(nextLine) && !CONTACT_SEPARATOR.test(nextLine) &&
+      !EMAIL_PATTERN.test(nextLine) && !findPhone(nextLine) && !LINKEDIN_PATTERN.test(nextLine) &&
+      nextLine !== resumeData.location) {
+    resumeData.role = nextLine;
+    record('role', CONFIDENCE.guess, namedLine + 1);
   }
 };
 
@@ -170,47 +305,37 @@ const extractBasicInfo = (lines, resumeData) => {
  * Extract sections from resume text
  * @param {Array} lines - Array of text lines
  * @param {Object} resumeData - Resume data object to populate
+ * @param {Function} record - Records where a field came from
  */
-const extractSections = (lines, resumeData) => {
-  const sectionKeywords = {
-    summary: ['summary', 'profile', 'objective', 'about'],
-    experience: ['experience', 'employment', 'work history', 'career', 'professional experience'],
-    education: ['education', 'academic', 'qualification', 'degree'],
-    skills: ['skills', 'technical skills', 'competencies', 'expertise'],
-    achievements: ['achievements', 'accomplishments', 'awards', 'recognition'],
-    projects: ['projects', 'portfolio', 'work samples'],
-    certifications: ['certifications', 'certificates', 'licenses'],
-    courses: ['courses', 'training', 'coursework']
-  };
+const extractSections = (lines, resumeData, record) => {
+  const sectionKeywords = SECTION_KEYWORDS;
 
   let currentSection = '';
-  let sectionContent = [];
+  let contentStart = 0;
+
+  // Parse the lines between the current heading and end, recording lines by their index in the whole text
+  const processSection = (end) => {
+    if (currentSection && end > contentStart) {
+      const offset = contentStart;
+      processSectionContent(currentSection, lines.slice(offset, end), resumeData,
+        (fieldPath, confidence, from, to = from) => record(fieldPath, confidence, offset + from, offset + to));
+    }
+  };
 
-  for (const line of lines) {
-    const lowerLine = line.toLowerCase();
-    
+  lines.forEach((line, index) => {
     // Check if this line is a section header
-    const detectedSection = detectSectionHeader(lowerLine, sectionKeywords);
-    
+    const detectedSection = detectSectionHeader(line.toLowerCase(), sectionKeywords);
+
     if (detectedSection) {
-      // Process previous section
-      if (currentSection && sectionContent.length > 0) {
-        processSectionContent(currentSection, sectionContent, resumeData);
-      }
-      
-      // Start new section
+      // Process previous section and start the new one
+      processSection(index);
       currentSection = detectedSection;
-      sectionContent = [];
-    } else if (currentSection) {
-      // Add content to current section
-      sectionContent.push(line);
+      contentStart = index + 1;
     }
-  }
+  });
 
   // Process final section
-  if (currentSection && sectionContent.length > 0) {
-    processSectionContent(currentSection, sectionContent, resumeData);
-  }
+  processSection(lines.length);
 };
 
 /**
@@ -220,6 +345,11 @@ const extractSections = (lines, resumeData) => {
  * @returns {string|null} Detected section name or null
  */
 const detectSectionHeader = (line, sectionKeywords) => {
+  // Bullets, "a | b" entry lines and sentences are content, even if they mention a keyword
+  if (BULLET_PATTERN.test(line) || isEntryLine(line) || line.split(/\s+/).length > 4 || /[.!?,]$/.test(line)) {
+    return null;
+  }
+
   for (const [section, keywords] of Object.entries(sectionKeywords)) {
     for (const keyword of keywords) {
       if (line.includes(keyword) && line.length < 50) {
@@ -232,85 +362,168 @@ const detectSectionHeader = (line, sectionKeywords) => {
 
 /**
  * Process content for a specific section
+ * List parsers return { item, sources } pairs, where sources maps each field of the item
+ * ("title", "accomplishment[1]", or "" for a string item) to [confidence, first line, last line]
  * @param {string} section - Section name
  * @param {Array} content - Section content lines
  * @param {Object} resumeData - Resume data object to populate
+ * @param {Function} record - Records where a field came from, by line index within content
  */
-const processSectionContent = (section, content, resumeData) => {
-  const text = content.join(' ').trim();
-  
+const processSectionContent = (section, content, resumeData, record) => {
+  let parsed;
+
   switch (section) {
     case 'summary':
-      resumeData.summary = text;
-      break;
-      
+      resumeData.summary = content.join(' ').trim();
+      record('summary', resumeData.summary.length >= 40 ? CONFIDENCE.structured : CONFIDENCE.guess, 0, content.length - 1);
+      return;
+
     case 'experience':
-      resumeData.experience = parseExperience(content);
+      parsed = parseExperience(content);
       break;
-      
+
     case 'education':
-      resumeData.education = parseEducation(content);
+      parsed = parseEducation(content);
       break;
-      
+
     case 'skills':
-      resumeData.skills = parseSkills(content);
+    case 'languages':
+    case 'hobbies':
+      parsed = parseSkills(content);
       break;
-      
+
     case 'achievements':
-      resumeData.achievements = parseAchievements(content);
+      parsed = parseAchievements(content);
       break;
-      
+
     case 'projects':
-      resumeData.projects = parseProjects(content);
+      parsed = parseProjects(content);
       break;
-      
+
     case 'certifications':
-      resumeData.certifications = parseCertifications(content);
+      parsed = parseCertifications(content);
       break;
-      
+
     case 'courses':
-      resumeData.courses = parseCourses(content);
+      parsed = parseCourses(content);
       break;
+
+    default:
+      return;
   }
+
+  // Drop items without their main field, then record the rest at their final positions
+  const requiredField = REQUIRED_ITEM_FIELDS[section];
+  const kept = parsed.filter(({ item }) => !requiredField || (item[requiredField] && item[requiredField].trim().length > 0));
+
+  resumeData[section] = kept.map(({ item }) => item);
+
+  kept.forEach(({ item, sources }, index) => {
+    Object.entries(sources).forEach(([field, [confidence, from, to = from]]) => {
+      const value = readField(item, field);
+      if (typeof value === 'string' && value.trim().length > 0) {
+        record(field ? `${section}[${index}].${field}` : `${section}[${index}]`, confidence, from, to);
+      }
+    });
+  });
 };
 
 /**
  * Parse experience section
  * @param {Array} content - Experience content lines
- * @returns {Array} Parsed experience entries
+ * @returns {Array} Parsed experience entries with their sources
  */
 const parseExperience = (content) => {
+  // Title line followed by "Company | Date | Location"
+  if (content.some(isEntryLine)) {
+    return groupEntries(content, true).map(entry => {
+      const titleFromLine = Boolean(entry.title);
+      const title = entry.title || entry.fields.shift() || "";
+      const details = splitEntryDetails(entry.fields);
+      const accomplishments = [...entry.bullets, ...entry.text];
+
+      const titleConfidence = titleFromLine ? CONFIDENCE.structured : details.date ? CONFIDENCE.keyword : CONFIDENCE.likely;
+      const sources = {
+        title: [titleConfidence, titleFromLine ? entry.titleLine : entry.fieldsLine],
+        companyName: [details.confidence.organization, entry.fieldsLine],
+        date: [details.confidence.date, entry.fieldsLine],
+        companyLocation: [details.confidence.location, entry.fieldsLine]
+      };
+      accomplishments.forEach((line, index) => {
+        sources[`accomplishment[${index}]`] = [line.confidence, line.from, line.to];
+      });
+
+      return {
+        item: {
+          title,
+          companyName: details.organization,
+          date: details.date,
+          companyLocation: details.location,
+          accomplishment: accomplishments.map(line => line.text)
+        },
+        sources
+      };
+    });
+  }
+
+  // Stacked lines: title, then company, location and dates on lines of their own, then the details
   const experiences = [];
-  let currentExp = null;
+  let current = null;
+  let afterBullet = false;
+
+  content.forEach((line, index) => {
+    const isBullet = BULLET_PATTERN.test(line);
 
-  for (const line of content) {
-    if (isJobTitle(line)) {
-      if (currentExp) {
-        experiences.push(currentExp);
+    if (isBullet) {
+      if (current) {
+        current.item.accomplishment.push(line.replace(BULLET_PATTERN, ''));
+        current.sources[`accomplishment[${current.item.accomplishment.length - 1}]`] = [CONFIDENCE.structured, index, index];
+        afterBullet = true;
       }
-      currentExp = {
-        title: line,
-        companyName: "",
-        date: "",
-        companyLocation: "",
-        accomplishment: []
+      return;
+    }
+
+    // Wrapped bullet text
+    if (afterBullet && /^[a-z]/.test(line)) {
+      const last = current.item.accomplishment.length - 1;
+      current.item.accomplishment[last] += ` ${line}`;
+      current.sources[`accomplishment[${last}]`][2] = index;
+      return;
+    }
+    afterBullet = false;
+
+    const inDetails = current && (current.item.date || current.item.accomplishment.length > 0);
+    const dated = startsDatedEntry(content, index);
+
+    if (!current || (inDetails && dated)) {
+      const titleConfidence = !dated ? CONFIDENCE.guess : isRoleLine(line) ? CONFIDENCE.keyword : CONFIDENCE.likely;
+      current = {
+        item: { title: line, companyName: "", date: "", companyLocation: "", accomplishment: [] },
+        sources: { title: [titleConfidence, index] }
       };
-    } else if (currentExp) {
-      if (isCompanyName(line)) {
-        currentExp.companyName = line;
-      } else if (isDateRange(line)) {
-        currentExp.date = line;
-      } else if (isLocation(line)) {
-        currentExp.companyLocation = line;
-      } else if (line.length > 10) {
-        currentExp.accomplishment.push(line);
+      experiences.push(current);
+    } else if (!current.item.date && isDateLine(line)) {
+      current.item.date = line;
+      current.sources.date = [CONFIDENCE.keyword, index];
+    } else if (!inDetails && !current.item.companyName) {
+      // "Company, City" on one line
+      const [, company, place] = line.match(/^(.+),\s*([^,]+)$/) || [];
+      if (place && !COMPANY_SUFFIX_PATTERN.test(place)) {
+        current.item.companyName = company;
+        current.item.companyLocation = place;
+        current.sources.companyLocation = [CONFIDENCE.likely, index];
+      } else {
+        current.item.companyName = line;
       }
+      current.sources.companyName = [CONFIDENCE.likely, index];
+    } else if (!inDetails && !current.item.companyLocation && isLocationLine(line)) {
+      current.item.companyLocation = line;
+      current.sources.companyLocation = [CONFIDENCE.likely, index];
+    } else if (line.length > 10) {
+      current.item.accomplishment.push(line);
+      current.sources[`accomplishment[${current.item.accomplishment.length - 1}]`] = [CONFIDENCE.likely, index];
     }
-  }
-
-  if (currentExp) {
-    experiences.push(currentExp);
-  }
+  });
 
   return experiences;
 };
@@ -318,165 +531,446 @@ const parseExperience = (content) => {
 /**
  * Parse education section
  * @param {Array} content - Education content lines
- * @returns {Array} Parsed education entries
+ * @returns {Array} Parsed education entries with their sources
  */
 const parseEducation = (content) => {
-  const education = [];
-  let currentEdu = null;
+  // Degree line followed by "Institution | Duration | Location"
+  if (content.some(isEntryLine)) {
+    return groupEntries(content, true).map(entry => {
+      const degreeFromLine = Boolean(entry.title);
+      const degree = entry.title || entry.fields.shift() || "";
+      const details = splitEntryDetails(entry.fields);
 
-  for (const line of content) {
-    if (isDegree(line)) {
-      if (currentEdu) {
-        education.push(currentEdu);
-      }
-      currentEdu = {
-        degree: line,
-        institution: "",
-        duration: "",
-        location: ""
+      const degreeConfidence = degreeFromLine || isDegree(degree) ? CONFIDENCE.structured : CONFIDENCE.likely;
+      return {
+        item: {
+          degree,
+          institution: details.organization,
+          duration: details.date,
+          location: details.location
+        },
+        sources: {
+          degree: [degreeConfidence, degreeFromLine ? entry.titleLine : entry.fieldsLine],
+          institution: [details.confidence.organization, entry.fieldsLine],
+          duration: [details.confidence.date, entry.fieldsLine],
+          location: [details.confidence.location, entry.fieldsLine]
+        }
       };
-    } else if (currentEdu) {
-      if (isInstitution(line)) {
-        currentEdu.institution = line;
-      } else if (isDateRange(line)) {
-        currentEdu.duration = line;
-      } else if (isLocation(line)) {
-        currentEdu.location = line;
-      }
-    }
+    });
   }
 
-  if (currentEdu) {
-    education.push(currentEdu);
-  }
+  // Stacked lines; some resumes put the institution above the degree
+  const education = [];
+  let current = null;
+
+  const startEntry = () => {
+    current = { item: { degree: "", institution: "", duration: "", location: "" }, sources: {} };
+    education.push(current);
+  };
+
+  content.forEach((line, index) => {
+    if (isDegree(line)) {
+      if (!current || current.item.degree) startEntry();
+      current.item.degree = line;
+      current.sources.degree = [CONFIDENCE.keyword, index];
+    } else if (isInstitution(line) && (!current || current.item.institution)) {
+      startEntry();
+      current.item.institution = line;
+      current.sources.institution = [CONFIDENCE.keyword, index];
+    } else if (!current) {
+      return;
+    } else if (!current.item.duration && isDateLine(line)) {
+      current.item.duration = line;
+      current.sources.duration = [CONFIDENCE.keyword, index];
+    } else if (!current.item.institution && isInstitution(line)) {
+      current.item.institution = line;
+      current.sources.institution = [CONFIDENCE.keyword, index];
+    } else if (!current.item.location && isLocationLine(line)) {
+      current.item.location = line;
+      current.sources.location = [CONFIDENCE.likely, index];
+    } else if (!current.item.institution && line.length > 5 && line.length < 100) {
+      current.item.institution = line;
+      current.sources.institution = [CONFIDENCE.guess, index];
+    }
+  });
 
   return education;
 };
 
 /**
- * Parse skills section
- * @param {Array} content - Skills content lines
- * @returns {Array} Parsed skills array
+ * Parse a list section (skills, languages, hobbies), one or more items per line
+ * A leading "Category:" label on a line is dropped
+ * @param {Array} content - Section content lines
+ * @returns {Array} Parsed items with their sources
  */
 const parseSkills = (content) => {
   const skills = [];
-  const text = content.join(' ');
-  
-  // Split by common separators
-  const separators = [',', '•', '·', '|', '\n', ';'];
-  let skillItems = [text];
-  
-  for (const sep of separators) {
-    skillItems = skillItems.flatMap(item => item.split(sep));
-  }
-  
-  for (const skill of skillItems) {
-    const cleanSkill = skill.trim();
-    if (cleanSkill.length > 1 && cleanSkill.length < 50) {
-      skills.push(cleanSkill);
-    }
-  }
-  
+
+  content.forEach((line, index) => {
+    const text = line.replace(BULLET_PATTERN, '').replace(/^[^:,]{2,30}:\s+/, '');
+
+    // Split by common separators, except inside parentheses ("Python (pandas, numpy)")
+    const items = text.split(/\s*[,;•·|](?![^(]*\))\s*/).map(item => item.trim())
+      .filter(item => /\w/.test(item) && item.length < 50);
+
+    items.forEach(item => {
+      // An item alone on its line may be a sentence rather than a skill
+      const confidence = items.length > 1 ? CONFIDENCE.structured
+        : item.split(/\s+/).length <= 4 ? CONFIDENCE.keyword : CONFIDENCE.guess;
+      skills.push({ item, sources: { "": [confidence, index] } });
+    });
+  });
+
   return skills;
 };
 
 /**
  * Parse achievements section
  * @param {Array} content - Achievements content lines
- * @returns {Array} Parsed achievements array
+ * @returns {Array} Parsed achievements with their sources
  */
 const parseAchievements = (content) => {
+  // Bulleted "Title: description" items
+  if (content.some(line => BULLET_PATTERN.test(line))) {
+    return groupBullets(content).map(({ text, from, to }) => {
+      const [title, ...rest] = text.split(': ');
+      return {
+        item: { keyAchievements: title, describe: rest.join(': ') },
+        sources: { keyAchievements: [CONFIDENCE.structured, from], describe: [CONFIDENCE.structured, from, to] }
+      };
+    });
+  }
+
   const achievements = [];
-  
-  for (const line of content) {
-    if (line.length > 10) {
+  let titleOnly = null;
+
+  content.forEach((line, index) => {
+    const [title, ...rest] = line.split(': ');
+    const previous = titleOnly;
+    titleOnly = null;
+
+    if (rest.length > 0) {
+      achievements.push({
+        item: { keyAchievements: title, describe: rest.join(': ') },
+        sources: { keyAchievements: [CONFIDENCE.keyword, index], describe: [CONFIDENCE.keyword, index] }
+      });
+    } else if (isShortLine(line)) {
+      // A title alone; its description is a copy for the user to replace unless the next line describes it
+      titleOnly = {
+        item: { keyAchievements: line, describe: line },
+        sources: { keyAchievements: [CONFIDENCE.likely, index], describe: [CONFIDENCE.guess, index] }
+      };
+      achievements.push(titleOnly);
+    } else if (previous && line.length > 10) {
+      previous.item.describe = line;
+      previous.sources = { keyAchievements: [CONFIDENCE.keyword, index - 1], describe: [CONFIDENCE.keyword, index] };
+    } else if (line.length > 10) {
       achievements.push({
-        keyAchievements: extractAchievementTitle(line),
-        describe: line
+        item: { keyAchievements: extractAchievementTitle(line), describe: line },
+        sources: { keyAchievements: [CONFIDENCE.guess, index], describe: [CONFIDENCE.likely, index] }
       });
     }
-  }
-  
+  });
+
   return achievements;
 };
 
 /**
  * Parse projects section
  * @param {Array} content - Projects content lines
- * @returns {Array} Parsed projects array
+ * @returns {Array} Parsed projects with their sources
  */
 const parseProjects = (content) => {
-  const projects = [];
-  let currentProject = null;
-
-  for (const line of content) {
-    if (isProjectTitle(line)) {
-      if (currentProject) {
-        projects.push(currentProject);
-      }
-      currentProject = {
-        title: line,
-        description: "",
-        duration: ""
+  // "Title | Duration" entry lines followed by the description
+  if (content.some(isEntryLine)) {
+    return groupEntries(content).map(entry => {
+      const description = [...entry.text, ...entry.bullets];
+      const duration = entry.fields[1] || "";
+      const sources = {
+        title: [CONFIDENCE.structured, entry.fieldsLine],
+        duration: [isDateRange(duration) ? CONFIDENCE.structured : CONFIDENCE.guess, entry.fieldsLine]
       };
-    } else if (currentProject) {
-      if (isDateRange(line)) {
-        currentProject.duration = line;
-      } else if (line.length > 10) {
-        currentProject.description += (currentProject.description ? ' ' : '') + line;
+      if (description.length > 0) {
+        sources.description = [
+          CONFIDENCE.structured,
+          Math.min(...description.map(line => line.from)),
+          Math.max(...description.map(line => line.to))
+        ];
       }
-    }
-  }
 
-  if (currentProject) {
-    projects.push(currentProject);
+      return {
+        item: {
+          title: entry.fields[0] || "",
+          duration,
+          description: description.map(line => line.text).join(' ')
+        },
+        sources
+      };
+    });
   }
 
+  // Short title lines, each followed by its description and dates
+  const projects = [];
+  let current = null;
+
+  content.forEach((line, index) => {
+    const isBullet = BULLET_PATTERN.test(line);
+
+    if (current && !current.item.duration && (isDateLine(line) || DURATION_PATTERN.test(line))) {
+      current.item.duration = line;
+      current.sources.duration = [CONFIDENCE.keyword, index];
+    } else if (!isBullet && isProjectTitle(line)) {
+      current = { item: { title: line, description: "", duration: "" }, sources: { title: [CONFIDENCE.likely, index] } };
+      projects.push(current);
+    } else if (current && line.length > 10) {
+      const text = line.replace(BULLET_PATTERN, '');
+      current.item.description += (current.item.description ? ' ' : '') + text;
+      const from = current.sources.description ? current.sources.description[1] : index;
+      current.sources.description = [isBullet ? CONFIDENCE.structured : CONFIDENCE.likely, from, index];
+    }
+  });
+
   return projects;
 };
 
 /**
  * Parse certifications section
  * @param {Array} content - Certifications content lines
- * @returns {Array} Parsed certifications array
+ * @returns {Array} Parsed certifications with their sources
  */
 const parseCertifications = (content) => {
-  const certifications = [];
-  
-  for (const line of content) {
-    if (line.length > 5) {
-      certifications.push({
-        title: line,
-        issuedBy: "",
-        year: extractYear(line)
-      });
+  // Bulleted items, or one per line
+  const items = content.some(line => BULLET_PATTERN.test(line))
+    ? groupBullets(content)
+    : content.map((line, index) => ({ text: line, from: index, to: index }))
+      .filter(({ text }) => text.length > 5);
+
+  return items.map(({ text, from, to }) => {
+    // "Title | Issuer | Year"
+    if (isEntryLine(text)) {
+      const [title, issuedBy = "", year = ""] = text.split('|').map(field => field.trim());
+      return {
+        item: { title, issuedBy, year: year || extractYear(text) },
+        sources: {
+          title: [CONFIDENCE.structured, from, to],
+          issuedBy: [CONFIDENCE.structured, from, to],
+          year: [year ? CONFIDENCE.structured : CONFIDENCE.keyword, from, to]
+        }
+      };
     }
-  }
-  
-  return certifications;
+
+    // "Title, 2020" or "Title (2020)"
+    const title = text.replace(/[\s,(–-]*\b(19|20)\d{2}\)?$/, '').trim() || text;
+    return {
+      item: { title, issuedBy: "", year: extractYear(text) },
+      sources: {
+        title: [title !== text || from === to ? CONFIDENCE.structured : CONFIDENCE.likely, from, to],
+        year: [CONFIDENCE.keyword, from, to]
+      }
+    };
+  });
 };
 
 /**
  * Parse courses section
  * @param {Array} content - Courses content lines
- * @returns {Array} Parsed courses array
+ * @returns {Array} Parsed courses with their sources
  */
 const parseCourses = (content) => {
+  // Bulleted "Title: description" items
+  if (content.some(line => BULLET_PATTERN.test(line))) {
+    return groupBullets(content).map(({ text, from, to }) => {
+      const [title, ...rest] = text.split(': ');
+      return {
+        item: { title, description: rest.join(': ') },
+        sources: { title: [CONFIDENCE.structured, from], description: [CONFIDENCE.structured, from, to] }
+      };
+    });
+  }
+
   const courses = [];
-  
-  for (const line of content) {
+
+  content.forEach((line, index) => {
     if (line.length > 5) {
+      const [title, ...rest] = line.split(': ');
+      const confidence = rest.length > 0 ? CONFIDENCE.keyword : CONFIDENCE.likely;
       courses.push({
-        title: line,
-        description: ""
+        item: { title, description: rest.join(': ') },
+        sources: { title: [confidence, index], description: [confidence, index] }
       });
     }
-  }
-  
+  });
+
   return courses;
 };
 
 // Helper functions for content detection
+const isEntryLine = (line) => ENTRY_LINE_PATTERN.test(line);
+
+/**
+ * Strip Markdown decoration so .md resumes parse like plain text
+ * Tabs and wide gaps between columns become " | " separators
+ * @param {string} line - Raw line
+ * @returns {string} Trimmed line without headings, emphasis or link syntax
+ */
+const normalizeLine = (line) => {
+  return line
+    .trim()
+    .replace(/\t+|\s{3,}/g, ' | ')
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .trim();
+};
+
+/**
+ * Group "a | b | c" entry lines with the lines around them
+ * Non-bullet lines straight after a bullet continue that bullet (wrapped text)
+ * @param {Array} content - Section content lines
+ * @param {boolean} titleAbove - Whether a plain line right above an entry line is its title
+ * @returns {Array} Entries with title, fields, bullets and free text, and the lines each came from
+ */
+const groupEntries = (content, titleAbove = false) => {
+  const entries = [];
+  let current = null;
+  let afterBullet = false;
+
+  content.forEach((line, index) => {
+    const fields = isEntryLine(line) ? line.split('|').map(field => field.trim()) : null;
+
+    if (fields && current && current.awaitingDetails) {
+      current.fields = fields;
+      current.fieldsLine = index;
+      current.awaitingDetails = false;
+      afterBullet = false;
+    } else if (fields) {
+      current = { title: "", fields, fieldsLine: index, bullets: [], text: [] };
+      entries.push(current);
+      afterBullet = false;
+    } else if (titleAbove && !BULLET_PATTERN.test(line) && isEntryLine(content[index + 1] || "")) {
+      current = { title: line, titleLine: index, fields: [], bullets: [], text: [], awaitingDetails: true };
+      entries.push(current);
+      afterBullet = false;
+    } else if (!current) {
+      return;
+    } else if (BULLET_PATTERN.test(line)) {
+      current.bullets.push({ text: line.replace(BULLET_PATTERN, ''), from: index, to: index, confidence: CONFIDENCE.structured });
+      afterBullet = true;
+    } else if (afterBullet) {
+      const bullet = current.bullets[current.bullets.length - 1];
+      bullet.text += ` ${line}`;
+      bullet.to = index;
+    } else {
+      current.text.push({ text: line, from: index, to: index, confidence: CONFIDENCE.likely });
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Read "Organization | Date | Location" entry details
+ * Three fields are positional; otherwise the date is found by its pattern
+ * @param {Array} fields - Entry line fields
+ * @returns {Object} { organization, date, location, confidence } - confidence holds a score per field
+ */
+const splitEntryDetails = (fields) => {
+  if (fields.length === 3) {
+    const confidence = isDateRange(fields[1]) ? CONFIDENCE.structured : CONFIDENCE.likely;
+    return {
+      organization: fields[0],
+      date: fields[1],
+      location: fields[2],
+      confidence: { organization: confidence, date: confidence, location: confidence }
+    };
+  }
+
+  const dateIndex = fields.findIndex(isDateRange);
+  const rest = fields.filter((field, index) => index !== dateIndex);
+  const location = rest[1] || "";
+
+  return {
+    organization: rest[0] || "",
+    date: dateIndex === -1 ? "" : fields[dateIndex],
+    location,
+    confidence: {
+      organization: dateIndex === -1 ? CONFIDENCE.likely : CONFIDENCE.keyword,
+      date: CONFIDENCE.keyword,
+      location: isLocationLine(location) ? CONFIDENCE.likely : CONFIDENCE.guess
+    }
+  };
+};
+
+/**
+ * Group bulleted items, joining wrapped continuation lines
+ * @param {Array} content - Section content lines
+ * @returns {Array} Items as { text, from, to }: text without bullet markers and its first and last line
+ */
+const groupBullets = (content) => {
+  const items = [];
+
+  content.forEach((line, index) => {
+    if (BULLET_PATTERN.test(line) || items.length === 0) {
+      items.push({ text: line.replace(BULLET_PATTERN, ''), from: index, to: index });
+    } else {
+      const item = items[items.length - 1];
+      item.text += ` ${line}`;
+      item.to = index;
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Read a field of a parsed item by its path within the item
+ * @param {Object|string} item - Parsed item
+ * @param {string} field - "title", "accomplishment[1]", or "" for the item itself
+ * @returns {*} Field value
+ */
+const readField = (item, field) => {
+  return field ? field.match(/[a-zA-Z]+|\d+/g).reduce((value, key) => value?.[key], item) : item;
+};
+
+/**
+ * Find a phone number with 7 to 15 digits
+ * @param {string} text - Text to search
+ * @returns {string|null} Phone number as written
+ */
+const findPhone = (text) => {
+  const match = [...text.matchAll(PHONE_PATTERN)].find(([candidate]) => {
+    const digits = candidate.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15;
+  });
+  return match ? match[0].trim() : null;
+};
+
+/**
+ * Whether a stacked entry starts at this line: a short line with a date range within the next three
+ * lines, before any bullet
+ * @param {Array} content - Section content lines
+ * @param {number} index - Line index
+ * @returns {boolean} True if the line looks like the title of a dated entry
+ */
+const startsDatedEntry = (content, index) => {
+  if (!isShortLine(content[index]) || isDateLine(content[index])) {
+    return false;
+  }
+
+  for (const line of content.slice(index + 1, index + 4)) {
+    if (BULLET_PATTERN.test(line)) return false;
+    if (isDateLine(line)) return true;
+  }
+  return false;
+};
+
+const isShortLine = (line) => line.split(/\s+/).length <= 8 && line.length < 80 && !/[.!?]$/.test(line);
+
+const isNameLine = (line) => {
+  return NAME_PATTERN.test(line) && !DOCUMENT_TITLE_PATTERN.test(line) && !isRoleLine(line) &&
+    !detectSectionHeader(line.toLowerCase(), SECTION_KEYWORDS);
+};
+
 const isLocationLine = (line) => {
   const locationPatterns = [
     /\b\w+,\s*\w+\b/, // City, State
@@ -487,45 +981,38 @@ const isLocationLine = (line) => {
 };
 
 const isRoleLine = (line) => {
-  const roleKeywords = ['developer', 'engineer', 'manager', 'analyst', 'designer', 'consultant', 'specialist'];
+  const roleKeywords = [
+    'developer', 'engineer', 'manager', 'analyst', 'designer', 'consultant', 'specialist',
+    'architect', 'scientist', 'director', 'administrator', 'coordinator', 'supervisor', 'accountant'
+  ];
   return roleKeywords.some(keyword => line.toLowerCase().includes(keyword));
 };
 
-const isJobTitle = (line) => {
-  return line.length > 5 && line.length < 100 && /^[A-Z]/.test(line);
-};
-
-const isCompanyName = (line) => {
-  return line.length > 2 && line.length < 100;
-};
-
 const isDateRange = (line) => {
   const datePatterns = [
-    /\d{4}\s*-\s*\d{4}/, // 2020 - 2023
-    /\d{1,2}\/\d{4}\s*-\s*\d{1,2}\/\d{4}/, // 01/2020 - 12/2023
-    /\w+\s+\d{4}\s*-\s*\w+\s+\d{4}/, // Jan 2020 - Dec 2023
+    /\d{4}\s*[-–—]\s*\d{4}/, // 2020 - 2023
+    /\d{1,2}\/\d{4}\s*[-–—]\s*\d{1,2}\/\d{4}/, // 01/2020 - 12/2023
+    /\w+\s+\d{4}\s*[-–—]\s*\w+\s+\d{4}/, // Jan 2020 - Dec 2023
     /present|current/i
   ];
-  return datePatterns.some(pattern => pattern.test(line));
+  return datePatterns.some(pattern => pattern.test(line)) || isDateLine(line);
 };
 
-const isLocation = (line) => {
-  return line.length > 3 && line.length < 50 && /[A-Za-z]/.test(line);
-};
+// A line that is only a date or date range ("March 2021 – Present", "January 2019 to Present", "2024")
+const isDateLine = (line) => line.length <= 40 && parseDateRange(line) !== null;
 
 const isDegree = (line) => {
-  const degreeKeywords = ['bachelor', 'master', 'phd', 'doctorate', 'associate', 'diploma', 'certificate'];
-  return degreeKeywords.some(keyword => line.toLowerCase().includes(keyword));
+  const degreePattern = /\b(bachelor|master|mba|ph\.?\s?d|doctorate|associate|diploma|certificate|b\.?sc|m\.?sc|b\.?tech|m\.?tech|b\.?eng|m\.?eng)\b|\b[bm]\.[as]\.|^[BM][AS]\b/i;
+  return degreePattern.test(line);
 };
 
 const isInstitution = (line) => {
-  const institutionKeywords = ['university', 'college', 'institute', 'school'];
-  return institutionKeywords.some(keyword => line.toLowerCase().includes(keyword)) || 
-         (line.length > 5 && line.length < 100);
+  const institutionKeywords = ['university', 'college', 'institute', 'school', 'academy', 'polytechnic'];
+  return institutionKeywords.some(keyword => line.toLowerCase().includes(keyword));
 };
 
 const isProjectTitle = (line) => {
-  return line.length > 5 && line.length < 100 && /^[A-Z]/.test(line);
+  return line.length > 2 && isShortLine(line) && /^[A-Z0-9]/.test(line);
 };
 
 const extractAchievementTitle = (line) => {
@@ -542,38 +1029,26 @@ const extractYear = (line) => {
 /**
  * Clean and validate resume data
  * @param {Object} resumeData - Resume data to clean
+ * @returns {Array} Fields filled with a placeholder
  */
 const cleanResumeData = (resumeData) => {
   // Set defaults for required fields
-  if (!resumeData.name || resumeData.name.trim() === "") {
-    resumeData.name = "Your Name";
-  }
-  
-  if (!resumeData.email || resumeData.email.trim() === "") {
-    resumeData.email = "your.email@example.com";
-  }
-  
-  if (!resumeData.phone || resumeData.phone.trim() === "") {
-    resumeData.phone = "123-456-7890";
-  }
-  
-  if (!resumeData.role || resumeData.role.trim() === "") {
-    resumeData.role = "Professional Role";
-  }
-  
-  if (!resumeData.location || resumeData.location.trim() === "") {
-    resumeData.location = "Your City, Country";
-  }
+  const filled = Object.keys(PLACEHOLDERS).filter(field => !resumeData[field] || resumeData[field].trim() === "");
+  filled.forEach(field => {
+    resumeData[field] = PLACEHOLDERS[field];
+  });
 
   // Clean arrays
   resumeData.skills = resumeData.skills.filter(skill => skill && skill.trim().length > 0);
   resumeData.languages = resumeData.languages.filter(lang => lang && lang.trim().length > 0);
-  
+
   // Remove empty objects from arrays
   resumeData.experience = resumeData.experience.filter(exp => exp.title && exp.title.trim().length > 0);
   resumeData.education = resumeData.education.filter(edu => edu.degree && edu.degree.trim().length > 0);
   resumeData.achievements = resumeData.achievements.filter(ach => ach.keyAchievements && ach.keyAchievements.trim().length > 0);
   resumeData.projects = resumeData.projects.filter(proj => proj.title && proj.title.trim().length > 0);
+
+  return filled;
 };
 
 module.exports = {
@@ -581,4 +1056,4 @@ module.exports = {
   extractFromPDF,
   extractFromWord,
   parseTextToStructuredData
-};
\ No newline at end of file
+};
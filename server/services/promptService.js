@@ -0,0 +1,539 @@
+const mongoose = require("mongoose");
+const Prompt = require("../models/Prompt");
+const Resume = require("../models/Resume");
+
+// Version number of the built-in prompts; stored versions start at 2
+const BUILT_IN_VERSION = 1;
+
+// How long active prompts are reused before being read again, so every process sees edits
+const PROMPT_CACHE_TTL_MS = parseInt(process.env.PROMPT_CACHE_TTL_MS) || 60 * 1000;
+
+/**
+ * Built-in prompts (version 1) for every section and style
+ * Placeholders: see PROMPT_PLACEHOLDERS; every other section uses {content}
+ */
+const DEFAULT_PROMPTS = {
+  summary: {
+    professional: `Enhance this professional summary to be more compelling and ATS-friendly. Make it concise, impactful, and highlight key achievements. Focus on quantifiable results and industry-relevant keywords. Keep it between 3-4 sentences and under 150 words.
+
+Original: {content}
+
+Enhanced summary:`,
+    
+    creative: `Rewrite this professional summary with a more creative and engaging tone while maintaining professionalism. Add personality and unique value proposition. Make it memorable and distinctive while keeping it professional.
+
+Original: {content}
+
+Creative summary:`,
+    
+    concise: `Make this professional summary more concise and impactful. Remove redundancy, focus on the most important achievements, and ensure every word adds value. Keep it under 100 words.
+
+Original: {content}
+
+Concise summary:`
+  },
+
+  experience: {
+    professional: `Enhance these work accomplishments to be more professional and ATS-optimized. Use strong action verbs, quantify achievements where possible, and focus on results and impact. Follow the STAR method (Situation, Task, Action, Result) where applicable.
+
+Original: {content}
+
+Enhanced accomplishments (return as separate bullet points):`,
+    
+    creative: `Rewrite these work accomplishments with more engaging language while maintaining accuracy. Add impact and showcase problem-solving skills. Make them stand out while remaining truthful and professional.
+
+Original: {content}
+
+Creative accomplishments (return as separate bullet points):`,
+    
+    concise: `Make these work accomplishments more concise and impactful. Focus on the most important results and remove unnecessary words. Each point should be powerful and direct.
+
+Original: {content}
+
+Concise accomplishments (return as separate bullet points):`
+  },
+
+  achievements: {
+    professional: `Enhance this achievement description to be more professional and impactful. Focus on the significance, impact, and skills demonstrated. Make it ATS-friendly and quantify the achievement where possible.
+
+Original: {content}
+
+Enhanced achievement:`,
+    
+    creative: `Rewrite this achievement with more engaging and compelling language. Highlight the unique aspects and make it memorable while maintaining professionalism and accuracy.
+
+Original: {content}
+
+Creative achievement:`,
+    
+    concise: `Make this achievement description more concise and powerful. Focus on the most important aspects and ensure maximum impact with fewer words.
+
+Original: {content}
+
+Concise achievement:`
+  },
+
+  projects: {
+    professional: `Enhance this project description to be more professional and comprehensive. Focus on technologies used, challenges overcome, and results achieved. Make it technical yet accessible and ATS-friendly.
+
+Original: {content}
+
+Enhanced project description:`,
+    
+    creative: `Rewrite this project description with more engaging language that showcases innovation and problem-solving skills. Highlight unique aspects and make it compelling while remaining accurate.
+
+Original: {content}
+
+Creative project description:`,
+    
+    concise: `Make this project description more concise and impactful. Focus on key technologies, main challenges, and primary results. Remove unnecessary details while maintaining clarity.
+
+Original: {content}
+
+Concise project description:`
+  },
+
+  skills: {
+    professional: `Organize and enhance this skills list to be more professional and comprehensive. Group related skills, use industry-standard terminology, and ensure ATS optimization. Remove duplicates and add relevant skills if obviously missing.
+
+Original: {content}
+
+Enhanced skills:`,
+    
+    creative: `Reformat this skills list in a more engaging way while maintaining professional standards. Group skills logically and use compelling descriptions where appropriate.
+
+Original: {content}
+
+Creative skills presentation:`,
+    
+    concise: `Make this skills list more concise and focused. Keep only the most relevant and strongest skills, remove redundancy, and ensure each skill adds value.
+
+Original: {content}
+
+Concise skills:`
+  },
+
+  education: {
+    professional: `Enhance this education information to be more professional and comprehensive. Include relevant coursework, achievements, or projects if space allows. Make it ATS-friendly and highlight relevant qualifications.
+
+Original: {content}
+
+Enhanced education:`,
+    
+    creative: `Present this education information in a more engaging way while maintaining accuracy. Highlight unique aspects, relevant projects, or notable achievements.
+
+Original: {content}
+
+Creative education:`,
+    
+    concise: `Make this education information more concise while keeping all essential details. Focus on the most relevant aspects for the target role.
+
+Original: {content}
+
+Concise education:`
+  },
+  courses: {
+    professional: `Enhance this course description to be more professional. Highlight the skills and knowledge gained that matter to employers, and use industry-standard terminology. Keep it to one or two sentences.
+
+Original: {content}
+
+Enhanced course:`,
+
+    creative: `Rewrite this course description with more engaging language that shows curiosity and what was learned, while keeping it accurate and professional.
+
+Original: {content}
+
+Creative course:`,
+
+    concise: `Make this course description more concise. Keep only the key skills or topics covered, in one short sentence.
+
+Original: {content}
+
+Concise course:`
+  },
+
+  certifications: {
+    professional: `Enhance this certification description to be more professional and ATS-friendly. Name the competencies it validates and why they matter for the role. Never change the certification's name, issuer or dates.
+
+Original: {content}
+
+Enhanced certification:`,
+
+    creative: `Rewrite this certification description with more engaging language that shows commitment to professional growth, while keeping the name, issuer and dates exactly as they are.
+
+Original: {content}
+
+Creative certification:`,
+
+    concise: `Make this certification description more concise. Keep the name, issuer and dates, and at most one short phrase on what it validates.
+
+Original: {content}
+
+Concise certification:`
+  },
+
+  // Experience bullets are enhanced one result per bullet (see enhanceBullets)
+  experienceBullets: {
+    professional: `Rewrite each of these resume bullet points to be more professional and ATS-friendly, focused on results and impact. Start each with a strong action verb. Keep every fact accurate and never invent numbers that are not in the original.
+
+Bullets (JSON array):
+{bullets}
+
+Return only a JSON array of exactly {count} strings, one rewritten bullet per original bullet in the same order, with no markdown and no bullet characters.`,
+
+    creative: `Rewrite each of these resume bullet points to be more engaging and memorable while staying professional. Start each with a strong action verb. Keep every fact accurate and never invent numbers that are not in the original.
+
+Bullets (JSON array):
+{bullets}
+
+Return only a JSON array of exactly {count} strings, one rewritten bullet per original bullet in the same order, with no markdown and no bullet characters.`,
+
+    concise: `Rewrite each of these resume bullet points to be shorter and more direct, keeping only what matters most. Start each with a strong action verb. Keep every fact accurate and never invent numbers that are not in the original.
+
+Bullets (JSON array):
+{bullets}
+
+Return only a JSON array of exactly {count} strings, one rewritten bullet per original bullet in the same order, with no markdown and no bullet characters.`
+  },
+
+  // Tailoring a whole resume to a job description (see tailorResume); one style only
+  tailoring: {
+    professional: `You are tailoring a resume to a job description. Emphasise the experience and skills that match the job's requirements. Never invent employers, titles, dates, skills or numbers that are not in the resume.
+
+Job description:
+{jobDescription}
+
+Resume (JSON; each experience entry lists its bullets by index):
+{resume}
+
+Return only a JSON object, with no markdown, in this shape:
+{
+  "summary": "Rewritten professional summary (3-4 sentences) aimed at this job",
+  "skills": ["The resume's skills, reordered so the most relevant to the job come first"],
+  "bulletSuggestions": [
+    { "experienceIndex": 0, "bulletIndex": 0, "suggested": "Rewritten bullet", "reason": "Requirement it now emphasises" }
+  ],
+  "matchedRequirements": ["Job requirements the resume already meets"]
+}
+Only suggest edits for bullets that should change.`
+  },
+
+  // Cover letters (see generateCoverLetter); the style is the letter's tone
+  coverLetter: {
+    professional: `You are writing a cover letter for a {role} position at {company}, addressed to {hiringManager}. Base it only on the resume below: never invent employers, titles, dates, skills or numbers that are not in the resume or the job description.
+
+Tone: Professional and confident, in formal business English.
+Language: write the letter in {language}, the language of the resume.
+
+Job description:
+{jobDescription}
+
+Resume (JSON):
+{resume}
+
+Write three or four paragraphs separated by a blank line: why the applicant wants this role, the experience that fits it best, the skills the job asks for that the applicant has, and a short close. Return only the body of the letter, with no greeting, no sign-off, no placeholders and no markdown.`,
+
+    creative: `You are writing a cover letter for a {role} position at {company}, addressed to {hiringManager}. Base it only on the resume below: never invent employers, titles, dates, skills or numbers that are not in the resume or the job description.
+
+Tone: Warm and engaging, showing genuine enthusiasm while staying professional.
+Language: write the letter in {language}, the language of the resume.
+
+Job description:
+{jobDescription}
+
+Resume (JSON):
+{resume}
+
+Write three or four paragraphs separated by a blank line: why the applicant wants this role, the experience that fits it best, the skills the job asks for that the applicant has, and a short close. Return only the body of the letter, with no greeting, no sign-off, no placeholders and no markdown.`,
+
+    concise: `You are writing a cover letter for a {role} position at {company}, addressed to {hiringManager}. Base it only on the resume below: never invent employers, titles, dates, skills or numbers that are not in the resume or the job description.
+
+Tone: Brief and direct: three short paragraphs, under 200 words in total.
+Language: write the letter in {language}, the language of the resume.
+
+Job description:
+{jobDescription}
+
+Resume (JSON):
+{resume}
+
+Write three or four paragraphs separated by a blank line: why the applicant wants this role, the experience that fits it best, the skills the job asks for that the applicant has, and a short close. Return only the body of the letter, with no greeting, no sign-off, no placeholders and no markdown.`
+  },
+
+  // Translating resume fields (see translateResume); one style only
+  translation: {
+    professional: `Translate the fields of a resume from {sourceLanguage} to {targetLanguage}, as a native speaker would write a resume. Keep each field's meaning and roughly its length, and do not add or drop information. Keep names of people, companies, schools, products and technologies, email addresses, URLs and all numbers exactly as written.
+
+Fields (JSON object of field path to text):
+{segments}
+
+Return only a JSON object with the same keys and the translated text as values, with no markdown.`
+  },
+
+  // Extracting ATS keywords from a job description (see extractJobKeywords); one style only
+  keywords: {
+    professional: `List the skills, technologies, tools, certifications and domain terms an applicant tracking system would screen for in this job description. Use the wording of the job description and keep each keyword to one to three words.
+
+Job description:
+{jobDescription}
+
+Return only a JSON array of strings, with no markdown.`
+  }
+};
+
+const PROMPT_SECTIONS = Object.keys(DEFAULT_PROMPTS);
+const PROMPT_STYLES = ["professional", "creative", "concise"];
+
+// Placeholders of the sections that do not use {content}
+const PROMPT_PLACEHOLDERS = {
+  experienceBullets: ["bullets", "count"],
+  tailoring: ["jobDescription", "resume"],
+  coverLetter: ["company", "role", "hiringManager", "language", "jobDescription", "resume"],
+  translation: ["sourceLanguage", "targetLanguage", "segments"],
+  keywords: ["jobDescription"]
+};
+
+/**
+ * Placeholders a section's prompts must contain (and the only ones they may contain)
+ * @param {string} section - Prompt section
+ * @returns {Array} Placeholder names
+ */
+const getPlaceholders = (section) => PROMPT_PLACEHOLDERS[section] || ["content"];
+
+/**
+ * Styles a section has prompts for; sections that do not depend on the style only have "professional"
+ * @param {string} section - Prompt section
+ * @returns {Array} Style names
+ */
+const getStyles = (section) => (
+  DEFAULT_PROMPTS[section] ? PROMPT_STYLES.filter(style => DEFAULT_PROMPTS[section][style]) : PROMPT_STYLES
+);
+
+/**
+ * Check a template's placeholders against its section
+ * @param {string} section - Prompt section
+ * @param {string} template - Template text
+ * @returns {Object} { missing, unknown } - placeholder names
+ */
+const checkPlaceholders = (section, template) => {
+  const allowed = getPlaceholders(section);
+  const used = [...new Set([...String(template).matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+
+  return {
+    missing: allowed.filter(name => !used.includes(name)),
+    unknown: used.filter(name => !allowed.includes(name))
+  };
+};
+
+/**
+ * Fill a template's {placeholders}; unknown ones are left as they are
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} Prompt
+ */
+const renderPrompt = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+};
+
+let activePrompts = new Map(); // "section:style" -> active stored prompt
+let activeLoadedAt = 0;
+
+/**
+ * Active stored prompts, read from MongoDB at most every PROMPT_CACHE_TTL_MS
+ * Without a database connection only the built-in prompts are used.
+ * @returns {Promise<Map>} Active prompts by "section:style"
+ */
+const getActivePrompts = async () => {
+  if (mongoose.connection.readyState !== 1 || Date.now() - activeLoadedAt < PROMPT_CACHE_TTL_MS) {
+    return activePrompts;
+  }
+
+  activeLoadedAt = Date.now();
+  try {
+    const prompts = await Prompt.find({ isActive: true }).lean();
+    activePrompts = new Map(prompts.map(prompt => [`${prompt.section}:${prompt.style}`, prompt]));
+  } catch (error) {
+    console.error("❌ Failed to load prompts, keeping the current ones:", error.message);
+  }
+  return activePrompts;
+};
+
+/**
+ * Make the next prompt lookup read the active prompts again
+ */
+const invalidatePrompts = () => {
+  activeLoadedAt = 0;
+};
+
+/**
+ * Find the prompt to use for a section and style: the active stored version, or the built-in one
+ * Unknown sections fall back to "summary" and unknown styles to "professional"
+ * @param {string} section - Prompt section
+ * @param {string} style - Enhancement style
+ * @returns {Promise<Object>} { section, style, template, version }
+ */
+const resolvePrompt = async (section, style) => {
+  if (!PROMPT_SECTIONS.includes(section)) {
+    console.warn(`Unknown section: ${section}, using 'summary' as default`);
+    section = "summary";
+  }
+
+  if (!getStyles(section).includes(style)) {
+    console.warn(`Unknown enhancement type: ${style}, using 'professional' as default`);
+    style = "professional";
+  }
+
+  const stored = (await getActivePrompts()).get(`${section}:${style}`);
+  return stored
+    ? { section, style, template: stored.template, version: stored.version }
+    : { section, style, template: DEFAULT_PROMPTS[section][style], version: BUILT_IN_VERSION };
+};
+
+/**
+ * Describe a built-in prompt the way stored ones are listed
+ * @param {string} section - Prompt section
+ * @param {string} style - Enhancement style
+ * @param {boolean} isActive - Whether no stored version replaces it
+ * @returns {Object} Prompt listing
+ */
+const builtInPrompt = (section, style, isActive) => ({
+  _id: null,
+  section,
+  style,
+  version: BUILT_IN_VERSION,
+  template: DEFAULT_PROMPTS[section][style],
+  isActive,
+  builtIn: true,
+  notes: "Built-in prompt"
+});
+
+/**
+ * List every version of the prompts, built-in ones included, newest first per section and style
+ * @param {Object} filter - { section, style } (both optional)
+ * @returns {Promise<Array>} Prompts
+ */
+const listPrompts = async ({ section, style } = {}) => {
+  const query = {};
+  if (section) query.section = section;
+  if (style) query.style = style;
+
+  const stored = await Prompt.find(query).sort({ section: 1, style: 1, version: -1 }).lean();
+  const prompts = [];
+
+  PROMPT_SECTIONS.filter(name => !section || name === section).forEach(name => {
+    getStyles(name).filter(type => !style || type === style).forEach(type => {
+      const versions = stored.filter(prompt => prompt.section === name && prompt.style === type);
+      prompts.push(
+        ...versions.map(prompt => ({ ...prompt, builtIn: false })),
+        builtInPrompt(name, type, !versions.some(prompt => prompt.isActive))
+      );
+    });
+  });
+
+  return prompts;
+};
+
+/**
+ * Store a new version of a prompt
+ * @param {Object} data - { section, style, template, notes, activate, createdBy }
+ * @returns {Promise<Object>} The new prompt
+ */
+const createPromptVersion = async ({ section, style, template, notes = "", activate = true, createdBy = null }) => {
+  const latest = await Prompt.findOne({ section, style }).sort({ version: -1 });
+
+  const prompt = new Prompt({
+    section,
+    style,
+    template,
+    notes,
+    createdBy,
+    version: Math.max(latest?.version || BUILT_IN_VERSION, BUILT_IN_VERSION) + 1,
+    isActive: false
+  });
+  await prompt.save();
+
+  return activate ? activatePrompt(prompt) : prompt;
+};
+
+/**
+ * Make a stored prompt the active version for its section and style
+ * @param {Object} prompt - Prompt document
+ * @returns {Promise<Object>} The activated prompt
+ */
+const activatePrompt = async (prompt) => {
+  await Prompt.updateMany(
+    { section: prompt.section, style: prompt.style, _id: { $ne: prompt._id }, isActive: true },
+    { $set: { isActive: false } }
+  );
+  prompt.isActive = true;
+  await prompt.save();
+
+  invalidatePrompts();
+  console.log(`📝 Prompt ${prompt.section}/${prompt.style} v${prompt.version} is now active`);
+  return prompt;
+};
+
+/**
+ * Go back to the built-in prompt for a section and style
+ * @param {Object} prompt - The active prompt document
+ * @returns {Promise<Object>} The deactivated prompt
+ */
+const deactivatePrompt = async (prompt) => {
+  prompt.isActive = false;
+  await prompt.save();
+
+  invalidatePrompts();
+  console.log(`📝 Prompt ${prompt.section}/${prompt.style} is back to the built-in version`);
+  return prompt;
+};
+
+/**
+ * How each prompt version's accepted enhancements fared, to compare prompt quality over time
+ * @param {Object} filter - { section, style } (both optional)
+ * @returns {Promise<Array>} { section, style, promptVersion, accepted, reverted, revertRate }
+ */
+const getPromptStats = async ({ section, style } = {}) => {
+  const match = { "enhancementHistory.promptVersion": { $ne: null } };
+  if (section) match["enhancementHistory.section"] = section;
+  if (style) match["enhancementHistory.enhancementType"] = style;
+
+  const groups = await Resume.aggregate([
+    { $unwind: "$enhancementHistory" },
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          section: "$enhancementHistory.section",
+          style: "$enhancementHistory.enhancementType",
+          promptVersion: "$enhancementHistory.promptVersion"
+        },
+        accepted: { $sum: 1 },
+        reverted: { $sum: { $cond: [{ $ifNull: ["$enhancementHistory.revertedAt", false] }, 1, 0] } }
+      }
+    },
+    { $sort: { "_id.section": 1, "_id.style": 1, "_id.promptVersion": -1 } }
+  ]);
+
+  return groups.map(({ _id, accepted, reverted }) => ({
+    ..._id,
+    accepted,
+    reverted,
+    revertRate: Math.round((reverted / accepted) * 100) / 100
+  }));
+};
+
+module.exports = {
+  BUILT_IN_VERSION,
+  PROMPT_SECTIONS,
+  PROMPT_STYLES,
+  getPlaceholders,
+  getStyles,
+  checkPlaceholders,
+  renderPrompt,
+  resolvePrompt,
+  listPrompts,
+  createPromptVersion,
+  activatePrompt,
+  deactivatePrompt,
+  getPromptStats
+};
\ No newline at end of file
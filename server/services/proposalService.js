@@ -0,0 +1,357 @@
+/**
+ * AI enhancement proposals: old/new pairs keyed by the path of the field they would change
+ * ("summary", "experience[0].accomplishment[2]", "projects[1].description", "skills").
+ * Nothing is written to a resume until a proposal is accepted.
+ */
+
+const { isDeepStrictEqual } = require("util");
+const mongoose = require("mongoose");
+const { enhanceContent, enhanceBullets, waitForRateLimit } = require("./aiService");
+
+// Sections enhanced when none are listed
+const DEFAULT_PROPOSAL_SECTIONS = ["summary", "experience", "achievements", "projects"];
+
+// Field enhanced on each item of a list section
+const ITEM_FIELDS = {
+  achievements: "describe",
+  projects: "description"
+};
+
+// "section", "section[1]", "section[1].field" or "section[1].field[2]"
+const PATH_PATTERN = /^[a-zA-Z]+(?:\[\d+\](?:\.[a-zA-Z]+(?:\[\d+\])?)?)?$/;
+
+/**
+ * Check whether a string is a valid field path
+ * @param {string} path - Field path
+ * @returns {boolean} True if the path can be resolved
+ */
+const isValidPath = (path) => typeof path === "string" && PATH_PATTERN.test(path);
+
+/**
+ * Split a path into property names and array indexes
+ * @param {string} path - Field path ("experience[0].accomplishment[2]")
+ * @returns {Array} Keys (["experience", 0, "accomplishment", 2])
+ */
+const parsePath = (path) => {
+  if (!isValidPath(path)) {
+    throw new Error(`Invalid path: ${path}`);
+  }
+  return path.match(/[a-zA-Z]+|\d+/g).map(key => (/^\d+$/.test(key) ? parseInt(key) : key));
+};
+
+/**
+ * Read the value at a path
+ * @param {Object} data - Plain resume data
+ * @param {string} path - Field path
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+const getAtPath = (data, path) => {
+  return parsePath(path).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+};
+
+/**
+ * Write a value at a path
+ * @param {Object} data - Plain resume data (modified in place)
+ * @param {string} path - Field path
+ * @param {*} value - New value
+ */
+const setAtPath = (data, path, value) => {
+  const keys = parsePath(path);
+  const parent = keys.slice(0, -1).reduce((current, key) => current?.[key], data);
+
+  if (parent === null || parent === undefined) {
+    throw new Error(`Nothing at ${path}`);
+  }
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Build a proposal
+ * @param {string} section - Resume section
+ * @param {string} path - Field the proposal would change
+ * @param {*} original - Current value
+ * @param {*} proposed - Proposed value
+ * @param {string} enhancementType - Enhancement style
+ * @param {Object} source - { promptSection, promptVersion, fallbackReason } - the library prompt used (promptSection
+ * defaults to section), or why the rule-based fallback was used instead
+ * @returns {Object} Proposal
+ */
+const createProposal = (section, path, original, proposed, enhancementType, source = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  section,
+  path,
+  original,
+  proposed,
+  enhancementType,
+  promptSection: source.promptVersion ? source.promptSection || section : null,
+  promptVersion: source.promptVersion || null,
+  fallbackReason: source.fallbackReason || null,
+  createdAt: new Date()
+});
+
+/**
+ * Check whether an AI result is worth proposing
+ * @param {*} original - Current value
+ * @param {*} proposed - AI result
+ * @returns {boolean} True if the result differs from the original
+ */
+const hasChanged = (original, proposed) => {
+  if (typeof original === "string") {
+    return typeof proposed === "string" && proposed.trim() !== "" && proposed.trim() !== original.trim();
+  }
+  return !isDeepStrictEqual(original, proposed);
+};
+
+/**
+ * Ask the AI for proposals for one section
+ * @param {Object} resumeData - Plain resume data
+ * @param {string} section - Section to enhance
+ * @param {string} enhancementType - Enhancement style
+ * @param {Object} options - { signal, bypassCache, onUsage } - stops between AI requests once aborted, ask the
+ * AI again instead of reusing cached responses, usage callback for each provider call
+ * @returns {Promise<Array>} Proposals
+ */
+const proposeSection = async (resumeData, section, enhancementType, { signal, bypassCache, onUsage } = {}) => {
+  const aiOptions = { bypassCache, onUsage };
+  const propose = (path, original, proposed, source) =>
+    hasChanged(original, proposed) ? [createProposal(section, path, original, proposed, enhancementType, source)] : [];
+  // Where an enhanceContent result came from
+  const sourceOf = (enhanced) => ({ promptVersion: enhanced.promptVersion, fallbackReason: enhanced.fallbackReason });
+
+  if (section === "experience") {
+    const proposals = [];
+
+    for (const [expIndex, exp] of (resumeData.experience || []).entries()) {
+      const accomplishments = exp.accomplishment || [];
+      const indexes = accomplishments.map((_, index) => index).filter(index => String(accomplishments[index] || "").trim());
+      if (indexes.length === 0) continue;
+      signal?.throwIfAborted();
+
+      // One AI result per bullet, so bullets are never merged or split
+      const enhanced = await enhanceBullets(indexes.map(index => accomplishments[index].trim()), enhancementType, aiOptions);
+      indexes.forEach((accIndex, i) => {
+        const fallbackReason = enhanced.fallbackReasons[i];
+        proposals.push(...propose(`experience[${expIndex}].accomplishment[${accIndex}]`, accomplishments[accIndex], enhanced.bullets[i], {
+          promptSection: "experienceBullets",
+          promptVersion: fallbackReason ? null : enhanced.promptVersion,
+          fallbackReason
+        }));
+      });
+    }
+    return proposals;
+  }
+
+  if (ITEM_FIELDS[section]) {
+    const field = ITEM_FIELDS[section];
+    const proposals = [];
+
+    for (const [index, item] of (resumeData[section] || []).entries()) {
+      if (item[field] && item[field].trim()) {
+        signal?.throwIfAborted();
+        const enhanced = await enhanceContent(section, item[field], enhancementType, aiOptions);
+        proposals.push(...propose(`${section}[${index}].${field}`, item[field], enhanced.content, sourceOf(enhanced)));
+      }
+    }
+    return proposals;
+  }
+
+  if (section === "skills") {
+    const skills = resumeData.skills || [];
+    if (skills.length === 0) return [];
+
+    const enhanced = await enhanceContent("skills", skills.join(", "), enhancementType, aiOptions);
+    const enhancedSkills = [...new Set(enhanced.content
+      .split(/[,\n]/)
+      .map(skill => skill.replace(/^[\s•*-]+/, "").trim())
+      .filter(skill => skill && skill.length <= 50))];
+
+    return enhancedSkills.length > 0 ? propose("skills", skills, enhancedSkills, sourceOf(enhanced)) : [];
+  }
+
+  if (typeof resumeData[section] === "string" && resumeData[section].trim()) {
+    const enhanced = await enhanceContent(section, resumeData[section], enhancementType, aiOptions);
+    return propose(section, resumeData[section], enhanced.content, sourceOf(enhanced));
+  }
+
+  return [];
+};
+
+/**
+ * Ask the AI for proposals for the listed sections of a resume
+ * @param {Object} resumeData - Plain resume data
+ * @param {Array} sections - Sections to enhance (default: summary, experience, achievements, projects)
+ * @param {string} enhancementType - Enhancement style (default: professional)
+ * @param {Object} options - { signal, onProgress(completed, total, section) } called before each section,
+ * bypassCache to ask the AI again instead of reusing cached responses, onUsage for each provider call
+ * @returns {Promise<Object>} { proposals, results } - results maps each section to a short status
+ */
+const buildProposals = async (resumeData, sections = DEFAULT_PROPOSAL_SECTIONS, enhancementType = "professional", options = {}) => {
+  const { signal, onProgress, bypassCache, onUsage } = options;
+  const proposals = [];
+  const results = {};
+
+  for (const [index, section] of sections.entries()) {
+    if (onProgress) await onProgress(index, sections.length, section);
+    signal?.throwIfAborted();
+
+    try {
+      const sectionProposals = await proposeSection(resumeData, section, enhancementType, { signal, bypassCache, onUsage });
+      proposals.push(...sectionProposals);
+      results[section] = sectionProposals.length > 0 ? `${sectionProposals.length} proposed` : "No changes";
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Error enhancing ${section}:`, error.message);
+      results[section] = `Error: ${error.message}`;
+    }
+
+    // Add small delay to avoid API rate limits
+    if (index < sections.length - 1) {
+      await waitForRateLimit();
+    }
+  }
+
+  return { proposals, results };
+};
+
+/**
+ * Queue proposals on a resume, replacing pending ones for the same fields
+ * @param {Object} resume - Resume document
+ * @param {Array} proposals - New proposals
+ */
+const addProposals = (resume, proposals) => {
+  const paths = new Set(proposals.map(proposal => proposal.path));
+  resume.proposals = [
+    ...resume.proposals.filter(proposal => !paths.has(proposal.path)),
+    ...proposals
+  ];
+};
+
+/**
+ * Accept and reject pending proposals on a resume
+ * Accepted proposals are written to their field and logged in enhancementHistory. A proposal whose
+ * field has changed since it was made is stale: it is dropped without being applied.
+ * Every reviewed proposal leaves the queue.
+ * @param {Object} resume - Resume document (modified, not saved)
+ * @param {Object} review - { accept, reject } - proposal ids
+ * @returns {Object} { applied, rejected, stale, notFound } - proposal ids
+ */
+const reviewProposals = (resume, { accept = [], reject = [] } = {}) => {
+  const data = resume.toObject({ virtuals: false });
+  const outcome = { applied: [], rejected: [], stale: [], notFound: [] };
+  const reviewed = new Set();
+  const changedSections = new Set();
+
+  const findProposal = (id) => resume.proposals.find(proposal => proposal._id.toString() === String(id));
+
+  accept.forEach(id => {
+    const proposal = findProposal(id);
+    if (!proposal) {
+      outcome.notFound.push(String(id));
+      return;
+    }
+    reviewed.add(proposal._id.toString());
+
+    if (!isDeepStrictEqual(getAtPath(data, proposal.path), proposal.original)) {
+      outcome.stale.push(proposal._id.toString());
+      return;
+    }
+
+    setAtPath(data, proposal.path, proposal.proposed);
+    changedSections.add(parsePath(proposal.path)[0]);
+    resume.enhancementHistory.push({
+      section: proposal.section,
+      path: proposal.path,
+      originalContent: proposal.original,
+      enhancedContent: proposal.proposed,
+      enhancementType: proposal.enhancementType,
+      promptSection: proposal.promptSection,
+      promptVersion: proposal.promptVersion,
+      enhancedAt: new Date()
+    });
+    outcome.applied.push(proposal._id.toString());
+  });
+
+  reject.forEach(id => {
+    const proposal = findProposal(id);
+    if (!proposal) {
+      outcome.notFound.push(String(id));
+      return;
+    }
+    if (reviewed.has(proposal._id.toString())) return;
+
+    reviewed.add(proposal._id.toString());
+    outcome.rejected.push(proposal._id.toString());
+  });
+
+  changedSections.forEach(section => {
+    resume[section] = data[section];
+  });
+  resume.proposals = resume.proposals.filter(proposal => !reviewed.has(proposal._id.toString()));
+
+  return outcome;
+};
+
+/**
+ * Check whether a field value can be compared with and restored from the history
+ * @param {*} value - Field value
+ * @returns {boolean} True for strings and string lists (skills)
+ */
+const isTextValue = (value) => typeof value === "string" ||
+  (Array.isArray(value) && value.every(item => typeof item === "string"));
+
+/**
+ * Read a history entry's content as a value of the field's type
+ * Entries recorded before lists were stored as lists hold them as ", "-joined text.
+ * @param {*} content - originalContent or enhancedContent
+ * @param {*} current - Current field value
+ * @returns {*} String, or string array for list fields
+ */
+const asFieldValue = (content, current) => {
+  if (Array.isArray(current) && typeof content === "string") {
+    return content.split(",").map(item => item.trim()).filter(Boolean);
+  }
+  return content ?? "";
+};
+
+/**
+ * Undo an enhancement from the history by writing its original content back to the field
+ * The field must still hold the enhanced content, so edits made since are not lost unless force is set.
+ * Entries recorded before paths existed fall back to their section, which only works for text sections.
+ * @param {Object} resume - Resume document (modified, not saved)
+ * @param {Object} entry - enhancementHistory entry
+ * @param {Object} options - { force } revert even if the field was changed since
+ * @returns {Object} { status, path, currentContent } - status is "reverted", "changed" or "unsupported"
+ */
+const revertHistoryEntry = (resume, entry, { force = false } = {}) => {
+  const path = entry.path || entry.section;
+  const data = resume.toObject({ virtuals: false });
+  const current = isValidPath(path) ? getAtPath(data, path) : undefined;
+
+  if (!isTextValue(current)) {
+    return { status: "unsupported", path };
+  }
+
+  if (!isDeepStrictEqual(current, asFieldValue(entry.enhancedContent, current)) && !force) {
+    return { status: "changed", path, currentContent: current };
+  }
+
+  setAtPath(data, path, asFieldValue(entry.originalContent, current));
+
+  const section = parsePath(path)[0];
+  resume[section] = data[section];
+  entry.revertedAt = new Date();
+
+  return { status: "reverted", path, currentContent: current };
+};
+
+module.exports = {
+  DEFAULT_PROPOSAL_SECTIONS,
+  isValidPath,
+  getAtPath,
+  setAtPath,
+  createProposal,
+  buildProposals,
+  addProposals,
+  reviewProposals,
+  revertHistoryEntry
+};
\ No newline at end of file
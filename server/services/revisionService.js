@@ -0,0 +1,253 @@
+const Resume = require("../models/Resume");
+const ResumeRevision = require("../models/ResumeRevision");
+const { applyTextDateEdits } = require("./dateService");
+
+/**
+ * Resume fields captured in every revision snapshot
+ */
+const RESUME_CONTENT_FIELDS = [
+  "name", "role", "phone", "email", "linkedin", "location", "summary",
+  "experience", "education", "achievements", "skills", "languages",
+  "projects", "courses", "certifications", "hobbies", "template", "locale"
+];
+
+/**
+ * Fields managed by the server that clients must not overwrite on save
+ */
+const READ_ONLY_FIELDS = [
+  "_id", "id", "__v", "userId", "version", "enhancementHistory",
+  "shareToken", "createdAt", "updatedAt", "lastModified", "displayName", "completeness",
+  "tailoredFrom", "tailoring", "translatedFrom", "translation", "proposals"
+];
+
+/**
+ * Remove Mongo subdocument ids so snapshots compare by content only
+ * @param {*} value - Value to clean
+ * @returns {*} Value without _id keys
+ */
+const stripIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const cleaned = {};
+    Object.keys(value).forEach(key => {
+      if (key !== "_id" && key !== "id") {
+        cleaned[key] = stripIds(value[key]);
+      }
+    });
+    return cleaned;
+  }
+
+  return value;
+};
+
+/**
+ * Build a content snapshot of a resume document
+ * @param {Object} resume - Resume document or plain object
+ * @returns {Object} Snapshot of the resume content fields
+ */
+const buildSnapshot = (resume) => {
+  const data = typeof resume.toObject === "function" ? resume.toObject() : resume;
+  const snapshot = {};
+
+  RESUME_CONTENT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      snapshot[field] = stripIds(data[field]);
+    }
+  });
+
+  return snapshot;
+};
+
+/**
+ * Store the current state of a resume as an immutable revision
+ * @param {Object} resume - Resume document
+ * @param {string} source - What produced this version (create, save, enhance, restore, upload, duplicate, tailor,
+ * revert, translate)
+ * @param {Object} options - Optional userId and restoredFrom version
+ * @returns {Promise<Object>} Created revision; rejects if it could not be stored
+ */
+const recordRevision = async (resume, source = "save", options = {}) => {
+  const revision = new ResumeRevision({
+    resumeId: resume._id,
+    version: resume.version,
+    snapshot: buildSnapshot(resume),
+    source,
+    restoredFrom: options.restoredFrom || null,
+    userId: options.userId || resume.userId
+  });
+
+  return revision.save();
+};
+
+/**
+ * Save a resume together with the revision of its new version. The revision is written first, so a
+ * version is never stored without its history entry; if the resume write then fails, the revision is
+ * removed again and the error is passed on. The unique (resumeId, version) index also makes a concurrent
+ * save of the same version fail here with a duplicate key error (see isVersionConflict).
+ * @param {Object} resume - Resume document with its version already set
+ * @param {string} source - What produced this version (see recordRevision)
+ * @param {Object} options - Optional userId and restoredFrom version
+ * @returns {Promise<Object>} Saved resume
+ */
+const saveWithRevision = async (resume, source = "save", options = {}) => {
+  // Validation also syncs structured dates, so the snapshot matches what is saved
+  await resume.validate();
+  const revision = await recordRevision(resume, source, options);
+
+  try {
+    return await resume.save();
+  } catch (error) {
+    await ResumeRevision.deleteOne({ _id: revision._id }).catch(cleanupError => {
+      console.error(`Failed to remove revision ${revision.version} of resume ${resume._id}:`, cleanupError.message);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Whether a save failed because another save stored the same version first
+ * @param {Error} error - Error thrown by saveWithRevision
+ * @returns {boolean} True for a stale version
+ */
+const isVersionConflict = (error) => {
+  return error.name === "DocumentNotFoundError" || error.code === 11000;
+};
+
+/**
+ * Apply a client's edits to a saved resume as its next version, with a revision
+ * Read-only fields are ignored. The edits must be based on expectedVersion (when given), and the write
+ * only happens if nobody saved in between the version check and now.
+ * @param {Object} resume - Saved resume document
+ * @param {Object} updateData - Resume fields sent by the client
+ * @param {Object} options - { expectedVersion, source, userId }
+ * @returns {Promise<Object>} { status, resume } - status is "saved", "conflict" (resume is the stored copy)
+ * or "missing" (the resume was deleted meanwhile)
+ */
+const applyClientUpdate = async (resume, updateData, { expectedVersion, source = "save", userId } = {}) => {
+  // Reject stale saves: the client must be editing the version currently stored
+  if (expectedVersion !== undefined && resume.version !== expectedVersion) {
+    return { status: "conflict", resume };
+  }
+
+  applyTextDateEdits(resume.toObject({ virtuals: false }), updateData);
+  Object.keys(updateData).forEach(key => {
+    if (updateData[key] !== undefined && !READ_ONLY_FIELDS.includes(key)) {
+      resume[key] = updateData[key];
+    }
+  });
+
+  resume.$where = { version: resume.version };
+  resume.version += 1;
+  resume.lastModified = new Date();
+
+  try {
+    return { status: "saved", resume: await saveWithRevision(resume, source, { userId }) };
+  } catch (error) {
+    if (!isVersionConflict(error)) throw error;
+
+    const latest = await Resume.findById(resume._id);
+    return latest ? { status: "conflict", resume: latest } : { status: "missing", resume: null };
+  }
+};
+
+/**
+ * Compare two values by content
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize identically
+ */
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff an array section item by item (matched by position)
+ * @param {Array} fromItems - Items in the older revision
+ * @param {Array} toItems - Items in the newer revision
+ * @returns {Array} Changed items with their index and status
+ */
+const diffItems = (fromItems = [], toItems = []) => {
+  const changes = [];
+  const length = Math.max(fromItems.length, toItems.length);
+
+  for (let index = 0; index < length; index++) {
+    const before = fromItems[index];
+    const after = toItems[index];
+
+    if (before === undefined) {
+      changes.push({ index, status: "added", to: after });
+    } else if (after === undefined) {
+      changes.push({ index, status: "removed", from: before });
+    } else if (!isEqual(before, after)) {
+      changes.push({ index, status: "modified", from: before, to: after });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Compute a section-level diff between two snapshots
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Object} Per-section status, plus item changes for list sections
+ */
+const diffSnapshots = (fromSnapshot = {}, toSnapshot = {}) => {
+  const sections = {};
+  const changedSections = [];
+
+  RESUME_CONTENT_FIELDS.forEach(field => {
+    const before = fromSnapshot[field];
+    const after = toSnapshot[field];
+    const isEmpty = (value) => value === undefined || value === null || value === "" ||
+      (Array.isArray(value) && value.length === 0);
+
+    let status = "unchanged";
+    if (isEmpty(before) && !isEmpty(after)) {
+      status = "added";
+    } else if (!isEmpty(before) && isEmpty(after)) {
+      status = "removed";
+    } else if (!isEqual(before, after)) {
+      status = "modified";
+    }
+
+    const entry = { status };
+
+    if (status !== "unchanged") {
+      changedSections.push(field);
+
+      if (Array.isArray(before) || Array.isArray(after)) {
+        entry.changes = diffItems(before || [], after || []);
+      } else {
+        entry.from = before === undefined ? null : before;
+        entry.to = after === undefined ? null : after;
+      }
+    }
+
+    sections[field] = entry;
+  });
+
+  return { changedSections, sections };
+};
+
+/**
+ * Remove all revisions belonging to a resume
+ * @param {string} resumeId - Resume ID
+ * @returns {Promise<number>} Number of deleted revisions
+ */
+const deleteRevisions = async (resumeId) => {
+  const result = await ResumeRevision.deleteMany({ resumeId });
+  return result.deletedCount || 0;
+};
+
+module.exports = {
+  RESUME_CONTENT_FIELDS,
+  READ_ONLY_FIELDS,
+  buildSnapshot,
+  saveWithRevision,
+  isVersionConflict,
+  applyClientUpdate,
+  diffSnapshots,
+  deleteRevisions
+};
\ No newline at end of file
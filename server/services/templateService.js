@@ -0,0 +1,315 @@
+const ejs = require("ejs");
+const path = require("path");
+const fs = require("fs");
+const { localizeDates, formatLetterDate } = require("./dateService");
+const { getLanguage, getTextDirection, getSectionLabel, getLetterLabels } = require("./localeService");
+
+// Directory holding one sub-directory per template pack
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, "..", "templates");
+
+// Resume sections a template may render; contact fields (name, role, phone, email,
+// linkedin, location) are part of every layout
+const RESUME_SECTIONS = [
+  "summary", "experience", "education", "skills", "achievements", "projects",
+  "languages", "certifications", "courses", "hobbies"
+];
+
+// Page sizes Puppeteer can print
+const PAGE_SIZES = ["Letter", "Legal", "Tabloid", "Ledger", "A0", "A1", "A2", "A3", "A4", "A5", "A6"];
+
+const DEFAULT_TEMPLATE = "modern";
+
+let templatePacks = null;
+
+/**
+ * Validate a template pack manifest
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {string} dirName - Pack directory name
+ * @returns {Array} Validation errors (empty if valid)
+ */
+const validateManifest = (manifest, dirName) => {
+  const errors = [];
+
+  if (!manifest.id || typeof manifest.id !== "string") {
+    errors.push("id is required");
+  } else if (manifest.id !== dirName) {
+    errors.push(`id "${manifest.id}" must match the directory name`);
+  }
+
+  if (!manifest.name || typeof manifest.name !== "string") {
+    errors.push("name is required");
+  }
+
+  if (!Array.isArray(manifest.sections)) {
+    errors.push("sections must be an array");
+  } else {
+    const unknown = manifest.sections.filter(section => !RESUME_SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      errors.push(`unknown sections: ${unknown.join(", ")}`);
+    }
+  }
+
+  if (manifest.pageSize && !PAGE_SIZES.includes(manifest.pageSize)) {
+    errors.push(`pageSize must be one of ${PAGE_SIZES.join(", ")}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Load a single template pack (manifest.json, template.ejs, optional style.css and cover-letter.ejs)
+ * @param {string} packDir - Pack directory
+ * @returns {Object} Loaded pack with compiled render functions (renderCoverLetter is null without a cover letter)
+ */
+const loadTemplatePack = (packDir) => {
+  const dirName = path.basename(packDir);
+  const manifest = JSON.parse(fs.readFileSync(path.join(packDir, "manifest.json"), "utf8"));
+
+  const errors = validateManifest(manifest, dirName);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  const templatePath = path.join(packDir, "template.ejs");
+  const stylePath = path.join(packDir, "style.css");
+  const coverLetterPath = path.join(packDir, "cover-letter.ejs");
+
+  const render = ejs.compile(fs.readFileSync(templatePath, "utf8"), { filename: templatePath });
+  const css = fs.existsSync(stylePath) ? fs.readFileSync(stylePath, "utf8") : "";
+  const renderCoverLetter = fs.existsSync(coverLetterPath)
+    ? ejs.compile(fs.readFileSync(coverLetterPath, "utf8"), { filename: coverLetterPath })
+    : null;
+
+  return {
+    id: manifest.id,
+    name: manifest.name,
+    description: manifest.description || "",
+    preview: manifest.preview || null,
+    pageSize: manifest.pageSize || "A4",
+    isDefault: manifest.isDefault === true,
+    sections: manifest.sections,
+    docx: manifest.docx || {},
+    css,
+    render,
+    renderCoverLetter
+  };
+};
+
+/**
+ * Discover and compile every template pack in the templates directory
+ * Invalid packs are skipped with a warning
+ * @param {string} templatesDir - Directory to scan (default: server/templates)
+ * @returns {Array} Loaded template packs
+ */
+const loadTemplatePacks = (templatesDir = TEMPLATES_DIR) => {
+  const packs = new Map();
+
+  const entries = fs.existsSync(templatesDir)
+    ? fs.readdirSync(templatesDir, { withFileTypes: true }).filter(entry => entry.isDirectory())
+    : [];
+
+  entries.forEach(entry => {
+    try {
+      const pack = loadTemplatePack(path.join(templatesDir, entry.name));
+      packs.set(pack.id, pack);
+    } catch (error) {
+      console.warn(`⚠️ Skipping template pack "${entry.name}":`, error.message);
+    }
+  });
+
+  if (packs.size === 0) {
+    throw new Error(`No valid template packs found in ${templatesDir}`);
+  }
+
+  templatePacks = packs;
+  console.log(`🎨 Loaded ${packs.size} resume templates: ${[...packs.keys()].join(", ")}`);
+
+  return [...packs.values()];
+};
+
+/**
+ * Get loaded template packs, loading them on first use
+ * @returns {Map} Template packs keyed by id
+ */
+const getTemplatePacks = () => {
+  if (!templatePacks) {
+    loadTemplatePacks();
+  }
+  return templatePacks;
+};
+
+/**
+ * Get the id of the default template
+ * @returns {string} Template ID
+ */
+const getDefaultTemplateId = () => {
+  const packs = getTemplatePacks();
+  const flagged = [...packs.values()].find(pack => pack.isDefault);
+
+  if (flagged) return flagged.id;
+  return packs.has(DEFAULT_TEMPLATE) ? DEFAULT_TEMPLATE : packs.keys().next().value;
+};
+
+/**
+ * Check whether a template id is available
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if a pack with this id is loaded
+ */
+const hasTemplate = (templateId) => {
+  return getTemplatePacks().has(templateId);
+};
+
+/**
+ * Look up a template by id
+ * @param {string} templateId - Template ID
+ * @returns {Object} Template pack (the default template if the id is unknown)
+ */
+const getTemplate = (templateId) => {
+  const packs = getTemplatePacks();
+  return packs.get(templateId) || packs.get(getDefaultTemplateId());
+};
+
+/**
+ * List template metadata for clients
+ * @returns {Array} Template manifests without render internals
+ */
+const listTemplates = () => {
+  const defaultId = getDefaultTemplateId();
+
+  return [...getTemplatePacks().values()].map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    preview: pack.preview,
+    pageSize: pack.pageSize,
+    isDefault: pack.id === defaultId,
+    sections: pack.sections,
+    coverLetter: pack.renderCoverLetter !== null
+  }));
+};
+
+/**
+ * Locals that let a layout follow the document's language
+ * @param {string} locale - BCP 47 locale
+ * @returns {Object} { lang, dir, label(section, english) } - label translates the template's English heading
+ */
+const languageLocals = (locale) => ({
+  lang: getLanguage(locale),
+  dir: getTextDirection(locale),
+  label: (section, english) => getSectionLabel(section, locale, english)
+});
+
+/**
+ * Render resume HTML with a template, keeping only the sections it supports
+ * Dated entries arrive sorted most recent first, with date/duration formatted for the locale
+ * @param {Object} resumeData - Resume document or plain object
+ * @param {string} templateId - Template ID
+ * @param {Object} options - locale for dates, headings and text direction (default: the resume's locale)
+ * @returns {string} HTML document
+ */
+const renderTemplate = (resumeData, templateId, options = {}) => {
+  const template = getTemplate(templateId);
+  const plain = typeof resumeData.toObject === "function" ? resumeData.toObject() : resumeData;
+  const locale = options.locale || plain.locale;
+  const data = localizeDates(plain, locale);
+
+  const locals = {
+    ...languageLocals(locale),
+    name: data.name || "Your Name",
+    role: data.role || "Your Role",
+    phone: data.phone || "",
+    email: data.email || "",
+    linkedin: data.linkedin || "",
+    location: data.location || "",
+    css: template.css
+  };
+
+  RESUME_SECTIONS.forEach(section => {
+    const supported = template.sections.includes(section);
+
+    if (section === "summary") {
+      locals.summary = supported ? data.summary || "" : "";
+    } else {
+      locals[section] = supported && Array.isArray(data[section]) ? data[section] : [];
+    }
+  });
+
+  return template.render(locals);
+};
+
+/**
+ * Look up the template a cover letter is rendered with
+ * @param {string} templateId - Template ID
+ * @returns {Object} Template pack (the default template if this one has no cover letter)
+ */
+const getCoverLetterTemplate = (templateId) => {
+  const template = getTemplate(templateId);
+  if (template.renderCoverLetter) return template;
+
+  const fallback = getTemplate(getDefaultTemplateId());
+  if (!fallback.renderCoverLetter) {
+    throw new Error(`Template "${template.id}" has no cover letter`);
+  }
+  return fallback;
+};
+
+/**
+ * The parts of a cover letter in reading order, with defaults in the locale's language for what the user left empty
+ * @param {Object} coverLetter - CoverLetter document or plain object
+ * @param {Object} options - locale for the date and wording (default: en-US)
+ * @returns {Object} { date, hiringManager, company, subject, role, greeting, paragraphs, closing }
+ */
+const buildLetter = (coverLetter, options = {}) => {
+  const hiringManager = coverLetter.hiringManager || "";
+  const labels = getLetterLabels(options.locale);
+
+  return {
+    date: formatLetterDate(new Date(), options.locale),
+    hiringManager,
+    company: coverLetter.company || "",
+    subject: labels.subject,
+    role: coverLetter.role || "",
+    greeting: coverLetter.greeting ||
+      (hiringManager ? labels.greeting.replace("{name}", hiringManager) : labels.anonymousGreeting),
+    paragraphs: (coverLetter.body || "").split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean),
+    closing: coverLetter.closing || labels.closing
+  };
+};
+
+/**
+ * Render cover letter HTML with a template, under the same header as the resume
+ * @param {Object} coverLetter - CoverLetter document or plain object
+ * @param {Object} resumeData - Resume the letter was written from (name and contact details)
+ * @param {string} templateId - Template ID
+ * @param {Object} options - locale for the date, wording and text direction (default: the resume's locale)
+ * @returns {string} HTML document
+ */
+const renderCoverLetter = (coverLetter, resumeData, templateId, options = {}) => {
+  const template = getCoverLetterTemplate(templateId);
+  const locale = options.locale || resumeData.locale;
+
+  return template.renderCoverLetter({
+    ...languageLocals(locale),
+    name: resumeData.name || "Your Name",
+    role: resumeData.role || "Your Role",
+    phone: resumeData.phone || "",
+    email: resumeData.email || "",
+    linkedin: resumeData.linkedin || "",
+    location: resumeData.location || "",
+    css: template.css,
+    letter: buildLetter(coverLetter, { ...options, locale })
+  });
+};
+
+module.exports = {
+  RESUME_SECTIONS,
+  loadTemplatePacks,
+  hasTemplate,
+  getTemplate,
+  getDefaultTemplateId,
+  listTemplates,
+  renderTemplate,
+  getCoverLetterTemplate,
+  buildLetter,
+  renderCoverLetter
+};
\ No newline at end of file
@@ -0,0 +1,220 @@
+const { SECTION_HEADINGS, FIELD_SEPARATOR, entryLine } = require("./docxService");
+const { localizeDates } = require("./dateService");
+const { getSectionLabel } = require("./localeService");
+
+// Section order for plain-text exports (follows the Resume schema)
+const TEXT_SECTIONS = [
+  "summary", "experience", "education", "skills", "projects", "achievements",
+  "certifications", "courses", "languages", "hobbies"
+];
+
+// Bullet characters the parser recognises on re-import
+const BULLET_STYLES = ["-", "*", "•"];
+
+const DEFAULT_OPTIONS = {
+  lineWidth: 80, // 0 disables wrapping
+  bulletStyle: "-",
+  locale: "en-US"
+};
+
+/**
+ * Resolve export options against the defaults
+ * @param {Object} options - lineWidth, bulletStyle and locale
+ * @returns {Object} Normalized options
+ */
+const resolveOptions = (options = {}) => {
+  const lineWidth = parseInt(options.lineWidth);
+
+  return {
+    lineWidth: Number.isNaN(lineWidth) ? DEFAULT_OPTIONS.lineWidth : Math.max(lineWidth, 0),
+    bulletStyle: BULLET_STYLES.includes(options.bulletStyle) ? options.bulletStyle : DEFAULT_OPTIONS.bulletStyle,
+    locale: options.locale || DEFAULT_OPTIONS.locale
+  };
+};
+
+/**
+ * Word-wrap text to a maximum width
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line width (0 = no wrapping)
+ * @param {string} firstPrefix - Prefix for the first line (e.g. "- ")
+ * @param {string} restPrefix - Prefix for continuation lines (e.g. "  ")
+ * @returns {Array} Wrapped lines
+ */
+const wrap = (text, width, firstPrefix = "", restPrefix = "") => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+
+  if (width === 0) {
+    return [firstPrefix + words.join(" ")];
+  }
+
+  const lines = [];
+  let current = firstPrefix;
+  let hasWord = false;
+
+  words.forEach(word => {
+    const candidate = hasWord ? `${current} ${word}` : current + word;
+
+    if (hasWord && candidate.length > width) {
+      lines.push(current);
+      current = restPrefix + word;
+    } else {
+      current = candidate;
+    }
+    hasWord = true;
+  });
+
+  lines.push(current);
+  return lines;
+};
+
+/**
+ * Build the body lines of one section
+ * @param {string} section - Section key
+ * @param {Object} data - Resume data
+ * @param {Object} options - Resolved options
+ * @param {Function} formatEntry - Formats an entry heading line
+ * @returns {Array} Lines (empty if the section has no content)
+ */
+const buildSectionLines = (section, data, options, formatEntry) => {
+  const { lineWidth, bulletStyle } = options;
+  const items = data[section] || [];
+  const bulletLines = (text) => wrap(text, lineWidth, `${bulletStyle} `, "  ");
+
+  switch (section) {
+    case "summary":
+      return data.summary ? wrap(data.summary, lineWidth) : [];
+
+    case "experience":
+      return items.flatMap(exp => [
+        formatEntry(exp.title || ""),
+        entryLine([exp.companyName, exp.date, exp.companyLocation]),
+        ...(exp.accomplishment || []).flatMap(bulletLines),
+        ""
+      ]);
+
+    case "education":
+      return items.flatMap(edu => [
+        formatEntry(edu.degree || ""),
+        entryLine([edu.institution, edu.duration, edu.location]),
+        ""
+      ]);
+
+    case "projects":
+      return items.flatMap(project => [
+        formatEntry(entryLine([project.title, project.duration])),
+        ...(project.description ? wrap(project.description, lineWidth) : []),
+        ""
+      ]);
+
+    case "achievements":
+      return items.flatMap(achievement => bulletLines(
+        [achievement.keyAchievements, achievement.describe].filter(Boolean).join(": ")
+      ));
+
+    case "certifications":
+      return items.flatMap(cert => bulletLines(
+        cert.title ? entryLine([cert.title, cert.issuedBy, cert.year]) : cert
+      ));
+
+    case "courses":
+      return items.flatMap(course => bulletLines(
+        course.title ? [course.title, course.description].filter(Boolean).join(": ") : course
+      ));
+
+    case "skills":
+    case "languages":
+    case "hobbies":
+      return items.length > 0 ? wrap(items.join(", "), lineWidth) : [];
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Render a resume as text using format-specific decorations
+ * @param {Object} resumeData - Resume document or plain object
+ * @param {Object} options - lineWidth, bulletStyle and locale (default: the resume's locale)
+ * @param {Object} format - heading/entry/header formatters
+ * @returns {string} Rendered text
+ */
+const renderText = (resumeData, options = {}, format) => {
+  const plain = typeof resumeData.toObject === "function" ? resumeData.toObject() : resumeData;
+  const resolved = resolveOptions({ ...options, locale: options.locale || plain.locale });
+  const data = localizeDates(plain, resolved.locale);
+  const lines = format.header(data);
+
+  TEXT_SECTIONS.forEach(section => {
+    const body = buildSectionLines(section, data, resolved, format.entry);
+    if (body.length === 0) return;
+
+    // Drop the blank line that closes the last entry of a section
+    while (body.length > 0 && body[body.length - 1] === "") {
+      body.pop();
+    }
+
+    lines.push("", format.heading(getSectionLabel(section, resolved.locale, SECTION_HEADINGS[section])), ...body);
+  });
+
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Export a resume as plain text (for pasting into ATS portals)
+ * @param {Object} resumeData - Resume document or plain object
+ * @param {string} template - Unused; accepted for parity with the other exporters
+ * @param {Object} options - lineWidth (0 = no wrapping), bulletStyle ("-", "*" or "•") and locale
+ * @returns {string} Plain-text resume
+ */
+const generateText = (resumeData, template, options = {}) => {
+  return renderText(resumeData, options, {
+    header: (data) => [
+      data.name || "Your Name",
+      ...(data.role ? [data.role] : []),
+      [data.phone, data.email, data.location, data.linkedin].filter(Boolean).join(FIELD_SEPARATOR)
+    ],
+    heading: (title) => title.toUpperCase(),
+    entry: (line) => line
+  });
+};
+
+/**
+ * Export a resume as Markdown
+ * @param {Object} resumeData - Resume document or plain object
+ * @param {string} template - Unused; accepted for parity with the other exporters
+ * @param {Object} options - lineWidth (0 = no wrapping), bulletStyle ("-" or "*"; "•" falls back to "-") and locale
+ * @returns {string} Markdown resume
+ */
+const generateMarkdown = (resumeData, template, options = {}) => {
+  // "•" is not a Markdown list marker
+  const markdownOptions = { ...options, bulletStyle: options.bulletStyle === "*" ? "*" : "-" };
+
+  return renderText(resumeData, markdownOptions, {
+    header: (data) => {
+      const linkedinUrl = data.linkedin && !/^https?:\/\//i.test(data.linkedin)
+        ? `https://${data.linkedin}`
+        : data.linkedin;
+      const contact = [
+        data.phone,
+        data.email && `[${data.email}](mailto:${data.email})`,
+        data.location,
+        data.linkedin && `[${data.linkedin}](${linkedinUrl})`
+      ].filter(Boolean);
+
+      return [
+        `# ${data.name || "Your Name"}`,
+        ...(data.role ? ["", `**${data.role}**`] : []),
+        "",
+        contact.join(FIELD_SEPARATOR)
+      ];
+    },
+    heading: (title) => `## ${title}`,
+    entry: (line) => `### ${line}`
+  });
+};
+
+module.exports = {
+  BULLET_STYLES,
+  generateText,
+  generateMarkdown
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Translated resume variants: copies of a resume in another language, linked to their source through
+ * translatedFrom. Each translated section keeps a hash of the source content it was translated from,
+ * so a section whose source has changed since shows up as stale and is translated again on the next run.
+ */
+
+const crypto = require("crypto");
+const { buildSnapshot } = require("./revisionService");
+const { setAtPath } = require("./proposalService");
+
+// Sections with text to translate
+const TRANSLATION_SECTIONS = [
+  "role", "summary", "experience", "education", "skills", "achievements",
+  "projects", "languages", "certifications", "courses", "hobbies"
+];
+
+// Fields copied from the source on every translation; names, contact details and dates are never translated
+const SHARED_FIELDS = ["name", "phone", "email", "linkedin", "location"];
+
+// Text fields translated on each item of a list section; skills, languages and hobbies are lists of strings
+const ITEM_TEXT_FIELDS = {
+  experience: ["title", "companyLocation", "accomplishment"],
+  education: ["degree", "location"],
+  achievements: ["keyAchievements", "describe"],
+  projects: ["title", "description"],
+  certifications: ["title"],
+  courses: ["title", "description"]
+};
+
+/**
+ * Section a field path belongs to
+ * @param {string} path - Field path ("experience[0].accomplishment[1]")
+ * @returns {string} Section ("experience")
+ */
+const getSection = (path) => path.match(/^[a-zA-Z]+/)[0];
+
+/**
+ * Collect the text to translate from some sections of a resume
+ * @param {Object} data - Plain resume data
+ * @param {Array} sections - Sections to collect (default: all translated sections)
+ * @returns {Object} Text keyed by field path ({ "summary": "...", "experience[0].accomplishment[1]": "..." })
+ */
+const collectSegments = (data, sections = TRANSLATION_SECTIONS) => {
+  const segments = {};
+  const add = (path, text) => {
+    if (typeof text === "string" && text.trim()) segments[path] = text;
+  };
+
+  sections.forEach(section => {
+    const value = data[section];
+
+    if (!Array.isArray(value)) {
+      add(section, value);
+      return;
+    }
+
+    value.forEach((item, index) => {
+      if (typeof item === "string") {
+        add(`${section}[${index}]`, item);
+        return;
+      }
+
+      (ITEM_TEXT_FIELDS[section] || []).forEach(field => {
+        const path = `${section}[${index}].${field}`;
+        if (Array.isArray(item[field])) {
+          item[field].forEach((text, textIndex) => add(`${path}[${textIndex}]`, text));
+        } else {
+          add(path, item[field]);
+        }
+      });
+    });
+  });
+
+  return segments;
+};
+
+/**
+ * Hash of a section's content, used to tell when the source has changed since it was translated
+ * @param {Object} data - Resume document or plain data
+ * @param {string} section - Resume section
+ * @returns {string} Hex hash
+ */
+const hashSection = (data, section) => {
+  const content = buildSnapshot(data)[section];
+  return crypto.createHash("sha256").update(JSON.stringify(content ?? null)).digest("hex");
+};
+
+/**
+ * Read a stored section hash from a variant
+ * @param {Object} variant - Translated resume (document or plain data)
+ * @param {string} section - Resume section
+ * @returns {string|undefined} Hash stored when the section was last translated
+ */
+const getStoredHash = (variant, section) => {
+  const hashes = variant.translation?.sectionHashes;
+  return hashes instanceof Map ? hashes.get(section) : hashes?.[section];
+};
+
+/**
+ * Sections of a variant whose source content has changed since they were translated
+ * @param {Object} variant - Translated resume
+ * @param {Object} source - Resume it was translated from
+ * @returns {Array} Stale sections, in TRANSLATION_SECTIONS order
+ */
+const getStaleSections = (variant, source) => {
+  return TRANSLATION_SECTIONS.filter(section => getStoredHash(variant, section) !== hashSection(source, section));
+};
+
+/**
+ * Fields a translation writes to a variant: the shared fields and the given sections copied from the source,
+ * with the translated text written over them (fields without a translation keep the source text)
+ * @param {Object} source - Resume being translated
+ * @param {Array} sections - Sections being (re)translated
+ * @param {Object} translations - Translated text keyed by field path
+ * @returns {Object} Fields to set on the variant
+ */
+const buildTranslatedFields = (source, sections, translations) => {
+  const snapshot = buildSnapshot(source);
+  const fields = {};
+
+  [...SHARED_FIELDS, ...sections].forEach(field => {
+    if (snapshot[field] !== undefined) fields[field] = snapshot[field];
+  });
+
+  Object.entries(translations).forEach(([path, text]) => {
+    if (sections.includes(getSection(path))) setAtPath(fields, path, text);
+  });
+
+  return fields;
+};
+
+/**
+ * Sections to translate again on an existing variant: stale sections, and sections with fields
+ * that were left untranslated last time
+ * @param {Object} variant - Translated resume
+ * @param {Object} source - Resume it was translated from
+ * @returns {Array} Sections, in TRANSLATION_SECTIONS order
+ */
+const getSectionsToRefresh = (variant, source) => {
+  const stale = getStaleSections(variant, source);
+  const untranslated = (variant.translation?.untranslatedPaths || []).map(getSection);
+
+  return TRANSLATION_SECTIONS.filter(section => stale.includes(section) || untranslated.includes(section));
+};
+
+/**
+ * Build the translation metadata stored on a variant after (re)translating some sections
+ * @param {Object} variant - Translated resume, or null for a new variant
+ * @param {Object} source - Resume it was translated from
+ * @param {Array} sections - Sections just translated
+ * @param {Array} untranslatedPaths - Fields in those sections left in the source language
+ * @param {number} promptVersion - Version of the translation prompt used, or null
+ * @returns {Object} Value for the variant's translation field
+ */
+const buildTranslationInfo = (variant, source, sections, untranslatedPaths, promptVersion = null) => {
+  const sectionHashes = {};
+  TRANSLATION_SECTIONS.forEach(section => {
+    const hash = sections.includes(section) ? hashSection(source, section) : variant && getStoredHash(variant, section);
+    if (hash) sectionHashes[section] = hash;
+  });
+
+  // Paths in sections that were not translated this time still stand
+  const kept = (variant?.translation?.untranslatedPaths || []).filter(path => !sections.includes(getSection(path)));
+
+  return {
+    sourceLocale: source.locale,
+    sourceVersion: source.version,
+    sectionHashes,
+    untranslatedPaths: [...kept, ...untranslatedPaths],
+    promptVersion,
+    translatedAt: new Date()
+  };
+};
+
+/**
+ * Translation status of a variant
+ * @param {Object} variant - Translated resume
+ * @param {Object} source - Resume it was translated from, or null if it was deleted
+ * @returns {Object} { sourceResumeId, sourceLocale, locale, sourceVersion, staleSections, untranslatedPaths,
+ * translatedAt, upToDate } - staleSections is null when the source no longer exists
+ */
+const getTranslationStatus = (variant, source) => {
+  const staleSections = source ? getStaleSections(variant, source) : null;
+  const untranslatedPaths = variant.translation?.untranslatedPaths || [];
+
+  return {
+    sourceResumeId: variant.translatedFrom,
+    sourceLocale: variant.translation?.sourceLocale || null,
+    locale: variant.locale,
+    sourceVersion: variant.translation?.sourceVersion || null,
+    staleSections,
+    untranslatedPaths,
+    translatedAt: variant.translation?.translatedAt || null,
+    upToDate: staleSections !== null && staleSections.length === 0 && untranslatedPaths.length === 0
+  };
+};
+
+module.exports = {
+  TRANSLATION_SECTIONS,
+  collectSegments,
+  getStaleSections,
+  getSectionsToRefresh,
+  buildTranslatedFields,
+  buildTranslationInfo,
+  getTranslationStatus
+};
\ No newline at end of file
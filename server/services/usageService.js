@@ -0,0 +1,139 @@
+const AIUsage = require("../models/AIUsage");
+
+/**
+ * Monthly AI quotas by subscription plan (-1 = unlimited)
+ * Calls count requests actually sent to the AI provider: cached responses are free.
+ * Anonymous use is counted per IP address.
+ */
+const AI_QUOTAS = {
+  anonymous: { calls: 20, tokens: 20000 },
+  free: { calls: 50, tokens: 50000 },
+  pro: { calls: 1000, tokens: 1000000 },
+  enterprise: { calls: -1, tokens: -1 }
+};
+
+/**
+ * Current usage period: the calendar month in UTC
+ * @param {Date} date - Date in the period (default: now)
+ * @returns {string} Period ("2024-05")
+ */
+const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * When the current period's quota resets
+ * @param {Date} date - Date in the period (default: now)
+ * @returns {Date} Start of the next month (UTC)
+ */
+const periodResetsAt = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+/**
+ * Plan whose AI quota applies to a user; expired or inactive subscriptions fall back to free
+ * @param {Object|null} user - Authenticated user, or null for anonymous use
+ * @returns {string} Plan name
+ */
+const getUsagePlan = (user) => {
+  if (!user) return "anonymous";
+
+  const { plan = "free", isActive = true, endDate } = user.subscription || {};
+  if (!isActive || (endDate && new Date(endDate) < new Date())) return "free";
+  return AI_QUOTAS[plan] ? plan : "free";
+};
+
+/**
+ * Who a request's AI usage is counted against
+ * @param {Object} req - Express request (after optionalAuth or auth)
+ * @returns {Object} { key, userId, plan }
+ */
+const getUsageSubject = (req) => ({
+  key: req.user ? `user:${req.user.id}` : `ip:${req.ip}`,
+  userId: req.user?.id || null,
+  plan: getUsagePlan(req.user)
+});
+
+/**
+ * Usage of one quota dimension
+ * @param {number} used - Amount used this period
+ * @param {number} limit - Quota (-1 = unlimited)
+ * @returns {Object} { used, limit, remaining } - remaining is null when unlimited
+ */
+const describeQuota = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit === -1 ? null : Math.max(limit - used, 0)
+});
+
+/**
+ * Get a subject's AI usage for the current period against its plan's quota
+ * @param {Object} subject - { key, plan } from getUsageSubject
+ * @returns {Promise<Object>} { plan, period, resetsAt, calls, tokens, exceeded }
+ */
+const getUsage = async (subject) => {
+  const period = currentPeriod();
+  const usage = await AIUsage.findOne({ subject: subject.key, period });
+  const quota = AI_QUOTAS[subject.plan] || AI_QUOTAS.free;
+
+  const calls = describeQuota(usage?.calls || 0, quota.calls);
+  const tokens = describeQuota(usage?.totalTokens || 0, quota.tokens);
+
+  return {
+    plan: subject.plan,
+    period,
+    resetsAt: periodResetsAt(),
+    calls,
+    tokens,
+    exceeded: calls.remaining === 0 || tokens.remaining === 0
+  };
+};
+
+/**
+ * Count one AI provider call against a subject
+ * @param {Object} subject - { key, userId } from getUsageSubject
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (subject, { inputTokens = 0, outputTokens = 0 } = {}) => {
+  await AIUsage.updateOne(
+    { subject: subject.key, period: currentPeriod() },
+    {
+      $inc: { calls: 1, inputTokens, outputTokens },
+      $setOnInsert: { userId: subject.userId || null }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Build the onUsage callback the AI service reports each provider call to
+ * Recording never holds up or fails the AI request; errors are logged. The callback also counts the calls
+ * and tokens it is given against what was left of the quota when the request started: onUsage.exceeded()
+ * turns true once they use it up, so requests that call the AI several times stop in between.
+ * @param {Object} subject - { key, userId } from getUsageSubject
+ * @param {Object} usage - { calls, tokens } from getUsage when the request started (optional, no limit without it)
+ * @returns {Function} onUsage({ inputTokens, outputTokens }), with exceeded()
+ */
+const createUsageRecorder = (subject, usage = null) => {
+  const spent = { calls: 0, tokens: 0 };
+
+  const onUsage = (callUsage = {}) => {
+    spent.calls++;
+    spent.tokens += (callUsage.inputTokens || 0) + (callUsage.outputTokens || 0);
+
+    recordUsage(subject, callUsage).catch(error => {
+      console.error(`❌ Failed to record AI usage for ${subject.key}:`, error.message);
+    });
+  };
+
+  const isUsedUp = (quota, used) => quota.remaining !== null && used >= quota.remaining;
+  onUsage.exceeded = () => !!usage && (isUsedUp(usage.calls, spent.calls) || isUsedUp(usage.tokens, spent.tokens));
+
+  return onUsage;
+};
+
+module.exports = {
+  AI_QUOTAS,
+  getUsagePlan,
+  getUsageSubject,
+  getUsage,
+  recordUsage,
+  createUsageRecorder
+};
\ No newline at end of file
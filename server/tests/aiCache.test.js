@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const CACHE_PATH = require.resolve("../services/aiCache");
+
+/**
+ * Load a fresh cache (empty, zeroed counters), enabled unless the config says otherwise
+ * @param {Object} config - CACHE_CONFIG overrides
+ * @returns {Object} aiCache module
+ */
+const loadCache = (config = {}) => {
+  delete require.cache[CACHE_PATH];
+  const cache = require(CACHE_PATH);
+  Object.assign(cache.CACHE_CONFIG, { enabled: true, ...config });
+  return cache;
+};
+
+const request = { provider: "stub", model: "echo", promptVersion: "v1", section: "summary", style: "professional" };
+
+afterEach(() => vi.useRealTimers());
+
+describe("createCacheKey", () => {
+  const { createCacheKey, promptVersion } = loadCache();
+
+  it("gives copies of the same content that differ only in whitespace the same key", () => {
+    expect(createCacheKey({ ...request, content: "Built  the\nbilling API " }))
+      .toBe(createCacheKey({ ...request, content: "Built the billing API" }));
+  });
+
+  it("gives a different key for a different prompt, style or model", () => {
+    const key = createCacheKey({ ...request, content: "Built the billing API" });
+
+    expect(createCacheKey({ ...request, promptVersion: "v2", content: "Built the billing API" })).not.toBe(key);
+    expect(createCacheKey({ ...request, style: "concise", content: "Built the billing API" })).not.toBe(key);
+    expect(createCacheKey({ ...request, model: "other", content: "Built the billing API" })).not.toBe(key);
+  });
+
+  it("versions prompts by their text", () => {
+    expect(promptVersion("Enhance: {content}")).toBe(promptVersion("Enhance: {content}"));
+    expect(promptVersion("Enhance: {content}")).not.toBe(promptVersion("Rewrite: {content}"));
+  });
+});
+
+describe("getCachedResponse and setCachedResponse", () => {
+  it("returns what was stored, but never blank responses", () => {
+    const { getCachedResponse, setCachedResponse } = loadCache();
+
+    setCachedResponse("a", "Enhanced text");
+    setCachedResponse("b", "   ");
+
+    expect(getCachedResponse("a")).toBe("Enhanced text");
+    expect(getCachedResponse("b")).toBeUndefined();
+  });
+
+  it("stores nothing while disabled", () => {
+    const { getCachedResponse, setCachedResponse } = loadCache({ enabled: false });
+
+    setCachedResponse("a", "Enhanced text");
+
+    expect(getCachedResponse("a")).toBeUndefined();
+  });
+
+  it("expires responses after the ttl", () => {
+    vi.useFakeTimers();
+    const { getCachedResponse, setCachedResponse, getCacheStats } = loadCache({ ttl: 1000 });
+
+    setCachedResponse("a", "Enhanced text");
+    vi.advanceTimersByTime(999);
+    expect(getCachedResponse("a")).toBe("Enhanced text");
+
+    vi.advanceTimersByTime(1);
+    expect(getCachedResponse("a")).toBeUndefined();
+    expect(getCacheStats()).toMatchObject({ entries: 0, size: 0, expirations: 1 });
+  });
+
+  it("evicts the least recently used response when full", () => {
+    const { getCachedResponse, setCachedResponse, getCacheStats } = loadCache({ maxEntries: 2 });
+
+    setCachedResponse("a", "first");
+    setCachedResponse("b", "second");
+    getCachedResponse("a");
+    setCachedResponse("c", "third");
+
+    expect(getCachedResponse("b")).toBeUndefined();
+    expect(getCachedResponse("a")).toBe("first");
+    expect(getCachedResponse("c")).toBe("third");
+    expect(getCacheStats().evictions).toBe(1);
+  });
+
+  it("keeps the total size within the limit and skips responses larger than it", () => {
+    const { getCachedResponse, setCachedResponse, getCacheStats } = loadCache({ maxSize: 10 });
+
+    setCachedResponse("a", "12345");
+    setCachedResponse("b", "123456");
+    setCachedResponse("c", "12345678901");
+
+    expect(getCachedResponse("a")).toBeUndefined();
+    expect(getCachedResponse("b")).toBe("123456");
+    expect(getCachedResponse("c")).toBeUndefined();
+    expect(getCacheStats()).toMatchObject({ entries: 1, size: 6 });
+  });
+
+  it("counts multi-byte characters by their encoded size", () => {
+    const { setCachedResponse, getCacheStats } = loadCache();
+
+    setCachedResponse("a", "Présent");
+
+    expect(getCacheStats().size).toBe(8);
+  });
+});
+
+describe("withCache", () => {
+  it("generates once and then serves the cached response", async () => {
+    const { withCache, getCacheStats } = loadCache();
+    const generate = vi.fn(async () => "Enhanced text");
+
+    expect(await withCache("a", generate)).toBe("Enhanced text");
+    expect(await withCache("a", generate)).toBe("Enhanced text");
+
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(getCacheStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it("shares one generation between concurrent requests", async () => {
+    const { withCache, getCacheStats } = loadCache();
+    let finish;
+    const generate = vi.fn(() => new Promise(resolve => { finish = resolve; }));
+
+    const first = withCache("a", generate);
+    const second = withCache("a", generate);
+    expect(getCacheStats().inFlight).toBe(1);
+    finish("Enhanced text");
+
+    expect(await Promise.all([first, second])).toEqual(["Enhanced text", "Enhanced text"]);
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(getCacheStats()).toMatchObject({ deduplicated: 1, inFlight: 0 });
+  });
+
+  it("does not cache failed generations", async () => {
+    const { withCache } = loadCache();
+
+    await expect(withCache("a", async () => { throw new Error("quota exceeded"); })).rejects.toThrow("quota exceeded");
+
+    expect(await withCache("a", async () => "Enhanced text")).toBe("Enhanced text");
+  });
+
+  it("skips the lookup and refreshes the entry when bypassed", async () => {
+    const { withCache, getCachedResponse, getCacheStats } = loadCache();
+    await withCache("a", async () => "Old text");
+
+    expect(await withCache("a", async () => "New text", { bypass: true })).toBe("New text");
+    expect(getCachedResponse("a")).toBe("New text");
+    expect(getCacheStats().bypassed).toBe(1);
+  });
+
+  it("always generates while disabled", async () => {
+    const { withCache, getCacheStats } = loadCache({ enabled: false });
+    const generate = vi.fn(async () => "Enhanced text");
+
+    await withCache("a", generate);
+    await withCache("a", generate);
+
+    expect(generate).toHaveBeenCalledTimes(2);
+    expect(getCacheStats()).toMatchObject({ enabled: false, entries: 0, hits: 0, misses: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,242 @@
+import { describe, expect, it } from "vitest";
+
+const {
+  getMaxLength,
+  limitLength,
+  guardEnhancement,
+  guardTranslation,
+  guardTailoring
+} = require("../services/aiGuardrails");
+const resume = require("./fixtures/resume.json");
+
+const summary = "Software engineer with 6 years of experience building payment APIs at Stripe since 2019.";
+
+describe("guardEnhancement", () => {
+  it("accepts a rewrite that only restates the original's facts", () => {
+    const output = "Software engineer with six years building payment APIs at Stripe since 2019.";
+
+    expect(guardEnhancement("summary", summary, output)).toEqual({ ok: true, content: output, reason: null, repairs: [] });
+  });
+
+  it("rejects an employer the original does not name", () => {
+    expect(guardEnhancement("summary", summary, "Engineer at Stripe and Acme Labs building payment APIs."))
+      .toMatchObject({ ok: false, reason: "INVENTED_EMPLOYER" });
+    expect(guardEnhancement("summary", summary, "Previously joined Globex to build payment APIs."))
+      .toMatchObject({ ok: false, reason: "INVENTED_EMPLOYER" });
+  });
+
+  it("does not mistake the next sentence's first word for part of a known employer", () => {
+    const output = "Payment engineer at Stripe. Built APIs for 6 years since 2019.";
+
+    expect(guardEnhancement("summary", summary, output)).toMatchObject({ ok: true });
+  });
+
+  it("rejects a month or year the original does not mention", () => {
+    expect(guardEnhancement("summary", summary, "Building payment APIs at Stripe since March 2019."))
+      .toMatchObject({ ok: false, reason: "INVENTED_DATE" });
+    expect(guardEnhancement("summary", summary, "Building payment APIs at Stripe since 2017."))
+      .toMatchObject({ ok: false, reason: "INVENTED_DATE" });
+  });
+
+  it("rejects a number the original does not mention, in digits or words", () => {
+    expect(guardEnhancement("summary", summary, "Cut payment API latency by 40% at Stripe."))
+      .toMatchObject({ ok: false, reason: "INVENTED_METRIC" });
+    expect(guardEnhancement("summary", summary, "Led a team of five at Stripe."))
+      .toMatchObject({ ok: false, reason: "INVENTED_METRIC" });
+  });
+
+  it("reports an empty response once formatting is stripped", () => {
+    expect(guardEnhancement("summary", summary, "")).toMatchObject({ ok: false, content: "", reason: "EMPTY_RESPONSE" });
+    expect(guardEnhancement("summary", summary, "```\n**  **\n```"))
+      .toMatchObject({ ok: false, reason: "EMPTY_RESPONSE", repairs: ["FORMATTING_STRIPPED"] });
+  });
+
+  it("strips labels, preamble, sign-offs and markdown from a summary", () => {
+    const output = [
+      "Sure! Here is the enhanced summary:",
+      "**Enhanced summary:** Software engineer building *payment* APIs at [Stripe](https://stripe.com).",
+      "Let me know if you need any changes."
+    ].join("\n");
+
+    expect(guardEnhancement("summary", summary, output)).toEqual({
+      ok: true,
+      content: "Software engineer building payment APIs at Stripe.",
+      reason: null,
+      repairs: ["FORMATTING_STRIPPED"]
+    });
+  });
+
+  it("keeps one bullet per line for experience", () => {
+    const original = "Built payment APIs\nMentored engineers";
+    const output = "Here are the bullets:\n\n- Built **payment** APIs\n2. Mentored engineers\n* Reviewed designs";
+
+    expect(guardEnhancement("experience", original, output).content)
+      .toBe("• Built payment APIs\n• Mentored engineers\n• Reviewed designs");
+  });
+
+  it("keeps a letter's paragraphs and drops its greeting, closing and signature", () => {
+    const output = [
+      "Dear Hiring Manager,",
+      "",
+      "I build payment APIs.",
+      "",
+      "I would welcome a conversation.",
+      "",
+      "Sincerely,",
+      "Jane Doe"
+    ].join("\n");
+
+    expect(guardEnhancement("coverLetter", "Payment APIs", output).content)
+      .toBe("I build payment APIs.\n\nI would welcome a conversation.");
+  });
+
+  it("shortens text longer than the schema allows", () => {
+    const output = `${"Built payment APIs. ".repeat(60)}`.trim();
+
+    const result = guardEnhancement("summary", "Built payment APIs.", output);
+
+    expect(result.ok).toBe(true);
+    expect(result.repairs).toEqual(["TRUNCATED"]);
+    expect(result.content.length).toBeLessThanOrEqual(1000);
+    expect(result.content.endsWith("Built payment APIs.")).toBe(true);
+  });
+});
+
+describe("limitLength", () => {
+  it("uses the schema limit of the section's field", () => {
+    expect(getMaxLength("summary")).toBe(1000);
+    expect(getMaxLength("experience")).toBe(500);
+    expect(getMaxLength("skills")).toBeNull();
+  });
+
+  it("cuts at a word when no sentence ends close enough to the limit", () => {
+    const text = "word ".repeat(300).trim();
+
+    const limited = limitLength("summary", text);
+
+    expect(limited.length).toBeLessThanOrEqual(1000);
+    expect(limited.endsWith("word")).toBe(true);
+  });
+
+  it("limits each bullet on its own", () => {
+    const long = "• " + "word ".repeat(120).trim();
+    const text = `${long}\n• Short bullet`;
+
+    const [first, second] = limitLength("experience", text).split("\n");
+
+    expect(first.length).toBeLessThanOrEqual(500);
+    expect(second).toBe("• Short bullet");
+  });
+
+  it("leaves sections without a text field as they are", () => {
+    const text = "x".repeat(2000);
+
+    expect(limitLength("skills", text)).toBe(text);
+  });
+});
+
+describe("guardTranslation", () => {
+  it("accepts a translation that keeps every number, whitespace collapsed", () => {
+    expect(guardTranslation("summary", summary, "  Ingénieur logiciel avec 6 ans d'expérience chez Stripe depuis 2019,\n  API de paiement. "))
+      .toEqual({
+        ok: true,
+        content: "Ingénieur logiciel avec 6 ans d'expérience chez Stripe depuis 2019, API de paiement.",
+        reason: null,
+        repairs: []
+      });
+  });
+
+  it("allows the decimal separator to change", () => {
+    expect(guardTranslation("experience[0].accomplishment[0]", "Cut costs by 4.5%", "Coûts réduits de 4,5 %"))
+      .toMatchObject({ ok: true });
+  });
+
+  it("rejects numbers and years the source text does not have", () => {
+    expect(guardTranslation("experience[0].accomplishment[0]", "Cut costs by 4.5%", "Coûts réduits de 45 %"))
+      .toMatchObject({ ok: false, reason: "INVENTED_METRIC" });
+    expect(guardTranslation("experience[0].accomplishment[0]", "Led the migration", "A dirigé la migration en 2020"))
+      .toMatchObject({ ok: false, reason: "INVENTED_DATE" });
+  });
+
+  it("rejects a missing or empty translation", () => {
+    expect(guardTranslation("summary", summary, undefined)).toMatchObject({ ok: false, reason: "EMPTY_RESPONSE" });
+    expect(guardTranslation("summary", summary, "   ")).toMatchObject({ ok: false, reason: "EMPTY_RESPONSE" });
+  });
+
+  it("rejects text shorter than the field allows", () => {
+    expect(guardTranslation("summary", summary, "Ingénieur chez Stripe."))
+      .toMatchObject({ ok: false, reason: "TOO_SHORT" });
+  });
+
+  it("shortens text longer than the field allows", () => {
+    const result = guardTranslation("experience[1].accomplishment[0]", "Built APIs", "Création d'API. ".repeat(40));
+
+    expect(result.ok).toBe(true);
+    expect(result.repairs).toEqual(["TRUNCATED"]);
+    expect(result.content.length).toBeLessThanOrEqual(500);
+  });
+});
+describe("guardTailoring", () => {
+  const [leadBullet, mentorBullet] = resume.experience[0].accomplishment;
+  const suggestion = (bulletIndex, suggested) => ({
+    experienceIndex: 0,
+    bulletIndex,
+    original: resume.experience[0].accomplishment[bulletIndex],
+    suggested,
+    reason: "Matches the job"
+  });
+
+  it("keeps a summary that only restates facts from the resume, formatting stripped", () => {
+    const result = guardTailoring(resume, {
+      summary: "**Tailored summary:** Senior Developer at Acme & Sons who led the migration to React and built a billing API.",
+      bulletSuggestions: []
+    });
+
+    expect(result).toEqual({
+      summary: "Senior Developer at Acme & Sons who led the migration to React and built a billing API.",
+      bulletSuggestions: [],
+      rejected: []
+    });
+  });
+
+  it("keeps the original summary when the tailored one invents facts or is too short", () => {
+    expect(guardTailoring(resume, {
+      summary: "Senior Developer at Globex Corporation who led the migration to React for millions of customers.",
+      bulletSuggestions: []
+    })).toMatchObject({ summary: resume.summary, rejected: [{ path: "summary", reason: "INVENTED_EMPLOYER" }] });
+
+    expect(guardTailoring(resume, { summary: "React developer.", bulletSuggestions: [] }))
+      .toMatchObject({ summary: resume.summary, rejected: [{ path: "summary", reason: "TOO_SHORT" }] });
+  });
+
+  it("drops bullet suggestions that invent facts and reports why", () => {
+    const result = guardTailoring(resume, {
+      summary: "",
+      bulletSuggestions: [
+        suggestion(0, "Led the React migration, cutting page load time by 40%"),
+        suggestion(1, "Mentored 12 engineers on React and Node.js")
+      ]
+    });
+
+    expect(result.summary).toBe(resume.summary);
+    expect(result.bulletSuggestions).toEqual([suggestion(0, "Led the React migration, cutting page load time by 40%")]);
+    expect(result.rejected).toEqual([{ path: "experience[0].accomplishment[1]", reason: "INVENTED_METRIC" }]);
+  });
+
+  it("strips markdown from bullet suggestions and shortens them to the schema limit", () => {
+    const result = guardTailoring(resume, {
+      summary: "",
+      bulletSuggestions: [
+        suggestion(0, "- **Led** the migration to React. ".repeat(20)),
+        suggestion(1, `• ${mentorBullet}`)
+      ]
+    });
+
+    // The second one is the original once its bullet marker is gone
+    expect(result.bulletSuggestions).toHaveLength(1);
+    expect(result.bulletSuggestions[0].suggested).toMatch(/^Led the migration to React\./);
+    expect(result.bulletSuggestions[0].suggested.length).toBeLessThanOrEqual(500);
+    expect(result.bulletSuggestions[0].original).toBe(leadBullet);
+    expect(result.rejected).toEqual([]);
+  });
+});
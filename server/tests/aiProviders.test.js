@@ -0,0 +1,181 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const OpenAI = require("openai");
+const { GenerativeModel } = require("@google/generative-ai");
+const { createProvider } = require("../services/aiProviders");
+const { createStubProvider } = require("../services/aiProviders/stubProvider");
+const { createGeminiProvider } = require("../services/aiProviders/geminiProvider");
+const { createOpenAIProvider } = require("../services/aiProviders/openaiProvider");
+
+const AI_SERVICE_PATH = require.resolve("../services/aiService");
+
+/**
+ * Async iterable standing in for an SDK stream
+ * @param {Array} chunks - Chunks to yield
+ * @returns {Object} Async iterable
+ */
+const streamOf = (chunks) => ({
+  async *[Symbol.asyncIterator]() {
+    yield* chunks;
+  }
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+});
+
+describe("provider selection", () => {
+  /**
+   * Load a fresh aiService with the given environment
+   * @param {Object} env - Environment variables
+   * @returns {Object} aiService module
+   */
+  const loadService = (env) => {
+    Object.entries(env).forEach(([name, value]) => vi.stubEnv(name, value));
+    delete require.cache[AI_SERVICE_PATH];
+    return require(AI_SERVICE_PATH);
+  };
+
+  it("creates the provider with the given name and configuration", () => {
+    const provider = createProvider("openai", { apiKey: "test", model: "gpt-test" });
+
+    expect(provider).toMatchObject({ name: "openai", model: "gpt-test" });
+    expect(provider.isAvailable()).toBe(true);
+  });
+
+  it("rejects an unknown provider name", () => {
+    expect(() => createProvider("claude")).toThrow("Unknown AI provider: claude. Use one of: gemini, openai, stub");
+  });
+
+  it("uses AI_PROVIDER and AI_MODEL, falling back to gemini for an unknown provider", () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(loadService({ AI_PROVIDER: "OpenAI", OPENAI_API_KEY: "test", AI_MODEL: "gpt-test" }).getServiceStatus())
+      .toMatchObject({ provider: "openai", model: "gpt-test", isAvailable: true });
+    expect(loadService({ AI_PROVIDER: "claude", AI_MODEL: "" }).getServiceStatus()).toMatchObject({ provider: "gemini" });
+    expect(warn).toHaveBeenCalledWith('⚠️ Unknown AI_PROVIDER "claude", using gemini');
+
+    delete require.cache[AI_SERVICE_PATH];
+  });
+});
+
+describe("stub provider", () => {
+  const stub = createStubProvider();
+
+  it("echoes the input, or the prompt when there is none", async () => {
+    expect(await stub.generateText("Enhance this", { input: "  Built APIs \n" })).toBe("Built APIs");
+    expect(await stub.generateText(" Enhance this ")).toBe("Enhance this");
+  });
+
+  it("streams the input a word at a time", async () => {
+    const onToken = vi.fn();
+
+    const text = await stub.streamText("Enhance", { input: "Built payment APIs", onToken });
+
+    expect(text).toBe("Built payment APIs");
+    expect(onToken.mock.calls.map(([token]) => token)).toEqual(["Built ", "payment ", "APIs"]);
+  });
+
+  it("stops streaming once aborted", async () => {
+    const controller = new AbortController();
+    const onToken = vi.fn(() => controller.abort());
+
+    await expect(stub.streamText("Enhance", { input: "Built payment APIs", signal: controller.signal, onToken }))
+      .rejects.toMatchObject({ name: "AbortError" });
+    expect(onToken).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Gemini provider", () => {
+  const usageMetadata = { promptTokenCount: 90, candidatesTokenCount: 12 };
+
+  it("reports the usage of a call", async () => {
+    const generateContent = vi.spyOn(GenerativeModel.prototype, "generateContent").mockResolvedValue({
+      response: { text: () => "Built APIs", usageMetadata }
+    });
+    const onUsage = vi.fn();
+
+    const text = await createGeminiProvider({ apiKey: "test" }).generateText("Enhance", { onUsage });
+
+    expect(text).toBe("Built APIs");
+    expect(generateContent).toHaveBeenCalledWith("Enhance");
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 90, outputTokens: 12 });
+  });
+
+  it("reports the usage of a stream from its aggregated response", async () => {
+    vi.spyOn(GenerativeModel.prototype, "generateContentStream").mockResolvedValue({
+      stream: streamOf([{ text: () => "Built " }, { text: () => "APIs" }]),
+      response: Promise.resolve({ usageMetadata })
+    });
+    const onUsage = vi.fn();
+
+    const text = await createGeminiProvider({ apiKey: "test" }).streamText("Enhance", { onUsage });
+
+    expect(text).toBe("Built APIs");
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 90, outputTokens: 12 });
+  });
+
+  it("is unavailable without an API key", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const provider = createGeminiProvider();
+
+    expect(provider.isAvailable()).toBe(false);
+    await expect(provider.generateText("Enhance")).rejects.toThrow("Gemini AI is not initialized");
+  });
+});
+
+describe("OpenAI provider", () => {
+  const delta = (content) => ({ choices: [{ delta: { content } }], usage: null });
+
+  it("reports the usage of a call", async () => {
+    const create = vi.spyOn(OpenAI.Chat.Completions.prototype, "create").mockResolvedValue({
+      choices: [{ message: { content: "Built APIs" } }],
+      usage: { prompt_tokens: 100, completion_tokens: 10 }
+    });
+    const onUsage = vi.fn();
+
+    const text = await createOpenAIProvider({ apiKey: "test" }).generateText("Enhance", { maxOutputTokens: 200, onUsage });
+
+    expect(text).toBe("Built APIs");
+    expect(create.mock.calls[0][0]).toMatchObject({ model: "gpt-4o-mini", max_tokens: 200 });
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 100, outputTokens: 10 });
+  });
+
+  it("reports nothing for a call to a server that leaves usage out", async () => {
+    vi.spyOn(OpenAI.Chat.Completions.prototype, "create").mockResolvedValue({ choices: [{ message: { content: "Built APIs" } }] });
+    const onUsage = vi.fn();
+
+    await createOpenAIProvider({ baseURL: "http://localhost:11434/v1" }).generateText("Enhance", { onUsage });
+
+    expect(onUsage).not.toHaveBeenCalled();
+  });
+
+  it("asks for usage on streams and reports it from the last chunk", async () => {
+    const create = vi.spyOn(OpenAI.Chat.Completions.prototype, "create").mockResolvedValue(streamOf([
+      delta("Built "),
+      delta("APIs"),
+      { choices: [], usage: { prompt_tokens: 120, completion_tokens: 8 } }
+    ]));
+    const onToken = vi.fn();
+    const onUsage = vi.fn();
+
+    const text = await createOpenAIProvider({ apiKey: "test" }).streamText("Enhance", { onToken, onUsage });
+
+    expect(text).toBe("Built APIs");
+    expect(onToken.mock.calls.map(([token]) => token)).toEqual(["Built ", "APIs"]);
+    expect(create.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+    expect(onUsage).toHaveBeenCalledTimes(1);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 120, outputTokens: 8 });
+  });
+
+  it("reports nothing for a stream from a server that leaves usage out", async () => {
+    vi.spyOn(OpenAI.Chat.Completions.prototype, "create").mockResolvedValue(streamOf([delta("Built APIs")]));
+    const onUsage = vi.fn();
+
+    await createOpenAIProvider({ apiKey: "test" }).streamText("Enhance", { onUsage });
+
+    expect(onUsage).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
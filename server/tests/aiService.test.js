@@ -0,0 +1,135 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const { PROVIDERS } = require("../services/aiProviders");
+const { createStubProvider } = require("../services/aiProviders/stubProvider");
+const resume = require("./fixtures/resume.json");
+
+// Record every prompt sent to the echo provider; must be installed before aiService creates it
+const prompts = [];
+PROVIDERS.stub = (config) => {
+  const stub = createStubProvider(config);
+  return {
+    ...stub,
+    generateText: (prompt, options) => {
+      prompts.push(prompt);
+      return stub.generateText(prompt, options);
+    }
+  };
+};
+
+const {
+  tailorResume,
+  generateCoverLetter,
+  translateResume,
+  extractJobKeywords,
+  enhanceBatch
+} = require("../services/aiService");
+
+// Text that String.replace would treat as replacement patterns or as another placeholder
+const jobDescription = "Senior engineer for $& and $` payments. Quote {resume} and {jobDescription} in your reply.";
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => vi.restoreAllMocks());
+
+beforeEach(() => {
+  prompts.length = 0;
+});
+
+describe("tailorResume", () => {
+  it("puts the job description and resume into the prompt as written", async () => {
+    await tailorResume(resume, jobDescription);
+
+    const [prompt] = prompts;
+    expect(prompt).toContain(`Job description:\n${jobDescription}\n`);
+    expect(prompt).toContain(`Resume (JSON; each experience entry lists its bullets by index):\n{\n  "role": ${JSON.stringify(resume.role)}`);
+    expect(prompt.match(/"companyName"/g)).toHaveLength(resume.experience.length);
+  });
+
+  it("reports the version of the tailoring prompt it used", async () => {
+    const result = await tailorResume(resume, jobDescription);
+
+    expect(result).toMatchObject({ usedFallback: false, promptVersion: 1, rejected: [] });
+  });
+});
+
+describe("generateCoverLetter", () => {
+  const details = { company: "Pay$&Co", role: "Engineer {company}", jobDescription, tone: "concise" };
+
+  it("fills every placeholder as written", async () => {
+    await generateCoverLetter(resume, details);
+
+    const [prompt] = prompts;
+    expect(prompt).toContain("for a Engineer {company} position at Pay$&Co, addressed to the hiring manager.");
+    expect(prompt).toContain(`Job description:\n${jobDescription}\n`);
+    expect(prompt.match(/"companyName"/g)).toHaveLength(resume.experience.length);
+  });
+
+  it("uses the prompt for the letter's tone and reports its version", async () => {
+    const result = await generateCoverLetter(resume, details);
+
+    expect(prompts[0]).toContain("Tone: Brief and direct");
+    expect(result.promptVersion).toBe(1);
+  });
+});
+
+describe("translateResume", () => {
+  const segments = { summary: "Cut costs by 40$& using {segments} and {targetLanguage}." };
+
+  it("puts the fields into the prompt as written", async () => {
+    await translateResume(segments, { sourceLocale: "en-US", targetLocale: "fr-FR" });
+
+    const [prompt] = prompts;
+    expect(prompt).toContain("from American English to French (France),");
+    expect(prompt).toContain(`Fields (JSON object of field path to text):\n${JSON.stringify(segments, null, 2)}\n`);
+  });
+
+  it("reports the version of the translation prompt it used", async () => {
+    const result = await translateResume(segments, { sourceLocale: "en-US", targetLocale: "fr-FR" });
+
+    expect(result.promptVersion).toBe(1);
+  });
+});
+
+describe("extractJobKeywords", () => {
+  it("puts the job description into the prompt as written", async () => {
+    await extractJobKeywords(jobDescription);
+
+    expect(prompts[0]).toContain(`Job description:\n${jobDescription}\n`);
+  });
+});
+
+
+describe("quota checks between provider calls", () => {
+  // Usage callback whose quota runs out after the given number of calls
+  const usageRecorder = (allowedCalls) => {
+    const onUsage = vi.fn();
+    onUsage.exceeded = () => onUsage.mock.calls.length >= allowedCalls;
+    return onUsage;
+  };
+
+  it("falls back without calling the AI once the quota is used up", async () => {
+    const onUsage = usageRecorder(0);
+
+    const result = await generateCoverLetter(resume, { company: "Acme", role: "Engineer", jobDescription }, { onUsage });
+
+    expect(prompts).toHaveLength(0);
+    expect(onUsage).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ usedFallback: true, fallbackReason: "AI_QUOTA_EXCEEDED" });
+  });
+
+  it("stops calling the AI part-way through a request that runs out", async () => {
+    const onUsage = usageRecorder(1);
+    const sections = { summary: "Built payment services for retail clients.", skills: "React, Node.js" };
+
+    const { enhancedSections, fallbacks } = await enhanceBatch(sections, "professional", { onUsage });
+
+    expect(prompts).toHaveLength(1);
+    expect(onUsage).toHaveBeenCalledTimes(1);
+    expect(fallbacks).toEqual({ skills: "AI_QUOTA_EXCEEDED" });
+    expect(Object.keys(enhancedSections)).toEqual(["summary", "skills"]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,229 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const { EventEmitter } = require("events");
+const puppeteer = require("puppeteer");
+
+// The pool reads its configuration when it is loaded
+vi.stubEnv("PDF_POOL_SIZE", "1");
+vi.stubEnv("PDF_MAX_CONCURRENCY", "2");
+vi.stubEnv("PDF_MAX_QUEUE", "2");
+vi.stubEnv("PDF_QUEUE_TIMEOUT_MS", "200");
+vi.stubEnv("PDF_MAX_PAGE_USES", "2");
+vi.stubEnv("PDF_SHUTDOWN_TIMEOUT_MS", "1000");
+
+const { withPage, warmBrowserPool, shutdownBrowserPool, getBrowserPoolStats } = require("../services/browserPool");
+
+const browsers = [];
+
+/**
+ * Puppeteer page double
+ * @returns {Object} Page with goto, close and isClosed
+ */
+const createFakePage = () => {
+  let closed = false;
+  return {
+    goto: vi.fn(async () => {}),
+    close: vi.fn(async () => { closed = true; }),
+    isClosed: () => closed
+  };
+};
+
+/**
+ * Puppeteer browser double; crash() disconnects it the way a dying Chrome does
+ * @returns {Object} Browser
+ */
+const createFakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.newPage = async () => createFakePage();
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit("disconnected");
+  };
+  browser.close = vi.fn(async () => browser.crash());
+  return browser;
+};
+
+/**
+ * Promise with its resolve function, to hold a task until the test releases it
+ * @returns {Object} { promise, resolve }
+ */
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+/**
+ * Wait for pending promise callbacks and timers of 0ms
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let launch;
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  launch = vi.spyOn(puppeteer, "launch").mockImplementation(async () => {
+    const browser = createFakeBrowser();
+    browsers.push(browser);
+    return browser;
+  });
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+  launch.mockClear();
+});
+
+describe("withPage", () => {
+  it("launches the pool's browser once and reuses pages until they are worn out", async () => {
+    await warmBrowserPool();
+    const before = getBrowserPoolStats();
+
+    // A page goes back to the pool after its job has resolved
+    const results = [];
+    for (let index = 0; index < 3; index++) {
+      results.push(await withPage(async (page) => page));
+      await settle();
+    }
+
+    const after = getBrowserPoolStats();
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(results[1]).toBe(results[0]);
+    expect(results[2]).not.toBe(results[0]);
+    expect(results[0].close).toHaveBeenCalled();
+    expect(after.pagesCreated - before.pagesCreated).toBe(2);
+    expect(after.jobs.completed - before.jobs.completed).toBe(3);
+  });
+
+  it("runs at most maxConcurrency jobs and queues the rest", async () => {
+    const holds = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let peak = 0;
+
+    const jobs = holds.map(hold => withPage(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await hold.promise;
+      running--;
+      return "done";
+    }));
+    await settle();
+
+    expect(running).toBe(2);
+    expect(getBrowserPoolStats()).toMatchObject({ activeJobs: 2, queueLength: 1 });
+
+    holds[0].resolve();
+    await settle();
+    expect(getBrowserPoolStats()).toMatchObject({ activeJobs: 2, queueLength: 0 });
+
+    holds.forEach(hold => hold.resolve());
+    expect(await Promise.all(jobs)).toEqual(["done", "done", "done"]);
+    expect(peak).toBe(2);
+  });
+
+  it("rejects jobs once the queue is full", async () => {
+    const hold = deferred();
+    const jobs = [0, 1, 2, 3].map(() => withPage(() => hold.promise));
+
+    await expect(withPage(async () => "late")).rejects.toMatchObject({ statusCode: 503, error: "PDF_QUEUE_FULL" });
+
+    hold.resolve();
+    await Promise.all(jobs);
+  });
+
+  it("rejects a job that waits longer than the queue timeout for a slot", async () => {
+    const hold = deferred();
+    const jobs = [0, 1].map(() => withPage(() => hold.promise));
+
+    await expect(withPage(async () => "late")).rejects.toMatchObject({ statusCode: 503, error: "PDF_QUEUE_TIMEOUT" });
+
+    hold.resolve();
+    await Promise.all(jobs);
+  });
+
+  it("fails a job that runs past its timeout and closes its page", async () => {
+    let usedPage;
+    const hold = deferred();
+
+    await expect(withPage(async (page) => {
+      usedPage = page;
+      await hold.promise;
+    }, { timeout: 20 })).rejects.toMatchObject({ statusCode: 504, error: "PDF_TIMEOUT" });
+
+    hold.resolve();
+    await settle();
+    expect(usedPage.close).toHaveBeenCalled();
+  });
+});
+
+describe("browser crashes", () => {
+  it("relaunches the browser and retries a job interrupted by a crash once", async () => {
+    const before = getBrowserPoolStats();
+    let attempts = 0;
+
+    const result = await withPage(async () => {
+      attempts++;
+      if (attempts === 1) {
+        browsers[browsers.length - 1].crash();
+        throw new Error("Protocol error (Page.printToPDF): Target closed");
+      }
+      return "rendered";
+    });
+
+    const after = getBrowserPoolStats();
+    expect(result).toBe("rendered");
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(after.crashes - before.crashes).toBe(1);
+    expect(after.jobs.failed).toBe(before.jobs.failed);
+  });
+
+  it("fails a job whose retry crashes too", async () => {
+    const task = vi.fn(async () => {
+      browsers[browsers.length - 1].crash();
+      throw new Error("Protocol error: Connection closed");
+    });
+
+    await expect(withPage(task)).rejects.toThrow("Connection closed");
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not retry a job that failed for another reason", async () => {
+    const task = vi.fn(async () => {
+      throw new Error("Template not found");
+    });
+
+    await expect(withPage(task)).rejects.toThrow("Template not found");
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
+
+// Runs last: the pool cannot be used once it has shut down
+describe("shutdownBrowserPool", () => {
+  it("finishes running jobs, rejects queued ones and closes the browsers", async () => {
+    const hold = deferred();
+    const running = [0, 1].map(() => withPage(async () => {
+      await hold.promise;
+      return "done";
+    }));
+    const queued = withPage(async () => "never");
+    await settle();
+
+    const shutdown = shutdownBrowserPool();
+    await expect(queued).rejects.toMatchObject({ statusCode: 503, error: "PDF_SHUTTING_DOWN" });
+
+    hold.resolve();
+    await shutdown;
+
+    expect(await Promise.all(running)).toEqual(["done", "done"]);
+    expect(browsers[browsers.length - 1].close).toHaveBeenCalled();
+    expect(getBrowserPoolStats()).toMatchObject({ shuttingDown: true, activeJobs: 0 });
+    await expect(withPage(async () => "after")).rejects.toMatchObject({ error: "PDF_SHUTTING_DOWN" });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+
+const {
+  parseDateRange,
+  formatDateRange,
+  syncDateFields,
+  applyTextDateEdits,
+  sortByDate,
+  calculateExperienceMonths
+} = require("../services/dateService");
+
+const job = (date, extra = {}) => ({ title: "Engineer", companyName: "Acme", date, ...extra });
+
+describe("parseDateRange", () => {
+  it("reads month ranges, year ranges and ongoing ranges", () => {
+    expect(parseDateRange("Jan 2020 - Mar 2022")).toEqual({
+      startDate: { month: 1, year: 2020 },
+      endDate: { month: 3, year: 2022 },
+      isCurrent: false
+    });
+    expect(parseDateRange("2016-2020")).toMatchObject({ startDate: { year: 2016 }, endDate: { year: 2020 } });
+    expect(parseDateRange("03/2019 to Present")).toEqual({
+      startDate: { month: 3, year: 2019 },
+      endDate: null,
+      isCurrent: true
+    });
+  });
+
+  it("reads a single date as both start and end", () => {
+    expect(parseDateRange("2021")).toEqual({
+      startDate: { month: null, year: 2021 },
+      endDate: { month: null, year: 2021 },
+      isCurrent: false
+    });
+  });
+
+  it("returns null for text it cannot read", () => {
+    expect(parseDateRange("")).toBeNull();
+    expect(parseDateRange("Summer")).toBeNull();
+    expect(parseDateRange("2019 - 2020 - 2021")).toBeNull();
+  });
+});
+
+describe("formatDateRange", () => {
+  it("formats ranges for the locale", () => {
+    const range = parseDateRange("Jan 2020 - Present");
+
+    expect(formatDateRange(range)).toBe("Jan 2020 - Present");
+    expect(formatDateRange(range, "de-DE")).toMatch(/2020 - Heute$/);
+    expect(formatDateRange(parseDateRange("2021"))).toBe("2021");
+    expect(formatDateRange({})).toBe("");
+  });
+});
+
+describe("syncDateFields", () => {
+  it("rewrites the text from the structured dates", () => {
+    const entry = syncDateFields(job("whenever", parseDateRange("Jan 2020 - Mar 2022")), "date");
+
+    expect(entry.date).toBe("Jan 2020 - Mar 2022");
+  });
+
+  it("fills missing structured dates from the text", () => {
+    const entry = syncDateFields(job("Jun 2018 - Present"), "date");
+
+    expect(entry).toMatchObject({ startDate: { month: 6, year: 2018 }, endDate: null, isCurrent: true });
+    expect(entry.date).toBe("Jun 2018 - Present");
+  });
+});
+
+describe("applyTextDateEdits", () => {
+  const stored = {
+    experience: [
+      job("Jan 2020 - Mar 2022", { _id: "a", ...parseDateRange("Jan 2020 - Mar 2022") }),
+      job("2016 - 2019", { _id: "b", ...parseDateRange("2016 - 2019") })
+    ]
+  };
+
+  it("re-reads the structured dates when only the text was edited", () => {
+    const update = { experience: [{ ...stored.experience[0], date: "Feb 2020 - Present" }] };
+
+    const entry = syncDateFields(applyTextDateEdits(stored, update).experience[0], "date");
+
+    expect(entry).toMatchObject({ startDate: { month: 2, year: 2020 }, endDate: null, isCurrent: true });
+    expect(entry.date).toBe("Feb 2020 - Present");
+  });
+
+  it("matches entries by _id when they were reordered", () => {
+    const update = { experience: [{ ...stored.experience[1], date: "2015 - 2019" }, stored.experience[0]] };
+
+    applyTextDateEdits(stored, update);
+
+    expect(update.experience[0].startDate).toEqual({ month: null, year: 2015 });
+    expect(update.experience[1].startDate).toEqual({ month: 1, year: 2020 });
+  });
+
+  it("keeps edited structured dates over the text", () => {
+    const update = {
+      experience: [{ ...stored.experience[0], date: "Feb 2020 - Present", startDate: { month: 5, year: 2020 } }]
+    };
+
+    const entry = syncDateFields(applyTextDateEdits(stored, update).experience[0], "date");
+
+    expect(entry.date).toBe("May 2020 - Mar 2022");
+  });
+
+  it("clears the structured dates when the edited text cannot be read", () => {
+    const update = { experience: [{ ...stored.experience[0], date: "Summer internship" }] };
+
+    const entry = syncDateFields(applyTextDateEdits(stored, update).experience[0], "date");
+
+    expect(entry.startDate).toBeUndefined();
+    expect(entry.date).toBe("Summer internship");
+  });
+
+  it("leaves new entries and other sections alone", () => {
+    const update = { experience: [...stored.experience, job("2012")], summary: "Engineer" };
+
+    applyTextDateEdits(stored, update);
+
+    expect(update.experience[2].startDate).toBeUndefined();
+    expect(update.summary).toBe("Engineer");
+  });
+});
+
+describe("sortByDate", () => {
+  it("puts ongoing and most recent entries first and undated entries last", () => {
+    const entries = [job("2014 - 2016"), job("Undated"), job("2019 - Present"), job("2017 - 2019")];
+
+    expect(sortByDate(entries, "date").map(entry => entry.date))
+      .toEqual(["2019 - Present", "2017 - 2019", "2014 - 2016", "Undated"]);
+  });
+});
+
+describe("calculateExperienceMonths", () => {
+  it("counts overlapping jobs once and ongoing jobs up to now", () => {
+    const experience = [job("Jan 2020 - Dec 2020"), job("Jun 2020 - Jun 2021"), job("Jan 2024 - Present")];
+
+    expect(calculateExperienceMonths(experience, new Date(2024, 5, 15))).toBe(18 + 6);
+  });
+
+  it("counts year-only dates as whole years", () => {
+    expect(calculateExperienceMonths([job("2018 - 2019")])).toBe(24);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateDOCX } = require("../services/docxService");
+const { extractFromWord, parseTextToStructuredData } = require("../services/parseService");
+const { listTemplates, getTemplate } = require("../services/templateService");
+const fixture = require("./fixtures/resume.json");
+
+// The parser reads names and summaries as plain text, so the round trip uses ordinary ones
+const resume = {
+  ...fixture,
+  name: "Jane Doe",
+  summary: "Engineer who builds web applications in React and Node.js for millions of customers."
+};
+
+const ENTRY_FIELDS = {
+  experience: ["title", "companyName", "date", "companyLocation", "accomplishment"],
+  education: ["degree", "institution", "duration", "location"],
+  projects: ["title", "duration", "description"],
+  achievements: ["keyAchievements", "describe"],
+  courses: ["title", "description"],
+  certifications: ["title", "issuedBy", "year"]
+};
+
+const pick = (entry, fields) => Object.fromEntries(fields.map(field => [field, entry[field]]));
+
+describe("generateDOCX", () => {
+  let tempDir;
+
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "docx-round-trip-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Export a resume to DOCX and import it again the way uploads are read
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} { text, resumeData }
+   */
+  const roundTrip = async (templateId) => {
+    const filePath = path.join(tempDir, `${templateId}.docx`);
+    fs.writeFileSync(filePath, await generateDOCX(resume, templateId, { locale: "en-US" }));
+
+    const text = await extractFromWord(filePath);
+    const { resumeData } = await parseTextToStructuredData(text);
+    return { text, resumeData };
+  };
+
+  it("writes each entry's company, date and location on one line", async () => {
+    const { text } = await roundTrip("modern");
+
+    expect(text).toContain("Acme & Sons | Jan 2020 - Present | Berlin");
+    expect(text).toContain("TU Berlin | 2012 - 2016 | Berlin");
+    expect(text).toContain("Resume Builder | 2021 - 2022");
+  });
+
+  describe.each(listTemplates().map(template => template.id))("%s", (templateId) => {
+    it("re-imports without losing resume fields", async () => {
+      const { resumeData } = await roundTrip(templateId);
+      const sections = getTemplate(templateId).sections;
+
+      expect(resumeData).toMatchObject({
+        name: resume.name,
+        role: resume.role,
+        phone: resume.phone,
+        email: resume.email,
+        location: resume.location
+      });
+      if (sections.includes("summary")) {
+        expect(resumeData.summary).toBe(resume.summary);
+      }
+
+      Object.entries(ENTRY_FIELDS).filter(([section]) => sections.includes(section)).forEach(([section, fields]) => {
+        expect(resumeData[section].map(entry => pick(entry, fields)), section)
+          .toEqual(resume[section].map(entry => pick(entry, fields)));
+      });
+
+      ["skills", "languages", "hobbies"].filter(section => sections.includes(section)).forEach(section => {
+        expect(resumeData[section], section).toEqual(resume[section]);
+      });
+    });
+  });
+});
\ No newline at end of file
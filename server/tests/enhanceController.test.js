@@ -0,0 +1,176 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const mongoose = require("mongoose");
+const Resume = require("../models/Resume");
+const ResumeRevision = require("../models/ResumeRevision");
+const AIUsage = require("../models/AIUsage");
+const express = require("express");
+const enhanceRoutes = require("../routes/enhance");
+const { enhanceField, tailorResume, translateResume } = require("../controllers/enhanceController");
+const { useMemoryDb } = require("./helpers/memoryDb");
+const { createResponse } = require("./helpers/response");
+
+const resumeData = require("./fixtures/resume.json");
+
+describe("enhanceField auto-save", () => {
+  let db;
+
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision, AIUsage);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  const createResume = async () => {
+    const resume = new Resume({ ...resumeData, userId: new mongoose.Types.ObjectId() });
+    await resume.save();
+    return resume;
+  };
+
+  it("saves the client's resume data as a new version with a revision", async () => {
+    const resume = await createResume();
+    const summary = `${resumeData.summary} Currently leading a team of five engineers.`;
+
+    const res = createResponse();
+    await enhanceField({
+      body: {
+        resumeId: resume._id.toString(),
+        section: "summary",
+        content: summary,
+        resumeData: { summary, version: 1 }
+      }
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    const stored = db.docs(Resume)[0];
+    expect(stored.version).toBe(2);
+    expect(stored.summary).toBe(summary);
+    expect(db.docs(ResumeRevision).map(revision => [revision.version, revision.source])).toEqual([[2, "save"]]);
+  });
+
+  it("ignores server-managed fields in the auto-saved data", async () => {
+    const resume = await createResume();
+    const otherUser = new mongoose.Types.ObjectId();
+
+    await enhanceField({
+      body: {
+        resumeId: resume._id.toString(),
+        section: "summary",
+        content: resumeData.summary,
+        resumeData: { role: "Staff Engineer", version: 1, userId: otherUser, proposals: [], shareToken: "abcdef1234" }
+      }
+    }, createResponse());
+
+    const stored = db.docs(Resume)[0];
+    expect(stored.role).toBe("Staff Engineer");
+    expect(stored.version).toBe(2);
+    expect(stored.userId.toString()).toBe(resume.userId.toString());
+    expect(stored.shareToken).toBeUndefined();
+  });
+
+  it("rejects data based on an old version with 409 and does not enhance it", async () => {
+    const resume = await createResume();
+    db.docs(Resume)[0].version = 3;
+
+    const res = createResponse();
+    await enhanceField({
+      body: {
+        resumeId: resume._id.toString(),
+        section: "summary",
+        content: resumeData.summary,
+        resumeData: { role: "Staff Engineer", version: 2 }
+      }
+    }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.details).toMatchObject({ error: "VERSION_CONFLICT", expectedVersion: 2, currentVersion: 3 });
+    expect(db.docs(Resume)[0].role).toBe(resumeData.role);
+    expect(db.docs(Resume)[0].proposals).toEqual([]);
+    expect(db.docs(ResumeRevision)).toHaveLength(0);
+  });
+
+  it("requires the version with auto-saved data", async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/enhance", enhanceRoutes);
+    const server = await new Promise(resolve => {
+      const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+    });
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/enhance/field`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: resumeData.email,
+          section: "summary",
+          content: resumeData.summary,
+          resumeData: { role: "Staff Engineer" }
+        })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.errors.map(error => error.path)).toContain("resumeData.version");
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe("tailored and translated variants", () => {
+  let db;
+
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  const jobDescription = "We are hiring a software engineer with React and Node.js experience to build web applications.";
+
+  const createVariant = async (handler, body) => {
+    const res = createResponse();
+    await handler({ body }, res);
+    expect(res.statusCode).toBe(201);
+    return Resume.findById(res.body.data.resume._id);
+  };
+
+  it("does not copy the tailoring of a tailored resume into its translation", async () => {
+    const original = await new Resume(resumeData).save();
+    const tailored = await createVariant(tailorResume, { resumeId: original._id.toString(), jobDescription });
+
+    const translated = await createVariant(translateResume, { resumeId: tailored._id.toString(), locale: "de-DE" });
+
+    expect(translated.translatedFrom.toString()).toBe(tailored._id.toString());
+    expect(translated.tailoredFrom).toBeNull();
+    expect(translated.tailoring).toBeUndefined();
+    expect(translated.translation.promptVersion).toBe(1);
+  });
+
+  it("does not copy the translation of a translated resume into its tailored copy", async () => {
+    const original = await new Resume(resumeData).save();
+    const translated = await createVariant(translateResume, { resumeId: original._id.toString(), locale: "de-DE" });
+
+    const tailored = await createVariant(tailorResume, { resumeId: translated._id.toString(), jobDescription });
+
+    expect(tailored.tailoredFrom.toString()).toBe(translated._id.toString());
+    expect(tailored.translatedFrom).toBeNull();
+    expect(tailored.translation).toBeUndefined();
+    expect(await Resume.countDocuments({ translatedFrom: original._id })).toBe(1);
+  });
+});
@@ -0,0 +1,269 @@
+const mongoose = require("mongoose");
+
+/**
+ * In-memory stand-in for the MongoDB collections behind Mongoose models, so controllers and services
+ * can be tested without a database. Only the driver calls and query/update operators this codebase
+ * uses are implemented: equality, $in, $ne, $exists and $gte/$lte filters; $set, $unset, $inc,
+ * $push and $pull updates; upserts; sort, skip and limit on find. Unique schema indexes are enforced on insert.
+ */
+
+const COLLECTION_METHODS = [
+  "insertOne", "findOne", "find", "countDocuments", "updateOne", "updateMany",
+  "deleteOne", "deleteMany", "findOneAndUpdate", "findOneAndDelete"
+];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+// Copy plain objects and arrays; ObjectIds and Dates are kept as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  if (value instanceof Date) return new Date(value.getTime());
+  return value;
+};
+
+// Compare stored values the way MongoDB does for the types used here
+const comparable = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (b === null) return a === null || a === undefined;
+  if (Array.isArray(a)) return a.some(item => isEqual(item, b));
+  return comparable(a) === comparable(b);
+};
+
+const getPath = (doc, path) => {
+  return path.split(".").reduce((value, key) => {
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.map(item => item?.[key]);
+    }
+    return value?.[key];
+  }, doc);
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join(".")) ?? (keys.length ? undefined : doc);
+  if (parent) delete parent[last];
+};
+
+const matchesCondition = (value, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith("$"))) {
+    return isEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$in": return operand.some(item => isEqual(value, item));
+      case "$nin": return !operand.some(item => isEqual(value, item));
+      case "$ne": return !isEqual(value, operand);
+      case "$exists": return (value !== undefined) === Boolean(operand);
+      case "$gte": return comparable(value) >= comparable(operand);
+      case "$gt": return comparable(value) > comparable(operand);
+      case "$lte": return comparable(value) <= comparable(operand);
+      case "$lt": return comparable(value) < comparable(operand);
+      default: throw new Error(`memoryDb does not support the ${operator} query operator`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some(branch => matches(doc, branch));
+    if (key === "$and") return condition.every(branch => matches(doc, branch));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+};
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (!operator.startsWith("$")) {
+      setPath(doc, operator, clone(fields));
+      return;
+    }
+
+    Object.entries(fields || {}).forEach(([path, value]) => {
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$push": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.concat(items.map(clone)));
+          break;
+        }
+        case "$setOnInsert":
+          break;
+        case "$pull": {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.filter(item => !(isPlainObject(value) ? matches(item, value) : isEqual(item, value))));
+          break;
+        }
+        default:
+          throw new Error(`memoryDb does not support the ${operator} update operator`);
+      }
+    });
+  });
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const left = comparable(getPath(a, key));
+      const right = comparable(getPath(b, key));
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Create an in-memory collection and patch the given models to use it
+ * @param {...Object} models - Mongoose models to back with memory
+ * @returns {Object} { docs(model), reset(), restore() }
+ */
+const useMemoryDb = (...models) => {
+  const stores = new Map();
+  const originals = new Map();
+
+  models.forEach(model => {
+    const store = [];
+    const collection = model.collection;
+    stores.set(model, store);
+    originals.set(model, COLLECTION_METHODS.map(method => [method, Object.getOwnPropertyDescriptor(collection, method)]));
+
+    const findMatches = (filter) => store.filter(doc => matches(doc, filter));
+
+    const uniqueIndexes = model.schema.indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: options.sparse }));
+
+    const checkUnique = (doc) => {
+      uniqueIndexes.forEach(({ fields, sparse }) => {
+        const values = fields.map(field => getPath(doc, field));
+        if (sparse && values.some(value => value === undefined || value === null)) return;
+
+        const filter = Object.fromEntries(fields.map((field, index) => [field, values[index] ?? null]));
+        if (findMatches(filter).length > 0) {
+          const error = new Error(`E11000 duplicate key error collection: ${collection.name} index: ${fields.join("_")}`);
+          error.name = "MongoServerError";
+          error.code = 11000;
+          throw error;
+        }
+      });
+    };
+
+    const methods = {
+      insertOne: async (doc) => {
+        checkUnique(doc);
+        store.push(clone(doc));
+        return { acknowledged: true, insertedId: doc._id };
+      },
+      findOne: async (filter) => {
+        const doc = findMatches(filter)[0];
+        return doc ? clone(doc) : null;
+      },
+      find: async (filter, options = {}) => {
+        let docs = sortDocs(findMatches(filter), options.sort);
+        if (options.skip) docs = docs.slice(options.skip);
+        if (options.limit) docs = docs.slice(0, options.limit);
+        return { toArray: async () => docs.map(clone) };
+      },
+      countDocuments: async (filter) => findMatches(filter).length,
+      updateOne: async (filter, update, options = {}) => {
+        const doc = findMatches(filter)[0];
+        if (doc) {
+          applyUpdate(doc, update);
+        } else if (options.upsert) {
+          const inserted = { _id: new mongoose.Types.ObjectId() };
+          Object.entries(filter).forEach(([key, value]) => {
+            if (!key.startsWith("$") && !isPlainObject(value)) setPath(inserted, key, clone(value));
+          });
+          applyUpdate(inserted, { $set: update.$setOnInsert || {} });
+          applyUpdate(inserted, update);
+          checkUnique(inserted);
+          store.push(inserted);
+          return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+      },
+      updateMany: async (filter, update) => {
+        const docs = findMatches(filter);
+        docs.forEach(doc => applyUpdate(doc, update));
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+      },
+      deleteOne: async (filter) => {
+        const index = store.findIndex(doc => matches(doc, filter));
+        if (index !== -1) store.splice(index, 1);
+        return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+      },
+      deleteMany: async (filter) => {
+        const remaining = store.filter(doc => !matches(doc, filter));
+        const deletedCount = store.length - remaining.length;
+        store.splice(0, store.length, ...remaining);
+        return { acknowledged: true, deletedCount };
+      },
+      findOneAndUpdate: async (filter, update, options = {}) => {
+        const doc = findMatches(filter)[0];
+        if (!doc) return null;
+        const before = clone(doc);
+        applyUpdate(doc, update);
+        return clone(options.returnDocument === "after" ? doc : before);
+      },
+      findOneAndDelete: async (filter) => {
+        const index = store.findIndex(doc => matches(doc, filter));
+        return index === -1 ? null : store.splice(index, 1)[0];
+      }
+    };
+
+    Object.entries(methods).forEach(([method, fn]) => {
+      Object.defineProperty(collection, method, { value: fn, configurable: true, writable: true });
+    });
+  });
+
+  return {
+    docs: (model) => stores.get(model),
+    reset: () => stores.forEach(store => store.splice(0, store.length)),
+    restore: () => {
+      originals.forEach((descriptors, model) => {
+        descriptors.forEach(([method, descriptor]) => {
+          if (descriptor) {
+            Object.defineProperty(model.collection, method, descriptor);
+          } else {
+            delete model.collection[method];
+          }
+        });
+      });
+    }
+  };
+};
+
+module.exports = { useMemoryDb };
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * Minimal Express response double that records the status and JSON body
+ * @returns {Object} Response with status(), json() and the recorded statusCode/body
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+module.exports = { createResponse };
\ No newline at end of file
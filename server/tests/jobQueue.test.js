@@ -0,0 +1,252 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const Job = require("../models/Job");
+const {
+  JOB_CONFIG,
+  registerJobHandler,
+  nonRetryable,
+  enqueueJob,
+  cancelJob,
+  startWorker,
+  stopWorker
+} = require("../services/jobQueue");
+const { useMemoryDb } = require("./helpers/memoryDb");
+
+// The worker only claims types with a handler; stalled jobs of another type stay where recovery puts them
+const TYPE = "enhance-full";
+const UNHANDLED_TYPE = "enhance-bulk";
+
+let db;
+let handler;
+const defaults = { ...JOB_CONFIG };
+
+const findJob = async (id) => Job.findById(id).lean();
+
+/**
+ * Wait until a job reaches a status
+ * @param {string} id - Job ID
+ * @param {string} status - Expected status
+ * @returns {Promise<Object>} The job
+ */
+const waitForStatus = (id, status) => vi.waitFor(async () => {
+  const job = await findJob(id);
+  expect(job.status).toBe(status);
+  return job;
+}, { timeout: 2000, interval: 10 });
+
+/**
+ * Resolve once the signal aborts, rejecting with its reason like a handler stopped mid-call
+ * @param {AbortSignal} signal - Job signal
+ * @returns {Promise} Rejects with the abort reason
+ */
+const untilAborted = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+});
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(Job);
+  registerJobHandler(TYPE, (payload, context) => handler(payload, context));
+});
+
+afterAll(() => {
+  db.restore();
+  vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+  db.reset();
+  Object.assign(JOB_CONFIG, { pollInterval: 10, retryDelay: 30, lockTimeout: 60000, shutdownTimeout: 50 });
+});
+
+afterEach(async () => {
+  await stopWorker();
+  Object.assign(JOB_CONFIG, defaults);
+});
+
+describe("job retries", () => {
+  it("retries a failed job with a doubling delay until it runs out of attempts", async () => {
+    const runs = [];
+    handler = async () => {
+      runs.push(Date.now());
+      throw new Error("AI timed out");
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {}, { maxAttempts: 3 });
+    const failed = await waitForStatus(job._id, "failed");
+
+    expect(failed).toMatchObject({ attempts: 3, error: "AI timed out" });
+    expect(runs).toHaveLength(3);
+    expect(runs[1] - runs[0]).toBeGreaterThanOrEqual(JOB_CONFIG.retryDelay);
+    expect(runs[2] - runs[1]).toBeGreaterThanOrEqual(JOB_CONFIG.retryDelay * 2);
+  });
+
+  it("completes a job that succeeds on a retry", async () => {
+    let calls = 0;
+    handler = async (payload, { progress }) => {
+      calls += 1;
+      if (calls === 1) throw new Error("AI timed out");
+      await progress(1, 1, "Enhanced summary");
+      return { section: payload.section };
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, { section: "summary" });
+    const completed = await waitForStatus(job._id, "completed");
+
+    expect(completed).toMatchObject({
+      attempts: 2,
+      error: null,
+      result: { section: "summary" },
+      progress: { completed: 1, total: 1, message: "Done" },
+      lockedBy: null
+    });
+  });
+
+  it("fails a job at once when the handler says it cannot succeed", async () => {
+    handler = async () => {
+      throw nonRetryable("Resume not found");
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {}, { maxAttempts: 3 });
+
+    expect(await waitForStatus(job._id, "failed")).toMatchObject({ attempts: 1, error: "Resume not found" });
+  });
+});
+
+describe("cancelJob", () => {
+  it("cancels a queued job before it runs", async () => {
+    handler = vi.fn();
+    const job = await enqueueJob(TYPE, {});
+
+    const cancelled = await cancelJob(job._id);
+    await startWorker();
+
+    expect(cancelled).toMatchObject({ status: "cancelled", cancelRequested: true });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("stops a running job without retrying it", async () => {
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    handler = async (payload, { signal }) => {
+      started();
+      await untilAborted(signal);
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {});
+    await running;
+    await cancelJob(job._id);
+
+    expect(await waitForStatus(job._id, "cancelled")).toMatchObject({ attempts: 1, error: null, lockedBy: null });
+  });
+
+  it("stops a running job at its next progress update when another process cancels it", async () => {
+    handler = async (payload, { progress }) => {
+      for (let completed = 0; ; completed += 1) {
+        await progress(completed, 100);
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {});
+    await waitForStatus(job._id, "running");
+    await Job.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+
+    expect(await waitForStatus(job._id, "cancelled")).toMatchObject({ attempts: 1 });
+  });
+});
+
+describe("stalled jobs", () => {
+  /**
+   * Store a job as left behind by a worker that stopped reporting progress
+   * @param {Object} fields - { attempts, maxAttempts }
+   * @returns {Promise<Object>} Job document
+   */
+  const createStalledJob = (fields) => Job.create({
+    type: UNHANDLED_TYPE,
+    status: "running",
+    lockedBy: "crashed-host:1",
+    lockedAt: new Date(Date.now() - JOB_CONFIG.lockTimeout - 1000),
+    ...fields
+  });
+
+  it("requeues a stalled job that has attempts left", async () => {
+    const job = await createStalledJob({ attempts: 1, maxAttempts: 3 });
+
+    await startWorker();
+
+    expect(await findJob(job._id)).toMatchObject({ status: "queued", attempts: 1, lockedBy: null, lockedAt: null });
+  });
+
+  it("fails a stalled job that was on its last attempt", async () => {
+    const job = await createStalledJob({ attempts: 3, maxAttempts: 3 });
+
+    await startWorker();
+
+    const failed = await findJob(job._id);
+    expect(failed).toMatchObject({ status: "failed", error: "Job stalled on its last attempt", lockedBy: null });
+    expect(failed.finishedAt).toBeInstanceOf(Date);
+  });
+
+  it("leaves running jobs that still report progress alone", async () => {
+    const job = await createStalledJob({ attempts: 1, lockedAt: new Date() });
+
+    await startWorker();
+
+    expect(await findJob(job._id)).toMatchObject({ status: "running", lockedBy: "crashed-host:1" });
+  });
+
+  it("fails a queued job with no attempts left instead of running it", async () => {
+    handler = vi.fn();
+    const job = await Job.create({ type: TYPE, attempts: 3, maxAttempts: 3 });
+
+    await startWorker();
+
+    expect(await waitForStatus(job._id, "failed")).toMatchObject({ attempts: 4 });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe("stopWorker", () => {
+  it("lets a running job finish within the shutdown timeout", async () => {
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    handler = async () => {
+      started();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { done: true };
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {});
+    await running;
+    await stopWorker();
+
+    expect(await findJob(job._id)).toMatchObject({ status: "completed", result: { done: true } });
+  });
+
+  it("requeues a job still running at the deadline without using up an attempt", async () => {
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    handler = async (payload, { signal }) => {
+      started();
+      await untilAborted(signal);
+    };
+
+    await startWorker();
+    const job = await enqueueJob(TYPE, {});
+    await running;
+    await stopWorker();
+
+    await vi.waitFor(async () => {
+      expect(await findJob(job._id)).toMatchObject({ status: "queued", attempts: 0, lockedBy: null, lockedAt: null });
+    }, { timeout: 1000, interval: 10 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+
+const { toJSONResume, fromJSONResume, JSON_RESUME_SCHEMA_URL } = require("../services/jsonResumeService");
+const { importJSONResume } = require("../controllers/uploadController");
+const { createResponse } = require("./helpers/response");
+const resume = require("./fixtures/resume.json");
+
+const ENTRY_FIELDS = {
+  experience: ["title", "companyName", "date", "companyLocation", "accomplishment"],
+  education: ["degree", "institution", "duration"],
+  projects: ["title", "duration", "description"],
+  achievements: ["keyAchievements", "describe"],
+  certifications: ["title", "issuedBy", "year"]
+};
+
+const pick = (entry, fields) => Object.fromEntries(fields.map(field => [field, entry[field]]));
+
+describe("toJSONResume", () => {
+  it("maps every section to the JSON Resume schema", () => {
+    const { jsonResume } = toJSONResume(resume);
+
+    expect(jsonResume.$schema).toBe(JSON_RESUME_SCHEMA_URL);
+    expect(jsonResume.basics).toMatchObject({
+      name: resume.name,
+      label: resume.role,
+      location: { city: "Berlin", region: "Germany" },
+      profiles: [{ network: "LinkedIn", username: "janedoe", url: "https://linkedin.com/in/janedoe" }]
+    });
+    expect(jsonResume.work[0]).toEqual({
+      name: "Acme & Sons",
+      position: "Senior Developer",
+      location: "Berlin",
+      startDate: "2020-01",
+      highlights: resume.experience[0].accomplishment
+    });
+    expect(jsonResume.work[1]).toMatchObject({ startDate: "2016-06", endDate: "2019-12" });
+    expect(jsonResume.certificates).toEqual([{ name: "AWS Solutions Architect", issuer: "Amazon", date: "2022" }]);
+    expect(jsonResume.skills).toEqual(resume.skills.map(name => ({ name })));
+  });
+
+  it("warns about the fields JSON Resume cannot hold", () => {
+    const { warnings } = toJSONResume({ ...resume, certifications: [{ title: "CKA", year: "someday" }] });
+
+    expect(warnings).toEqual([
+      { field: "education[0].location", message: "JSON Resume education has no location, dropped" },
+      { field: "courses", message: "JSON Resume has no standalone courses section, dropped" },
+      { field: "certifications[0].year", message: "Could not convert \"someday\" to an ISO 8601 date" }
+    ]);
+  });
+});
+
+describe("fromJSONResume", () => {
+  it("round-trips a resume through JSON Resume", () => {
+    const { resumeData, warnings } = fromJSONResume(toJSONResume(resume).jsonResume);
+
+    expect(warnings).toEqual([]);
+    expect(pick(resumeData, ["name", "role", "email", "phone", "location", "summary", "skills", "languages", "hobbies"]))
+      .toEqual(pick(resume, ["name", "role", "email", "phone", "location", "summary", "skills", "languages", "hobbies"]));
+    expect(resumeData.linkedin).toBe("https://linkedin.com/in/janedoe");
+
+    Object.entries(ENTRY_FIELDS).forEach(([section, fields]) => {
+      expect(resumeData[section].map(entry => pick(entry, fields)), section)
+        .toEqual(resume[section].map(entry => pick(entry, fields)));
+    });
+    expect(resumeData.experience[0]).toMatchObject({ startDate: { month: 1, year: 2020 }, isCurrent: true });
+  });
+
+  it("warns about the fields the resume schema cannot hold", () => {
+    const { resumeData, warnings } = fromJSONResume({
+      basics: {
+        name: "Jane Doe",
+        url: "https://jane.dev",
+        profiles: [
+          { network: "GitHub", url: "https://github.com/janedoe" },
+          { network: "LinkedIn", url: "https://linkedin.com/in/janedoe" }
+        ]
+      },
+      education: [{ institution: "TU Berlin", courses: ["Compilers"] }],
+      skills: [{ name: "Web", level: "Master", keywords: ["React", "Web"] }],
+      certificates: [{ name: "CKA", date: "2023-05-01" }],
+      volunteer: [{ organization: "Code Club" }]
+    });
+
+    expect(resumeData.skills).toEqual(["Web", "React"]);
+    expect(resumeData.courses).toEqual([{ title: "Compilers", description: "" }]);
+    expect(resumeData.certifications[0].year).toBe("2023");
+    expect(warnings).toEqual([
+      { field: "basics.profiles[0]", message: "Only LinkedIn profiles are supported, dropped GitHub" },
+      { field: "basics.url", message: "Not supported by the resume schema, dropped" },
+      { field: "skills[0].level", message: "Not supported by the resume schema, dropped" },
+      { field: "certificates[0].date", message: "Only the year is kept" },
+      { field: "volunteer", message: "Section is not supported by the resume schema, dropped" }
+    ]);
+  });
+
+  it.each([
+    ["a non-object document", [], "resume", "resume must be an object"],
+    ["a section that is not an array", { work: {} }, "work", "work must be an array"],
+    ["an entry that is not an object", { education: ["TU Berlin"] }, "education[0]", "education[0] must be an object"],
+    [
+      "keywords that are not an array",
+      { skills: [{ name: "Web", keywords: "React" }] },
+      "skills[0].keywords",
+      "skills[0].keywords must be an array"
+    ],
+    ["basics that are not an object", { basics: "Jane" }, "basics", "basics must be an object"]
+  ])("rejects %s", (label, jsonResume, field, message) => {
+    expect(() => fromJSONResume(jsonResume)).toThrow(expect.objectContaining({
+      name: "JSONResumeError",
+      field,
+      message
+    }));
+  });
+});
+
+describe("importJSONResume", () => {
+  it("answers 400 with the mapping error for a malformed document", async () => {
+    const res = createResponse();
+    await importJSONResume({ body: { resume: { work: {} } } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({
+      message: "Invalid JSON Resume",
+      details: { field: "work", message: "work must be an array" }
+    });
+  });
+});
\ No newline at end of file
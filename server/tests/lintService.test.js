@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+
+const { lintResume, countBySeverity } = require("../services/lintService");
+const { validateResumeData } = require("../services/pdfService");
+
+const resume = {
+  name: "Jane Doe",
+  email: "jane@example.com",
+  phone: "15551234567",
+  summary: "Engineer building web applications in React and Node.js.",
+  education: [{ degree: "BSc Computer Science", institution: "TU Berlin", duration: "2012 - 2016" }],
+  skills: ["React", "Node.js"],
+  experience: [
+    {
+      title: "Developer",
+      companyName: "Acme",
+      date: "Jan 2020 - Present",
+      accomplishment: ["Own a payments API serving 2M requests a day"]
+    }
+  ]
+};
+
+const rulesAt = (findings, path) => findings.filter(item => item.path === path).map(item => item.rule);
+
+describe("lintResume", () => {
+  it("finds nothing in a clean resume", () => {
+    expect(lintResume(resume)).toEqual([]);
+  });
+
+  it("reports missing required fields by severity", () => {
+    const findings = lintResume({});
+
+    expect(countBySeverity(findings)).toEqual({ error: 2, warning: 4, info: 0 });
+    expect(findings.filter(item => item.severity === "error").map(item => item.path)).toEqual(["name", "email"]);
+  });
+
+  it("flags weak openers, missing metrics, tense and first person in past roles", () => {
+    const findings = lintResume({
+      ...resume,
+      experience: [{
+        ...resume.experience[0],
+        date: "2016 - 2019",
+        accomplishment: ["Responsible for the billing system", "Manage a team where I set the roadmap"]
+      }]
+    });
+
+    expect(rulesAt(findings, "experience[0].accomplishment[0]")).toEqual(["weak-verb", "no-metric"]);
+    expect(rulesAt(findings, "experience[0].accomplishment[1]")).toEqual(["first-person", "no-metric", "tense"]);
+  });
+
+  it("flags duplicate skills written differently", () => {
+    const findings = lintResume({ ...resume, skills: ["React", "Go", "react.js"] });
+
+    expect(findings).toEqual([expect.objectContaining({ rule: "duplicate-skill", path: "skills[2]" })]);
+  });
+
+  it("flags gaps of more than six months between jobs", () => {
+    const findings = lintResume({
+      ...resume,
+      experience: [
+        { ...resume.experience[0], date: "Jan 2021 - Present" },
+        { ...resume.experience[0], date: "Jan 2018 - Mar 2020", accomplishment: ["Ran a payments API serving 2M requests a day"] }
+      ]
+    });
+
+    expect(findings).toEqual([expect.objectContaining({ rule: "date-gap", path: "experience[0]", message: "9-month gap before this role" })]);
+  });
+
+  it.each([
+    ["a bullet list that is a string", { experience: [{ ...resume.experience[0], accomplishment: "x" }] }],
+    ["a numeric summary", { summary: 5 }],
+    ["a missing experience entry", { experience: [null] }],
+    ["a skills list that is a string", { skills: "js" }],
+    ["non-object projects and achievements", { projects: [null, 3], achievements: "won" }],
+    ["non-string bullets and skills", { experience: [{ accomplishment: [{}, null, 7] }], skills: [null, { name: "Go" }] }]
+  ])("lints malformed input without throwing: %s", (label, fields) => {
+    expect(() => lintResume({ ...resume, ...fields })).not.toThrow();
+  });
+
+  it("reads a numeric summary as text", () => {
+    expect(rulesAt(lintResume({ ...resume, summary: 5 }), "summary")).toEqual([]);
+    expect(rulesAt(lintResume({ ...resume, experience: "x" }), "experience")).toEqual(["required-field"]);
+  });
+});
+
+// What POST /api/resume/validate returns for the resume data it is sent
+describe("validateResumeData", () => {
+  it("validates malformed resume data instead of throwing", () => {
+    const validation = validateResumeData({ ...resume, summary: 5, experience: [null], skills: "js", accomplishment: "x" });
+
+    expect(validation).toMatchObject({ isValid: true, counts: { error: 0 } });
+    expect(validation.completeness).toBe(88);
+  });
+});
\ No newline at end of file
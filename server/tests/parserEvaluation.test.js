@@ -0,0 +1,29 @@
+import { beforeAll, describe, expect, it } from "vitest";
+
+const { evaluateFixtures } = require("../scripts/evaluateParser");
+
+// Minimum scores over fixtures/resumes; 84%, 31% and 0% when set. Raise them as the parser improves
+const MIN_ACCURACY = 0.8;
+const MIN_WRONG_FLAGGED = 0.25;
+const MAX_CORRECT_FLAGGED = 0.02;
+
+describe("parser evaluation", () => {
+  let totals;
+
+  beforeAll(async () => {
+    ({ totals } = await evaluateFixtures());
+  });
+
+  it("parses enough of the expected fields correctly", () => {
+    expect(totals.matched / totals.total).toBeGreaterThanOrEqual(MIN_ACCURACY);
+  });
+
+  it("flags enough of the wrongly parsed fields for review", () => {
+    expect(totals.wrong).toBeGreaterThan(0);
+    expect(totals.wrongFlagged / totals.wrong).toBeGreaterThanOrEqual(MIN_WRONG_FLAGGED);
+  });
+
+  it("rarely flags correctly parsed fields", () => {
+    expect(totals.correctFlagged / totals.matched).toBeLessThanOrEqual(MAX_CORRECT_FLAGGED);
+  });
+});
\ No newline at end of file
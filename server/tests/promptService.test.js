@@ -0,0 +1,149 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const mongoose = require("mongoose");
+const Prompt = require("../models/Prompt");
+const {
+  BUILT_IN_VERSION,
+  getPlaceholders,
+  getStyles,
+  checkPlaceholders,
+  renderPrompt,
+  resolvePrompt,
+  listPrompts,
+  createPromptVersion,
+  activatePrompt,
+  deactivatePrompt
+} = require("../services/promptService");
+const { useMemoryDb } = require("./helpers/memoryDb");
+
+// Longer than PROMPT_CACHE_TTL_MS, so the next lookup reads the active prompts again
+const CACHE_EXPIRY_MS = 2 * 60 * 1000;
+
+const template = "Rewrite this summary for a recruiter.\n\nOriginal: {content}";
+
+let db;
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.useFakeTimers({ toFake: ["Date"] });
+  db = useMemoryDb(Prompt);
+
+  // Stored prompts are only read while the database is connected
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+});
+
+afterAll(() => {
+  delete mongoose.connection.readyState;
+  db.restore();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+  db.reset();
+  vi.setSystemTime(Date.now() + CACHE_EXPIRY_MS);
+});
+
+describe("placeholders", () => {
+  it("lists each section's placeholders, {content} by default", () => {
+    expect(getPlaceholders("summary")).toEqual(["content"]);
+    expect(getPlaceholders("keywords")).toEqual(["jobDescription"]);
+    expect(getPlaceholders("experienceBullets")).toEqual(["bullets", "count"]);
+  });
+
+  it("reports missing and unknown placeholders", () => {
+    expect(checkPlaceholders("summary", template)).toEqual({ missing: [], unknown: [] });
+    expect(checkPlaceholders("keywords", "Keywords of {content}")).toEqual({
+      missing: ["jobDescription"],
+      unknown: ["content"]
+    });
+  });
+
+  it("fills placeholders in one pass and leaves unknown ones", () => {
+    expect(renderPrompt("{jobDescription} / {other}", { jobDescription: "Quote {resume} for $& pay" }))
+      .toBe("Quote {resume} for $& pay / {other}");
+  });
+
+  it("has only the professional style for sections that do not depend on it", () => {
+    expect(getStyles("summary")).toEqual(["professional", "creative", "concise"]);
+    expect(getStyles("keywords")).toEqual(["professional"]);
+    expect(getStyles("translation")).toEqual(["professional"]);
+  });
+});
+
+describe("resolvePrompt", () => {
+  it("uses the built-in prompt when no stored version is active", async () => {
+    const resolved = await resolvePrompt("keywords", "professional");
+
+    expect(resolved).toMatchObject({ section: "keywords", style: "professional", version: BUILT_IN_VERSION });
+    expect(resolved.template).toContain("{jobDescription}");
+  });
+
+  it("falls back to the summary section and the professional style", async () => {
+    expect(await resolvePrompt("hobbies", "professional")).toMatchObject({ section: "summary", style: "professional" });
+    expect(await resolvePrompt("keywords", "creative")).toMatchObject({ section: "keywords", style: "professional" });
+  });
+});
+
+describe("prompt versions", () => {
+  it("numbers stored versions after the built-in one and activates the newest", async () => {
+    const second = await createPromptVersion({ section: "summary", style: "concise", template });
+    const third = await createPromptVersion({ section: "summary", style: "concise", template: `${template}\nBe brief.` });
+
+    expect([second.version, third.version]).toEqual([2, 3]);
+    expect(await Prompt.findById(second._id).lean()).toMatchObject({ isActive: false });
+    expect(await resolvePrompt("summary", "concise")).toMatchObject({ version: 3, template: third.template });
+  });
+
+  it("keeps a version created with activate: false out of use", async () => {
+    await createPromptVersion({ section: "summary", style: "professional", template, activate: false });
+
+    expect(await resolvePrompt("summary", "professional")).toMatchObject({ version: BUILT_IN_VERSION });
+  });
+
+  it("goes back to an older version, or to the built-in prompt", async () => {
+    const second = await createPromptVersion({ section: "keywords", style: "professional", template: "Keywords: {jobDescription}" });
+    await createPromptVersion({ section: "keywords", style: "professional", template: "Terms: {jobDescription}" });
+
+    const restored = await activatePrompt(await Prompt.findById(second._id));
+    expect(await resolvePrompt("keywords", "professional")).toMatchObject({ version: 2, template: "Keywords: {jobDescription}" });
+
+    await deactivatePrompt(restored);
+    expect(await resolvePrompt("keywords", "professional")).toMatchObject({ version: BUILT_IN_VERSION });
+  });
+
+  it("lists stored versions newest first, followed by the built-in one", async () => {
+    await createPromptVersion({ section: "summary", style: "creative", template });
+    await createPromptVersion({ section: "summary", style: "creative", template, activate: false });
+
+    const prompts = await listPrompts({ section: "summary", style: "creative" });
+
+    expect(prompts.map(({ version, isActive, builtIn }) => ({ version, isActive, builtIn }))).toEqual([
+      { version: 3, isActive: false, builtIn: false },
+      { version: 2, isActive: true, builtIn: false },
+      { version: BUILT_IN_VERSION, isActive: false, builtIn: true }
+    ]);
+  });
+});
+
+describe("active prompt cache", () => {
+  it("reuses the active prompts until they expire", async () => {
+    const stored = await createPromptVersion({ section: "projects", style: "concise", template });
+    expect(await resolvePrompt("projects", "concise")).toMatchObject({ version: 2 });
+
+    // Changed by another process, which cannot clear this one's cache
+    await Prompt.updateOne({ _id: stored._id }, { $set: { isActive: false } });
+    expect(await resolvePrompt("projects", "concise")).toMatchObject({ version: 2 });
+
+    vi.setSystemTime(Date.now() + CACHE_EXPIRY_MS);
+    expect(await resolvePrompt("projects", "concise")).toMatchObject({ version: BUILT_IN_VERSION });
+  });
+
+  it("reads the active prompts again as soon as this process activates one", async () => {
+    await resolvePrompt("courses", "professional");
+    await createPromptVersion({ section: "courses", style: "professional", template });
+
+    expect(await resolvePrompt("courses", "professional")).toMatchObject({ version: 2 });
+  });
+});
\ No newline at end of file
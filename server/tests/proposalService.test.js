@@ -0,0 +1,161 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+
+const Resume = require("../models/Resume");
+const {
+  isValidPath,
+  getAtPath,
+  setAtPath,
+  createProposal,
+  buildProposals,
+  addProposals,
+  reviewProposals,
+  revertHistoryEntry
+} = require("../services/proposalService");
+
+// Skills that a comma-joined copy would not survive
+const skills = ["C++, Rust", "Node.js", "React"];
+
+const createResume = () => new Resume({
+  name: "Jane Doe",
+  email: "jane@example.com",
+  summary: "Software engineer with six years of experience building web applications in React and Node.js.",
+  skills,
+  experience: [{
+    title: "Developer",
+    companyName: "Acme",
+    companyLocation: "Berlin",
+    date: "2020 - Present",
+    accomplishment: ["Built the billing API", "Ran the on-call rotation"]
+  }]
+});
+
+const accept = (resume, proposal) => {
+  addProposals(resume, [proposal]);
+  return reviewProposals(resume, { accept: [resume.proposals[0]._id] });
+};
+
+beforeAll(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => vi.restoreAllMocks());
+
+describe("paths", () => {
+  it("reads and writes nested fields", () => {
+    const data = { experience: [{ accomplishment: ["a", "b"] }] };
+
+    setAtPath(data, "experience[0].accomplishment[1]", "c");
+
+    expect(getAtPath(data, "experience[0].accomplishment[1]")).toBe("c");
+    expect(getAtPath(data, "projects[3].description")).toBeUndefined();
+    expect(() => setAtPath(data, "projects[3].description", "x")).toThrow("Nothing at projects[3].description");
+  });
+
+  it("accepts only paths it can resolve", () => {
+    expect(isValidPath("experience[0].accomplishment[2]")).toBe(true);
+    expect(isValidPath("skills")).toBe(true);
+    expect(isValidPath("experience.0")).toBe(false);
+    expect(isValidPath("__proto__[0].x.y")).toBe(false);
+  });
+});
+
+describe("reviewProposals", () => {
+  it("applies accepted proposals and logs them in the history", () => {
+    const resume = createResume();
+    const outcome = accept(resume, createProposal("experience", "experience[0].accomplishment[1]", "Ran the on-call rotation",
+      "Led the on-call rotation for 12 services", "professional", { promptSection: "experienceBullets", promptVersion: 1 }));
+
+    expect(outcome.applied).toHaveLength(1);
+    expect(resume.experience[0].accomplishment).toEqual(["Built the billing API", "Led the on-call rotation for 12 services"]);
+    expect(resume.proposals).toHaveLength(0);
+    expect(resume.enhancementHistory[0]).toMatchObject({
+      path: "experience[0].accomplishment[1]",
+      originalContent: "Ran the on-call rotation",
+      promptSection: "experienceBullets",
+      promptVersion: 1
+    });
+  });
+
+  it("drops proposals whose field changed since they were made", () => {
+    const resume = createResume();
+    addProposals(resume, [createProposal("summary", "summary", "An older summary", "A new summary", "professional")]);
+
+    const outcome = reviewProposals(resume, { accept: [resume.proposals[0]._id] });
+
+    expect(outcome.stale).toHaveLength(1);
+    expect(resume.summary).toMatch(/^Software engineer/);
+    expect(resume.enhancementHistory).toHaveLength(0);
+  });
+
+  it("keeps a skills list in the history as a list", () => {
+    const resume = createResume();
+
+    accept(resume, createProposal("skills", "skills", skills, ["React", "C++, Rust"], "professional", { promptVersion: 1 }));
+
+    expect(resume.skills).toEqual(["React", "C++, Rust"]);
+    expect(resume.enhancementHistory[0].originalContent).toEqual(skills);
+    expect(resume.enhancementHistory[0].enhancedContent).toEqual(["React", "C++, Rust"]);
+  });
+});
+
+describe("revertHistoryEntry", () => {
+  it("restores the original text", () => {
+    const resume = createResume();
+    accept(resume, createProposal("summary", "summary", resume.summary, "A sharper summary of the same experience.", "concise"));
+
+    const result = revertHistoryEntry(resume, resume.enhancementHistory[0]);
+
+    expect(result.status).toBe("reverted");
+    expect(resume.summary).toMatch(/^Software engineer/);
+    expect(resume.enhancementHistory[0].revertedAt).toBeInstanceOf(Date);
+  });
+
+  it("restores a skills list exactly as it was", () => {
+    const resume = createResume();
+    accept(resume, createProposal("skills", "skills", skills, ["React", "Node.js"], "professional"));
+
+    const result = revertHistoryEntry(resume, resume.enhancementHistory[0]);
+
+    expect(result.status).toBe("reverted");
+    expect(resume.toObject().skills).toEqual(skills);
+  });
+
+  it("reports a field edited since the enhancement unless forced", () => {
+    const resume = createResume();
+    accept(resume, createProposal("skills", "skills", skills, ["React", "Node.js"], "professional"));
+    resume.skills = ["React", "Node.js", "Go"];
+
+    expect(revertHistoryEntry(resume, resume.enhancementHistory[0]))
+      .toEqual({ status: "changed", path: "skills", currentContent: ["React", "Node.js", "Go"] });
+    expect(revertHistoryEntry(resume, resume.enhancementHistory[0], { force: true }).status).toBe("reverted");
+    expect(resume.toObject().skills).toEqual(skills);
+  });
+
+  it("still reverts skills entries stored as joined text", () => {
+    const resume = createResume();
+    resume.skills = ["React", "Node.js"];
+    resume.enhancementHistory.push({ section: "skills", path: "skills", originalContent: "Go, Rust", enhancedContent: "React, Node.js" });
+
+    expect(revertHistoryEntry(resume, resume.enhancementHistory[0]).status).toBe("reverted");
+    expect(resume.toObject().skills).toEqual(["Go", "Rust"]);
+  });
+
+  it("does not revert fields that are not text", () => {
+    const resume = createResume();
+    resume.enhancementHistory.push({ section: "experience", originalContent: "x", enhancedContent: "y" });
+
+    expect(revertHistoryEntry(resume, resume.enhancementHistory[0])).toEqual({ status: "unsupported", path: "experience" });
+  });
+});
+
+describe("buildProposals", () => {
+  it("proposes nothing when the AI returns the content unchanged", async () => {
+    const resume = createResume().toObject();
+
+    const { proposals, results } = await buildProposals(resume, ["summary", "projects"]);
+
+    expect(proposals).toEqual([]);
+    expect(results).toEqual({ summary: "No changes", projects: "No changes" });
+  });
+});
\ No newline at end of file
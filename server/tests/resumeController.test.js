@@ -0,0 +1,186 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const express = require("express");
+const mongoose = require("mongoose");
+const Resume = require("../models/Resume");
+const ResumeRevision = require("../models/ResumeRevision");
+const AIUsage = require("../models/AIUsage");
+const resumeRoutes = require("../routes/resume");
+const { createResume, duplicateResume, restoreRevision } = require("../controllers/resumeController");
+const { saveWithRevision, applyClientUpdate } = require("../services/revisionService");
+const { useMemoryDb } = require("./helpers/memoryDb");
+const { createResponse } = require("./helpers/response");
+const resume = require("./fixtures/resume.json");
+
+describe("createResume", () => {
+  let db;
+
+  beforeAll(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  it("keeps the values the client sent and fills only the missing ones", async () => {
+    const res = createResponse();
+    await createResume({ body: { name: "Jane Doe", email: "jane@example.com", skills: ["Go"], hobbies: null } }, res);
+
+    expect(res.statusCode).toBe(201);
+    const resume = res.body.data.resume;
+    expect(resume.name).toBe("Jane Doe");
+    expect(resume.email).toBe("jane@example.com");
+    expect(resume.skills).toEqual(["Go"]);
+    expect(resume.role).toBe("Your Professional Role");
+    expect(resume.phone).toBe("1234567890");
+    expect(resume.hobbies).toEqual([]);
+  });
+
+  it("creates a resume from an empty request with placeholders that pass validation", async () => {
+    const res = createResponse();
+    await createResume({ body: {} }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(db.docs(Resume)).toHaveLength(1);
+    expect(db.docs(ResumeRevision)[0].source).toBe("create");
+  });
+});
+
+describe("duplicateResume", () => {
+  let db;
+
+  beforeAll(() => {
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => db.restore());
+
+  beforeEach(() => db.reset());
+
+  it("does not list a copy of a variant as another variant of its source", async () => {
+    const variant = new Resume({
+      ...resume,
+      tailoredFrom: new mongoose.Types.ObjectId(),
+      tailoring: { jobDescription: "Senior engineer", bulletSuggestions: [], matchedRequirements: [] },
+      translatedFrom: new mongoose.Types.ObjectId(),
+      translation: { sourceLocale: "en-US", sourceVersion: 1 }
+    });
+    await variant.save();
+
+    const res = createResponse();
+    await duplicateResume({ params: { id: variant._id.toString() } }, res);
+
+    expect(res.statusCode).toBe(201);
+    const copy = db.docs(Resume).find(doc => doc._id.toString() !== variant._id.toString());
+    expect(copy.name).toBe(`${resume.name} (Copy)`);
+    expect(copy.tailoredFrom).toBeNull();
+    expect(copy.tailoring).toBeUndefined();
+    expect(copy.translatedFrom).toBeNull();
+    expect(copy.translation).toBeUndefined();
+  });
+});
+
+describe("restoreRevision", () => {
+  let db;
+
+  beforeAll(() => {
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  const createSavedResume = async () => {
+    const saved = await saveWithRevision(new Resume(resume), "create");
+    await applyClientUpdate(await Resume.findById(saved._id), { role: "Staff Engineer" });
+    return saved;
+  };
+
+  it("restores a revision as a new version", async () => {
+    const saved = await createSavedResume();
+
+    const res = createResponse();
+    await restoreRevision({ params: { id: saved._id.toString(), version: "1" } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.resume).toMatchObject({ version: 3, role: resume.role });
+    expect(db.docs(ResumeRevision).map(revision => revision.source)).toEqual(["create", "save", "restore"]);
+  });
+
+  it("answers 409 with the server copy when a save lands during the restore", async () => {
+    const saved = await createSavedResume();
+    // Another tab saves after the restore loaded the resume
+    const findRevision = ResumeRevision.findOne.bind(ResumeRevision);
+    vi.spyOn(ResumeRevision, "findOne").mockImplementationOnce(async (...args) => {
+      await applyClientUpdate(await Resume.findById(saved._id), { role: "Principal Engineer" });
+      return findRevision(...args);
+    });
+
+    const res = createResponse();
+    await restoreRevision({ params: { id: saved._id.toString(), version: "1" } }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.details).toMatchObject({ error: "VERSION_CONFLICT", expectedVersion: 2, currentVersion: 3 });
+    expect(db.docs(Resume)[0]).toMatchObject({ version: 3, role: "Principal Engineer" });
+    expect(db.docs(ResumeRevision).map(revision => revision.source)).toEqual(["create", "save", "save"]);
+  });
+});
+
+describe("ATS score AI quota", () => {
+  const jobDescription = "Senior engineer to build React and Node.js payment services for a growing fintech team.";
+  let db;
+  let server;
+
+  beforeAll(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision, AIUsage);
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/resume", resumeRoutes);
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    // The anonymous quota is 20 calls a month
+    await AIUsage.create({ subject: "ip:127.0.0.1", period: new Date().toISOString().slice(0, 7), calls: 20 });
+  });
+
+  const scoreATS = (useAI) => fetch(`http://127.0.0.1:${server.address().port}/api/resume/ats-score`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ resume, jobDescription, useAI })
+  });
+
+  it("rejects AI-assisted scoring once the quota is used up", async () => {
+    const response = await scoreATS(true);
+
+    expect(response.status).toBe(429);
+    expect((await response.json()).error).toBe("AI_QUOTA_EXCEEDED");
+  });
+
+  it("scores without AI regardless of the quota", async () => {
+    const response = await scoreATS(false);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data.aiAssisted).toBe(false);
+  });
+});
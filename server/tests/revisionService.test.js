@@ -0,0 +1,118 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const Resume = require("../models/Resume");
+const ResumeRevision = require("../models/ResumeRevision");
+const { saveWithRevision, isVersionConflict, applyClientUpdate } = require("../services/revisionService");
+const { useMemoryDb } = require("./helpers/memoryDb");
+
+const resumeData = {
+  name: "Jane Doe",
+  role: "Software Engineer",
+  phone: "15551234567",
+  email: "jane@example.com",
+  location: "Berlin, Germany",
+  summary: "Software engineer with six years of experience building web applications in React and Node.js."
+};
+
+describe("saveWithRevision", () => {
+  let db;
+
+  beforeAll(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  it("stores the resume and a revision of its version", async () => {
+    const resume = await saveWithRevision(new Resume(resumeData), "create");
+
+    expect(db.docs(Resume)).toHaveLength(1);
+    expect(db.docs(ResumeRevision)).toHaveLength(1);
+    expect(db.docs(ResumeRevision)[0]).toMatchObject({ version: 1, source: "create" });
+    expect(db.docs(ResumeRevision)[0].resumeId.toString()).toBe(resume._id.toString());
+    expect(db.docs(ResumeRevision)[0].snapshot.name).toBe("Jane Doe");
+  });
+
+  it("does not save the resume when the revision cannot be written", async () => {
+    const insertRevision = ResumeRevision.collection.insertOne;
+    ResumeRevision.collection.insertOne = async () => { throw new Error("write failed"); };
+
+    try {
+      await expect(saveWithRevision(new Resume(resumeData), "create")).rejects.toThrow("write failed");
+    } finally {
+      ResumeRevision.collection.insertOne = insertRevision;
+    }
+
+    expect(db.docs(Resume)).toHaveLength(0);
+  });
+
+  it("removes the revision again when the resume write fails", async () => {
+    const resume = await saveWithRevision(new Resume(resumeData), "create");
+    const stale = await Resume.findById(resume._id);
+    db.docs(Resume)[0].version = 2;
+
+    stale.$where = { version: 1 };
+    stale.role = "Staff Engineer";
+    stale.version = 2;
+    const error = await saveWithRevision(stale, "save").catch(saveError => saveError);
+
+    expect(isVersionConflict(error)).toBe(true);
+    expect(db.docs(ResumeRevision).map(revision => revision.version)).toEqual([1]);
+  });
+
+  it("reports a second save of the same version as a conflict", async () => {
+    const resume = await saveWithRevision(new Resume(resumeData), "create");
+    const first = await Resume.findById(resume._id);
+    const second = await Resume.findById(resume._id);
+
+    first.version += 1;
+    await saveWithRevision(first, "save");
+
+    second.role = "Staff Engineer";
+    second.version += 1;
+    const error = await saveWithRevision(second, "save").catch(saveError => saveError);
+
+    expect(isVersionConflict(error)).toBe(true);
+    expect(db.docs(Resume)[0].role).toBe("Software Engineer");
+    expect(db.docs(ResumeRevision)).toHaveLength(2);
+  });
+});
+
+describe("applyClientUpdate", () => {
+  let db;
+
+  beforeAll(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    db = useMemoryDb(Resume, ResumeRevision);
+  });
+
+  afterAll(() => {
+    db.restore();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => db.reset());
+
+  it("keeps an edit to the date text of an entry", async () => {
+    const experience = [{ title: "Engineer", companyName: "Acme", companyLocation: "Berlin", date: "Jan 2020 - Mar 2022" }];
+    const created = await saveWithRevision(new Resume({ ...resumeData, experience }), "create");
+    const [loaded] = JSON.parse(JSON.stringify(created.experience));
+
+    const { status, resume } = await applyClientUpdate(
+      await Resume.findById(created._id),
+      { experience: [{ ...loaded, date: "Feb 2020 - Present" }] },
+      { expectedVersion: 1 }
+    );
+
+    expect(status).toBe("saved");
+    expect(resume.experience[0].date).toBe("Feb 2020 - Present");
+    expect(resume.experience[0].startDate).toMatchObject({ month: 2, year: 2020 });
+    expect(resume.experience[0].isCurrent).toBe(true);
+  });
+});
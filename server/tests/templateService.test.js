@@ -0,0 +1,54 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+
+const { listTemplates, renderTemplate } = require("../services/templateService");
+const resume = require("./fixtures/resume.json");
+
+/**
+ * Rendered HTML without the pack's stylesheet, so snapshots follow the markup
+ * @param {string} templateId - Template ID
+ * @param {Object} options - renderTemplate options
+ * @returns {string} HTML
+ */
+const renderMarkup = (templateId, options) => {
+  return renderTemplate(resume, templateId, options).replace(/<style>[\s\S]*?<\/style>/, "<style>/* css */</style>");
+};
+
+describe("renderTemplate", () => {
+  // Durations of current entries run to today
+  beforeAll(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-06-15T12:00:00Z"));
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  const templateIds = listTemplates().map(template => template.id);
+
+  it("finds the bundled template packs", () => {
+    expect(templateIds).toEqual(expect.arrayContaining(["classic", "creative", "minimal", "modern", "professional"]));
+  });
+
+  describe.each(templateIds)("%s", (templateId) => {
+    it("renders the fixture resume", () => {
+      expect(renderMarkup(templateId, { locale: "en-US" })).toMatchSnapshot();
+    });
+
+    it("renders right to left for Arabic", () => {
+      const html = renderMarkup(templateId, { locale: "ar" });
+
+      expect(html).toMatch(/<html lang="ar" dir="rtl">/);
+      expect(html).toMatchSnapshot();
+    });
+
+    it("escapes resume text", () => {
+      const html = renderMarkup(templateId, { locale: "en-US" });
+
+      expect(html).not.toContain("<script>");
+      expect(html).not.toContain("<b>without</b>");
+      expect(html).toContain("Jane &lt;Doe&gt; &amp; &#34;Co&#34;");
+      expect(html).toContain("&lt;script&gt;");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+
+const { generateText, generateMarkdown } = require("../services/textExportService");
+const { entryLine } = require("../services/docxService");
+const { parseTextToStructuredData } = require("../services/parseService");
+
+const resume = {
+  name: "Jane Doe",
+  role: "Software Engineer",
+  phone: "+15551234567",
+  email: "jane@example.com",
+  location: "Berlin, Germany",
+  experience: [
+    { title: "Senior Developer", companyName: "Acme", date: "2020 - Present", companyLocation: "", accomplishment: ["Led the React migration"] },
+    { title: "Developer", companyName: "Initech", date: "", companyLocation: "Munich", accomplishment: [] }
+  ],
+  education: [
+    { degree: "BSc Computer Science", institution: "TU Berlin", duration: "2012 - 2016", location: "Berlin" }
+  ],
+  certifications: [{ title: "AWS Solutions Architect", issuedBy: "", year: "2022" }]
+};
+
+describe("entryLine", () => {
+  it("joins the fields of an entry with a separator", () => {
+    expect(entryLine(["Acme", "2020 - Present", "Berlin"])).toBe("Acme | 2020 - Present | Berlin");
+  });
+
+  it("leaves out empty fields instead of leaving dangling separators", () => {
+    expect(entryLine(["Acme", "2020 - Present", ""])).toBe("Acme | 2020 - Present");
+    expect(entryLine(["Acme", undefined, "Berlin"])).toBe("Acme | Berlin");
+    expect(entryLine(["Resume Builder", " "])).toBe("Resume Builder");
+  });
+});
+
+describe("generateText", () => {
+  const text = generateText(resume, "modern", { locale: "en-US" });
+  const lines = text.split("\n");
+
+  it("writes entry lines without a trailing separator", () => {
+    expect(lines).toContain("Acme | 2020 - Present");
+    expect(lines).toContain("Initech | Munich");
+    expect(lines).toContain("- AWS Solutions Architect | 2022");
+    expect(lines.some(line => /\|\s*$|^\s*\||\|\s+\|/.test(line))).toBe(false);
+  });
+
+  it("re-imports entries with missing fields", async () => {
+    const { resumeData } = await parseTextToStructuredData(text);
+
+    expect(resumeData.experience.map(({ companyName, date, companyLocation }) => ({ companyName, date, companyLocation })))
+      .toEqual([
+        { companyName: "Acme", date: "2020 - Present", companyLocation: "" },
+        { companyName: "Initech", date: "", companyLocation: "Munich" }
+      ]);
+  });
+});
+
+describe("generateMarkdown", () => {
+  it("writes entry lines without a trailing separator", () => {
+    const markdown = generateMarkdown(resume, "modern", { locale: "en-US" });
+
+    expect(markdown).toContain("\nAcme | 2020 - Present\n");
+    expect(markdown).not.toMatch(/\| *\n/);
+  });
+});
\ No newline at end of file
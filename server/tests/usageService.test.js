@@ -0,0 +1,66 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+
+const AIUsage = require("../models/AIUsage");
+const { getUsage, createUsageRecorder } = require("../services/usageService");
+const { useMemoryDb } = require("./helpers/memoryDb");
+
+describe("createUsageRecorder", () => {
+  const subject = { key: "user:1", userId: null, plan: "free" };
+  let db;
+
+  beforeAll(() => {
+    db = useMemoryDb(AIUsage);
+  });
+
+  afterAll(() => db.restore());
+
+  beforeEach(() => db.reset());
+
+  // Let the recorder's unawaited writes finish
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it("records each call against the subject", async () => {
+    const onUsage = createUsageRecorder(subject);
+
+    onUsage({ inputTokens: 100, outputTokens: 50 });
+    onUsage({ inputTokens: 10, outputTokens: 5 });
+    await flush();
+
+    const usage = await getUsage(subject);
+    expect(usage.calls.used).toBe(2);
+    expect(usage.tokens.used).toBe(165);
+  });
+
+  it("is exceeded once the calls left when the request started are used", async () => {
+    await AIUsage.create({ subject: subject.key, period: new Date().toISOString().slice(0, 7), calls: 48 });
+    const onUsage = createUsageRecorder(subject, await getUsage(subject));
+
+    onUsage({ inputTokens: 10, outputTokens: 10 });
+    expect(onUsage.exceeded()).toBe(false);
+    onUsage({ inputTokens: 10, outputTokens: 10 });
+    expect(onUsage.exceeded()).toBe(true);
+    await flush();
+  });
+
+  it("is exceeded once the tokens left when the request started are used", async () => {
+    const onUsage = createUsageRecorder(subject, await getUsage(subject));
+
+    onUsage({ inputTokens: 30000, outputTokens: 19999 });
+    expect(onUsage.exceeded()).toBe(false);
+    onUsage({ inputTokens: 1, outputTokens: 0 });
+    expect(onUsage.exceeded()).toBe(true);
+    await flush();
+  });
+
+  it("is never exceeded on an unlimited plan or without the starting usage", async () => {
+    const unlimited = createUsageRecorder(subject, await getUsage({ ...subject, plan: "enterprise" }));
+    const unchecked = createUsageRecorder(subject);
+
+    unlimited({ inputTokens: 2000000, outputTokens: 0 });
+    unchecked({ inputTokens: 2000000, outputTokens: 0 });
+    await flush();
+
+    expect(unlimited.exceeded()).toBe(false);
+    expect(unchecked.exceeded()).toBe(false);
+  });
+});
\ No newline at end of file
@@ -201,6 +201,23 @@ const conflictResponse = (res, message = "Resource already exists") => {
   });
 };
 
+/**
+ * Respond with 409 and the server copy when a resume save was based on an old version
+ * @param {Object} res - Express response object
+ * @param {Object} resume - Current server copy of the resume
+ * @param {number} expectedVersion - Version the client based its changes on
+ * @returns {Object} JSON response
+ */
+const versionConflictResponse = (res, resume, expectedVersion) => {
+  return errorResponse(res, "Resume was modified since it was loaded", 409, {
+    error: "VERSION_CONFLICT",
+    expectedVersion,
+    currentVersion: resume.version,
+    resume,
+    completeness: resume.getCompletenessPercentage()
+  });
+};
+
 /**
  * Too many requests response helper
  * @param {Object} res - Express response object
@@ -291,6 +308,39 @@ const fileDownloadResponse = (res, fileBuffer, filename, contentType = 'applicat
   return res.end(fileBuffer);
 };
 
+/**
+ * Server-Sent Events response helper
+ * Opens the stream and aborts `signal` if the client disconnects before `end()`
+ * @param {Object} res - Express response object
+ * @returns {Object} { send(event, data), end(), signal }
+ */
+const eventStreamResponse = (res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  if (res.destroyed) controller.abort(); // Client left before the stream opened
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  return {
+    send: (event, data) => {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      if (!res.writableEnded) res.end();
+    },
+    signal: controller.signal
+  };
+};
+
 /**
  * Redirect response helper
  * @param {Object} res - Express response object
@@ -364,10 +414,12 @@ module.exports = {
   forbiddenResponse,
   notFoundResponse,
   conflictResponse,
+  versionConflictResponse,
   tooManyRequestsResponse,
   serviceUnavailableResponse,
   responseWithMeta,
   fileDownloadResponse,
+  eventStreamResponse,
   redirectResponse,
   healthCheckResponse,
   versionResponse
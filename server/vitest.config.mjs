@@ -0,0 +1,12 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    // Tests run offline: AI calls go to the echo provider and nothing is cached between them
+    env: {
+      AI_PROVIDER: "stub",
+      AI_CACHE_ENABLED: "false"
+    }
+  }
+});